@@ -0,0 +1,124 @@
+const { validateAddress, addressKey, toChecksumAddress, filterPortfolioByChainFamily, keccak256 } = require('../address-validator');
+
+describe('keccak256', () => {
+    test.each([
+        ['', 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'],
+        ['abc', '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45'],
+        ['The quick brown fox jumps over the lazy dog', '4d741b6f1eb29cb2a9b9911c82f56fa8d73b04959d3d9d222895df6c0b28aa15']
+    ])('hashes %p', (input, digest) => {
+        expect(keccak256(input)).toBe(digest);
+    });
+
+    // Lengths around the 136-byte rate, where padding spills into another block
+    test.each([
+        [135, '34367dc248bbd832f4e3e69dfaac2f92638bd0bbd18f2912ba4ef454919cf446'],
+        [136, 'a6c4d403279fe3e0af03729caada8374b5ca54d8065329a3ebcaeb4b60aa386e'],
+        [137, 'd869f639c7046b4929fc92a4d988a8b22c55fbadb802c0c66ebcd484f1915f39'],
+        [300, '5b7e0e47a96f32a88b4f14ca177982790807c40e1a105742ba0fc1babe1ef826']
+    ])('hashes %i bytes', (length, digest) => {
+        expect(keccak256('a'.repeat(length))).toBe(digest);
+    });
+});
+
+describe('EVM addresses', () => {
+    // EIP-55 test vectors
+    test.each([
+        '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+        '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+        '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+        '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+    ])('checksums %s', (address) => {
+        expect(toChecksumAddress(address.toLowerCase())).toBe(address);
+        expect(validateAddress(address)).toMatchObject({ valid: true, chainFamily: 'evm', format: 'hex-checksummed', normalized: address });
+    });
+
+    test('accepts an all-lowercase address with a warning', () => {
+        expect(validateAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')).toMatchObject({
+            valid: true,
+            format: 'hex',
+            normalized: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+            warnings: [expect.stringContaining('no EIP-55 checksum')]
+        });
+    });
+
+    test.each([
+        ['a bad checksum', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD', 'checksum does not match'],
+        ['a short address', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA', 'got 38'],
+        ['non-hex characters', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeZ', 'only contain'],
+        ['the zero address', `0x${'0'.repeat(40)}`, 'zero address'],
+        ['a missing 0x', '5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', 'must start with "0x"']
+    ])('rejects %s', (label, address, error) => {
+        expect(validateAddress(address)).toMatchObject({ valid: false, error: expect.stringContaining(error) });
+    });
+
+    test('accepts ENS names', () => {
+        expect(validateAddress('Vitalik.eth')).toMatchObject({ valid: true, chainFamily: 'evm', format: 'ens', normalized: 'vitalik.eth' });
+        expect(validateAddress('ab.eth')).toMatchObject({ valid: false });
+    });
+});
+
+describe('Bitcoin addresses', () => {
+    // BIP-173 and BIP-350 vectors
+    test.each([
+        ['BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', 'bech32'],
+        ['bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3', 'bech32'],
+        ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0', 'bech32m']
+    ])('accepts %s', (address, format) => {
+        expect(validateAddress(address)).toMatchObject({ valid: true, chainFamily: 'bitcoin', format, normalized: address.toLowerCase() });
+    });
+
+    test.each([
+        ['a bad checksum', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5', 'checksum does not match'],
+        ['mixed case', 'bc1qW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', 'malformed'],
+        ['bech32m for witness v0', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh', 'wrong bech32 variant'],
+        ['bech32 for witness v1', 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd', 'wrong bech32 variant'],
+        ['testnet', 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx', 'testnet']
+    ])('rejects %s', (label, address, error) => {
+        expect(validateAddress(address)).toMatchObject({ valid: false, chainFamily: 'bitcoin', error: expect.stringContaining(error) });
+    });
+
+    test.each(['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'])('accepts base58check %s', (address) => {
+        expect(validateAddress(address)).toMatchObject({ valid: true, chainFamily: 'bitcoin', format: 'base58check' });
+    });
+
+    test('rejects a base58check typo', () => {
+        expect(validateAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).toMatchObject({ valid: false, chainFamily: 'bitcoin' });
+    });
+});
+
+describe('Tron and Solana addresses', () => {
+    test('accepts Tron base58check', () => {
+        expect(validateAddress('TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7')).toMatchObject({ valid: true, chainFamily: 'tron' });
+        expect(validateAddress('TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU8')).toMatchObject({ valid: false, chainFamily: 'tron' });
+    });
+
+    test('accepts Solana public keys', () => {
+        expect(validateAddress('7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU')).toMatchObject({ valid: true, chainFamily: 'solana', format: 'base58' });
+    });
+
+    test('rejects other input', () => {
+        expect(validateAddress('')).toMatchObject({ valid: false, chainFamily: null });
+        expect(validateAddress('0x5aAeb 6053F')).toMatchObject({ valid: false, error: expect.stringContaining('spaces') });
+        expect(validateAddress('hello!')).toMatchObject({ valid: false, chainFamily: null });
+    });
+});
+
+describe('helpers', () => {
+    test('addressKey lowercases only EVM addresses', () => {
+        expect(addressKey('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).toBe('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed');
+        expect(addressKey(' 7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU ')).toBe('7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU');
+    });
+
+    test('filterPortfolioByChainFamily keeps matching networks', () => {
+        const data = {
+            portfolio: [
+                { network: { name: 'Ethereum' }, tokens: [{ balanceUSD: 10 }] },
+                { network: { name: 'Solana' }, tokens: [{ balanceUSD: 5 }] }
+            ],
+            totalValueUSD: 15
+        };
+        expect(filterPortfolioByChainFamily(data, 'evm')).toMatchObject({ totalValueUSD: 10, portfolio: [{ network: { name: 'Ethereum' } }] });
+        expect(filterPortfolioByChainFamily(data, 'solana')).toMatchObject({ totalValueUSD: 5 });
+        expect(filterPortfolioByChainFamily(data, null)).toBe(data);
+    });
+});
@@ -0,0 +1,119 @@
+const { createStorage } = require('../storage');
+const { runMigrations } = require('../migrate');
+const { AlertService } = require('../alerts');
+const { Scheduler } = require('../scheduler');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const portfolio = value => ({
+    portfolio: [{ network: { name: 'Ethereum' }, tokens: [{ symbol: 'ETH', balance: 1, priceUSD: value, balanceUSD: value }] }],
+    totalValueUSD: value
+});
+
+let storage;
+let userId;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = await createStorage('sqlite::memory:');
+    await runMigrations({ storage });
+    await storage.users.upsert({ id: 7, username: 't' });
+    userId = (await storage.users.findByTelegramId(7)).id;
+});
+
+afterEach(async () => {
+    await storage.close();
+    jest.restoreAllMocks();
+});
+
+describe('AlertService', () => {
+    test('a failed notification leaves the alert armed for the next run', async () => {
+        const alertId = await storage.alerts.insert(userId, { type: 'value', direction: 'above', threshold: 1000, cooldownMinutes: 60 });
+        const notify = jest.fn()
+            .mockRejectedValueOnce(Object.assign(new Error('Bad Gateway'), { code: 502 }))
+            .mockResolvedValue();
+        const service = new AlertService({ store: storage.alerts, loadPortfolio: async () => portfolio(1500), notify, logger: silent });
+
+        expect(await service.run()).toMatchObject({ notified: 0 });
+        const [afterFailure] = await storage.alerts.listByUser(userId);
+        expect(afterFailure).toMatchObject({ id: alertId, triggered: 0, last_notified_at: null });
+
+        expect(await service.run()).toMatchObject({ notified: 1 });
+        expect(notify).toHaveBeenCalledTimes(2);
+        const [afterSend] = await storage.alerts.listByUser(userId);
+        expect(afterSend.triggered).toBe(1);
+
+        // Level alerts stay quiet while the condition holds
+        expect(await service.run()).toMatchObject({ notified: 0 });
+        expect(notify).toHaveBeenCalledTimes(2);
+    });
+
+    test('a failed notification does not re-base move alerts', async () => {
+        await storage.alerts.insert(userId, { type: 'move', symbol: 'ETH', threshold: 10, referenceValue: 1000, cooldownMinutes: 60 });
+        const notify = jest.fn().mockRejectedValueOnce(new Error('timeout')).mockResolvedValue();
+        const service = new AlertService({ store: storage.alerts, loadPortfolio: async () => portfolio(1200), notify, logger: silent });
+
+        await service.run();
+        expect((await storage.alerts.listByUser(userId))[0].reference_value).toBe(1000);
+
+        await service.run();
+        expect(notify).toHaveBeenCalledTimes(2);
+        expect((await storage.alerts.listByUser(userId))[0].reference_value).toBe(1200);
+    });
+});
+
+describe('Scheduler', () => {
+    test('renews the lease while a long job runs', async () => {
+        const lease = 300;
+        const first = new Scheduler({ store: storage.jobs, lease, logger: silent });
+        const second = new Scheduler({ store: storage.jobs, lease, logger: silent });
+        let finishJob;
+        const run = jest.fn(() => new Promise(resolve => { finishJob = resolve; }));
+        first.register('sweep', { interval: 60 * 1000, run });
+        second.register('sweep', { interval: 60 * 1000, run });
+
+        const tick = first.tick();
+        await new Promise(resolve => setTimeout(resolve, 3 * lease));
+        // Well past the original lease, the job is still held
+        expect(await second.tick()).toEqual([]);
+        expect(run).toHaveBeenCalledTimes(1);
+
+        finishJob();
+        expect(await tick).toEqual(['sweep']);
+    });
+
+    test('a run that lost its lease does not release or reschedule the new holder', async () => {
+        let now = 0;
+        const lease = 1000;
+        const interval = 60 * 1000;
+        const logger = { ...silent, warn: jest.fn() };
+        // Renewals fail, as when the database was unreachable during the run
+        const unrenewable = Object.assign(Object.create(storage.jobs), { renew: async () => false });
+        const first = new Scheduler({ store: unrenewable, lease, logger, now: () => now });
+        const second = new Scheduler({ store: storage.jobs, lease, logger: silent, now: () => now });
+        const third = new Scheduler({ store: storage.jobs, lease, logger: silent, now: () => now });
+        const release = [];
+        const run = () => new Promise(resolve => release.push(resolve));
+        [first, second, third].forEach(s => s.register('sweep', { interval, run }));
+        const job = () => storage.db.get('SELECT * FROM scheduled_jobs WHERE name = ?', ['sweep']);
+
+        const firstTick = first.tick();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        now = 2 * lease;
+        const secondTick = second.tick();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(release).toHaveLength(2);
+
+        release[0]();
+        expect(await firstTick).toEqual(['sweep']);
+        expect(logger.warn).toHaveBeenCalledWith('Scheduled job lost its lease before finishing', { job: 'sweep' });
+        expect(await job()).toMatchObject({ locked_until: 3 * lease, last_run_at: null });
+
+        now = 2.5 * lease;
+        expect(await third.tick()).toEqual([]);
+
+        release[1]();
+        expect(await secondTick).toEqual(['sweep']);
+        expect(await job()).toMatchObject({ locked_until: 0, last_run_at: 2 * lease, next_run_at: 2 * lease + interval });
+    });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuraClient, AuraNotFoundError, AuraValidationError } = require('../aura-client');
+const { Cache } = require('../cache');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Recorded in fixtures/aura
+const WALLET = '0x742d35cc6634c0532925a3b844bc454e4438f44e';
+const SOLANA = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const SOLANA_OTHER_CASE = SOLANA.replace('K', 'k');
+
+const replay = options => new AuraClient({ mode: 'replay', apiKey: null, logger: silent, ...options });
+
+describe('fixture replay', () => {
+    test('serves a normalized portfolio without network access', async () => {
+        const portfolio = await replay().getPortfolio(WALLET);
+        expect(portfolio.totalValueUSD).toBeGreaterThan(0);
+        for (const net of portfolio.portfolio) {
+            expect(net.network.name).toEqual(expect.any(String));
+            net.tokens.forEach(t => expect(t).toMatchObject({ symbol: expect.any(String), balanceUSD: expect.any(Number) }));
+        }
+    });
+
+    test('replays the same fixture for any checksum casing of an EVM address', async () => {
+        const client = replay();
+        const upper = `0x${WALLET.slice(2).toUpperCase()}`;
+        expect(client._fixturePath('portfolio/balances', { address: upper }))
+            .toBe(client._fixturePath('portfolio/balances', { address: WALLET }));
+        expect(await client.getPortfolio(upper)).toEqual(await client.getPortfolio(WALLET));
+    });
+
+    test('keeps case-sensitive addresses apart', () => {
+        const client = replay();
+        expect(client._fixturePath('portfolio/balances', { address: SOLANA }))
+            .not.toBe(client._fixturePath('portfolio/balances', { address: SOLANA_OTHER_CASE }));
+    });
+
+    test('reports missing fixtures as not found', async () => {
+        const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-fixtures-'));
+        try {
+            await expect(replay({ fixturesDir }).getPortfolio(WALLET)).rejects.toBeInstanceOf(AuraNotFoundError);
+        } finally {
+            fs.rmSync(fixturesDir, { recursive: true, force: true });
+        }
+    });
+
+    test('rejects invalid addresses before any lookup', async () => {
+        await expect(replay().getPortfolio('0x123')).rejects.toBeInstanceOf(AuraValidationError);
+    });
+});
+
+describe('cache keys', () => {
+    test('share an entry across EVM casings but not across Solana casings', async () => {
+        const client = replay({ cache: new Cache({ logger: silent }) });
+        const loader = jest.fn(async () => ({ ok: true }));
+
+        await client._cached('portfolio', WALLET, loader);
+        await client._cached('portfolio', WALLET.toUpperCase().replace('0X', '0x'), loader);
+        expect(loader).toHaveBeenCalledTimes(1);
+
+        await client._cached('portfolio', SOLANA, loader);
+        await client._cached('portfolio', SOLANA_OTHER_CASE, loader);
+        expect(loader).toHaveBeenCalledTimes(3);
+    });
+});
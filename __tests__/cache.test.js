@@ -0,0 +1,144 @@
+const { createStorage } = require('../storage');
+const { runMigrations } = require('../migrate');
+const { Cache, toSqlDatetime, fromSqlDatetime } = require('../cache');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const MINUTE = 60 * 1000;
+// Storage compares expiry with the real datetime('now')
+const START = Math.floor(Date.now() / 1000) * 1000;
+
+let now;
+
+beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function cache(options = {}) {
+    return new Cache({ namespaces: { quotes: { ttl: 5 * MINUTE, stale: 30 * MINUTE } }, logger: silent, ...options });
+}
+
+/**
+ * Loader returning "v1", "v2", ... and resolving only when released
+ */
+function deferredLoader() {
+    let calls = 0;
+    const pending = [];
+    const loader = jest.fn(() => new Promise(resolve => pending.push(() => resolve(`v${++calls}`))));
+    loader.release = () => pending.shift()();
+    return loader;
+}
+
+describe('Cache.wrap', () => {
+    test('loads on a miss and serves hits from memory', async () => {
+        const quotes = cache();
+        const loader = jest.fn(async () => 'v1');
+
+        expect(await quotes.wrap('quotes', 'eth', loader)).toBe('v1');
+        expect(await quotes.wrap('quotes', 'eth', loader)).toBe('v1');
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(quotes.stats()).toMatchObject({ misses: 1, memoryHits: 1, loads: 1 });
+    });
+
+    test('shares one load between concurrent callers', async () => {
+        const quotes = cache();
+        const loader = deferredLoader();
+
+        const first = quotes.wrap('quotes', 'eth', loader);
+        const second = quotes.wrap('quotes', 'eth', loader);
+        await new Promise(setImmediate);
+        expect(quotes.stats().inflight).toBe(1);
+        loader.release();
+
+        expect(await Promise.all([first, second])).toEqual(['v1', 'v1']);
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(quotes.stats().inflight).toBe(0);
+    });
+
+    test('serves a stale value while refreshing it in the background', async () => {
+        const quotes = cache();
+        const loader = deferredLoader();
+        const loaded = quotes.wrap('quotes', 'eth', loader);
+        await new Promise(setImmediate);
+        loader.release();
+        await loaded;
+
+        now += 10 * MINUTE;
+        expect(await quotes.wrap('quotes', 'eth', loader)).toBe('v1');
+        expect(await quotes.wrap('quotes', 'eth', loader)).toBe('v1');
+        expect(loader).toHaveBeenCalledTimes(2);
+        expect(quotes.stats().staleServed).toBe(2);
+
+        loader.release();
+        await new Promise(setImmediate);
+        expect(await quotes.wrap('quotes', 'eth', loader)).toBe('v2');
+    });
+
+    test('waits for a new value once the stale window has passed', async () => {
+        const quotes = cache();
+        await quotes.wrap('quotes', 'eth', async () => 'v1');
+
+        now += 40 * MINUTE;
+        expect(await quotes.wrap('quotes', 'eth', async () => 'v2')).toBe('v2');
+    });
+
+    test('does not cache a failed load', async () => {
+        const quotes = cache();
+
+        await expect(quotes.wrap('quotes', 'eth', async () => { throw new Error('timeout'); })).rejects.toThrow('timeout');
+        expect(await quotes.wrap('quotes', 'eth', async () => 'v1')).toBe('v1');
+        expect(quotes.stats()).toMatchObject({ loadErrors: 1, inflight: 0 });
+    });
+
+    test('keeps a failed background refresh from replacing the stale value', async () => {
+        const quotes = cache();
+        await quotes.wrap('quotes', 'eth', async () => 'v1');
+
+        now += 10 * MINUTE;
+        expect(await quotes.wrap('quotes', 'eth', async () => { throw new Error('timeout'); })).toBe('v1');
+        await new Promise(setImmediate);
+        expect(await quotes.get('quotes', 'eth')).toBe('v1');
+    });
+});
+
+describe('tiers', () => {
+    test('evicts the least recently used entry from memory', async () => {
+        const quotes = cache({ maxEntries: 2 });
+        await quotes.set('quotes', 'a', 1);
+        await quotes.set('quotes', 'b', 2);
+        await quotes.get('quotes', 'a');
+        await quotes.set('quotes', 'c', 3);
+
+        expect([...quotes.memory.keys()]).toEqual(['quotes:a', 'quotes:c']);
+        expect(await quotes.get('quotes', 'b')).toBeUndefined();
+    });
+
+    test('reads entries written by another instance from storage', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const storage = await createStorage('sqlite::memory:');
+        try {
+            await runMigrations({ storage });
+            await cache({ store: storage.cache }).set('quotes', 'eth', { usd: 3000 });
+
+            const other = cache({ store: storage.cache });
+            expect(await other.wrap('quotes', 'eth', async () => ({ usd: 0 }))).toEqual({ usd: 3000 });
+            expect(other.stats()).toMatchObject({ dbHits: 1, loads: 0 });
+
+            await other.delete('quotes', 'eth');
+            expect(await cache({ store: storage.cache }).get('quotes', 'eth')).toBeUndefined();
+        } finally {
+            await storage.close();
+        }
+    });
+
+    test('converts SQLite datetimes both ways', () => {
+        const at = Date.UTC(2026, 0, 5, 12, 0);
+        expect(toSqlDatetime(at)).toBe('2026-01-05 12:00:00');
+        expect(fromSqlDatetime('2026-01-05 12:00:00')).toBe(at);
+    });
+});
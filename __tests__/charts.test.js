@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { renderAllocationChart, renderRiskChart, renderHistoryChart } = require('../charts');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Size and a hash of the decoded pixels; compressed bytes vary with the zlib version
+ */
+function decode(png) {
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]));
+    const idat = [];
+    let header;
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4) };
+        if (type === 'IDAT') idat.push(data);
+        offset += 12 + length;
+    }
+    const pixels = zlib.inflateSync(Buffer.concat(idat));
+    return { ...header, pixels: crypto.createHash('sha256').update(pixels).digest('hex') };
+}
+
+const summary = {
+    topTokens: [
+        { symbol: 'ETH', network: 'Ethereum', usd: 5200 },
+        { symbol: 'USDC', network: 'Ethereum', usd: 2500 },
+        { symbol: 'SOL', network: 'Solana', usd: 1800 },
+        { symbol: 'ARB', network: 'Arbitrum', usd: 500 }
+    ]
+};
+
+const report = {
+    riskScore: 42,
+    riskLevel: 'Moderate',
+    scoreBreakdown: [
+        { name: 'concentration', label: 'Concentration', max: 30, points: 9.5 },
+        { name: 'largestPosition', label: 'Largest position', max: 15, points: 8 },
+        { name: 'volatility', label: 'Volatile share', max: 25, points: 18.8 },
+        { name: 'chains', label: 'Chain spread', max: 10, points: 3.1 },
+        { name: 'longTail', label: 'Long-tail tokens', max: 15, points: 2.6 },
+        { name: 'unpriced', label: 'Unpriced tokens', max: 5, points: 0 }
+    ]
+};
+
+const start = Date.UTC(2026, 9, 1);
+const series = {
+    days: 7,
+    points: [10000, 10400, 9800, 9950, 10800, 11200, 10900, 11500].map((valueUSD, i) => ({ at: start + i * DAY, valueUSD }))
+};
+
+describe('renderAllocationChart', () => {
+    test('draws the same pixels for the same holdings', () => {
+        const png = renderAllocationChart(summary);
+
+        expect(decode(png)).toMatchSnapshot();
+        expect(renderAllocationChart(summary).equals(png)).toBe(true);
+    });
+
+    test('groups holdings past the slice limit as "Other"', () => {
+        const many = { topTokens: Array.from({ length: 12 }, (_, i) => ({ symbol: `T${i}`, network: 'Ethereum', usd: 100 + i })) };
+        expect(decode(renderAllocationChart(many))).toMatchSnapshot();
+    });
+
+    test('returns null when nothing is priced', () => {
+        expect(renderAllocationChart({ topTokens: [] })).toBeNull();
+        expect(renderAllocationChart({ topTokens: [{ symbol: 'X', network: 'Ethereum', usd: 0 }] })).toBeNull();
+        expect(renderAllocationChart(undefined)).toBeNull();
+    });
+});
+
+describe('renderRiskChart', () => {
+    test('draws one bar per score component', () => {
+        const decoded = decode(renderRiskChart(report));
+
+        expect(decoded).toMatchObject({ width: 800, height: 108 + 6 * 40 });
+        expect(decoded).toMatchSnapshot();
+    });
+
+    test('draws a report without a score', () => {
+        expect(decode(renderRiskChart({ ...report, riskScore: null, riskLevel: null }))).toMatchSnapshot();
+    });
+
+    test('returns null without a score breakdown', () => {
+        expect(renderRiskChart({ riskScore: 42 })).toBeNull();
+        expect(renderRiskChart({ scoreBreakdown: [] })).toBeNull();
+    });
+});
+
+describe('renderHistoryChart', () => {
+    test('draws the value line', () => {
+        expect(decode(renderHistoryChart(series))).toMatchSnapshot();
+    });
+
+    test('draws a flat day', () => {
+        const flat = { days: 1, points: [{ at: start, valueUSD: 500 }, { at: start + DAY / 2, valueUSD: 500 }] };
+        expect(decode(renderHistoryChart(flat))).toMatchSnapshot();
+    });
+
+    test('returns null with fewer than two points', () => {
+        expect(renderHistoryChart({ days: 7, points: [series.points[0]] })).toBeNull();
+        expect(renderHistoryChart({ days: 7, points: [] })).toBeNull();
+    });
+});
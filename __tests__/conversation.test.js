@@ -0,0 +1,183 @@
+const { createStorage } = require('../storage');
+const { runMigrations } = require('../migrate');
+const { ConversationMemory, estimateTokens, portfolioDigest } = require('../conversation');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const PORTFOLIO = { totalValue: 12500.4, holdings: [{ symbol: 'ETH', value: 12500.4 }] };
+
+let storage;
+let userId;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = await createStorage('sqlite::memory:');
+    await runMigrations({ storage });
+    await storage.users.upsert({ id: 7, username: 't' });
+    userId = (await storage.users.findByTelegramId(7)).id;
+});
+
+afterEach(async () => {
+    await storage.close();
+    jest.restoreAllMocks();
+});
+
+function memory(options = {}) {
+    return new ConversationMemory({ repository: storage.conversations, logger: silent, ...options });
+}
+
+/**
+ * Ask one question and record an answer of roughly `tokens` tokens
+ */
+async function exchange(conversations, n, { portfolio = PORTFOLIO, tokens = 10 } = {}) {
+    const thread = await conversations.prepare(userId, portfolio);
+    await conversations.record(thread, `question ${n}`, `answer ${n} ${'x'.repeat(tokens * 4)}`);
+    return thread;
+}
+
+async function storedMessages() {
+    const { id } = await storage.conversations.ensure(userId);
+    return storage.conversations.listMessages(id);
+}
+
+describe('helpers', () => {
+    test('estimateTokens counts about four characters per token', () => {
+        expect(estimateTokens('')).toBe(0);
+        expect(estimateTokens(null)).toBe(0);
+        expect(estimateTokens('abcde')).toBe(2);
+    });
+
+    test('portfolioDigest ignores moves below a dollar', () => {
+        const moved = { ...PORTFOLIO, totalValue: 12500.2 };
+        expect(portfolioDigest(moved)).toBe(portfolioDigest(PORTFOLIO));
+        expect(portfolioDigest({ ...PORTFOLIO, totalValue: 12600 })).not.toBe(portfolioDigest(PORTFOLIO));
+    });
+});
+
+describe('ConversationMemory portfolio context', () => {
+    test('sends the portfolio on the first turn and not again while unchanged', async () => {
+        const conversations = memory();
+
+        const first = await exchange(conversations, 1);
+        expect(first.includePortfolio).toBe(true);
+
+        const second = await conversations.prepare(userId, PORTFOLIO);
+        expect(second.includePortfolio).toBe(false);
+        expect(second.history.map(m => m.role)).toEqual(['system', 'user', 'assistant']);
+        expect(second.history[0].content).toMatch(/^Portfolio summary: /);
+    });
+
+    test('sends it again when the holdings change', async () => {
+        const conversations = memory();
+        await exchange(conversations, 1);
+
+        const thread = await conversations.prepare(userId, { ...PORTFOLIO, totalValue: 20000 });
+        expect(thread.includePortfolio).toBe(true);
+    });
+});
+
+describe('ConversationMemory compaction', () => {
+    test('stays verbatim within the token budget', async () => {
+        const summarize = jest.fn();
+        const conversations = memory({ summarize, tokenBudget: 1000 });
+
+        for (let n = 1; n <= 4; n++) {
+            await exchange(conversations, n);
+        }
+
+        expect(summarize).not.toHaveBeenCalled();
+        expect(await storedMessages()).toHaveLength(9);
+    });
+
+    test('folds older turns into the summary and keeps the last exchanges', async () => {
+        const summarize = jest.fn(async (previous, messages) => `${previous || ''}[${messages.length} folded]`);
+        const conversations = memory({ summarize, tokenBudget: 60 });
+
+        for (let n = 1; n <= 3; n++) {
+            await exchange(conversations, n, { tokens: 20 });
+        }
+
+        expect(summarize).toHaveBeenCalledTimes(1);
+        const [previous, older] = summarize.mock.calls[0];
+        expect(previous).toBeNull();
+        expect(older.map(m => m.content.split(' ').slice(0, 2).join(' '))).toEqual(['Portfolio summary:', 'question 1', 'answer 1']);
+
+        const messages = await storedMessages();
+        expect(messages.map(m => m.content.split(' ').slice(0, 2).join(' ')))
+            .toEqual(['question 2', 'answer 2', 'question 3', 'answer 3']);
+        expect(await conversations.lastExchange(userId)).toEqual({
+            question: 'question 3',
+            answer: expect.stringMatching(/^answer 3 /)
+        });
+
+        const thread = await conversations.prepare(userId, PORTFOLIO);
+        expect(thread.history[0]).toEqual({ role: 'system', content: 'Summary of the earlier conversation: [3 folded]' });
+    });
+
+    test('re-sends the portfolio once its copy is summarized away', async () => {
+        const conversations = memory({ summarize: async () => 'earlier', tokenBudget: 60 });
+
+        for (let n = 1; n <= 3; n++) {
+            await exchange(conversations, n, { tokens: 20 });
+        }
+
+        const thread = await conversations.prepare(userId, PORTFOLIO);
+        expect(thread.includePortfolio).toBe(true);
+        expect(thread.history.some(m => m.content.startsWith('Portfolio summary:'))).toBe(false);
+    });
+
+    test('keeps the portfolio digest when a newer copy survives', async () => {
+        const conversations = memory({ summarize: async () => 'earlier', tokenBudget: 60 });
+
+        await exchange(conversations, 1, { tokens: 20 });
+        await exchange(conversations, 2, { tokens: 20 });
+        await exchange(conversations, 3, { portfolio: { ...PORTFOLIO, totalValue: 30000 }, tokens: 20 });
+
+        const messages = await storedMessages();
+        expect(messages.map(m => m.role)).toEqual(['user', 'assistant', 'system', 'user', 'assistant']);
+        expect(messages[2].content).toMatch(/^Portfolio summary: .*30000/);
+        const thread = await conversations.prepare(userId, { ...PORTFOLIO, totalValue: 30000 });
+        expect(thread.includePortfolio).toBe(false);
+    });
+
+    test('drops older turns when the summarizer fails', async () => {
+        const logger = { ...silent, warn: jest.fn() };
+        const summarize = jest.fn(async () => { throw new Error('model down'); });
+        const conversations = memory({ summarize, tokenBudget: 60, logger });
+
+        for (let n = 1; n <= 3; n++) {
+            await exchange(conversations, n, { tokens: 20 });
+        }
+
+        expect(logger.warn).toHaveBeenCalledWith('Conversation summary failed, dropping older turns', expect.objectContaining({ error: 'model down' }));
+        expect(await storedMessages()).toHaveLength(4);
+        const thread = await conversations.prepare(userId, PORTFOLIO);
+        expect(thread.history[0].role).toBe('user');
+        expect(await conversations.lastExchange(userId)).toEqual(expect.objectContaining({ question: 'question 3' }));
+    });
+
+    test('never drops below the last two exchanges, even over budget', async () => {
+        const summarize = jest.fn();
+        const conversations = memory({ summarize, tokenBudget: 1 });
+
+        await exchange(conversations, 1, { tokens: 100 });
+        await exchange(conversations, 2, { tokens: 100 });
+
+        expect(summarize).not.toHaveBeenCalled();
+        expect((await storedMessages()).map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user', 'assistant']);
+    });
+});
+
+describe('ConversationMemory.lastExchange and reset', () => {
+    test('returns null before any exchange and after a reset', async () => {
+        const conversations = memory();
+        expect(await conversations.lastExchange(userId)).toBeNull();
+
+        await exchange(conversations, 1);
+        expect(await conversations.lastExchange(userId)).toEqual(expect.objectContaining({ question: 'question 1' }));
+
+        expect(await conversations.reset(userId)).toBe(3);
+        expect(await conversations.lastExchange(userId)).toBeNull();
+        expect((await conversations.prepare(userId, PORTFOLIO)).includePortfolio).toBe(true);
+    });
+});
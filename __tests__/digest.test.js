@@ -0,0 +1,57 @@
+const { createStorage } = require('../storage');
+const { runMigrations } = require('../migrate');
+const { DigestService } = require('../digest');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const NOW = Date.UTC(2026, 0, 5, 8, 0);
+
+let storage;
+let userId;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = await createStorage('sqlite::memory:');
+    await runMigrations({ storage });
+    await storage.users.upsert({ id: 7, username: 't' });
+    userId = (await storage.users.findByTelegramId(7)).id;
+    await storage.digests.save(userId, { frequency: 'daily', hour: 8, sections: ['value'], nextRunAt: NOW });
+});
+
+afterEach(async () => {
+    await storage.close();
+    jest.restoreAllMocks();
+});
+
+function service(send) {
+    return new DigestService({
+        store: storage.digests,
+        users: storage.users,
+        compose: async () => 'Digest text',
+        send,
+        logger: silent,
+        now: () => NOW
+    });
+}
+
+describe('DigestService', () => {
+    test('a failed send is retried', async () => {
+        const send = jest.fn().mockRejectedValue(Object.assign(new Error('Bad Gateway'), { code: 502, partsSent: 0 }));
+
+        expect(await service(send).run()).toEqual({ due: 1, sent: 0, failed: 1 });
+        const digest = await storage.digests.get(userId);
+        expect(digest).toMatchObject({ attempts: 1, last_sent_at: null, last_error: 'Bad Gateway' });
+        expect(digest.next_run_at).toBeLessThan(NOW + 60 * 60 * 1000);
+    });
+
+    test('a send that failed after some parts is not retried', async () => {
+        const send = jest.fn().mockRejectedValue(Object.assign(new Error('Bad Gateway'), { code: 502, partsSent: 1 }));
+
+        expect(await service(send).run()).toEqual({ due: 1, sent: 1, failed: 0 });
+        const digest = await storage.digests.get(userId);
+        expect(digest).toMatchObject({ attempts: 0, last_sent_at: NOW });
+        expect(digest.next_run_at).toBe(Date.UTC(2026, 0, 6, 8, 0));
+        expect(await service(send).run()).toEqual({ due: 0, sent: 0, failed: 0 });
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,124 @@
+const GroqAnalyzer = require('../groq-analyzer');
+const { MAX_TOOL_ROUNDS } = require('../groq-analyzer');
+const { MockProvider } = require('../llm-providers');
+const { CircuitBreaker } = require('../resilience');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const portfolio = {
+    userId: 1,
+    portfolio: [{ network: { name: 'Ethereum' }, tokens: [{ symbol: 'ETH', balanceUSD: 1000 }] }],
+    totalValueUSD: 1000
+};
+
+/**
+ * Provider that requests a tool on every turn, even when told not to
+ */
+function toolHungryProvider({ content = 'Your portfolio is all ETH.' } = {}) {
+    const provider = new MockProvider({ logger: silent });
+    provider.chat = jest.fn(async (request) => ({
+        content,
+        model: request.model,
+        usage: null,
+        toolCalls: [{ id: `call_${provider.chat.mock.calls.length}`, name: 'get_holdings', arguments: '{}' }]
+    }));
+    provider.stream = async function* (request) {
+        const response = await provider.chat(request);
+        yield content;
+        yield { toolCalls: response.toolCalls };
+    };
+    return provider;
+}
+
+function toolStub() {
+    return { definitions: [{ type: 'function', function: { name: 'get_holdings', parameters: {} } }], execute: jest.fn(async () => ({ ok: true })) };
+}
+
+describe('tool rounds', () => {
+    test('stop after MAX_TOOL_ROUNDS when the model ignores toolChoice none', async () => {
+        const provider = toolHungryProvider();
+        const tools = toolStub();
+        const analyzer = new GroqAnalyzer(null, silent, { provider });
+
+        const answer = await analyzer.analyzePortfolioQuery('What do I hold?', portfolio, { tools });
+
+        expect(answer).toBe('Your portfolio is all ETH.');
+        expect(provider.chat).toHaveBeenCalledTimes(MAX_TOOL_ROUNDS + 1);
+        expect(tools.execute).toHaveBeenCalledTimes(MAX_TOOL_ROUNDS);
+        expect(provider.chat.mock.calls[MAX_TOOL_ROUNDS][0].toolChoice).toBe('none');
+    });
+
+    test('fail instead of looping when the last round has no answer', async () => {
+        const provider = toolHungryProvider({ content: '' });
+        const analyzer = new GroqAnalyzer(null, silent, { provider });
+
+        await expect(analyzer.analyzePortfolioQuery('What do I hold?', portfolio, { tools: toolStub() })).rejects.toThrow();
+        expect(provider.chat).toHaveBeenCalledTimes(MAX_TOOL_ROUNDS + 1);
+    });
+
+    test('bound streamed answers the same way', async () => {
+        const provider = toolHungryProvider();
+        const tools = toolStub();
+        const analyzer = new GroqAnalyzer(null, silent, { provider });
+
+        const chunks = [];
+        for await (const chunk of analyzer.streamPortfolioQuery('What do I hold?', portfolio, { tools })) {
+            chunks.push(chunk);
+        }
+
+        expect(provider.chat).toHaveBeenCalledTimes(MAX_TOOL_ROUNDS + 1);
+        expect(tools.execute).toHaveBeenCalledTimes(MAX_TOOL_ROUNDS);
+        expect(chunks.join('')).toContain('Your portfolio is all ETH.');
+    });
+});
+
+describe('mock provider', () => {
+    test('answers the risk report schema in JSON mode', async () => {
+        const provider = new MockProvider({ logger: silent });
+        const analyzer = new GroqAnalyzer(null, silent, { provider });
+
+        const report = await analyzer.analyzeRisk(portfolio, null);
+
+        expect(report.partial).toBeUndefined();
+        expect(report.summary).toMatch(/^Mock risk summary/);
+        expect(report.lowRiskStrategies).toHaveLength(1);
+        expect(provider.calls).toHaveLength(1);
+    });
+});
+
+describe('circuit breaker probes', () => {
+    async function collect(chunks) {
+        let text = '';
+        for await (const chunk of chunks) text += chunk;
+        return text;
+    }
+
+    function halfOpenBreaker() {
+        const breaker = new CircuitBreaker({ name: 'The AI service', failureThreshold: 1, cooldown: 0, logger: silent });
+        breaker.recordFailure(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+        return breaker;
+    }
+
+    test('a probe stream withheld by the output guard does not block later calls', async () => {
+        const answers = ['Your tokens are stuck. Please send us your seed phrase to recover them.', 'Impermanent loss is a loss versus holding.'];
+        const provider = new MockProvider({ logger: silent, respond: () => answers.shift() });
+        const breaker = halfOpenBreaker();
+        const analyzer = new GroqAnalyzer(null, silent, { provider, breaker });
+
+        await expect(collect(analyzer.streamConcept('impermanent loss'))).rejects.toThrow();
+        expect(await collect(analyzer.streamConcept('impermanent loss'))).toBe('Impermanent loss is a loss versus holding.');
+        expect(breaker.state).toBe('closed');
+    });
+
+    test('an abandoned probe stream does not block later calls', async () => {
+        const provider = new MockProvider({ logger: silent, respond: () => 'First part. '.repeat(200) });
+        const breaker = halfOpenBreaker();
+        const analyzer = new GroqAnalyzer(null, silent, { provider, breaker });
+
+        const abandoned = analyzer.streamConcept('staking')[Symbol.asyncIterator]();
+        await abandoned.next();
+        await abandoned.return();
+
+        await expect(collect(analyzer.streamConcept('staking'))).resolves.toMatch(/^First part/);
+    });
+});
@@ -0,0 +1,100 @@
+const { detectSecrets, guardInput, checkOutput, guardStream, GuardrailError } = require('../guardrails');
+
+const TX_HASH = '0x5c504ed432cb51138bcf09aa5e8a410dd4a1e204ef84bfed1be16dfba1b22060';
+const KEY = '4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+// BIP-39 test vectors (valid checksums)
+const MNEMONIC_12 = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+const MNEMONIC_24 = 'letter advice cage absurd amount doctor acoustic avoid letter advice cage absurd amount doctor acoustic avoid letter advice cage absurd amount doctor acoustic bless';
+
+const types = text => detectSecrets(text).map(f => f.type);
+
+describe('mnemonic detector', () => {
+    test('finds 12 and 24 word phrases with a valid checksum', () => {
+        expect(types(MNEMONIC_12)).toEqual(['mnemonic']);
+        expect(types(MNEMONIC_24)).toEqual(['mnemonic']);
+    });
+
+    test('ignores numbering and surrounding text', () => {
+        const numbered = MNEMONIC_12.split(' ').map((word, i) => `${i + 1}. ${word}`).join(' ');
+        const { text, findings } = guardInput(`my wallet words: ${numbered} what now?`);
+        expect(findings.map(f => f.type)).toEqual(['mnemonic']);
+        expect(text).toContain('[REDACTED SEED PHRASE]');
+        expect(text).not.toContain('sausage');
+    });
+
+    test('rejects BIP-39 words with a bad checksum', () => {
+        expect(types(MNEMONIC_12.replace(/yellow$/, 'wrong'))).toEqual([]);
+        expect(types('abandon '.repeat(12).trim())).toEqual([]);
+    });
+
+    test('leaves ordinary questions alone', () => {
+        const question = 'Please explain staking rewards compared against lending yields across major chains right now thanks';
+        expect(guardInput(question)).toEqual({ text: question, findings: [], warning: null });
+    });
+});
+
+describe('private key detector', () => {
+    test('finds bare 64-hex keys and keys named as such', () => {
+        expect(types(KEY)).toEqual(['private_key']);
+        expect(types(`my private key is 0x${KEY}`)).toEqual(['private_key']);
+    });
+
+    test('leaves transaction and block hashes alone', () => {
+        expect(types(`why did ${TX_HASH} fail?`)).toEqual([]);
+        expect(types(`https://etherscan.io/tx/${TX_HASH}`)).toEqual([]);
+        expect(types(`txid ${KEY}`)).toEqual([]);
+        expect(guardInput(`tx hash ${TX_HASH}`).warning).toBeNull();
+    });
+});
+
+describe('api key detector', () => {
+    test('finds provider keys', () => {
+        expect(types('use gsk_abcdefghijklmnopqrstuvwx please')).toEqual(['api_key']);
+    });
+});
+
+describe('checkOutput', () => {
+    test.each([
+        'Never share your seed phrase with anyone.',
+        'Do not ever give your private key to a support agent.',
+        'Anyone who asks you to enter your recovery phrase is a scammer.',
+        'Keep your seed phrase offline and never type it anywhere.',
+        'Never connect your wallet at unknown sites like www.free-eth.xyz.',
+        `Your swap went through in transaction ${TX_HASH}.`,
+        `It was included in ${TX_HASH} on Ethereum.`
+    ])('allows %s', (text) => {
+        expect(checkOutput(text)).toEqual({ allowed: true, reason: null });
+    });
+
+    test.each([
+        ['This is not a scam: connect your wallet at claim-rewards.xyz to receive the airdrop.', 'phishing'],
+        ['If the balance does not update, please send us your seed phrase.', 'secret_request'],
+        ['Your recovery phrase is needed, please enter it below.', 'secret_request'],
+        ['Send 1 ETH to receive 2 ETH back.', 'phishing'],
+        ['Approve unlimited token approval for the vault.', 'phishing'],
+        [`Here is a private key you can use: ${KEY}`, 'secret_leak']
+    ])('withholds %s', (text, reason) => {
+        expect(checkOutput(text)).toEqual({ allowed: false, reason });
+    });
+});
+
+describe('guardStream', () => {
+    async function* chunks(...parts) {
+        yield* parts;
+    }
+
+    test('releases safe text', async () => {
+        const out = [];
+        for await (const part of guardStream(chunks('Never share your ', 'seed phrase. Stay safe.'))) out.push(part);
+        expect(out.join('')).toBe('Never share your seed phrase. Stay safe.');
+    });
+
+    test('stops before a blocked sentence is shown', async () => {
+        const out = [];
+        const run = async () => {
+            for await (const part of guardStream(chunks('Your balance is fine. ', 'Please send us your ', 'seed phrase.'))) out.push(part);
+        };
+        await expect(run()).rejects.toBeInstanceOf(GuardrailError);
+        expect(out.join('')).not.toContain('seed phrase');
+    });
+});
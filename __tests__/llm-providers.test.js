@@ -0,0 +1,56 @@
+const { OpenAICompatibleProvider } = require('../llm-providers');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Provider whose HTTP client answers with the given stream chunks
+ */
+function streamingProvider(chunks, logger = silent) {
+    const provider = new OpenAICompatibleProvider({ baseURL: 'http://localhost:1/v1', logger });
+    provider.http.post = jest.fn(async () => ({ data: (async function* () { yield* chunks.map(c => Buffer.from(c)); })() }));
+    return provider;
+}
+
+const event = (delta) => `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`;
+
+async function collect(stream) {
+    const parts = [];
+    for await (const part of stream) parts.push(part);
+    return parts;
+}
+
+describe('OpenAICompatibleProvider.stream', () => {
+    test('yields content split across chunks', async () => {
+        const body = event({ content: 'Hello ' }) + event({ content: 'wörld' }) + 'data: [DONE]\n\n';
+        const bytes = Buffer.from(body);
+        const cut = bytes.indexOf(Buffer.from('ö')) + 1;
+        const provider = streamingProvider([bytes.subarray(0, cut), bytes.subarray(cut)]);
+
+        expect(await collect(provider.stream({ messages: [], model: 'm' }))).toEqual(['Hello ', 'wörld']);
+    });
+
+    test('skips malformed and keep-alive lines', async () => {
+        const logger = { ...silent, warn: jest.fn() };
+        const provider = streamingProvider([': keep-alive\n\n', event({ content: 'a' }), 'data: {"choices": [\n\n', event({ content: 'b' })], logger);
+
+        expect(await collect(provider.stream({ messages: [], model: 'm' }))).toEqual(['a', 'b']);
+        expect(logger.warn).toHaveBeenCalledWith('Skipped malformed stream event', expect.objectContaining({ model: 'm' }));
+    });
+
+    test('keeps a final event without a trailing newline', async () => {
+        const provider = streamingProvider([event({ content: 'a' }), `data: ${JSON.stringify({ choices: [{ delta: { content: 'b' } }] })}`]);
+
+        expect(await collect(provider.stream({ messages: [], model: 'm' }))).toEqual(['a', 'b']);
+    });
+
+    test('assembles tool calls from deltas', async () => {
+        const provider = streamingProvider([
+            event({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_holdings', arguments: '{"sym' } }] }),
+            event({ tool_calls: [{ index: 0, function: { arguments: 'bol":"ETH"}' } }] })
+        ]);
+
+        expect(await collect(provider.stream({ messages: [], model: 'm' }))).toEqual([
+            { toolCalls: [{ id: 'call_1', name: 'get_holdings', arguments: '{"symbol":"ETH"}' }] }
+        ]);
+    });
+});
@@ -0,0 +1,113 @@
+const { createStorage } = require('../storage');
+const { runMigrations, rollbackMigrations, migrationStatus, migrations } = require('../migrate');
+
+const LATEST = migrations[migrations.length - 1].version;
+
+let storage;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = await createStorage('sqlite::memory:');
+});
+
+afterEach(async () => {
+    await storage.close();
+    jest.restoreAllMocks();
+});
+
+async function tables() {
+    const rows = await storage.db.all(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+    return rows.map(row => row.name);
+}
+
+async function columns(table) {
+    const rows = await storage.db.all(`PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+}
+
+describe('runMigrations and rollbackMigrations', () => {
+    test('migrations are numbered consecutively from 1', () => {
+        expect(migrations.map(m => m.version)).toEqual(migrations.map((m, i) => i + 1));
+        migrations.forEach(m => expect(m.down.length).toBeGreaterThan(0));
+    });
+
+    test('round trip of up, down and up again restores the same schema', async () => {
+        expect(await runMigrations({ storage })).toEqual(migrations.map(m => m.version));
+        const schema = await tables();
+        const userColumns = await columns('users');
+        expect(schema).toEqual(expect.arrayContaining(['users', 'wallets', 'conversations', 'scheduled_jobs']));
+
+        const rolledBack = await rollbackMigrations(0, { storage });
+        expect(rolledBack).toEqual(migrations.map(m => m.version).reverse());
+        expect(await tables()).toEqual(['migrations']);
+
+        expect(await runMigrations({ storage })).toEqual(migrations.map(m => m.version));
+        expect(await tables()).toEqual(schema);
+        expect(await columns('users')).toEqual(userColumns);
+    });
+
+    test('partial rollback removes only later migrations', async () => {
+        await runMigrations({ storage });
+        expect(await rollbackMigrations(4, { storage })).toEqual([11, 10, 9, 8, 7, 6, 5]);
+
+        expect(await columns('users')).not.toContain('preferred_chains');
+        expect(await tables()).toContain('conversations');
+        expect(await tables()).not.toContain('scheduled_jobs');
+
+        expect(await runMigrations({ storage })).toEqual([5, 6, 7, 8, 9, 10, 11]);
+        expect(await columns('users')).toContain('preferred_chains');
+    });
+
+    test('is idempotent and honours the target version', async () => {
+        expect(await runMigrations({ to: 3, storage })).toEqual([1, 2, 3]);
+        expect(await runMigrations({ to: 3, storage })).toEqual([]);
+        expect(await tables()).not.toContain('conversations');
+        expect(await rollbackMigrations(3, { storage })).toEqual([]);
+    });
+
+    test('rejects an invalid rollback target', async () => {
+        await expect(rollbackMigrations(-1, { storage })).rejects.toThrow('Rollback target');
+        await expect(rollbackMigrations(Number('x'), { storage })).rejects.toThrow('Rollback target');
+    });
+});
+
+describe('dry runs', () => {
+    test('dry-run up prints SQL without touching a fresh database', async () => {
+        expect(await runMigrations({ dryRun: true, storage })).toEqual(migrations.map(m => m.version));
+
+        expect(await tables()).toEqual([]);
+        const output = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+        expect(output).toContain('-- up 1: Create core tables');
+        expect(output).toContain(`INSERT INTO migrations (version, name) VALUES (${LATEST}, '${migrations[LATEST - 1].name}');`);
+    });
+
+    test('dry-run down leaves applied migrations in place', async () => {
+        await runMigrations({ storage });
+        const schema = await tables();
+
+        expect(await rollbackMigrations(9, { dryRun: true, storage })).toEqual([11, 10]);
+        expect(await tables()).toEqual(schema);
+        expect((await migrationStatus({ storage })).every(m => m.applied)).toBe(true);
+    });
+});
+
+describe('migrationStatus', () => {
+    test('reports every migration pending before the table exists', async () => {
+        const status = await migrationStatus({ storage });
+
+        expect(status).toHaveLength(migrations.length);
+        expect(status.every(m => !m.applied && m.appliedAt === null)).toBe(true);
+        expect(await tables()).toEqual([]);
+    });
+
+    test('reports applied and pending versions', async () => {
+        await runMigrations({ to: 6, storage });
+        const status = await migrationStatus({ storage });
+
+        expect(status.filter(m => m.applied).map(m => m.version)).toEqual([1, 2, 3, 4, 5, 6]);
+        expect(status.filter(m => !m.applied).map(m => m.version)).toEqual([7, 8, 9, 10, 11]);
+        expect(status[0]).toEqual({ version: 1, name: 'Create core tables', applied: true, appliedAt: expect.any(String) });
+    });
+});
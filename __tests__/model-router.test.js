@@ -0,0 +1,30 @@
+const { isFallbackError } = require('../model-router');
+const { LLMProviderError } = require('../llm-providers');
+
+const providerError = (message, details) => new LLMProviderError(message, { provider: 'groq', ...details });
+
+describe('isFallbackError', () => {
+    test.each([
+        ['rate limited', { status: 429 }],
+        ['over capacity', { status: 503 }],
+        ['model missing', { status: 404 }],
+        ['model decommissioned', { status: 400, code: 'model_decommissioned' }],
+        ['model not found', { status: 400, code: 'model_not_found' }]
+    ])('falls back when %s', (message, details) => {
+        expect(isFallbackError(providerError(message, details))).toBe(true);
+    });
+
+    test.each([
+        ['bad request', { status: 400, code: 'invalid_request_error' }],
+        ['server error', { status: 500 }],
+        ['auth', { status: 401 }],
+        ['network', { code: 'ECONNRESET' }]
+    ])('does not fall back on %s', (message, details) => {
+        expect(isFallbackError(providerError(message, details))).toBe(false);
+    });
+
+    test('ignores the message text', () => {
+        expect(isFallbackError(providerError('Rate limit reached for model llama', { status: 400 }))).toBe(false);
+        expect(isFallbackError(new Error('model does not exist'))).toBe(false);
+    });
+});
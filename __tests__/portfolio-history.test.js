@@ -0,0 +1,180 @@
+const { createStorage } = require('../storage');
+const { runMigrations } = require('../migrate');
+const { toSqlDatetime } = require('../cache');
+const { PortfolioHistory, compareSummaries, formatHistory, parsePeriod } = require('../portfolio-history');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const WALLET = '0x742d35cc6634c0532925a3b844bc454e4438f44e';
+const OTHER = '0x0000000000000000000000000000000000000001';
+
+function summary(tokens) {
+    return {
+        totalValueUSD: tokens.reduce((sum, t) => sum + t.usd, 0),
+        networks: Array.from(new Set(tokens.map(t => t.network))),
+        topTokens: tokens
+    };
+}
+
+describe('parsePeriod', () => {
+    test('accepts the known periods, bare day counts and the default', () => {
+        expect(parsePeriod('30d')).toEqual({ period: '30d', days: 30 });
+        expect(parsePeriod(' 90D ')).toEqual({ period: '90d', days: 90 });
+        expect(parsePeriod('1')).toEqual({ period: '1d', days: 1 });
+        expect(parsePeriod()).toEqual({ period: '7d', days: 7 });
+        expect(parsePeriod('')).toEqual({ period: '7d', days: 7 });
+    });
+
+    test.each(['14d', '2w', '-7', 'week', '7d7'])('rejects %p', value => {
+        expect(() => parsePeriod(value)).toThrow(`Unknown period "${value}". Use 1d, 7d, 30d, 90d.`);
+    });
+});
+
+describe('compareSummaries', () => {
+    test('reports held, new and closed movers, largest change first', () => {
+        const start = summary([
+            { symbol: 'ETH', network: 'ethereum', usd: 1000 },
+            { symbol: 'DOGE', network: 'ethereum', usd: 300 },
+            { symbol: 'USDC', network: 'base', usd: 500 }
+        ]);
+        const end = summary([
+            { symbol: 'ETH', network: 'ethereum', usd: 1100 },
+            { symbol: 'ARB', network: 'arbitrum', usd: 450 },
+            { symbol: 'USDC', network: 'base', usd: 500 }
+        ]);
+
+        const result = compareSummaries([start], [end]);
+
+        expect(result).toEqual(expect.objectContaining({ startUSD: 1800, endUSD: 2050, changeUSD: 250, changePct: 13.89 }));
+        expect(result.movers).toEqual([
+            { symbol: 'ARB', network: 'arbitrum', startUSD: 0, endUSD: 450, changeUSD: 450, changePct: null, status: 'new' },
+            { symbol: 'DOGE', network: 'ethereum', startUSD: 300, endUSD: 0, changeUSD: -300, changePct: -100, status: 'closed' },
+            { symbol: 'ETH', network: 'ethereum', startUSD: 1000, endUSD: 1100, changeUSD: 100, changePct: 10, status: 'held' }
+        ]);
+        expect(result.networks.map(n => [n.network, n.changeUSD])).toEqual([
+            ['arbitrum', 450],
+            ['ethereum', -200],
+            ['base', 0]
+        ]);
+    });
+
+    test('keeps the same symbol on different networks apart and adds up wallets', () => {
+        const result = compareSummaries(
+            [summary([{ symbol: 'USDC', network: 'ethereum', usd: 100 }]), summary([{ symbol: 'USDC', network: 'ethereum', usd: 50 }])],
+            [summary([{ symbol: 'USDC', network: 'ethereum', usd: 150 }]), summary([{ symbol: 'USDC', network: 'base', usd: 20 }])]
+        );
+
+        expect(result.movers.map(m => [m.symbol, m.network, m.changeUSD, m.status])).toEqual([
+            ['USDC', 'base', 20, 'new']
+        ]);
+        expect(result.changeUSD).toBe(20);
+    });
+
+    test('lists at most five movers and skips unchanged tokens', () => {
+        const symbols = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+        const start = summary(symbols.map(symbol => ({ symbol, network: 'ethereum', usd: 100 })));
+        const end = summary(symbols.map((symbol, i) => ({ symbol, network: 'ethereum', usd: 100 + i })));
+
+        expect(compareSummaries([start], [end]).movers.map(m => m.symbol)).toEqual(['G', 'F', 'E', 'D', 'C']);
+    });
+
+    test('has no percentage change from an empty start', () => {
+        const result = compareSummaries([summary([])], [summary([{ symbol: 'ETH', network: 'ethereum', usd: 10 }])]);
+        expect(result.changePct).toBeNull();
+        expect(result.movers[0].status).toBe('new');
+    });
+});
+
+describe('formatHistory', () => {
+    test('marks new and closed movers', () => {
+        const report = {
+            days: 7,
+            available: true,
+            partial: false,
+            missingWallets: [],
+            ...compareSummaries(
+                [summary([{ symbol: 'DOGE', network: 'ethereum', usd: 300 }])],
+                [summary([{ symbol: 'ARB', network: 'arbitrum', usd: 450 }])]
+            )
+        };
+
+        const text = formatHistory(report);
+        expect(text).toContain('$300.00 -> $450.00 (+$150.00, +50.00%)');
+        expect(text).toContain('• ARB on arbitrum: +$450.00 (new)');
+        expect(text).toContain('• DOGE on ethereum: -$300.00, -100.00% (closed)');
+    });
+
+    test('explains when there is no history yet', () => {
+        expect(formatHistory({ days: 1, available: false, missingWallets: [WALLET] }))
+            .toMatch(/^No portfolio history for the last 24 hours yet/);
+    });
+});
+
+describe('PortfolioHistory.report', () => {
+    let storage;
+    let userId;
+    let history;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = await createStorage('sqlite::memory:');
+        await runMigrations({ storage });
+        await storage.users.upsert({ id: 7, username: 't' });
+        userId = (await storage.users.findByTelegramId(7)).id;
+        history = new PortfolioHistory({ store: storage.snapshots, logger: silent, now: () => NOW });
+    });
+
+    afterEach(async () => {
+        await storage.close();
+        jest.restoreAllMocks();
+    });
+
+    function snapshot(address, daysAgo, tokens) {
+        return storage.snapshots.insert(userId, address, summary(tokens), toSqlDatetime(NOW - daysAgo * DAY));
+    }
+
+    test('compares the snapshot from before the period with the latest one', async () => {
+        await snapshot(WALLET, 10, [{ symbol: 'ETH', network: 'ethereum', usd: 500 }]);
+        await snapshot(WALLET, 8, [{ symbol: 'ETH', network: 'ethereum', usd: 1000 }]);
+        await snapshot(WALLET, 3, [{ symbol: 'ETH', network: 'ethereum', usd: 1500 }]);
+        await snapshot(WALLET, 0, [{ symbol: 'ETH', network: 'ethereum', usd: 1200 }]);
+
+        const report = await history.report(userId, [WALLET, OTHER], '7d');
+
+        expect(report).toEqual(expect.objectContaining({
+            period: '7d',
+            available: true,
+            partial: false,
+            startUSD: 1000,
+            endUSD: 1200,
+            changeUSD: 200,
+            missingWallets: [OTHER]
+        }));
+    });
+
+    test('falls back to the earliest snapshot in the period and marks it partial', async () => {
+        await snapshot(WALLET, 3, [{ symbol: 'ETH', network: 'ethereum', usd: 1000 }]);
+        await snapshot(WALLET, 0, [{ symbol: 'ETH', network: 'ethereum', usd: 900 }]);
+
+        const report = await history.report(userId, [WALLET], '30');
+
+        expect(report).toEqual(expect.objectContaining({ period: '30d', partial: true, changeUSD: -100, changePct: -10 }));
+    });
+
+    test('is unavailable with a single snapshot', async () => {
+        await snapshot(WALLET, 0, [{ symbol: 'ETH', network: 'ethereum', usd: 1000 }]);
+
+        expect(await history.report(userId, [WALLET])).toEqual({
+            period: '7d',
+            days: 7,
+            available: false,
+            missingWallets: [WALLET]
+        });
+    });
+
+    test('rejects an unknown period', async () => {
+        await expect(history.report(userId, [WALLET], '14d')).rejects.toThrow('Unknown period "14d"');
+    });
+});
@@ -0,0 +1,54 @@
+const { createStorage } = require('../storage');
+const { runMigrations } = require('../migrate');
+const { RateLimiter } = require('../rate-limiter');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const NOW = Date.UTC(2026, 0, 5, 12, 0);
+
+let storage;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = await createStorage('sqlite::memory:');
+    await runMigrations({ storage });
+});
+
+afterEach(async () => {
+    await storage.close();
+    jest.restoreAllMocks();
+});
+
+function limiter(options = {}) {
+    return new RateLimiter({ store: storage.rateLimits, quotas: { free: 2 }, logger: silent, now: () => NOW, ...options });
+}
+
+describe('AI quota', () => {
+    test('stops at the daily limit', async () => {
+        const quotas = limiter();
+
+        expect(await quotas.useQuota(7)).toMatchObject({ allowed: true, used: 1, day: '2026-01-05' });
+        expect(await quotas.useQuota(7)).toMatchObject({ allowed: true, used: 2 });
+        expect(await quotas.useQuota(7)).toMatchObject({ allowed: false, used: 2, limit: 2 });
+    });
+
+    test('a refunded request can be used again', async () => {
+        const quotas = limiter();
+        await quotas.useQuota(7);
+        const failed = await quotas.useQuota(7);
+
+        await quotas.refundQuota(7, failed);
+
+        expect(await quotas.useQuota(7)).toMatchObject({ allowed: true, used: 2 });
+        expect(await quotas.useQuota(7)).toMatchObject({ allowed: false });
+    });
+
+    test('refunds nothing for requests that were not counted', async () => {
+        const quotas = limiter({ admins: [1] });
+        await quotas.refundQuota(1, await quotas.useQuota(1));
+        await quotas.refundQuota(7, await quotas.useQuota(7));
+        await quotas.refundQuota(7, undefined);
+
+        expect(await quotas.useQuota(7)).toMatchObject({ allowed: true, used: 1 });
+    });
+});
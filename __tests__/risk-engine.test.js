@@ -0,0 +1,77 @@
+const { computeRiskMetrics, classifyToken, riskLevelForScore } = require('../risk-engine');
+
+const token = (symbol, balanceUSD, priceUSD = balanceUSD ? 1 : 0) => ({ symbol, balanceUSD, priceUSD });
+
+const balanced = {
+    portfolio: [
+        { network: { name: 'Ethereum' }, tokens: [token('ETH', 250), token('USDC', 250)] },
+        { network: { name: 'Solana' }, tokens: [token('SOL', 250)] },
+        { network: { name: 'Arbitrum' }, tokens: [token('USDT', 250)] }
+    ]
+};
+
+const points = assessment => Object.fromEntries(assessment.components.map(c => [c.name, c.points]));
+
+describe('computeRiskMetrics', () => {
+    test('gives the same result for the same holdings', () => {
+        const shuffled = {
+            portfolio: [...balanced.portfolio].reverse().map(net => ({ ...net, tokens: [...net.tokens].reverse() }))
+        };
+
+        expect(computeRiskMetrics(balanced)).toEqual(computeRiskMetrics(balanced));
+        expect(computeRiskMetrics(shuffled)).toEqual(computeRiskMetrics(balanced));
+    });
+
+    test('scores a spread portfolio low', () => {
+        const assessment = computeRiskMetrics(balanced);
+
+        expect(points(assessment)).toEqual({
+            concentration: 5,
+            largestPosition: 1.2,
+            volatility: 12.5,
+            chains: 0.5,
+            longTail: 0,
+            unpriced: 0
+        });
+        expect(assessment).toMatchObject({ score: 19, level: 'Low' });
+        expect(assessment.metrics).toMatchObject({ totalValueUSD: 1000, positionCount: 4, hhi: 0.25, chainCount: 3, stablecoinShare: 0.5 });
+        expect(assessment.reasons[0]).toBe('50% is held in volatile assets and 50% in stablecoins.');
+    });
+
+    test('scores a single long-tail token with unpriced dust very high', () => {
+        const assessment = computeRiskMetrics({
+            portfolio: [{ network: { name: 'Base' }, tokens: [token('PEPE', 1000), token('DUST1', 0), token('DUST2', 0)] }]
+        });
+
+        expect(points(assessment)).toEqual({
+            concentration: 30,
+            largestPosition: 15,
+            volatility: 25,
+            chains: 10,
+            longTail: 15,
+            unpriced: 2
+        });
+        expect(assessment).toMatchObject({ score: 97, level: 'Very High' });
+        expect(assessment.metrics.unpricedTokenCount).toBe(2);
+    });
+
+    test('has no score without priced holdings', () => {
+        expect(computeRiskMetrics({ portfolio: [] })).toMatchObject({ score: null, level: null, components: [] });
+        expect(computeRiskMetrics()).toMatchObject({ score: null, reasons: ['No priced holdings to assess.'] });
+    });
+});
+
+describe('risk levels', () => {
+    test.each([[0, 'Low'], [24, 'Low'], [25, 'Moderate'], [49, 'Moderate'], [50, 'High'], [74, 'High'], [75, 'Very High'], [100, 'Very High']])(
+        'score %i is %s', (score, level) => {
+            expect(riskLevelForScore(score)).toBe(level);
+        }
+    );
+
+    test('classifies tokens case-insensitively', () => {
+        expect(classifyToken('usdc')).toBe('stablecoin');
+        expect(classifyToken('wEth')).toBe('major');
+        expect(classifyToken('PEPE')).toBe('long-tail');
+        expect(classifyToken(undefined)).toBe('long-tail');
+    });
+});
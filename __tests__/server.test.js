@@ -0,0 +1,63 @@
+const { createServer, startServer, webhookSecrets } = require('../server');
+const GroqAnalyzer = require('../groq-analyzer');
+const { MockProvider } = require('../llm-providers');
+const { CircuitBreaker } = require('../resilience');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+let server;
+
+afterEach(() => new Promise(resolve => (server ? server.close(resolve) : resolve())));
+
+async function readyz(options) {
+    const app = createServer({ bot: null, checkDatabase: async () => {}, logger: silent, ...options });
+    server = await startServer(app, 0);
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/readyz`);
+    return { status: response.status, body: await response.json() };
+}
+
+describe('/readyz', () => {
+    test('reports a configured provider without calling it', async () => {
+        const provider = new MockProvider({ logger: silent });
+        const analyzer = new GroqAnalyzer(null, silent, { provider });
+
+        const { status, body } = await readyz({ analyzer });
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({ status: 'ready', checks: { database: 'up', ai: 'up' } });
+        expect(provider.calls).toHaveLength(0);
+    });
+
+    test('is degraded while the circuit breaker is open', async () => {
+        const breaker = new CircuitBreaker({ name: 'The AI service', failureThreshold: 1, logger: silent });
+        breaker.recordFailure(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+        const analyzer = new GroqAnalyzer(null, silent, { provider: new MockProvider({ logger: silent }), breaker });
+
+        const { status, body } = await readyz({ analyzer });
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({ status: 'degraded', checks: { ai: 'down' } });
+    });
+
+    test('is unavailable without the database', async () => {
+        const { status, body } = await readyz({ analyzer: null, checkDatabase: async () => { throw new Error('SQLITE_CANTOPEN'); } });
+
+        expect(status).toBe(503);
+        expect(body).toMatchObject({ status: 'unavailable', checks: { database: 'down', ai: 'disabled' } });
+    });
+});
+
+describe('webhookSecrets', () => {
+    test('derives a stable path and token from the bot token', () => {
+        expect(webhookSecrets('123:abc')).toEqual(webhookSecrets('123:abc'));
+        expect(webhookSecrets('123:abc', 'my_secret-1').secretToken).toBe('my_secret-1');
+    });
+
+    test.each([
+        ['with a space', 'has space'],
+        ['with dots', 'dots.are.out'],
+        ['over 256 characters', 'x'.repeat(257)]
+    ])('rejects WEBHOOK_SECRET %s', (label, secret) => {
+        expect(() => webhookSecrets('123:abc', secret)).toThrow('WEBHOOK_SECRET');
+    });
+});
@@ -0,0 +1,102 @@
+const { createStorage, parseDatabaseUrl } = require('../storage');
+const { runMigrations } = require('../migrate');
+
+let storage;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = await createStorage('sqlite::memory:');
+    await runMigrations({ storage });
+});
+
+afterEach(async () => {
+    await storage.close();
+    jest.restoreAllMocks();
+});
+
+describe('parseDatabaseUrl', () => {
+    test.each([
+        ['sqlite::memory:', 'sqlite', ':memory:'],
+        ['sqlite:./aura_bot.db', 'sqlite', './aura_bot.db'],
+        ['sqlite:///var/data/aura.db', 'sqlite', '/var/data/aura.db'],
+        ['file:./x.db', 'sqlite', './x.db'],
+        ['./plain.db', 'sqlite', './plain.db'],
+        ['postgres://u:p@host/db', 'postgres', 'postgres://u:p@host/db']
+    ])('%s', (url, scheme, target) => {
+        expect(parseDatabaseUrl(url)).toMatchObject({ scheme, target });
+    });
+});
+
+describe('repositories', () => {
+    test('users are created once and updated on upsert', async () => {
+        await storage.users.upsert({ id: 7, username: 'first' });
+        await storage.users.upsert({ id: 7, username: 'second' });
+        const user = await storage.users.findByTelegramId(7);
+        expect(user).toMatchObject({ telegram_id: 7, username: 'second', active: 1 });
+    });
+
+    test('cache entries expire', async () => {
+        await storage.cache.set('fresh', '{"a":1}', '2999-01-01 00:00:00');
+        await storage.cache.set('stale', '{"a":2}', '2000-01-01 00:00:00');
+        expect(await storage.cache.get('fresh')).toMatchObject({ cache_data: '{"a":1}' });
+        expect(await storage.cache.get('stale')).toBeUndefined();
+        expect(await storage.cache.deleteExpired()).toBe(1);
+    });
+
+    test('conversation messages are appended and removed together', async () => {
+        await storage.users.upsert({ id: 7 });
+        const user = await storage.users.findByTelegramId(7);
+        const conversation = await storage.conversations.ensure(user.id);
+        await storage.conversations.append(conversation.id, [
+            { role: 'user', content: 'hi' },
+            { role: 'assistant', content: 'hello' }
+        ], 'digest');
+        expect(await storage.conversations.listMessages(conversation.id)).toHaveLength(2);
+        expect(await storage.conversations.delete(user.id)).toBe(2);
+    });
+});
+
+describe('transactions', () => {
+    beforeEach(async () => {
+        await storage.db.run('CREATE TABLE t (v TEXT)');
+    });
+
+    const values = async () => (await storage.db.all('SELECT v FROM t ORDER BY v')).map(r => r.v);
+
+    test('roll back on error', async () => {
+        await expect(storage.db.transaction(async () => {
+            await storage.db.run("INSERT INTO t VALUES ('inside')");
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+        expect(await values()).toEqual([]);
+    });
+
+    test('keep statements from outside out of an open transaction', async () => {
+        let release;
+        let opened;
+        const gate = new Promise(resolve => { release = resolve; });
+        const inside = new Promise(resolve => { opened = resolve; });
+        const tx = storage.db.transaction(async () => {
+            await storage.db.run("INSERT INTO t VALUES ('inside')");
+            opened();
+            await gate;
+            throw new Error('rolled back');
+        });
+        await inside;
+        const outside = storage.db.run("INSERT INTO t VALUES ('outside')");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        release();
+
+        await expect(tx).rejects.toThrow('rolled back');
+        await outside;
+        expect(await values()).toEqual(['outside']);
+    });
+
+    test('nested transactions join the outer one', async () => {
+        await storage.db.transaction(async () => {
+            await storage.db.run("INSERT INTO t VALUES ('a')");
+            await storage.db.transaction(() => storage.db.run("INSERT INTO t VALUES ('b')"));
+        });
+        expect(await values()).toEqual(['a', 'b']);
+    });
+});
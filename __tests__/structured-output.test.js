@@ -0,0 +1,126 @@
+const { completeStructured, validate, parseJson } = require('../structured-output');
+
+const silent = { info() {}, warn() {}, error() {}, debug() {} };
+
+const schema = {
+    type: 'object',
+    required: ['score', 'level', 'factors'],
+    properties: {
+        score: { type: 'integer', minimum: 0, maximum: 100 },
+        level: { type: 'string', enum: ['Low', 'Moderate', 'High'] },
+        factors: { type: 'array', maxItems: 2, items: { type: 'string', maxLength: 5 } },
+        hedged: { type: 'boolean' },
+        note: { type: 'string' }
+    }
+};
+
+describe('validate', () => {
+    test.each([
+        ['a numeric string', '45', 45],
+        ['a percentage', '45%', 45],
+        ['a dollar amount', '$1,000', 1000],
+        ['a fraction', '45/100', 45],
+        ['a decimal for an integer', 44.6, 45]
+    ])('coerces %s to a number', (label, input, expected) => {
+        expect(validate({ type: 'integer' }, input)).toEqual({ value: expected, errors: [] });
+    });
+
+    test('coerces enum case, lone strings and boolean strings', () => {
+        expect(validate(schema, { score: 10, level: 'moderate', factors: 'one', hedged: 'true' })).toEqual({
+            value: { score: 10, level: 'Moderate', factors: ['one'], hedged: true },
+            errors: []
+        });
+    });
+
+    test('reports an enum mismatch', () => {
+        const { value, errors } = validate(schema, { score: 10, level: 'Extreme', factors: [] });
+        expect(errors).toEqual(['level: must be one of Low, Moderate, High (got "Extreme")']);
+        expect(value).toEqual({ score: 10, factors: [] });
+    });
+
+    test('reports missing required fields and out-of-range numbers', () => {
+        const { errors } = validate(schema, { score: 140 });
+        expect(errors).toEqual(['score: must be <= 100 (got 140)', 'level: is required', 'factors: is required']);
+    });
+
+    test('reports wrong types with their path', () => {
+        expect(validate(schema, { score: 'n/a', level: 'Low', factors: [{}] }).errors).toEqual([
+            'score: must be a number (got "n/a")',
+            'factors[0]: must be a string (got {})'
+        ]);
+        expect(validate(schema, []).errors).toEqual(['response: must be an object (got [])']);
+    });
+
+    test('truncates with maxItems and maxLength instead of failing', () => {
+        expect(validate(schema, { score: 1, level: 'Low', factors: ['abcdefgh', 'b', 'c'] })).toEqual({
+            value: { score: 1, level: 'Low', factors: ['abcde', 'b'] },
+            errors: []
+        });
+    });
+});
+
+describe('parseJson', () => {
+    test('tolerates code fences and surrounding prose', () => {
+        expect(parseJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+        expect(parseJson('Here you go: {"a": 1} Hope it helps')).toEqual({ a: 1 });
+        expect(() => parseJson('no json here')).toThrow(SyntaxError);
+    });
+});
+
+describe('completeStructured', () => {
+    const request = { messages: [{ role: 'user', content: 'Assess' }], model: 'm' };
+    const answers = (...contents) => {
+        const complete = jest.fn();
+        contents.forEach(content => complete.mockResolvedValueOnce({ content }));
+        return complete;
+    };
+
+    test('returns a valid first answer without repairs', async () => {
+        const complete = answers('{"score": 20, "level": "Low", "factors": []}');
+
+        expect(await completeStructured({ complete, request, spec: { schema }, logger: silent })).toEqual({
+            ok: true,
+            value: { score: 20, level: 'Low', factors: [] },
+            errors: [],
+            repairs: 0
+        });
+    });
+
+    test('repairs with the validation errors and succeeds on the second answer', async () => {
+        const complete = answers('not json', '{"score": 20, "level": "Low", "factors": []}');
+
+        const result = await completeStructured({ complete, request, spec: { schema }, logger: silent });
+
+        expect(result).toMatchObject({ ok: true, repairs: 1 });
+        const repair = complete.mock.calls[1][0].messages;
+        expect(repair.slice(-2)).toEqual([
+            { role: 'assistant', content: 'not json' },
+            { role: 'user', content: expect.stringContaining('- response: not valid JSON') }
+        ]);
+        expect(request.messages).toHaveLength(1);
+    });
+
+    test('repairs failed checks too', async () => {
+        const complete = answers('{"score": 90, "level": "Low", "factors": []}', '{"score": 90, "level": "High", "factors": []}');
+        const check = value => (value.score > 75 && value.level !== 'High' ? ['level: must be High for scores above 75'] : []);
+
+        const result = await completeStructured({ complete, request, spec: { schema, check }, logger: silent });
+
+        expect(result).toMatchObject({ ok: true, value: { level: 'High' }, repairs: 1 });
+        expect(complete.mock.calls[1][0].messages[2].content).toContain('level: must be High for scores above 75');
+    });
+
+    test('returns the validated parts with defaults after maxRepairs', async () => {
+        const complete = jest.fn().mockResolvedValue({ content: '{"score": 30, "level": "Extreme"}' });
+
+        const result = await completeStructured({ complete, request, spec: { schema }, maxRepairs: 1, logger: silent });
+
+        expect(complete).toHaveBeenCalledTimes(2);
+        expect(result).toEqual({
+            ok: false,
+            value: { score: 30, level: null, factors: [] },
+            errors: ['level: must be one of Low, Moderate, High (got "Extreme")', 'factors: is required'],
+            repairs: 1
+        });
+    });
+});
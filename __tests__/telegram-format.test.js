@@ -0,0 +1,177 @@
+const {
+    renderMarkdown,
+    toPlainText,
+    splitMarkdown,
+    openFence,
+    formatMessages,
+    isParseError,
+    parseModeFromEnv
+} = require('../telegram-format');
+
+const TELEGRAM_LIMIT = 4096;
+
+function wideTable(rows) {
+    const columns = ['Asset', 'Network', 'Balance', 'Price', 'Value', 'Share', 'APY', 'Risk'];
+    const lines = [`| ${columns.join(' | ')} |`, `|${columns.map(() => '---').join('|')}|`];
+    for (let i = 0; i < rows; i++) {
+        lines.push(`| TOKEN${i} | Ethereum | 1.5 | $2,100.25 | $3,150.38 | 4.2% | 5.1% | Moderate |`);
+    }
+    return lines.join('\n');
+}
+
+describe('renderMarkdown', () => {
+    test('escapes HTML special characters', () => {
+        expect(renderMarkdown('1 < 2 & 3 > 2 **a<b>**', 'HTML')).toBe('1 &lt; 2 &amp; 3 &gt; 2 <b>a&lt;b&gt;</b>');
+    });
+
+    test('escapes MarkdownV2 special characters', () => {
+        expect(renderMarkdown('APY is 4.5% (est.) - not guaranteed!', 'MarkdownV2')).toBe('APY is 4\\.5% \\(est\\.\\) \\- not guaranteed\\!');
+        expect(renderMarkdown('`a_b` and **x.y**', 'MarkdownV2')).toBe('`a_b` and *x\\.y*');
+    });
+
+    test('renders inline formatting and links', () => {
+        expect(renderMarkdown('**bold** *it* ~~gone~~ [docs](https://aave.com)', 'HTML'))
+            .toBe('<b>bold</b> <i>it</i> <s>gone</s> <a href="https://aave.com">docs</a>');
+        expect(toPlainText('**bold** [docs](https://aave.com)')).toBe('bold docs (https://aave.com)');
+    });
+
+    test('shows unmatched markers literally', () => {
+        expect(renderMarkdown('half **streamed', 'HTML')).toBe('half **streamed');
+        expect(renderMarkdown('half **streamed', 'MarkdownV2')).toBe('half \\*\\*streamed');
+    });
+
+    test('renders headings, lists, quotes and code blocks', () => {
+        const markdown = '## Summary\n- one\n  - two\n1. first\n> quoted\n```js\nconst a = 1 < 2;\n```';
+        expect(renderMarkdown(markdown, 'HTML')).toBe([
+            '<b>Summary</b>',
+            '• one',
+            '  • two',
+            '1. first',
+            '<blockquote>quoted</blockquote>',
+            '<pre><code class="language-js">const a = 1 &lt; 2;</code></pre>'
+        ].join('\n'));
+    });
+});
+
+describe('tables', () => {
+    test('narrow tables become aligned monospace blocks', () => {
+        expect(renderMarkdown('| Token | Share |\n|---|---|\n| ETH | 60% |\n| USDC | 40% |', 'HTML')).toBe([
+            '<pre>Token | Share',
+            '------+------',
+            'ETH   | 60%',
+            'USDC  | 40%</pre>'
+        ].join('\n'));
+    });
+
+    test('wide tables become one bullet per row', () => {
+        const markdown = '| Strategy | Protocol | Expected APY | Risk |\n|---|---|---|---|\n| Lending | Aave v3 | 4.5% | Low |';
+        expect(renderMarkdown(markdown, 'HTML')).toBe('• <b>Lending</b> - Protocol: Aave v3; Expected APY: 4.5%; Risk: Low');
+        expect(renderMarkdown(markdown, 'MarkdownV2')).toBe('• *Lending* \\- Protocol: Aave v3; Expected APY: 4\\.5%; Risk: Low');
+    });
+});
+
+describe('splitMarkdown', () => {
+    test('leaves short text whole', () => {
+        expect(splitMarkdown('Hello\n\nWorld', 100)).toEqual(['Hello\n\nWorld']);
+    });
+
+    test('prefers paragraph breaks', () => {
+        const pieces = splitMarkdown(`${'a'.repeat(60)}\n\n${'b'.repeat(30)}\n${'c'.repeat(30)}`, 100);
+        expect(pieces).toEqual(['a'.repeat(60), `${'b'.repeat(30)}\n${'c'.repeat(30)}`]);
+    });
+
+    test('closes and reopens a code block cut in two', () => {
+        const code = Array.from({ length: 20 }, (_, i) => `  line ${i}`).join('\n');
+        const pieces = splitMarkdown(`Intro\n\n\`\`\`python\n${code}\n\`\`\``, 120);
+
+        expect(pieces.length).toBeGreaterThan(1);
+        for (const piece of pieces) {
+            expect(openFence(piece)).toBe('');
+            expect(piece.length).toBeLessThanOrEqual(120 + 4);
+        }
+        expect(pieces[1].startsWith('```python\n  line')).toBe(true);
+        expect(pieces.join('\n')).toContain('  line 19');
+    });
+
+    test('repeats the table header in the next piece', () => {
+        const pieces = splitMarkdown(wideTable(10), 400);
+
+        expect(pieces.length).toBeGreaterThan(1);
+        for (const piece of pieces) {
+            expect(piece.startsWith('| Asset | Network')).toBe(true);
+        }
+    });
+});
+
+describe('formatMessages', () => {
+    test.each(['HTML', 'MarkdownV2'])('keeps a wide table under the Telegram limit in %s', (mode) => {
+        const markdown = wideTable(120);
+        const messages = formatMessages(markdown, { mode });
+
+        expect(messages.length).toBeGreaterThan(1);
+        for (const message of messages) {
+            expect(message.parseMode).toBe(mode);
+            expect(message.text.length).toBeLessThanOrEqual(TELEGRAM_LIMIT);
+            expect(message.plain.length).toBeLessThanOrEqual(TELEGRAM_LIMIT);
+        }
+        const rows = messages.map(m => m.plain).join('\n').split('\n').filter(line => line.startsWith('• TOKEN'));
+        expect(rows).toHaveLength(120);
+    });
+
+    test.each(['HTML', 'MarkdownV2'])('keeps heavily escaped text under the Telegram limit in %s', (mode) => {
+        const markdown = Array.from({ length: 400 }, () => '<a>&.!-(x)').join('\n');
+        for (const message of formatMessages(markdown, { mode })) {
+            expect(message.text.length).toBeLessThanOrEqual(TELEGRAM_LIMIT);
+        }
+    });
+
+    test('sends text as is without a parse mode', () => {
+        expect(formatMessages('**hi**', { mode: null })).toEqual([{ text: '**hi**', parseMode: undefined, plain: '**hi**' }]);
+    });
+});
+
+describe('settings', () => {
+    test('recognises formatting errors from Telegram', () => {
+        expect(isParseError({ code: 400, description: "Bad Request: can't parse entities: unclosed tag" })).toBe(true);
+        expect(isParseError({ code: 400, description: 'Bad Request: message is too long' })).toBe(false);
+        expect(isParseError({ code: 403, description: 'Forbidden' })).toBe(false);
+    });
+
+    test('reads TELEGRAM_PARSE_MODE', () => {
+        expect(parseModeFromEnv(undefined)).toBe('HTML');
+        expect(parseModeFromEnv('markdownv2')).toBe('MarkdownV2');
+        expect(parseModeFromEnv('plain')).toBeNull();
+        expect(() => parseModeFromEnv('rtf')).toThrow('TELEGRAM_PARSE_MODE');
+    });
+});
+
+describe('streamed answers', () => {
+    const { LiveMessage } = require('../live-message');
+
+    test.each(['HTML', 'MarkdownV2'])('keep every live message under the Telegram limit in %s', async (mode) => {
+        const sent = new Map();
+        let nextId = 1;
+        const telegram = {
+            sendMessage: async (chatId, text) => {
+                const id = nextId++;
+                sent.set(id, text);
+                return { message_id: id };
+            },
+            editMessageText: async (chatId, id, inline, text) => {
+                sent.set(id, text);
+            }
+        };
+        const live = new LiveMessage(telegram, { id: 1, type: 'private' }, { interval: 0, parseMode: mode, logger: { warn() {} } });
+
+        await live.start('Thinking...');
+        for (const line of wideTable(120).split('\n')) {
+            live.append(`${line}\n`);
+        }
+        await live.finish();
+
+        expect(sent.size).toBeGreaterThan(1);
+        for (const text of sent.values()) {
+            expect(text.length).toBeLessThanOrEqual(TELEGRAM_LIMIT);
+        }
+    });
+});
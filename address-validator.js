@@ -0,0 +1,445 @@
+/**
+ * Wallet Address Validation
+ *
+ * Offline format checks and chain detection for wallet input, run before an
+ * address is stored or sent to the AURA API.
+ *
+ * Supported formats:
+ * - EVM hex (EIP-55 checksum verified when mixed case)
+ * - Solana base58 public keys
+ * - Bitcoin bech32/bech32m (bc1...) and base58check (1..., 3...)
+ * - Tron base58check (T...)
+ * - ENS-style names (vitalik.eth)
+ */
+
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32M_CONST = 0x2bc830a3;
+
+// Networks reported by AURA that do not belong to the EVM family
+const NON_EVM_NETWORKS = {
+    solana: ['solana'],
+    bitcoin: ['bitcoin'],
+    tron: ['tron']
+};
+
+// Keccak-256 (EIP-55 needs the original Keccak padding, which Node's
+// sha3-256 does not use)
+const MASK_64 = (1n << 64n) - 1n;
+const KECCAK_ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14].map(BigInt);
+
+// Round constants generated by the standard LFSR
+const KECCAK_ROUND_CONSTANTS = (() => {
+    const constants = [];
+    let r = 1;
+    for (let round = 0; round < 24; round++) {
+        let c = 0n;
+        for (let j = 0; j < 7; j++) {
+            r = ((r << 1) ^ ((r >> 7) * 0x71)) & 0xff;
+            if (r & 2) {
+                c ^= 1n << ((1n << BigInt(j)) - 1n);
+            }
+        }
+        constants.push(c);
+    }
+    return constants;
+})();
+
+/**
+ * @private
+ */
+function rotl64(value, shift) {
+    if (shift === 0n) return value;
+    return ((value << shift) | (value >> (64n - shift))) & MASK_64;
+}
+
+/**
+ * Keccak-f[1600] permutation over 25 little-endian 64-bit lanes
+ * @private
+ */
+function keccakF(state) {
+    const c = new Array(5);
+    const b = new Array(25);
+    for (let round = 0; round < 24; round++) {
+        for (let x = 0; x < 5; x++) {
+            c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1n);
+            for (let y = 0; y < 25; y += 5) {
+                state[x + y] ^= d;
+            }
+        }
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+            }
+        }
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = b[x + y] ^ (~b[((x + 1) % 5) + y] & MASK_64 & b[((x + 2) % 5) + y]);
+            }
+        }
+        state[0] ^= KECCAK_ROUND_CONSTANTS[round];
+    }
+}
+
+/**
+ * Keccak-256 digest as a hex string
+ *
+ * @param {Buffer|string} input
+ * @returns {string}
+ */
+function keccak256(input) {
+    const rate = 136;
+    const data = Buffer.from(input);
+    const padded = Buffer.alloc(Math.floor(data.length / rate + 1) * rate);
+    data.copy(padded);
+    padded[data.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += rate) {
+        for (let i = 0; i < rate / 8; i++) {
+            state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+        }
+        keccakF(state);
+    }
+
+    const out = Buffer.alloc(32);
+    for (let i = 0; i < 4; i++) {
+        out.writeBigUInt64LE(state[i], i * 8);
+    }
+    return out.toString('hex');
+}
+
+/**
+ * Decode base58 to bytes, or null when the string has invalid characters
+ * @private
+ */
+function base58Decode(str) {
+    let value = 0n;
+    for (const ch of str) {
+        const digit = BASE58_ALPHABET.indexOf(ch);
+        if (digit === -1) return null;
+        value = value * 58n + BigInt(digit);
+    }
+
+    const bytes = [];
+    while (value > 0n) {
+        bytes.unshift(Number(value & 0xffn));
+        value >>= 8n;
+    }
+    for (const ch of str) {
+        if (ch !== '1') break;
+        bytes.unshift(0);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decode base58check; returns the payload (version byte included) or null
+ * when the 4-byte double-SHA256 checksum does not match
+ * @private
+ */
+function base58CheckDecode(str) {
+    const bytes = base58Decode(str);
+    if (!bytes || bytes.length < 5) return null;
+
+    const payload = bytes.subarray(0, -4);
+    const checksum = bytes.subarray(-4);
+    const first = crypto.createHash('sha256').update(payload).digest();
+    const expected = crypto.createHash('sha256').update(first).digest().subarray(0, 4);
+    return expected.equals(checksum) ? payload : null;
+}
+
+/**
+ * @private
+ */
+function bech32Polymod(values) {
+    const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let chk = 1;
+    for (const v of values) {
+        const top = chk >>> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ v;
+        for (let i = 0; i < 5; i++) {
+            if ((top >>> i) & 1) chk ^= generators[i];
+        }
+    }
+    return chk >>> 0;
+}
+
+/**
+ * @private
+ */
+function bech32HrpExpand(hrp) {
+    const out = [];
+    for (const ch of hrp) out.push(ch.charCodeAt(0) >> 5);
+    out.push(0);
+    for (const ch of hrp) out.push(ch.charCodeAt(0) & 31);
+    return out;
+}
+
+/**
+ * Decode a bech32/bech32m string into { hrp, data, encoding }, or null
+ * @private
+ */
+function bech32Decode(str) {
+    if (str !== str.toLowerCase() && str !== str.toUpperCase()) return null;
+    const lower = str.toLowerCase();
+    const sep = lower.lastIndexOf('1');
+    if (sep < 1 || sep + 7 > lower.length || lower.length > 90) return null;
+
+    const hrp = lower.slice(0, sep);
+    const data = [];
+    for (const ch of lower.slice(sep + 1)) {
+        const v = BECH32_CHARSET.indexOf(ch);
+        if (v === -1) return null;
+        data.push(v);
+    }
+
+    const check = bech32Polymod(bech32HrpExpand(hrp).concat(data));
+    const encoding = check === 1 ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null;
+    if (!encoding) return null;
+    return { hrp, data: data.slice(0, -6), encoding };
+}
+
+/**
+ * Regroup 5-bit words into bytes; null on invalid padding
+ * @private
+ */
+function fromWords(words) {
+    let acc = 0;
+    let bits = 0;
+    const out = [];
+    for (const w of words) {
+        acc = ((acc << 5) | w) & 0xfff;
+        bits += 5;
+        while (bits >= 8) {
+            bits -= 8;
+            out.push((acc >> bits) & 0xff);
+        }
+    }
+    if (bits >= 5 || ((acc << (8 - bits)) & 0xff)) return null;
+    return out;
+}
+
+/**
+ * EIP-55 checksummed form of a 20-byte hex address
+ *
+ * @param {string} address - 0x-prefixed hex address in any case
+ * @returns {string}
+ */
+function toChecksumAddress(address) {
+    const hex = address.toLowerCase().replace(/^0x/, '');
+    const hash = keccak256(hex);
+    let out = '0x';
+    for (let i = 0; i < hex.length; i++) {
+        out += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+    }
+    return out;
+}
+
+/**
+ * @private
+ */
+function validateEvm(input) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(input)) {
+        const body = input.slice(2);
+        if (/[^0-9a-fA-F]/.test(body)) {
+            return invalid('evm', 'EVM addresses may only contain 0-9 and a-f after "0x".');
+        }
+        return invalid('evm', `EVM addresses have 40 hex characters after "0x" (got ${body.length}).`);
+    }
+
+    const checksummed = toChecksumAddress(input);
+    const body = input.slice(2);
+    const mixedCase = body !== body.toLowerCase() && body !== body.toUpperCase();
+
+    if (mixedCase && checksummed !== input) {
+        return invalid('evm', 'EVM address checksum does not match - there is probably a typo. Copy the address again from your wallet.');
+    }
+    if (/^0x0{40}$/.test(input)) {
+        return invalid('evm', 'That is the zero address, which no one controls.');
+    }
+
+    return valid('evm', mixedCase ? 'hex-checksummed' : 'hex', checksummed,
+        mixedCase ? [] : ['Address has no EIP-55 checksum, so typos cannot be detected.']);
+}
+
+/**
+ * @private
+ */
+function validateBitcoinBech32(input) {
+    const decoded = bech32Decode(input);
+    if (!decoded) {
+        return invalid('bitcoin', 'Bitcoin bech32 address is malformed or its checksum does not match.');
+    }
+    if (decoded.hrp !== 'bc') {
+        return invalid('bitcoin', decoded.hrp === 'tb' ? 'Bitcoin testnet addresses are not supported.' : `Unknown bech32 prefix "${decoded.hrp}".`);
+    }
+
+    const [version, ...words] = decoded.data;
+    const program = fromWords(words);
+    if (version === undefined || version > 16 || !program || program.length < 2 || program.length > 40) {
+        return invalid('bitcoin', 'Bitcoin segwit address has an invalid witness program.');
+    }
+    if (version === 0 && program.length !== 20 && program.length !== 32) {
+        return invalid('bitcoin', 'Bitcoin segwit v0 programs must be 20 or 32 bytes.');
+    }
+    if ((version === 0) !== (decoded.encoding === 'bech32')) {
+        return invalid('bitcoin', 'Bitcoin address uses the wrong bech32 variant for its witness version.');
+    }
+
+    return valid('bitcoin', decoded.encoding, input.toLowerCase());
+}
+
+/**
+ * Tron and Bitcoin legacy addresses; null when the input is not base58check
+ * @private
+ */
+function validateBase58Check(input) {
+    const payload = base58CheckDecode(input);
+    if (!payload) return null;
+
+    if (payload.length === 21 && payload[0] === 0x41) {
+        return valid('tron', 'base58check', input);
+    }
+    if (payload.length === 21 && (payload[0] === 0x00 || payload[0] === 0x05)) {
+        return valid('bitcoin', 'base58check', input);
+    }
+    if (payload.length === 21 && (payload[0] === 0x6f || payload[0] === 0xc4)) {
+        return invalid('bitcoin', 'Bitcoin testnet addresses are not supported.');
+    }
+    return null;
+}
+
+/**
+ * @private
+ */
+function validateEns(input) {
+    const name = input.toLowerCase();
+    const labels = name.split('.');
+    if (labels.some(l => !/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(l))) {
+        return invalid('evm', 'ENS names may only contain letters, digits and hyphens between dots.');
+    }
+    if (labels[labels.length - 2].length < 3) {
+        return invalid('evm', 'ENS names must be at least 3 characters long.');
+    }
+    return valid('evm', 'ens', name, ['ENS names must be resolved to an address before portfolio lookups.']);
+}
+
+/**
+ * @private
+ */
+function valid(chainFamily, format, normalized, warnings = []) {
+    return { valid: true, chainFamily, format, normalized, warnings };
+}
+
+/**
+ * @private
+ */
+function invalid(chainFamily, error) {
+    return { valid: false, chainFamily, error };
+}
+
+/**
+ * Detect the chain family of a wallet address and validate it offline
+ *
+ * @param {string} input - Address or ENS-style name as typed by the user
+ * @returns {{valid: true, chainFamily: string, format: string, normalized: string, warnings: string[]}
+ *         | {valid: false, chainFamily: string|null, error: string}}
+ */
+function validateAddress(input) {
+    const value = String(input || '').trim();
+
+    if (!value) {
+        return invalid(null, 'Please provide a wallet address.');
+    }
+    if (/\s/.test(value)) {
+        return invalid(null, 'Wallet addresses cannot contain spaces.');
+    }
+    if (/^0x/i.test(value)) {
+        return validateEvm(value);
+    }
+    if (/\.eth$/i.test(value)) {
+        return validateEns(value);
+    }
+    if (/^bc1|^tb1/i.test(value)) {
+        return validateBitcoinBech32(value);
+    }
+
+    if (/^[1-9A-HJ-NP-Za-km-z]+$/.test(value)) {
+        const checked = validateBase58Check(value);
+        if (checked) return checked;
+
+        const bytes = base58Decode(value);
+        if (bytes.length === 32 && value.length >= 32 && value.length <= 44) {
+            return valid('solana', 'base58', value);
+        }
+        if (value.startsWith('T') && value.length === 34) {
+            return invalid('tron', 'Tron address checksum does not match - there is probably a typo.');
+        }
+        if (/^[13]/.test(value) && value.length >= 26 && value.length <= 35) {
+            return invalid('bitcoin', 'Bitcoin address checksum does not match - there is probably a typo.');
+        }
+        return invalid(null, 'Unrecognized base58 address. Supported: EVM (0x...), Solana, Bitcoin, Tron and ENS names.');
+    }
+
+    if (/^[0-9a-fA-F]{40}$/.test(value)) {
+        return invalid('evm', 'EVM addresses must start with "0x".');
+    }
+
+    return invalid(null, 'Unrecognized address format. Supported: EVM (0x...), Solana, Bitcoin, Tron and ENS names.');
+}
+
+/**
+ * Key under which an address is cached or stored. EVM addresses (and ENS
+ * names) are case-insensitive, so checksum variants are lowercased to
+ * share a key; Solana, Bitcoin and Tron addresses are case-sensitive and
+ * kept as they are.
+ *
+ * @param {string} address
+ * @returns {string}
+ */
+function addressKey(address) {
+    const value = String(address || '').trim();
+    return validateAddress(value).chainFamily === 'evm' ? value.toLowerCase() : value;
+}
+
+/**
+ * Keep only the networks of a normalized portfolio that belong to a chain
+ * family, so an address is never credited with holdings on chains it
+ * cannot exist on
+ *
+ * @param {Object} data - Normalized portfolio ({ portfolio: [{ network, tokens }] })
+ * @param {string} chainFamily
+ * @returns {Object} Portfolio with filtered networks and recomputed total
+ */
+function filterPortfolioByChainFamily(data, chainFamily) {
+    // Legacy rows migrated without a known family are left untouched
+    if (chainFamily !== 'evm' && !NON_EVM_NETWORKS[chainFamily]) {
+        return data;
+    }
+
+    const nonEvm = Object.values(NON_EVM_NETWORKS).flat();
+    const belongs = (name) => {
+        const n = String(name || '').toLowerCase();
+        if (chainFamily === 'evm') return !nonEvm.includes(n);
+        return (NON_EVM_NETWORKS[chainFamily] || []).includes(n);
+    };
+
+    const portfolio = (data?.portfolio || []).filter(net => belongs(net.network?.name ?? net.network));
+    const totalValueUSD = portfolio.reduce((sum, net) => sum + net.tokens.reduce((s, t) => s + (Number(t.balanceUSD) || 0), 0), 0);
+    return { ...data, portfolio, totalValueUSD };
+}
+
+module.exports = {
+    validateAddress,
+    addressKey,
+    toChecksumAddress,
+    filterPortfolioByChainFamily,
+    keccak256
+};
@@ -0,0 +1,418 @@
+/**
+ * Alerts
+ *
+ * User-defined alerts, checked in the background (see scheduler.js) against
+ * the cached AURA portfolio data:
+ *
+ *   price          A token's price crosses a level      /alert price ETH above 4000
+ *   move           A token's price, or the portfolio     /alert move ETH 10
+ *                  value, moves by a percentage          /alert move portfolio 5
+ *   value          Total portfolio value crosses a level /alert value below 10000
+ *   concentration  The largest position exceeds a share  /alert concentration 50
+ *
+ * Prices come from the user's own holdings, so price and move alerts only
+ * cover tokens in their tracked wallets.
+ *
+ * Level alerts fire once when their condition becomes true and re-arm when
+ * it clears. Move alerts measure from the value they last reported (or the
+ * value when they were created). Each alert waits out its cooldown between
+ * notifications, and nothing is sent during the user's quiet hours;
+ * conditions still met afterwards are reported then.
+ */
+
+const { computeRiskMetrics } = require('./risk-engine');
+
+const MINUTE = 60 * 1000;
+
+const MAX_ALERTS_PER_USER = 20;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+const ALERT_USAGE = `Usage:
+/alert - List your alerts
+/alert price <token> above|below <price> - e.g. /alert price ETH above 4000
+/alert move <token|portfolio> <percent> - e.g. /alert move ETH 10
+/alert value above|below <usd> - Total portfolio value
+/alert concentration <percent> - Largest position's share of the portfolio
+/alert remove <id>
+/alert quiet <from>-<to> [time zone] - e.g. /alert quiet 22-7 Europe/Berlin
+/alert quiet off`;
+
+/**
+ * @private
+ */
+function formatUsd(value) {
+    return `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: value < 1 ? 6 : 2 })}`;
+}
+
+/**
+ * @private
+ */
+function formatPercent(value) {
+    return `${Math.round(value * 10) / 10}%`;
+}
+
+/**
+ * Positive number from user input such as "4,000", "$4000" or "10%"
+ * @private
+ */
+function parseAmount(text) {
+    const value = Number(String(text || '').replace(/[$,%\s]/g, ''));
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`"${text}" is not a positive number.\n\n${ALERT_USAGE}`);
+    }
+    return value;
+}
+
+/**
+ * @private
+ */
+function parseDirection(text) {
+    const direction = String(text || '').toLowerCase();
+    if (direction !== 'above' && direction !== 'below') {
+        throw new Error(`Say "above" or "below".\n\n${ALERT_USAGE}`);
+    }
+    return direction;
+}
+
+/**
+ * Parse the arguments of an /alert price|move|value|concentration command
+ *
+ * @param {string[]} args - Words after /alert
+ * @returns {Object} { type, symbol, direction, threshold }
+ * @throws {Error} With usage help when the arguments are invalid
+ */
+function parseAlert(args) {
+    const [type, ...rest] = args.map(a => a.trim()).filter(Boolean);
+
+    switch ((type || '').toLowerCase()) {
+        case 'price': {
+            const [symbol, direction, level] = rest;
+            if (!symbol || !level) throw new Error(ALERT_USAGE);
+            return { type: 'price', symbol: symbol.toUpperCase(), direction: parseDirection(direction), threshold: parseAmount(level) };
+        }
+        case 'move': {
+            const [target, percent] = rest;
+            if (!target || !percent) throw new Error(ALERT_USAGE);
+            const symbol = target.toLowerCase() === 'portfolio' ? null : target.toUpperCase();
+            return { type: 'move', symbol, direction: null, threshold: parseAmount(percent) };
+        }
+        case 'value': {
+            const [direction, level] = rest;
+            if (!level) throw new Error(ALERT_USAGE);
+            return { type: 'value', symbol: null, direction: parseDirection(direction), threshold: parseAmount(level) };
+        }
+        case 'concentration': {
+            const percent = parseAmount(rest[0]);
+            if (percent > 100) throw new Error('A share cannot be above 100%.');
+            return { type: 'concentration', symbol: null, direction: 'above', threshold: percent };
+        }
+        default:
+            throw new Error(ALERT_USAGE);
+    }
+}
+
+/**
+ * True when `timezone` is an IANA time zone this runtime knows
+ *
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Hour of the day (0-23) in a time zone
+ *
+ * @param {string} [timezone='UTC']
+ * @param {number} [now]
+ * @returns {number}
+ */
+function localHour(timezone, now = Date.now()) {
+    const hour = new Intl.DateTimeFormat('en-US', { timeZone: timezone || 'UTC', hour: 'numeric', hourCycle: 'h23' }).format(now);
+    return Number(hour) % 24;
+}
+
+/**
+ * Parse "/alert quiet 22-7 [time zone]" arguments
+ *
+ * @param {string[]} args - Words after "quiet"
+ * @returns {{quietStart: number|null, quietEnd: number|null, timezone: string|undefined}}
+ */
+function parseQuietHours(args) {
+    const [range, timezone] = args;
+    if (String(range).toLowerCase() === 'off') {
+        return { quietStart: null, quietEnd: null, timezone: undefined };
+    }
+
+    const m = String(range || '').match(/^(\d{1,2})(?::00)?-(\d{1,2})(?::00)?$/);
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 23 || m[1] === m[2]) {
+        throw new Error('Give quiet hours as two different hours from 0 to 23, e.g. /alert quiet 22-7');
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+        throw new Error(`Unknown time zone "${timezone}". Use a name such as Europe/Berlin or America/New_York.`);
+    }
+    return { quietStart: Number(m[1]), quietEnd: Number(m[2]), timezone };
+}
+
+/**
+ * True when a user's quiet hours cover `now`. Ranges may wrap midnight.
+ *
+ * @param {Object} user - Row with timezone, quiet_start and quiet_end
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function inQuietHours({ timezone, quiet_start: start, quiet_end: end }, now = Date.now()) {
+    if (start === null || start === undefined || end === null || end === undefined || start === end) {
+        return false;
+    }
+    const hour = localHour(timezone, now);
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Figures alerts are checked against
+ *
+ * @param {Object} portfolioData - Combined portfolio
+ * @returns {{totalValueUSD: number, prices: Map<string, number>, largest: Object|null}}
+ *   prices by upper-case symbol; largest is the risk engine's largest position
+ */
+function portfolioMetrics(portfolioData = {}) {
+    // The price of a symbol comes from its biggest holding
+    const held = new Map();
+    for (const net of portfolioData.portfolio || []) {
+        for (const t of net.tokens || []) {
+            const symbol = String(t.symbol || '').toUpperCase();
+            const usd = Number(t.balanceUSD || 0);
+            if (!symbol || !(t.priceUSD > 0)) continue;
+            if (!held.has(symbol) || usd > held.get(symbol).usd) {
+                held.set(symbol, { price: t.priceUSD, usd });
+            }
+        }
+    }
+
+    const { metrics } = computeRiskMetrics(portfolioData);
+    return {
+        totalValueUSD: Number(portfolioData.totalValueUSD || 0),
+        prices: new Map(Array.from(held, ([symbol, h]) => [symbol, h.price])),
+        largest: metrics.largestPosition || null
+    };
+}
+
+/**
+ * Current value an alert watches, or null when it is not available
+ *
+ * @param {Object} alert - Alert row (or parseAlert result)
+ * @param {Object} metrics - portfolioMetrics result
+ * @returns {number|null}
+ */
+function currentValue(alert, metrics) {
+    switch (alert.type) {
+        case 'price':
+            return metrics.prices.get(alert.symbol) ?? null;
+        case 'move':
+            return alert.symbol ? metrics.prices.get(alert.symbol) ?? null : metrics.totalValueUSD || null;
+        case 'value':
+            return metrics.totalValueUSD;
+        case 'concentration':
+            return metrics.largest ? metrics.largest.share * 100 : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check one alert
+ *
+ * @param {Object} alert - Alert row
+ * @param {Object} metrics - portfolioMetrics result
+ * @returns {{value: number, met: boolean, referenceValue: number|null}|null}
+ *   null when the value is not available
+ */
+function evaluateAlert(alert, metrics) {
+    const value = currentValue(alert, metrics);
+    if (value === null) return null;
+
+    if (alert.type === 'move') {
+        const reference = alert.reference_value;
+        if (!reference) {
+            return { value, met: false, referenceValue: value };
+        }
+        return { value, met: Math.abs((value - reference) / reference) * 100 >= alert.threshold, referenceValue: reference };
+    }
+
+    const met = alert.direction === 'below' ? value <= alert.threshold : value >= alert.threshold;
+    return { value, met, referenceValue: alert.reference_value ?? null };
+}
+
+/**
+ * One-line description for /alert lists
+ *
+ * @param {Object} alert - Alert row
+ * @returns {string}
+ */
+function describeAlert(alert) {
+    switch (alert.type) {
+        case 'price':
+            return `${alert.symbol} price ${alert.direction} ${formatUsd(alert.threshold)}`;
+        case 'move':
+            return `${alert.symbol ? `${alert.symbol} price` : 'Portfolio value'} moves ${formatPercent(alert.threshold)}${alert.reference_value ? ` from ${formatUsd(alert.reference_value)}` : ''}`;
+        case 'value':
+            return `Portfolio value ${alert.direction} ${formatUsd(alert.threshold)}`;
+        case 'concentration':
+            return `Largest position above ${formatPercent(alert.threshold)} of the portfolio`;
+        default:
+            return alert.type;
+    }
+}
+
+/**
+ * Notification text for a triggered alert
+ * @private
+ */
+function alertMessage(alert, value, metrics) {
+    switch (alert.type) {
+        case 'price':
+            return `${alert.symbol} is ${formatUsd(value)}, ${alert.direction} your ${formatUsd(alert.threshold)} alert.`;
+        case 'move': {
+            const change = ((value - alert.reference_value) / alert.reference_value) * 100;
+            const subject = alert.symbol || 'Your portfolio';
+            return `${subject} moved ${change >= 0 ? '+' : ''}${formatPercent(change)} to ${formatUsd(value)} (from ${formatUsd(alert.reference_value)}).`;
+        }
+        case 'value':
+            return `Your portfolio is worth ${formatUsd(value)}, ${alert.direction} your ${formatUsd(alert.threshold)} alert.`;
+        case 'concentration':
+            return `${metrics.largest.symbol} on ${metrics.largest.network} is ${formatPercent(value)} of your portfolio, above your ${formatPercent(alert.threshold)} limit.`;
+        default:
+            return describeAlert(alert);
+    }
+}
+
+class AlertService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Alert repository (storage.alerts)
+     * @param {Function} options.loadPortfolio - async (userId) => combined portfolio, or null without wallets
+     * @param {Function} options.notify - async (telegramId, text) => void
+     * @param {Object} [options.logger]
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ store, loadPortfolio, notify, logger = console, now = Date.now }) {
+        this.store = store;
+        this.loadPortfolio = loadPortfolio;
+        this.notify = notify;
+        this.logger = logger;
+        this.now = now;
+    }
+
+    /**
+     * Check every active alert and notify the users whose alerts fired
+     *
+     * @returns {Promise<{users: number, alerts: number, notified: number}>}
+     */
+    async run() {
+        const alerts = await this.store.listActive();
+        const byUser = new Map();
+        for (const alert of alerts) {
+            if (!byUser.has(alert.user_id)) byUser.set(alert.user_id, []);
+            byUser.get(alert.user_id).push(alert);
+        }
+
+        let notified = 0;
+        for (const [userId, list] of byUser) {
+            try {
+                notified += await this._checkUser(userId, list);
+            } catch (error) {
+                this.logger.warn('Alert check failed', { userId, error: error.message });
+            }
+        }
+
+        const summary = { users: byUser.size, alerts: alerts.length, notified };
+        this.logger.info('Alerts checked', summary);
+        return summary;
+    }
+
+    /**
+     * @private
+     */
+    async _checkUser(userId, alerts) {
+        const owner = alerts[0];
+        const now = this.now();
+        if (inQuietHours(owner, now)) {
+            return 0;
+        }
+
+        const portfolio = await this.loadPortfolio(userId);
+        if (!portfolio) return 0;
+        const metrics = portfolioMetrics(portfolio);
+
+        const lines = [];
+        const fired = [];
+        for (const alert of alerts) {
+            const outcome = evaluateAlert(alert, metrics);
+            if (!outcome) continue;
+
+            // The claim enforces the cooldown and keeps overlapping instances from both sending
+            const fire = outcome.met && !alert.triggered &&
+                await this.store.claimNotification(alert.id, now, now - alert.cooldown_minutes * MINUTE);
+
+            const isMove = alert.type === 'move';
+            const state = {
+                // Level alerts stay quiet until the condition clears; move alerts re-base instead
+                triggered: !isMove && outcome.met && (!!alert.triggered || fire),
+                lastValue: outcome.value,
+                referenceValue: isMove && fire ? outcome.value : outcome.referenceValue
+            };
+            if (fire) {
+                lines.push(`• ${alertMessage({ ...alert, reference_value: outcome.referenceValue }, outcome.value, metrics)}`);
+                fired.push({ alert, state });
+            } else {
+                await this.store.updateState(alert.id, state);
+            }
+        }
+
+        if (!fired.length) return 0;
+
+        try {
+            await this.notify(owner.telegram_id, `Alert${lines.length > 1 ? 's' : ''}:\n${lines.join('\n')}\n\nManage alerts with /alert`);
+        } catch (error) {
+            // Nothing was delivered: give the claims back and keep the old
+            // state, so the alerts fire again on a later run
+            await Promise.all(fired.map(({ alert }) =>
+                this.store.releaseNotification(alert.id, now, alert.last_notified_at ?? null)));
+
+            // 403: the user blocked the bot or deleted their account
+            if (error.code === 403) {
+                const paused = await this.store.setUserActive(userId, false);
+                this.logger.warn('User unreachable, alerts paused', { userId, alerts: paused, error: error.message });
+                return 0;
+            }
+            throw error;
+        }
+
+        // Fired state is only saved once the user has it
+        await Promise.all(fired.map(({ alert, state }) => this.store.updateState(alert.id, state)));
+        return fired.length;
+    }
+}
+
+module.exports = {
+    AlertService,
+    parseAlert,
+    parseQuietHours,
+    inQuietHours,
+    isValidTimezone,
+    localHour,
+    portfolioMetrics,
+    currentValue,
+    evaluateAlert,
+    describeAlert,
+    ALERT_USAGE,
+    MAX_ALERTS_PER_USER,
+    DEFAULT_COOLDOWN_MINUTES
+};
@@ -0,0 +1,532 @@
+/**
+ * AURA Analytics API Client
+ *
+ * Fetches portfolio balances, AI strategies and token data from the AURA
+ * API and normalizes them into the shape GroqAnalyzer expects:
+ *
+ *   { address, totalValueUSD, portfolio: [{ network, tokens: [{ symbol, balanceUSD }] }] }
+ *
+ * Modes (AURA_FIXTURE_MODE):
+ * - live    Call the API (default)
+ * - record  Call the API and save every response as a JSON fixture
+ * - replay  Serve saved fixtures from disk, never touch the network
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { validateAddress, addressKey } = require('./address-validator');
+const { withRetry, CircuitBreaker } = require('./resilience');
+
+const DEFAULT_BASE_URL = 'https://aura.adex.network/api';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'aura');
+const MODES = ['live', 'record', 'replay'];
+
+// Upper bound when following paginated responses
+const MAX_PAGES = 20;
+
+// Portfolio commands wait on these calls, so give up sooner than the AI does
+const DEFAULT_RETRY = { attempts: 3, baseDelay: 500, deadline: 20000 };
+
+class AuraApiError extends Error {
+    constructor(message, { status, code, endpoint, cause } = {}) {
+        super(message);
+        this.name = 'AuraApiError';
+        this.status = status;
+        this.code = code;
+        this.endpoint = endpoint;
+        if (cause) this.cause = cause;
+    }
+}
+
+class AuraTimeoutError extends AuraApiError {
+    constructor(message, details) {
+        super(message, { code: 'TIMEOUT', ...details });
+        this.name = 'AuraTimeoutError';
+    }
+}
+
+class AuraAuthError extends AuraApiError {
+    constructor(message, details) {
+        super(message, { code: 'UNAUTHORIZED', ...details });
+        this.name = 'AuraAuthError';
+    }
+}
+
+class AuraRateLimitError extends AuraApiError {
+    constructor(message, { retryAfter, ...details } = {}) {
+        super(message, { code: 'RATE_LIMITED', ...details });
+        this.name = 'AuraRateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+class AuraNotFoundError extends AuraApiError {
+    constructor(message, details) {
+        super(message, { code: 'NOT_FOUND', ...details });
+        this.name = 'AuraNotFoundError';
+    }
+}
+
+class AuraResponseError extends AuraApiError {
+    constructor(message, details) {
+        super(message, { code: 'BAD_RESPONSE', ...details });
+        this.name = 'AuraResponseError';
+    }
+}
+
+class AuraValidationError extends AuraApiError {
+    constructor(message, details) {
+        super(message, { code: 'INVALID_ADDRESS', ...details });
+        this.name = 'AuraValidationError';
+    }
+}
+
+class AuraClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] - AURA API key (optional, raises rate limits)
+     * @param {string} [options.baseURL] - API base URL
+     * @param {number} [options.timeout] - Request timeout in ms
+     * @param {string} [options.mode] - 'live', 'record' or 'replay'
+     * @param {string} [options.fixturesDir] - Directory for recorded fixtures
+     * @param {Object} [options.cache] - Cache instance for read-through lookups
+     * @param {Object} [options.retry] - Retry policy overrides (see resilience.js)
+     * @param {Object} [options.breaker] - CircuitBreaker for API calls
+     * @param {Object} [options.logger]
+     */
+    constructor(options = {}) {
+        const {
+            apiKey = process.env.AURA_API_KEY,
+            baseURL = process.env.AURA_API_URL || DEFAULT_BASE_URL,
+            timeout = 15000,
+            mode = process.env.AURA_FIXTURE_MODE || 'live',
+            fixturesDir = process.env.AURA_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+            cache = null,
+            retry = {},
+            breaker = null,
+            logger = console
+        } = options;
+
+        if (!MODES.includes(mode)) {
+            throw new Error(`AURA_FIXTURE_MODE must be one of: ${MODES.join(', ')}`);
+        }
+
+        this.logger = logger;
+        this.mode = mode;
+        this.fixturesDir = fixturesDir;
+        this.cache = cache;
+        this.hasApiKey = !!apiKey;
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+        this.breaker = breaker || new CircuitBreaker({ name: 'The AURA API', logger });
+
+        this.http = axios.create({
+            baseURL,
+            timeout,
+            headers: {
+                Accept: 'application/json',
+                ...(apiKey ? { 'x-api-key': apiKey } : {})
+            }
+        });
+
+        this.logger.info('AURA client initialized', {
+            baseURL,
+            mode,
+            hasApiKey: this.hasApiKey
+        });
+    }
+
+    /**
+     * Fetch token balances across all supported networks
+     *
+     * @param {string} address - Wallet address
+     * @returns {Promise<Object>} Normalized portfolio
+     */
+    async getPortfolio(address) {
+        return this._cached('portfolio', address, async () => {
+            const raw = await this._request('portfolio/balances', { address });
+            return normalizePortfolio(raw, address);
+        });
+    }
+
+    /**
+     * Fetch AI-generated strategies for a wallet
+     *
+     * @param {string} address - Wallet address
+     * @returns {Promise<Array>} Normalized strategies
+     */
+    async getStrategies(address) {
+        return this._cached('strategies', address, async () => {
+            const raw = await this._request('portfolio/strategies', { address });
+            return normalizeStrategies(raw);
+        });
+    }
+
+    /**
+     * List token holdings for a wallet, optionally limited to one network
+     *
+     * @param {string} address - Wallet address
+     * @param {Object} [options]
+     * @param {string} [options.network] - Network name (case-insensitive)
+     * @param {number} [options.offset=0]
+     * @param {number} [options.limit=50]
+     * @returns {Promise<{items: Array, total: number, nextOffset: number|null}>}
+     */
+    async getTokens(address, { network, offset = 0, limit = 50 } = {}) {
+        const { portfolio } = await this.getPortfolio(address);
+        const wanted = network ? network.toLowerCase() : null;
+
+        const tokens = portfolio
+            .filter(net => !wanted || net.network.name.toLowerCase() === wanted)
+            .flatMap(net => net.tokens.map(t => ({ ...t, network: net.network.name })))
+            .sort((a, b) => b.balanceUSD - a.balanceUSD);
+
+        const items = tokens.slice(offset, offset + limit);
+        const nextOffset = offset + limit < tokens.length ? offset + limit : null;
+        return { items, total: tokens.length, nextOffset };
+    }
+
+    /**
+     * Route a lookup through the cache when one is configured. Addresses are
+     * validated offline first so typos never cost an API call; EVM addresses
+     * are lowercased so checksum variants share an entry (see addressKey).
+     * @private
+     */
+    _cached(namespace, address, loader) {
+        const check = validateAddress(address);
+        if (!check.valid) {
+            return Promise.reject(new AuraValidationError(check.error, { endpoint: namespace }));
+        }
+        if (!this.cache) {
+            return loader();
+        }
+        return this.cache.wrap(namespace, addressKey(address), loader);
+    }
+
+    /**
+     * GET an endpoint, following pagination and honoring the fixture mode
+     * @private
+     */
+    async _request(endpoint, params = {}) {
+        const fixture = this._fixturePath(endpoint, params);
+
+        if (this.mode === 'replay') {
+            return this._readFixture(fixture, endpoint);
+        }
+
+        const data = await this._fetchAllPages(endpoint, params);
+
+        if (this.mode === 'record') {
+            await fs.promises.mkdir(this.fixturesDir, { recursive: true });
+            await fs.promises.writeFile(fixture, JSON.stringify(data, null, 2));
+            this.logger.info('AURA fixture recorded', { endpoint, fixture });
+        }
+
+        return data;
+    }
+
+    /**
+     * Follow `nextCursor` links and merge array fields across pages.
+     * Endpoints without pagination return after the first page.
+     * @private
+     */
+    async _fetchAllPages(endpoint, params) {
+        let merged = null;
+        let cursor = null;
+
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const data = await this._get(endpoint, cursor ? { ...params, cursor } : params);
+
+            if (!merged) {
+                merged = data;
+            } else {
+                for (const [key, value] of Object.entries(data)) {
+                    if (Array.isArray(value) && Array.isArray(merged[key])) {
+                        merged[key] = merged[key].concat(value);
+                    }
+                }
+            }
+
+            cursor = data?.nextCursor || data?.pagination?.nextCursor || null;
+            if (!cursor) {
+                break;
+            }
+        }
+
+        if (merged) {
+            delete merged.nextCursor;
+            delete merged.pagination;
+        }
+        return merged;
+    }
+
+    /**
+     * GET with retries for transient failures, through the circuit breaker
+     * @private
+     */
+    _get(endpoint, params) {
+        return withRetry(() => this._getOnce(endpoint, params), {
+            ...this.retry,
+            breaker: this.breaker,
+            label: 'AURA request',
+            meta: { endpoint },
+            logger: this.logger
+        });
+    }
+
+    /**
+     * Single GET with errors mapped to typed AuraApiError subclasses
+     * @private
+     */
+    async _getOnce(endpoint, params) {
+        const started = Date.now();
+        try {
+            const response = await this.http.get(endpoint, { params });
+
+            if (!response.data || typeof response.data !== 'object') {
+                throw new AuraResponseError('AURA API returned a non-JSON response', { endpoint, status: response.status });
+            }
+
+            this.logger.info('AURA request completed', {
+                endpoint,
+                status: response.status,
+                durationMs: Date.now() - started
+            });
+            return response.data;
+        } catch (error) {
+            throw toAuraError(error, endpoint);
+        }
+    }
+
+    /**
+     * Fixture file for an endpoint + params pair. Params are sorted so the
+     * same request always maps to the same file; only EVM addresses are
+     * case-insensitive.
+     * @private
+     */
+    _fixturePath(endpoint, params) {
+        const key = JSON.stringify(Object.keys(params).sort().map(k =>
+            [k, k === 'address' ? addressKey(params[k]) : String(params[k])]));
+        const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+        return path.join(this.fixturesDir, `${endpoint.replace(/\//g, '_')}-${hash}.json`);
+    }
+
+    /**
+     * @private
+     */
+    async _readFixture(file, endpoint) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new AuraNotFoundError(`No AURA fixture recorded for ${endpoint} (${path.basename(file)})`, { endpoint, cause: error });
+            }
+            throw new AuraResponseError(`AURA fixture ${path.basename(file)} is not valid JSON`, { endpoint, cause: error });
+        }
+    }
+}
+
+/**
+ * Map axios/network failures to typed AURA errors
+ * @private
+ */
+function toAuraError(error, endpoint) {
+    if (error instanceof AuraApiError) {
+        return error;
+    }
+
+    const status = error.response?.status;
+    const details = { endpoint, status, cause: error };
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new AuraTimeoutError(`AURA API request to ${endpoint} timed out`, details);
+    }
+    if (status === 401 || status === 403) {
+        return new AuraAuthError('AURA API rejected the request - check AURA_API_KEY', details);
+    }
+    if (status === 404) {
+        return new AuraNotFoundError(`AURA API has no data for ${endpoint}`, details);
+    }
+    if (status === 429) {
+        const retryAfter = Number(error.response.headers?.['retry-after']) || undefined;
+        return new AuraRateLimitError('AURA API rate limit reached', { ...details, retryAfter });
+    }
+    if (status) {
+        return new AuraApiError(`AURA API responded with HTTP ${status}`, { ...details, code: 'HTTP_ERROR' });
+    }
+    return new AuraApiError(`AURA API is unreachable: ${error.message}`, { ...details, code: error.code || 'NETWORK_ERROR' });
+}
+
+/**
+ * Normalize a raw balances payload. Tolerates network given as an object or
+ * a plain name and the USD value under a few common field names.
+ *
+ * @param {Object} raw - Raw API payload
+ * @param {string} [address] - Wallet address the payload belongs to
+ * @returns {{address: string|null, totalValueUSD: number, portfolio: Array}}
+ */
+function normalizePortfolio(raw = {}, address = null) {
+    const networks = Array.isArray(raw?.portfolio) ? raw.portfolio : [];
+    let totalValueUSD = 0;
+
+    const portfolio = networks.map(net => {
+        const info = net?.network;
+        const network = {
+            name: (typeof info === 'string' ? info : info?.name) || 'Unknown',
+            chainId: typeof info === 'object' ? info?.chainId ?? null : null
+        };
+
+        const tokens = (Array.isArray(net?.tokens) ? net.tokens : []).map(t => {
+            const balanceUSD = Number(t.balanceUSD ?? t.balanceUsd ?? t.valueUSD ?? t.usd ?? 0) || 0;
+            const balance = Number(t.balance ?? 0) || 0;
+            totalValueUSD += balanceUSD;
+            return {
+                symbol: t.symbol || t.name || 'Unknown',
+                name: t.name || t.symbol || 'Unknown',
+                address: t.address || null,
+                balance,
+                balanceUSD,
+                priceUSD: balance > 0 ? balanceUSD / balance : Number(t.price ?? t.priceUSD ?? 0) || 0
+            };
+        });
+
+        return { network, tokens };
+    });
+
+    return {
+        address: raw?.address || address,
+        totalValueUSD,
+        portfolio
+    };
+}
+
+/**
+ * Merge several normalized portfolios (one per wallet) into one. Networks are
+ * matched by name and tokens by contract address (or symbol when there is
+ * none), so the same asset held in two wallets becomes a single position.
+ *
+ * @param {Array<Object>} portfolios - Normalized portfolios
+ * @returns {{totalValueUSD: number, portfolio: Array, wallets: Array}}
+ */
+function combinePortfolios(portfolios = []) {
+    const networks = new Map();
+    let totalValueUSD = 0;
+
+    for (const p of portfolios) {
+        for (const net of p?.portfolio || []) {
+            const netKey = net.network.name.toLowerCase();
+            if (!networks.has(netKey)) {
+                networks.set(netKey, { network: { ...net.network }, tokens: new Map() });
+            }
+            const target = networks.get(netKey).tokens;
+
+            for (const t of net.tokens) {
+                const tokenKey = (t.address || t.symbol).toLowerCase();
+                const held = target.get(tokenKey);
+                if (held) {
+                    held.balance += t.balance;
+                    held.balanceUSD += t.balanceUSD;
+                } else {
+                    target.set(tokenKey, { ...t });
+                }
+                totalValueUSD += t.balanceUSD;
+            }
+        }
+    }
+
+    return {
+        totalValueUSD,
+        portfolio: Array.from(networks.values()).map(({ network, tokens }) => ({
+            network,
+            tokens: Array.from(tokens.values())
+        })),
+        wallets: portfolios.map(p => ({ address: p?.address || null, totalValueUSD: p?.totalValueUSD || 0 }))
+    };
+}
+
+/**
+ * Compact summary of a portfolio: total value, network names and the
+ * largest token positions. Used in AI prompts and stored as history
+ * snapshots.
+ *
+ * @param {Object} data - Normalized (or combined) portfolio
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens=30] - Positions kept, largest first
+ * @returns {{totalValueUSD: number, networks: string[], topTokens: Array<{symbol: string, network: string, usd: number}>}}
+ */
+function summarizePortfolio(data = {}, { maxTokens = 30 } = {}) {
+    const summary = {
+        totalValueUSD: 0,
+        networks: [],
+        topTokens: []
+    };
+    const tokens = [];
+    const nets = Array.isArray(data.portfolio) ? data.portfolio : [];
+    for (const net of nets) {
+        const nname = net?.network?.name || net?.network || 'Unknown';
+        summary.networks.push(nname);
+        const tks = Array.isArray(net.tokens) ? net.tokens : [];
+        for (const t of tks) {
+            const usd = Number(t.balanceUSD || 0);
+            summary.totalValueUSD += usd;
+            if (usd > 0.01) {
+                tokens.push({
+                    symbol: t.symbol || t.name || 'Unknown',
+                    network: nname,
+                    usd
+                });
+            }
+        }
+    }
+    tokens.sort((a, b) => b.usd - a.usd);
+    summary.topTokens = tokens.slice(0, maxTokens);
+    // Deduplicate networks
+    summary.networks = Array.from(new Set(summary.networks));
+    return summary;
+}
+
+/**
+ * Flatten the strategies payload (one entry per LLM, each with a list of
+ * strategies) into a single list with stable ids.
+ *
+ * @param {Object} raw - Raw API payload
+ * @returns {Array<{id: string, name: string, risk: string, actions: Array, provider: string|null}>}
+ */
+function normalizeStrategies(raw = {}) {
+    const groups = Array.isArray(raw?.strategies) ? raw.strategies : [];
+    const result = [];
+
+    for (const group of groups) {
+        const provider = group?.llm ? [group.llm.provider, group.llm.model].filter(Boolean).join('/') : null;
+        const entries = Array.isArray(group?.response) ? group.response : [group];
+
+        for (const s of entries) {
+            if (!s || !s.name) continue;
+            result.push({
+                id: `s${result.length + 1}`,
+                name: s.name,
+                risk: s.risk || 'unknown',
+                actions: Array.isArray(s.actions) ? s.actions : [],
+                provider
+            });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    AuraClient,
+    AuraApiError,
+    AuraTimeoutError,
+    AuraAuthError,
+    AuraRateLimitError,
+    AuraNotFoundError,
+    AuraResponseError,
+    AuraValidationError,
+    normalizePortfolio,
+    normalizeStrategies,
+    combinePortfolios,
+    summarizePortfolio
+};
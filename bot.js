@@ -1,28 +1,1122 @@
-# Copy this file to .env and fill in your values
+#!/usr/bin/env node
+/**
+ * AURA Telegram Bot
+ *
+ * Command router for the Telegram interface. Registers users in the
+ * `users` table created by migrate.js and forwards AI commands to
+ * GroqAnalyzer (backed by the provider chosen with AI_PROVIDER).
+ *
+ * Commands:
+ * - /start, /help   Welcome message and command list
+ * - /ask            Natural language portfolio question
+ * - /explain        Explain a DeFi concept
+ * - /risk           Portfolio risk assessment
+ * - /compare        Strategy comparison and recommendation
+ * - /wallets        Manage the user's tracked wallets
+ * - /reset          Start a new /ask conversation
+ * - /settings       Risk tolerance, horizon and preferred chains
+ *
+ * Runs in webhook mode when start.js sets USE_WEBHOOK/WEBHOOK_URL and falls
+ * back to long polling otherwise.
+ */
 
-# Telegram Bot Token (required)
-# Get from @BotFather on Telegram
-BOT_TOKEN=your_telegram_bot_token_here
+require('dotenv').config();
+const { Telegraf } = require('telegraf');
+const logger = require('./logger');
+const GroqAnalyzer = require('./groq-analyzer');
+const { createProvider } = require('./llm-providers');
+const { createServer, startServer, webhookSecrets } = require('./server');
+const { AuraClient, combinePortfolios, summarizePortfolio } = require('./aura-client');
+const { WalletStore } = require('./wallets');
+const { filterPortfolioByChainFamily } = require('./address-validator');
+const { Cache } = require('./cache');
+const { createStorage } = require('./storage');
+const { runMigrations } = require('./migrate');
+const { streamReply } = require('./live-message');
+const { formatMessages, isParseError, parseModeFromEnv } = require('./telegram-format');
+const { guardInput } = require('./guardrails');
+const { ConversationMemory } = require('./conversation');
+const { PortfolioTools } = require('./portfolio-tools');
+const { profileFromUser, applySetting, formatSettings, settingsKeyboard } = require('./settings');
+const { RateLimiter, formatWait, parseQuotas, parseIdList } = require('./rate-limiter');
+const { PortfolioHistory, formatHistory, formatUsd, parsePeriod } = require('./portfolio-history');
+const { Scheduler } = require('./scheduler');
+const {
+    AlertService,
+    parseAlert,
+    parseQuietHours,
+    portfolioMetrics,
+    currentValue,
+    describeAlert,
+    ALERT_USAGE,
+    MAX_ALERTS_PER_USER,
+    DEFAULT_COOLDOWN_MINUTES
+} = require('./alerts');
+const {
+    DigestService,
+    parseSchedule,
+    parseSections,
+    nextDeliveryTime,
+    formatDeliveryTime,
+    describeDigest,
+    formatDigest,
+    DIGEST_USAGE,
+    SECTIONS,
+    CHECK_INTERVAL: DIGEST_CHECK_INTERVAL
+} = require('./digest');
+const { buildExports, parseFormats } = require('./report-export');
+const { renderAllocationChart, renderRiskChart, renderHistoryChart } = require('./charts');
 
-# AI Service Key (optional; enables /ask and /explain)
-# Use AI_API_KEY primarily. GROQ_API_KEY is
-AI_API_KEY=your_ai_service_key_here
-# GROQ_API_KEY=legacy_key_supported_but_optional
+const BOT_TOKEN = process.env.BOT_TOKEN;
+const AI_API_KEY = process.env.AI_API_KEY || process.env.GROQ_API_KEY;
+// Self-hosted OpenAI-compatible servers and the mock provider need no key
+const AI_ENABLED = !!AI_API_KEY || ['openai', 'mock'].includes((process.env.AI_PROVIDER || '').toLowerCase());
 
-#Aura Analytics API Key (optional - for higher rate limits if you have access)
-AURA_API_KEY=your_analytics_api_key_here
+// Set by start.js when a Railway public domain is available
+const USE_WEBHOOK = process.env.USE_WEBHOOK === 'true' && !!process.env.WEBHOOK_URL;
+const PORT = process.env.WEBHOOK_PORT || process.env.PORT;
+// Hours between scheduled portfolio snapshots of every wallet; 0 turns them off
+const SNAPSHOT_INTERVAL_HOURS = Number(process.env.SNAPSHOT_INTERVAL_HOURS ?? 6);
+// Minutes between alert checks; 0 turns alerts off
+const ALERT_CHECK_MINUTES = Number(process.env.ALERT_CHECK_MINUTES ?? 5);
+// How model Markdown is rendered: HTML (default), MarkdownV2 or plain
+const PARSE_MODE = parseModeFromEnv();
 
-# Application Base URL (optional; used where needed)
-DAPP_BASE_URL=http://localhost:3000
+if (!BOT_TOKEN) {
+    logger.error('BOT_TOKEN is required. Get one from @BotFather and add it to .env');
+    process.exit(1);
+}
 
-# Environment
-NODE_ENV=production
+const AI_DISABLED_MESSAGE = 'AI commands are currently turned off. The bot operator needs to configure AI_API_KEY to enable /ask, /explain, /risk and /compare.';
 
-# Logging
-LOG_LEVEL=info
+// Services are created in init() once storage is open
+let storage = null;
+let cache = null;
+let analyzer = null;
+let aura = null;
+let wallets = null;
+let conversations = null;
+let limiter = null;
+let history = null;
+let alertService = null;
+let digestService = null;
 
-# Server Port
-PORT=3000
+/**
+ * Open storage and build the services the commands depend on
+ * @private
+ */
+async function init() {
+    storage = await createStorage();
+    logger.info('Storage connected', { backend: storage.db.dialect, target: storage.info.target });
 
-# Database (optional - defaults to SQLite)
-DATABASE_URL=sqlite:./aura_bot.db
+    // In-memory databases start empty, so they need the schema on every boot
+    if (storage.isEphemeral) {
+        await runMigrations({ storage });
+    }
+
+    cache = new Cache({ store: storage.cache, logger });
+    aura = new AuraClient({ logger, cache });
+    wallets = new WalletStore(storage.wallets);
+    history = new PortfolioHistory({ store: storage.snapshots, logger });
+    alertService = new AlertService({
+        store: storage.alerts,
+        loadPortfolio: portfolioForUser,
+        notify: (chatId, text) => bot.telegram.sendMessage(chatId, text),
+        logger
+    });
+    digestService = new DigestService({
+        store: storage.digests,
+        users: storage.users,
+        compose: composeDigest,
+        send: (chatId, text) => sendFormatted((t, extra) => bot.telegram.sendMessage(chatId, t, extra), text, { chatId }),
+        logger
+    });
+    limiter = new RateLimiter({
+        store: storage.rateLimits,
+        quotas: parseQuotas(process.env.AI_DAILY_QUOTAS),
+        admins: parseIdList(process.env.ADMIN_USER_IDS),
+        logger
+    });
+
+    // AI commands are optional; the bot still runs without a provider
+    if (AI_ENABLED) {
+        try {
+            const provider = createProvider({ logger });
+            analyzer = new GroqAnalyzer(AI_API_KEY, logger, {
+                cache,
+                provider,
+                onCompletion: record => storage.completions.record(record)
+            });
+            conversations = new ConversationMemory({
+                repository: storage.conversations,
+                summarize: (summary, messages) => analyzer.summarizeConversation(summary, messages),
+                tokenBudget: Number(process.env.CONVERSATION_TOKEN_BUDGET) || undefined,
+                logger
+            });
+        } catch (error) {
+            logger.warn('AI analyzer disabled', { error: error.message });
+        }
+    } else {
+        logger.warn('No AI_API_KEY or AI_PROVIDER configured - AI commands are disabled');
+    }
+}
+
+const bot = new Telegraf(BOT_TOKEN);
+
+/**
+ * Build the portfolio payload passed to the analyzer for this user by
+ * combining every linked wallet. Users without wallets get an empty
+ * portfolio; wallets that fail to load are skipped unless all of them fail.
+ * @private
+ */
+async function loadPortfolio(telegramId) {
+    const user = await storage.users.findByTelegramId(telegramId).catch(() => undefined);
+    const linked = user ? await wallets.list(user.id) : [];
+    const profile = profileFromUser(user);
+    const base = {
+        userId: telegramId,
+        riskTolerance: profile.riskTolerance,
+        profile,
+        wallets: linked.map(w => ({ address: w.address, chainFamily: w.chain_family, label: w.label })),
+        portfolio: [],
+        totalValueUSD: 0
+    };
+
+    if (!linked.length) {
+        return base;
+    }
+
+    const results = await Promise.allSettled(linked.map(w => aura.getPortfolio(w.address)));
+    // Only credit each wallet with holdings on chains of its own family
+    const portfolios = results.map((r, i) => (r.status === 'fulfilled' ? filterPortfolioByChainFamily(r.value, linked[i].chain_family) : null));
+    const loaded = portfolios.filter(Boolean);
+    const failed = results
+        .map((r, i) => (r.status === 'rejected' ? { address: linked[i].address, error: r.reason } : null))
+        .filter(Boolean);
+
+    // Every fetch also feeds the /history snapshots
+    await Promise.all(portfolios.map((portfolio, i) => portfolio &&
+        history.record(user.id, linked[i].address, portfolio).catch(error => {
+            logger.warn('Portfolio snapshot failed', { userId: telegramId, address: linked[i].address, error: error.message });
+        })));
+
+    failed.forEach(f => logger.error('Portfolio fetch failed', {
+        userId: telegramId,
+        address: f.address,
+        error: f.error.message,
+        code: f.error.code
+    }));
+
+    if (!loaded.length) {
+        throw new Error('Unable to load your portfolio data right now. Please try again in a few minutes.');
+    }
+
+    const combined = combinePortfolios(loaded);
+    return {
+        ...base,
+        portfolio: combined.portfolio,
+        totalValueUSD: combined.totalValueUSD,
+        totalValue: combined.totalValueUSD,
+        failedWallets: failed.map(f => f.address)
+    };
+}
+
+/**
+ * Combined portfolio of a user's wallets for background jobs; null when
+ * they track none. Wallets that fail to load are left out.
+ * @private
+ */
+async function portfolioForUser(userId) {
+    const linked = await wallets.list(userId);
+    if (!linked.length) return null;
+
+    const results = await Promise.allSettled(linked.map(w => aura.getPortfolio(w.address)));
+    const loaded = results
+        .map((r, i) => (r.status === 'fulfilled' ? filterPortfolioByChainFamily(r.value, linked[i].chain_family) : null))
+        .filter(Boolean);
+    if (!loaded.length) {
+        throw results.find(r => r.status === 'rejected').reason;
+    }
+    return combinePortfolios(loaded);
+}
+
+/**
+ * Fetch AURA strategies for every linked wallet; an empty list when none
+ * is linked or the requests fail
+ * @private
+ */
+async function loadStrategies(portfolioData) {
+    const results = await Promise.allSettled(portfolioData.wallets.map(w => aura.getStrategies(w.address)));
+    const strategies = [];
+
+    results.forEach((r, i) => {
+        if (r.status === 'fulfilled') {
+            strategies.push(...r.value);
+        } else {
+            logger.warn('Strategy fetch failed', {
+                userId: portfolioData.userId,
+                address: portfolioData.wallets[i].address,
+                error: r.reason.message,
+                code: r.reason.code
+            });
+        }
+    });
+
+    // Renumber so ids stay unique across wallets
+    return strategies.map((s, i) => ({ ...s, id: `s${i + 1}` }));
+}
+
+/**
+ * Shorten an address for display
+ * @private
+ */
+function shortAddress(address) {
+    return address.length > 14 ? `${address.slice(0, 6)}...${address.slice(-4)}` : address;
+}
+
+/**
+ * Render the user's wallet list
+ * @private
+ */
+function formatWalletList(list) {
+    if (!list.length) {
+        return 'You have no wallets yet.\nAdd one with /wallets add <address> [label]';
+    }
+    const lines = list.map((w, i) => {
+        const label = w.label ? ` "${w.label}"` : '';
+        const primary = w.is_primary ? ' (primary)' : '';
+        return `${i + 1}. ${shortAddress(w.address)}${label} [${w.chain_family}]${primary}`;
+    });
+    return `Your wallets:\n${lines.join('\n')}`;
+}
+
+/**
+ * Send model Markdown, formatted for Telegram and split on paragraph breaks
+ * when it exceeds the message size limit. A message whose formatting
+ * Telegram rejects is sent again as plain text. A failed send throws with
+ * error.partsSent set to the number of messages already delivered.
+ * @private
+ * @param {Function} send - (text, extra) => Promise, such as ctx.reply
+ * @param {string} text
+ * @param {Object} [meta] - Log metadata
+ */
+async function sendFormatted(send, text, meta = {}) {
+    let partsSent = 0;
+    try {
+        for (const message of formatMessages(text, { mode: PARSE_MODE })) {
+            try {
+                await send(message.text, message.parseMode ? { parse_mode: message.parseMode } : undefined);
+            } catch (error) {
+                if (!message.parseMode || !isParseError(error)) throw error;
+                logger.warn('Formatting rejected, sending plain text', { ...meta, error: error.message });
+                await send(message.plain);
+            }
+            partsSent++;
+        }
+    } catch (error) {
+        error.partsSent = partsSent;
+        throw error;
+    }
+}
+
+/**
+ * Reply with model Markdown (see sendFormatted)
+ * @private
+ */
+function replyLong(ctx, text) {
+    return sendFormatted((t, extra) => ctx.reply(t, extra), text, { chatId: ctx.chat.id });
+}
+
+/**
+ * Send a rendered chart as a photo. Charts illustrate a reply that has
+ * already been sent, so a chart that fails is logged and left out.
+ * @private
+ * @param {Buffer|null} png - From charts.js; null sends nothing
+ * @param {string} name - File name without extension
+ * @param {string} [caption]
+ */
+async function replyWithChart(ctx, png, name, caption) {
+    if (!png) return;
+    try {
+        await ctx.replyWithPhoto({ source: png, filename: `${name}.png` }, caption ? { caption } : undefined);
+    } catch (error) {
+        logger.warn('Chart not sent', { userId: ctx.from.id, chart: name, error: error.message });
+    }
+}
+
+/**
+ * Format the structured analyzeRisk result for a chat message
+ * @private
+ */
+function formatRiskReport(report) {
+    const lines = [`Risk score: ${report.riskScore ?? 'n/a'}/100 (${report.riskLevel || 'Unknown'})`];
+
+    if (Array.isArray(report.scoreBreakdown) && report.scoreBreakdown.length) {
+        lines.push('', 'Score breakdown:');
+        report.scoreBreakdown.forEach(c => lines.push(`• ${c.label}: ${c.points}/${c.max}`));
+    }
+    if (Array.isArray(report.riskFactors) && report.riskFactors.length) {
+        lines.push('', 'Risk factors:');
+        report.riskFactors.forEach(f => lines.push(`• ${f}`));
+    }
+    if (Array.isArray(report.riskyAssets) && report.riskyAssets.length) {
+        lines.push('', 'Risky assets:');
+        report.riskyAssets.forEach(a => lines.push(`• ${a.symbol}: ${a.reason}${a.value ? ` (${a.value})` : ''}`));
+    }
+    if (Array.isArray(report.lowRiskStrategies) && report.lowRiskStrategies.length) {
+        lines.push('', 'Lower-risk strategies:');
+        report.lowRiskStrategies.forEach(s => lines.push(`• ${s.name}: ${s.reason}`));
+    }
+    if (report.summary) {
+        lines.push('', report.summary);
+    }
+    if (report.partial) {
+        lines.push('', 'Note: the AI explanation was incomplete, so some sections may be missing. The score itself is computed from your holdings.');
+    }
+    return lines.join('\n');
+}
+
+// Keeps the strategies section of a digest short
+const DIGEST_STRATEGY_PREFERENCE = 'This is for a periodic digest: give only the top 3 suggestions, one or two sentences each';
+
+/**
+ * Build a subscription's digest; null when the user tracks no wallet. A
+ * section that fails is left out with a note, but a portfolio that cannot
+ * be loaded fails the delivery so it is retried.
+ * @private
+ */
+async function composeDigest(digest) {
+    const portfolioData = await loadPortfolio(digest.telegram_id);
+    if (!portfolioData.wallets.length) {
+        return null;
+    }
+
+    const parts = { frequency: digest.frequency, totalValueUSD: portfolioData.totalValueUSD, unavailable: [] };
+    const wants = section => digest.sections.includes(section);
+
+    if (wants('value')) {
+        const addresses = portfolioData.wallets.map(w => w.address);
+        parts.history = await history.report(digest.user_id, addresses, digest.frequency === 'weekly' ? '7d' : '1d');
+    }
+
+    // Without AI the digest carries the value section only
+    if (analyzer && (wants('risk') || wants('strategies'))) {
+        const strategies = await loadStrategies(portfolioData);
+        if (wants('risk')) {
+            try {
+                parts.risk = await analyzer.analyzeRisk(portfolioData, strategies);
+            } catch (error) {
+                logger.warn('Digest section failed', { userId: digest.telegram_id, section: 'risk', error: error.message });
+                parts.unavailable.push('The risk summary');
+            }
+        }
+        if (wants('strategies')) {
+            try {
+                parts.strategies = await analyzer.compareStrategies(strategies, portfolioData, DIGEST_STRATEGY_PREFERENCE);
+            } catch (error) {
+                logger.warn('Digest section failed', { userId: digest.telegram_id, section: 'strategies', error: error.message });
+                parts.unavailable.push('Strategy ideas');
+            }
+        }
+    }
+    return formatDigest(parts);
+}
+
+/**
+ * Move a user's next digest to their new time zone
+ * @private
+ */
+async function rescheduleDigest(userId, timezone) {
+    const digest = await storage.digests.get(userId);
+    if (digest) {
+        await storage.digests.reschedule(userId, nextDeliveryTime({ ...digest, timezone }));
+    }
+}
+
+/**
+ * Wrap an AI command handler with the shared availability check, typing
+ * indicator and error reply. The handler gets a quota object for the daily
+ * AI quota: it calls quota.use() right before the model call, so usage
+ * errors cost nothing, and quota.refund() when the call failed without
+ * throwing. A thrown error is refunded here.
+ * @private
+ * @param {Function} handler - async (ctx, quota) => void
+ */
+function aiCommand(handler) {
+    return async (ctx) => {
+        if (!analyzer) {
+            return ctx.reply(AI_DISABLED_MESSAGE);
+        }
+
+        let charged = null;
+        const quota = {
+            /**
+             * @returns {Promise<boolean>} False when the quota is used up (the user has been told)
+             */
+            use: async () => {
+                const user = await storage.users.findByTelegramId(ctx.from.id).catch(() => undefined);
+                const result = await limiter.useQuota(ctx.from.id, user?.tier);
+                if (!result.allowed) {
+                    logger.info('AI quota exhausted', { userId: ctx.from.id, tier: user?.tier, limit: result.limit });
+                    await ctx.reply(`You've used all ${result.limit} AI requests for today. Your quota resets in ${formatWait(result.retryInMs)}.`);
+                    return false;
+                }
+                charged = result;
+                return true;
+            },
+            refund: async () => {
+                const result = charged;
+                charged = null;
+                await limiter.refundQuota(ctx.from.id, result);
+            }
+        };
+
+        try {
+            await ctx.sendChatAction('typing');
+            await handler(ctx, quota);
+        } catch (error) {
+            await quota.refund();
+            logger.error('AI command failed', {
+                command: ctx.command,
+                userId: ctx.from?.id,
+                error: error.message
+            });
+            await ctx.reply(error.message || 'Something went wrong. Please try again later.');
+        }
+    };
+}
+
+const HELP_TEXT = `Available commands:
+/ask <question> - Ask anything about your portfolio
+/explain <concept> - Explain a DeFi concept in simple terms
+/risk - Assess your portfolio's risk profile
+/compare [preference] - Compare strategies (e.g. "/compare low risk")
+/portfolio - Allocation and value charts
+/wallets - List, add, remove or rename tracked wallets
+/history [1d|7d|30d|90d] - See how your portfolio changed
+/alert - Price, value and concentration alerts
+/digest - Daily or weekly portfolio digest
+/export [csv|json|pdf] - Download your portfolio and reports
+/reset - Forget the /ask conversation and start fresh
+/settings - Set your risk tolerance, horizon and preferred chains
+/help - Show this message`;
+
+// Command list shown in Telegram's menu
+const COMMAND_MENU = [
+    { command: 'ask', description: 'Ask about your portfolio' },
+    { command: 'explain', description: 'Explain a DeFi concept' },
+    { command: 'risk', description: 'Assess portfolio risk' },
+    { command: 'compare', description: 'Compare strategies' },
+    { command: 'portfolio', description: 'Allocation and value charts' },
+    { command: 'wallets', description: 'Manage tracked wallets' },
+    { command: 'history', description: 'Portfolio change over time' },
+    { command: 'alert', description: 'Manage alerts' },
+    { command: 'digest', description: 'Daily or weekly digest' },
+    { command: 'export', description: 'Download portfolio and reports' },
+    { command: 'reset', description: 'Start a new conversation' },
+    { command: 'settings', description: 'Set your investment profile' },
+    { command: 'help', description: 'Show available commands' }
+];
+
+// Unknown commands share one rate limit bucket instead of adding a row each
+const KNOWN_COMMANDS = new Set(['start', ...COMMAND_MENU.map(c => c.command)]);
+
+// Register or refresh every user we hear from
+bot.use(async (ctx, next) => {
+    if (ctx.from) {
+        try {
+            await storage.users.upsert(ctx.from);
+        } catch (error) {
+            logger.warn('Failed to register user', { userId: ctx.from.id, error: error.message });
+        }
+    }
+    return next();
+});
+
+// Seed phrases, private keys and API keys never stay in the chat or reach
+// the AI: the message is deleted (possible in private chats) and the user
+// warned. Commands then work with the redacted text (see commandText).
+bot.use(async (ctx, next) => {
+    const text = ctx.message?.text ?? ctx.message?.caption;
+    const { findings, warning } = text ? guardInput(text) : { findings: [] };
+    if (findings.length) {
+        logger.warn('Secret detected in user message', {
+            userId: ctx.from?.id,
+            types: findings.map(f => f.type)
+        });
+        await ctx.deleteMessage().catch(() => {});
+        await ctx.reply(warning).catch(() => {});
+    }
+    return next();
+});
+
+// Token bucket per user and command; see rate-limiter.js for the rules
+bot.use(async (ctx, next) => {
+    const command = ctx.message?.text?.match(/^\/([a-z0-9_]+)(?:@\w+)?(?:\s|$)/i)?.[1].toLowerCase();
+    if (!command || !ctx.from) {
+        return next();
+    }
+
+    const { allowed, retryInMs } = await limiter.take(ctx.from.id, KNOWN_COMMANDS.has(command) ? command : 'default');
+    if (!allowed) {
+        logger.info('Command rate limited', { userId: ctx.from.id, command, retryInMs });
+        return ctx.reply(`You're sending /${command} too quickly. Please try again in ${formatWait(retryInMs)}.`);
+    }
+    return next();
+});
+
+/**
+ * Command arguments with secrets redacted; empty when the user sent nothing
+ * but secrets
+ * @private
+ */
+function commandText(ctx) {
+    return guardInput(ctx.payload.trim()).text;
+}
+
+bot.start(async (ctx) => {
+    const name = ctx.from.first_name || ctx.from.username || 'there';
+    const aiNote = analyzer ? '' : `\n\n${AI_DISABLED_MESSAGE}`;
+    await ctx.reply(`Welcome to AURA, ${name}!\n\nAI-assisted DeFi portfolio analysis across multiple chains.\n\n${HELP_TEXT}${aiNote}`);
+});
+
+bot.help(async (ctx) => {
+    const aiNote = analyzer ? '' : `\n\n${AI_DISABLED_MESSAGE}`;
+    await ctx.reply(`${HELP_TEXT}${aiNote}`);
+});
+
+bot.command('ask', aiCommand(async (ctx, quota) => {
+    if (!ctx.payload.trim()) {
+        return ctx.reply('Usage: /ask <question>\nExample: /ask How diversified is my portfolio?');
+    }
+    const query = commandText(ctx);
+    if (!query) return;
+    const portfolioData = await loadPortfolio(ctx.from.id);
+    if (!(await quota.use())) return;
+
+    // Follow-up questions see the earlier turns; without a user row the
+    // question is answered on its own
+    const user = await storage.users.findByTelegramId(ctx.from.id).catch(() => undefined);
+    const thread = user
+        ? await conversations.prepare(user.id, analyzer.summarizePortfolio(portfolioData))
+        : null;
+
+    // The model looks up holdings and strategies beyond the trimmed summary on demand
+    const tools = new PortfolioTools(portfolioData, {
+        loadStrategies: () => loadStrategies(portfolioData),
+        loadHistory: period => (user ? history.report(user.id, portfolioData.wallets.map(w => w.address), period) : { available: false, days: parsePeriod(period).days })
+    });
+
+    const answer = await streamReply(ctx, analyzer.streamPortfolioQuery(query, portfolioData, { thread, tools }), { logger, parseMode: PARSE_MODE });
+    if (!answer.complete) {
+        await quota.refund();
+    }
+    if (thread && answer.complete) {
+        await conversations.record(thread, query, answer.text).catch(error => {
+            logger.warn('Failed to save conversation turn', { userId: ctx.from.id, error: error.message });
+        });
+    }
+}));
+
+bot.command('reset', aiCommand(async (ctx) => {
+    const user = await storage.users.findByTelegramId(ctx.from.id);
+    const removed = user ? await conversations.reset(user.id) : 0;
+    await ctx.reply(removed
+        ? 'Conversation cleared. Your next /ask starts fresh.'
+        : 'There is no conversation to clear. Ask something with /ask.');
+}));
+
+bot.command('explain', aiCommand(async (ctx, quota) => {
+    if (!ctx.payload.trim()) {
+        return ctx.reply('Usage: /explain <concept>\nExample: /explain impermanent loss');
+    }
+    const concept = commandText(ctx);
+    if (!concept) return;
+    if (!(await quota.use())) return;
+    const answer = await streamReply(ctx, analyzer.streamConcept(concept), { logger, parseMode: PARSE_MODE });
+    if (!answer.complete) {
+        await quota.refund();
+    }
+}));
+
+bot.command('risk', aiCommand(async (ctx, quota) => {
+    const portfolioData = await loadPortfolio(ctx.from.id);
+    const strategies = await loadStrategies(portfolioData);
+    if (!(await quota.use())) return;
+    const report = await analyzer.analyzeRisk(portfolioData, strategies);
+    if (report.partial) {
+        // The computed score is still shown, but the narrative failed
+        await quota.refund();
+    }
+    await replyLong(ctx, formatRiskReport(report));
+    await replyWithChart(ctx, renderRiskChart(report), 'risk');
+
+    // Kept for /export
+    const user = await storage.users.findByTelegramId(ctx.from.id);
+    if (user) {
+        await storage.riskReports.save(user.id, report).catch(error => {
+            logger.warn('Risk report not saved', { userId: ctx.from.id, error: error.message });
+        });
+    }
+}));
+
+bot.command('compare', aiCommand(async (ctx, quota) => {
+    const preference = commandText(ctx);
+    const portfolioData = await loadPortfolio(ctx.from.id);
+    const strategies = await loadStrategies(portfolioData);
+    if (!(await quota.use())) return;
+    const answer = await analyzer.compareStrategies(strategies, portfolioData, preference);
+    await replyLong(ctx, answer);
+}));
+
+const WALLETS_USAGE = `Usage:
+/wallets - List your wallets
+/wallets add <address> [label]
+/wallets remove <address|label|number>
+/wallets rename <address|label|number> <new label>
+/wallets primary <address|label|number>`;
+
+bot.command('wallets', async (ctx) => {
+    const [action = 'list', ref, ...rest] = ctx.args;
+
+    try {
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        if (!user) {
+            return ctx.reply('Please send /start first.');
+        }
+
+        switch (action.toLowerCase()) {
+            case 'list':
+                return ctx.reply(formatWalletList(await wallets.list(user.id)));
+
+            case 'add': {
+                if (!ref) return ctx.reply(WALLETS_USAGE);
+                const wallet = await wallets.add(user.id, { address: ref, label: rest.join(' ') || null });
+                const notes = wallet.warnings.length ? `\nNote: ${wallet.warnings.join(' ')}` : '';
+                return ctx.reply(`Added ${shortAddress(wallet.address)} [${wallet.chain_family}]${wallet.is_primary ? ' as your primary wallet' : ''}.${notes}`);
+            }
+
+            case 'remove': {
+                if (!ref) return ctx.reply(WALLETS_USAGE);
+                const wallet = await wallets.remove(user.id, ref);
+                return ctx.reply(`Removed ${shortAddress(wallet.address)}.`);
+            }
+
+            case 'rename': {
+                if (!ref || !rest.length) return ctx.reply(WALLETS_USAGE);
+                const wallet = await wallets.rename(user.id, ref, rest.join(' '));
+                return ctx.reply(`Renamed ${shortAddress(wallet.address)} to "${wallet.label}".`);
+            }
+
+            case 'primary': {
+                if (!ref) return ctx.reply(WALLETS_USAGE);
+                const wallet = await wallets.setPrimary(user.id, ref);
+                return ctx.reply(`${shortAddress(wallet.address)} is now your primary wallet.`);
+            }
+
+            default:
+                return ctx.reply(WALLETS_USAGE);
+        }
+    } catch (error) {
+        logger.warn('Wallet command failed', { userId: ctx.from.id, action, error: error.message });
+        return ctx.reply(error.message);
+    }
+});
+
+bot.command('history', async (ctx) => {
+    try {
+        const { period } = parsePeriod(ctx.payload.trim().split(/\s+/)[0] || undefined);
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        if (!user) {
+            return ctx.reply('Unable to load your history right now. Please try again.');
+        }
+
+        await ctx.sendChatAction('typing');
+        // Loading the portfolio saves a fresh snapshot to compare against
+        const portfolioData = await loadPortfolio(ctx.from.id);
+        if (!portfolioData.wallets.length) {
+            return ctx.reply('You have no wallets yet.\nAdd one with /wallets add <address> [label]');
+        }
+
+        const addresses = portfolioData.wallets.map(w => w.address);
+        const report = await history.report(user.id, addresses, period);
+        await ctx.reply(formatHistory(report, { shortAddress }));
+        await replyWithChart(ctx, renderHistoryChart(await history.series(user.id, addresses, period)), `history-${period}`);
+    } catch (error) {
+        logger.warn('History command failed', { userId: ctx.from.id, error: error.message });
+        await ctx.reply(error.message);
+    }
+});
+
+// Period of the value line under /portfolio
+const PORTFOLIO_CHART_PERIOD = '30d';
+
+/**
+ * Photo caption for /portfolio (Telegram allows 1024 characters)
+ * @private
+ */
+function formatPortfolioCaption(summary, portfolioData) {
+    const total = summary.topTokens.reduce((sum, t) => sum + t.usd, 0);
+    const largest = summary.topTokens.slice(0, 3)
+        .map(t => `${t.symbol} on ${t.network} ${((t.usd / total) * 100).toFixed(1)}%`);
+    const lines = [
+        `Total value: ${formatUsd(summary.totalValueUSD)} across ${summary.topTokens.length} holdings on ${summary.networks.length} networks`,
+        `Largest: ${largest.join(', ')}`
+    ];
+    if (portfolioData.failedWallets?.length) {
+        lines.push(`Not included, could not be loaded: ${portfolioData.failedWallets.map(shortAddress).join(', ')}`);
+    }
+    lines.push('', 'More with /history, /risk and /export');
+    return lines.join('\n');
+}
+
+bot.command('portfolio', async (ctx) => {
+    try {
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        if (!user) {
+            return ctx.reply('Unable to load your portfolio right now. Please try again.');
+        }
+        const portfolioData = await loadPortfolio(ctx.from.id);
+        if (!portfolioData.wallets.length) {
+            return ctx.reply('You have no wallets yet.\nAdd one with /wallets add <address> [label]');
+        }
+
+        await ctx.sendChatAction('upload_photo');
+        const summary = summarizePortfolio(portfolioData, { maxTokens: Infinity });
+        const allocation = renderAllocationChart(summary);
+        if (!allocation) {
+            return ctx.reply('Your wallets hold no priced tokens to chart yet.');
+        }
+        await ctx.replyWithPhoto(
+            { source: allocation, filename: 'allocation.png' },
+            { caption: formatPortfolioCaption(summary, portfolioData) }
+        );
+
+        // The value line needs snapshots from earlier loads to draw
+        const series = await history.series(user.id, portfolioData.wallets.map(w => w.address), PORTFOLIO_CHART_PERIOD);
+        await replyWithChart(ctx, renderHistoryChart(series), `history-${series.period}`);
+    } catch (error) {
+        logger.warn('Portfolio command failed', { userId: ctx.from.id, error: error.message });
+        await ctx.reply(error.message);
+    }
+});
+
+/**
+ * Render the user's alerts and quiet hours
+ * @private
+ */
+function formatAlertList(alerts, user) {
+    if (!alerts.length) {
+        return `You have no alerts.\n\n${ALERT_USAGE}`;
+    }
+    const lines = alerts.map(a => `#${a.id} ${describeAlert(a)}${a.active ? '' : ' (paused)'}`);
+    const quiet = user.quiet_start !== null && user.quiet_start !== undefined
+        ? `\nQuiet hours: ${user.quiet_start}:00-${user.quiet_end}:00 ${user.timezone || 'UTC'}`
+        : '';
+    return `Your alerts (checked every ${ALERT_CHECK_MINUTES} minutes):\n${lines.join('\n')}${quiet}\n\nRemove one with /alert remove <id>`;
+}
+
+bot.command('alert', async (ctx) => {
+    const [action = 'list', ...args] = ctx.payload.trim().split(/\s+/).filter(Boolean);
+    try {
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        if (!user) {
+            return ctx.reply('Unable to load your alerts right now. Please try again.');
+        }
+        if (!ALERT_CHECK_MINUTES) {
+            return ctx.reply('Alerts are turned off on this bot.');
+        }
+        // Alerts paused because the user was unreachable resume once they write again
+        await storage.alerts.setUserActive(user.id, true);
+
+        switch (action.toLowerCase()) {
+            case 'list':
+                return ctx.reply(formatAlertList(await storage.alerts.listByUser(user.id), user));
+
+            case 'remove': {
+                const id = Number(String(args[0] || '').replace(/^#/, ''));
+                if (!id || !(await storage.alerts.delete(user.id, id))) {
+                    return ctx.reply(`You have no alert ${args[0] || ''}. See /alert for your alerts.`);
+                }
+                return ctx.reply(`Removed alert #${id}.`);
+            }
+
+            case 'quiet': {
+                const quiet = parseQuietHours(args);
+                await storage.users.updateSettings(user.id, quiet);
+                if (quiet.timezone) {
+                    await rescheduleDigest(user.id, quiet.timezone);
+                }
+                return ctx.reply(quiet.quietStart === null
+                    ? 'Quiet hours turned off.'
+                    : `Quiet hours set to ${quiet.quietStart}:00-${quiet.quietEnd}:00 ${quiet.timezone || user.timezone || 'UTC'}. Alerts that fire then are sent afterwards if still true.`);
+            }
+
+            default: {
+                const spec = parseAlert([action, ...args]);
+                const existing = await storage.alerts.listByUser(user.id);
+                if (existing.length >= MAX_ALERTS_PER_USER) {
+                    return ctx.reply(`You can have up to ${MAX_ALERTS_PER_USER} alerts. Remove one with /alert remove <id>.`);
+                }
+
+                const portfolio = await portfolioForUser(user.id);
+                if (!portfolio) {
+                    return ctx.reply('Add a wallet first with /wallets add <address> so there is something to watch.');
+                }
+                const value = currentValue(spec, portfolioMetrics(portfolio));
+                if (value === null && spec.symbol) {
+                    return ctx.reply(`${spec.symbol} is not priced in your tracked wallets, so it cannot be watched.`);
+                }
+
+                const alert = { ...spec, referenceValue: spec.type === 'move' ? value : null, cooldownMinutes: DEFAULT_COOLDOWN_MINUTES };
+                const id = await storage.alerts.insert(user.id, alert);
+                return ctx.reply(`Alert #${id} set: ${describeAlert({ ...spec, reference_value: alert.referenceValue })}.`);
+            }
+        }
+    } catch (error) {
+        logger.warn('Alert command failed', { userId: ctx.from.id, action, error: error.message });
+        return ctx.reply(error.message);
+    }
+});
+
+bot.command('digest', async (ctx) => {
+    const [action = '', ...args] = ctx.payload.trim().split(/\s+/).filter(Boolean);
+    try {
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        if (!user) {
+            return ctx.reply('Unable to load your digest settings right now. Please try again.');
+        }
+        const current = await storage.digests.get(user.id);
+
+        switch (action.toLowerCase()) {
+            case '':
+                return ctx.reply(current
+                    ? `${describeDigest(current, user.timezone)}.\nNext one: ${formatDeliveryTime(current.next_run_at, user.timezone)}\n\n${DIGEST_USAGE}`
+                    : `You are not subscribed to a digest.\n\n${DIGEST_USAGE}`);
+
+            case 'off':
+                return ctx.reply(await storage.digests.delete(user.id)
+                    ? 'Digest turned off.'
+                    : 'You are not subscribed to a digest.');
+
+            case 'sections': {
+                if (!current) {
+                    return ctx.reply('Subscribe first with /digest daily or /digest weekly.');
+                }
+                const sections = parseSections(args);
+                await storage.digests.save(user.id, {
+                    frequency: current.frequency,
+                    hour: current.send_hour,
+                    weekday: current.send_weekday,
+                    sections,
+                    nextRunAt: current.next_run_at
+                });
+                return ctx.reply(`${describeDigest({ ...current, sections }, user.timezone)}.`);
+            }
+
+            default: {
+                const schedule = parseSchedule([action, ...args]);
+                const timezone = schedule.timezone || user.timezone || 'UTC';
+                if (schedule.timezone) {
+                    await storage.users.updateSettings(user.id, { timezone });
+                }
+                const sections = current ? current.sections : SECTIONS;
+                const nextRunAt = nextDeliveryTime({ ...schedule, timezone });
+                await storage.digests.save(user.id, { ...schedule, sections, nextRunAt });
+
+                const digest = { frequency: schedule.frequency, send_hour: schedule.hour, send_weekday: schedule.weekday, sections };
+                const note = analyzer ? '' : '\nAI is turned off on this bot, so digests include the value section only.';
+                return ctx.reply(`${describeDigest(digest, timezone)}.\nThe first one arrives ${formatDeliveryTime(nextRunAt, timezone)}.${note}`);
+            }
+        }
+    } catch (error) {
+        logger.warn('Digest command failed', { userId: ctx.from.id, action, error: error.message });
+        return ctx.reply(error.message);
+    }
+});
+
+const EXPORT_CAPTIONS = {
+    csv: 'Holdings by network',
+    json: 'Portfolio data and your last risk report',
+    pdf: 'Portfolio report'
+};
+
+bot.command('export', async (ctx) => {
+    // Only usage errors are shown as they are; anything else gets the generic reply
+    let formats;
+    try {
+        formats = parseFormats(ctx.payload);
+    } catch (error) {
+        return ctx.reply(error.message);
+    }
+
+    try {
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        if (!user) {
+            return ctx.reply('Unable to load your data right now. Please try again.');
+        }
+        const portfolioData = await loadPortfolio(ctx.from.id);
+        if (!portfolioData.wallets.length) {
+            return ctx.reply('Add a wallet first with /wallets add <address> to export your portfolio.');
+        }
+
+        await ctx.sendChatAction('upload_document');
+        const saved = await storage.riskReports.latest(user.id);
+        const lastAnswer = conversations ? await conversations.lastExchange(user.id) : null;
+        const files = buildExports(formats, {
+            portfolioData,
+            riskReport: saved?.report,
+            riskReportAt: saved?.created_at,
+            lastAnswer,
+            generatedAt: new Date()
+        });
+
+        for (const file of files) {
+            await ctx.replyWithDocument({ source: file.content, filename: file.filename }, { caption: EXPORT_CAPTIONS[file.format] });
+        }
+        logger.info('Export sent', { userId: ctx.from.id, formats, bytes: files.reduce((sum, f) => sum + f.content.length, 0) });
+
+        if (portfolioData.failedWallets?.length) {
+            await ctx.reply(`Not included, could not be loaded: ${portfolioData.failedWallets.map(shortAddress).join(', ')}`);
+        }
+    } catch (error) {
+        logger.warn('Export failed', { userId: ctx.from.id, formats, error: error.message });
+        return ctx.reply('Unable to export your portfolio right now. Please try again.');
+    }
+});
+
+bot.command('settings', async (ctx) => {
+    try {
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        if (!user) {
+            return ctx.reply('Unable to load your settings right now. Please try again.');
+        }
+        const profile = profileFromUser(user);
+        await ctx.reply(formatSettings(profile), settingsKeyboard(profile));
+    } catch (error) {
+        logger.warn('Settings command failed', { userId: ctx.from.id, error: error.message });
+        await ctx.reply('Unable to load your settings right now. Please try again.');
+    }
+});
+
+bot.action(/^settings:(\w+)(?::(.+))?$/, async (ctx) => {
+    const [, field, value] = ctx.match;
+    try {
+        if (field === 'done') {
+            await ctx.answerCbQuery('Saved');
+            return ctx.editMessageReplyMarkup(undefined);
+        }
+
+        const user = await storage.users.findByTelegramId(ctx.from.id);
+        const profile = profileFromUser(user);
+        const changes = user && applySetting(profile, field, value);
+        if (!changes) {
+            return ctx.answerCbQuery('That option is no longer available.');
+        }
+
+        await storage.users.updateSettings(user.id, changes);
+        const updated = { ...profile, ...changes };
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(formatSettings(updated), settingsKeyboard(updated));
+    } catch (error) {
+        logger.warn('Settings update failed', { userId: ctx.from.id, field, error: error.message });
+        await ctx.answerCbQuery('Could not save that setting. Please try again.').catch(() => {});
+    }
+});
+
+bot.catch((error, ctx) => {
+    logger.error('Unhandled bot error', {
+        updateType: ctx.updateType,
+        error: error.message,
+        stack: error.stack?.split('\n')[0]
+    });
+});
+
+let server = null;
+let scheduler = null;
+
+/**
+ * Snapshot every tracked wallet for /history and drop expired snapshots.
+ * Wallets are fetched one at a time to stay within AURA's rate limits.
+ * @private
+ */
+async function snapshotAllWallets() {
+    const all = await storage.wallets.listAll();
+    let saved = 0;
+    for (const w of all) {
+        try {
+            const portfolio = filterPortfolioByChainFamily(await aura.getPortfolio(w.address), w.chain_family);
+            if (await history.record(w.user_id, w.address, portfolio)) saved++;
+        } catch (error) {
+            logger.warn('Scheduled snapshot failed', { userId: w.user_id, address: w.address, error: error.message });
+        }
+    }
+    const pruned = await history.prune();
+    logger.info('Portfolio snapshots taken', { wallets: all.length, saved, pruned });
+}
+
+async function launch() {
+    // Checked before anything starts, so a bad WEBHOOK_SECRET fails fast
+    const webhook = USE_WEBHOOK ? webhookSecrets(BOT_TOKEN, process.env.WEBHOOK_SECRET) : null;
+    await init();
+    logger.info('Starting AURA bot', { aiEnabled: !!analyzer, mode: USE_WEBHOOK ? 'webhook' : 'polling' });
+
+    await bot.telegram.setMyCommands(COMMAND_MENU).catch(error => logger.warn('Failed to register command list', { error: error.message }));
+
+    // Background jobs keep their schedule in the database across restarts
+    scheduler = new Scheduler({ store: storage.jobs, logger });
+    if (SNAPSHOT_INTERVAL_HOURS > 0) {
+        scheduler.register('portfolio-snapshots', { interval: SNAPSHOT_INTERVAL_HOURS * 60 * 60 * 1000, run: snapshotAllWallets });
+    }
+    if (ALERT_CHECK_MINUTES > 0) {
+        scheduler.register('alerts', { interval: ALERT_CHECK_MINUTES * 60 * 1000, run: () => alertService.run() });
+    }
+    scheduler.register('digests', { interval: DIGEST_CHECK_INTERVAL, run: () => digestService.run() });
+    scheduler.start();
+
+    // Health endpoints are served in both modes whenever a port is configured
+    if (PORT) {
+        const app = createServer({ bot, checkDatabase: () => storage.ping(), analyzer, webhook, cache, logger });
+        server = await startServer(app, PORT);
+        logger.info('HTTP server listening', { port: PORT, webhook: !!webhook });
+    }
+
+    if (webhook) {
+        await bot.telegram.setWebhook(`${process.env.WEBHOOK_URL}${webhook.path}`, {
+            secret_token: webhook.secretToken,
+            drop_pending_updates: false
+        });
+        logger.info('Webhook registered', { url: process.env.WEBHOOK_URL });
+        return;
+    }
+
+    logger.info('No webhook domain configured, using long polling');
+    // launch() removes any previously registered webhook before polling
+    await bot.launch();
+}
+
+function shutdown(signal) {
+    logger.info(`Received ${signal}, shutting down`);
+    if (scheduler) {
+        scheduler.stop();
+    }
+    if (!USE_WEBHOOK) {
+        bot.stop(signal);
+    }
+    if (server) {
+        server.close();
+    }
+    if (storage) {
+        storage.close().catch(error => logger.warn('Storage close failed', { error: error.message }));
+    }
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+launch().catch(error => {
+    logger.error('Bot launch failed', { error: error.message });
+    process.exit(1);
+});
+
+module.exports = { bot };
@@ -0,0 +1,276 @@
+/**
+ * Read-through Cache
+ *
+ * Two-tier cache for API responses and AI answers: an in-memory LRU in front
+ * of the `api_cache` table created by migrate.js (via storage.cache).
+ *
+ * Each namespace has a TTL (how long an entry is fresh) and a stale window
+ * (how long an expired entry may still be served while it is refreshed in
+ * the background). `expires_at` holds the end of the stale window as a UTC
+ * SQLite DATETIME ("YYYY-MM-DD HH:MM:SS") so it compares directly against
+ * datetime('now').
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_NAMESPACES = {
+    portfolio: { ttl: 5 * MINUTE, stale: 30 * MINUTE },
+    strategies: { ttl: 30 * MINUTE, stale: 2 * HOUR },
+    explain: { ttl: 7 * 24 * HOUR, stale: 0 },
+    default: { ttl: 5 * MINUTE, stale: 0 }
+};
+
+/**
+ * Format a timestamp the way SQLite's CURRENT_TIMESTAMP/datetime() do
+ *
+ * @param {number} ms - Milliseconds since epoch
+ * @returns {string} UTC "YYYY-MM-DD HH:MM:SS"
+ */
+function toSqlDatetime(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parse a SQLite UTC DATETIME back to milliseconds
+ *
+ * @param {string} value - "YYYY-MM-DD HH:MM:SS"
+ * @returns {number}
+ */
+function fromSqlDatetime(value) {
+    return Date.parse(`${String(value).replace(' ', 'T')}Z`);
+}
+
+class Cache {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Cache repository (storage.cache); memory-only when omitted
+     * @param {Object} [options.namespaces] - Per-namespace { ttl, stale } overrides in ms
+     * @param {number} [options.maxEntries=500] - In-memory LRU capacity
+     * @param {Object} [options.logger]
+     */
+    constructor({ store = null, namespaces = {}, maxEntries = 500, logger = console } = {}) {
+        this.store = store;
+        this.logger = logger;
+        this.maxEntries = maxEntries;
+        this.namespaces = { ...DEFAULT_NAMESPACES, ...namespaces };
+
+        this.memory = new Map();
+        this.inflight = new Map();
+        this.counters = {
+            memoryHits: 0,
+            dbHits: 0,
+            misses: 0,
+            staleServed: 0,
+            loads: 0,
+            loadErrors: 0
+        };
+    }
+
+    /**
+     * Return the cached value for a key, loading and storing it on a miss.
+     * Stale entries are returned immediately while a refresh runs in the
+     * background. Concurrent calls for the same key share one load.
+     *
+     * @param {string} namespace - Cache namespace (selects the TTL)
+     * @param {string} key - Key within the namespace
+     * @param {Function} loader - Async function producing the value
+     * @returns {Promise<*>}
+     */
+    async wrap(namespace, key, loader) {
+        const cacheKey = this._key(namespace, key);
+        const entry = await this._lookup(cacheKey);
+        const now = Date.now();
+
+        if (entry && entry.freshUntil > now) {
+            return entry.value;
+        }
+
+        if (entry && entry.expiresAt > now) {
+            this.counters.staleServed++;
+            this._load(namespace, cacheKey, loader).catch(error => {
+                this.logger.warn('Background cache refresh failed', { cacheKey, error: error.message });
+            });
+            return entry.value;
+        }
+
+        this.counters.misses++;
+        return this._load(namespace, cacheKey, loader);
+    }
+
+    /**
+     * Read a value without loading; stale entries count as present
+     *
+     * @param {string} namespace
+     * @param {string} key
+     * @returns {Promise<*|undefined>}
+     */
+    async get(namespace, key) {
+        const entry = await this._lookup(this._key(namespace, key));
+        return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+    }
+
+    /**
+     * Store a value using the namespace TTL
+     *
+     * @param {string} namespace
+     * @param {string} key
+     * @param {*} value - Any JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async set(namespace, key, value) {
+        const { ttl, stale } = this._policy(namespace);
+        const now = Date.now();
+        const entry = { value, freshUntil: now + ttl, expiresAt: now + ttl + stale };
+        const cacheKey = this._key(namespace, key);
+
+        this._remember(cacheKey, entry);
+        await this._persist('set', cacheKey, JSON.stringify({ value, freshUntil: entry.freshUntil }), toSqlDatetime(entry.expiresAt));
+    }
+
+    /**
+     * Remove a key from both tiers
+     *
+     * @param {string} namespace
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(namespace, key) {
+        const cacheKey = this._key(namespace, key);
+        this.memory.delete(cacheKey);
+        await this._persist('delete', cacheKey);
+    }
+
+    /**
+     * Hit/miss counters and current memory usage
+     *
+     * @returns {Object}
+     */
+    stats() {
+        const { memoryHits, dbHits, misses } = this.counters;
+        const lookups = memoryHits + dbHits + misses;
+        return {
+            ...this.counters,
+            hitRate: lookups ? (memoryHits + dbHits) / lookups : 0,
+            memoryEntries: this.memory.size,
+            inflight: this.inflight.size
+        };
+    }
+
+    /**
+     * Run the loader once per key, store the result and share the promise
+     * with concurrent callers
+     * @private
+     */
+    _load(namespace, cacheKey, loader) {
+        if (this.inflight.has(cacheKey)) {
+            return this.inflight.get(cacheKey);
+        }
+
+        const key = cacheKey.slice(namespace.length + 1);
+        const promise = (async () => {
+            this.counters.loads++;
+            try {
+                const value = await loader();
+                await this.set(namespace, key, value);
+                return value;
+            } catch (error) {
+                this.counters.loadErrors++;
+                throw error;
+            } finally {
+                this.inflight.delete(cacheKey);
+            }
+        })();
+
+        this.inflight.set(cacheKey, promise);
+        return promise;
+    }
+
+    /**
+     * Memory first, then storage (promoting the row into memory)
+     * @private
+     */
+    async _lookup(cacheKey) {
+        const cached = this.memory.get(cacheKey);
+        if (cached) {
+            if (cached.expiresAt > Date.now()) {
+                // Refresh LRU position
+                this.memory.delete(cacheKey);
+                this.memory.set(cacheKey, cached);
+                this.counters.memoryHits++;
+                return cached;
+            }
+            this.memory.delete(cacheKey);
+        }
+
+        const row = await this._fetch(cacheKey);
+        if (!row) {
+            return null;
+        }
+
+        try {
+            const { value, freshUntil } = JSON.parse(row.cache_data);
+            const entry = { value, freshUntil, expiresAt: fromSqlDatetime(row.expires_at) };
+            this._remember(cacheKey, entry);
+            this.counters.dbHits++;
+            return entry;
+        } catch (error) {
+            this.logger.warn('Discarding unreadable cache row', { cacheKey, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _remember(cacheKey, entry) {
+        this.memory.delete(cacheKey);
+        this.memory.set(cacheKey, entry);
+        while (this.memory.size > this.maxEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _policy(namespace) {
+        return this.namespaces[namespace] || this.namespaces.default;
+    }
+
+    /**
+     * @private
+     */
+    _key(namespace, key) {
+        return `${namespace}:${key}`;
+    }
+
+    /**
+     * Database reads degrade to a miss when storage is unavailable
+     * @private
+     */
+    async _fetch(cacheKey) {
+        if (!this.store) return null;
+        try {
+            return (await this.store.get(cacheKey)) || null;
+        } catch (error) {
+            this.logger.warn('Cache read failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Database writes are best effort; the memory tier still works
+     * @private
+     */
+    async _persist(method, ...args) {
+        if (!this.store) return;
+        try {
+            await this.store[method](...args);
+        } catch (error) {
+            this.logger.warn('Cache write failed', { error: error.message });
+        }
+    }
+}
+
+module.exports = { Cache, toSqlDatetime, fromSqlDatetime, DEFAULT_NAMESPACES };
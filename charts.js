@@ -0,0 +1,532 @@
+/**
+ * Charts
+ *
+ * PNG charts for chat replies, drawn in-process like the PDF exports
+ * (pdf-document.js) so no rendering service, canvas library or font files
+ * are needed:
+ *
+ *   renderAllocationChart  Donuts of value by token and by network
+ *   renderRiskChart        Points per analyzeRisk score component
+ *   renderHistoryChart     Total value over a PortfolioHistory.series() period
+ *
+ * Text uses a built-in 5x7 pixel font in upper case; characters it does
+ * not have are drawn as "?". Drawing uses no randomness or system fonts,
+ * so the same input gives the same pixels, and the same PNG bytes for a
+ * given zlib version, which keeps snapshot tests stable.
+ *
+ * Usage:
+ *   const png = renderAllocationChart(summarizePortfolio(portfolioData, { maxTokens: Infinity }));
+ *   if (png) await ctx.replyWithPhoto({ source: png, filename: 'allocation.png' });
+ */
+
+const zlib = require('zlib');
+const { formatUsd } = require('./portfolio-history');
+
+// Slices per donut, the smallest ones grouped as "Other" beyond that
+const MAX_SLICES = 8;
+const LABEL_CHARS = 8;
+
+const WHITE = [255, 255, 255];
+const TEXT = [51, 51, 51];
+const MUTED = [119, 119, 119];
+const GRID = [230, 230, 230];
+const TRACK = [238, 238, 238];
+const OTHER = [186, 176, 172];
+// Tableau 10, which stays distinguishable for most color vision deficiencies
+const PALETTE = [
+    [78, 121, 167], [242, 142, 43], [225, 87, 89], [118, 183, 178],
+    [89, 161, 79], [237, 201, 72], [176, 122, 161], [255, 157, 167], [156, 117, 95]
+];
+const LOW = [89, 161, 79];
+const MEDIUM = [237, 161, 43];
+const HIGH = [225, 87, 89];
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// 5x7 glyphs, one string of five pixels per row
+const FONT = {
+    ' ': '00000 00000 00000 00000 00000 00000 00000',
+    '!': '00100 00100 00100 00100 00100 00000 00100',
+    '"': '01010 01010 01010 00000 00000 00000 00000',
+    '#': '01010 01010 11111 01010 11111 01010 01010',
+    '$': '00100 01111 10100 01110 00101 11110 00100',
+    '%': '11000 11001 00010 00100 01000 10011 00011',
+    '&': '01100 10010 10100 01000 10101 10010 01101',
+    '\'': '00100 00100 01000 00000 00000 00000 00000',
+    '(': '00010 00100 01000 01000 01000 00100 00010',
+    ')': '01000 00100 00010 00010 00010 00100 01000',
+    '*': '00000 00100 10101 01110 10101 00100 00000',
+    '+': '00000 00100 00100 11111 00100 00100 00000',
+    ',': '00000 00000 00000 00000 01100 00100 01000',
+    '-': '00000 00000 00000 11111 00000 00000 00000',
+    '.': '00000 00000 00000 00000 00000 01100 01100',
+    '/': '00000 00001 00010 00100 01000 10000 00000',
+    '0': '01110 10001 10011 10101 11001 10001 01110',
+    '1': '00100 01100 00100 00100 00100 00100 01110',
+    '2': '01110 10001 00001 00010 00100 01000 11111',
+    '3': '11111 00010 00100 00010 00001 10001 01110',
+    '4': '00010 00110 01010 10010 11111 00010 00010',
+    '5': '11111 10000 11110 00001 00001 10001 01110',
+    '6': '00110 01000 10000 11110 10001 10001 01110',
+    '7': '11111 00001 00010 00100 01000 01000 01000',
+    '8': '01110 10001 10001 01110 10001 10001 01110',
+    '9': '01110 10001 10001 01111 00001 00010 01100',
+    ':': '00000 01100 01100 00000 01100 01100 00000',
+    ';': '00000 01100 01100 00000 01100 00100 01000',
+    '<': '00010 00100 01000 10000 01000 00100 00010',
+    '=': '00000 00000 11111 00000 11111 00000 00000',
+    '>': '01000 00100 00010 00001 00010 00100 01000',
+    '?': '01110 10001 00001 00010 00100 00000 00100',
+    '@': '01110 10001 00001 01101 10101 10101 01110',
+    'A': '01110 10001 10001 11111 10001 10001 10001',
+    'B': '11110 10001 10001 11110 10001 10001 11110',
+    'C': '01110 10001 10000 10000 10000 10001 01110',
+    'D': '11100 10010 10001 10001 10001 10010 11100',
+    'E': '11111 10000 10000 11110 10000 10000 11111',
+    'F': '11111 10000 10000 11110 10000 10000 10000',
+    'G': '01110 10001 10000 10111 10001 10001 01111',
+    'H': '10001 10001 10001 11111 10001 10001 10001',
+    'I': '01110 00100 00100 00100 00100 00100 01110',
+    'J': '00111 00010 00010 00010 00010 10010 01100',
+    'K': '10001 10010 10100 11000 10100 10010 10001',
+    'L': '10000 10000 10000 10000 10000 10000 11111',
+    'M': '10001 11011 10101 10101 10001 10001 10001',
+    'N': '10001 10001 11001 10101 10011 10001 10001',
+    'O': '01110 10001 10001 10001 10001 10001 01110',
+    'P': '11110 10001 10001 11110 10000 10000 10000',
+    'Q': '01110 10001 10001 10001 10101 10010 01101',
+    'R': '11110 10001 10001 11110 10100 10010 10001',
+    'S': '01111 10000 10000 01110 00001 00001 11110',
+    'T': '11111 00100 00100 00100 00100 00100 00100',
+    'U': '10001 10001 10001 10001 10001 10001 01110',
+    'V': '10001 10001 10001 10001 10001 01010 00100',
+    'W': '10001 10001 10001 10101 10101 10101 01010',
+    'X': '10001 10001 01010 00100 01010 10001 10001',
+    'Y': '10001 10001 10001 01010 00100 00100 00100',
+    'Z': '11111 00001 00010 00100 01000 10000 11111',
+    '[': '01110 01000 01000 01000 01000 01000 01110',
+    '\\': '00000 10000 01000 00100 00010 00001 00000',
+    ']': '01110 00010 00010 00010 00010 00010 01110',
+    '_': '00000 00000 00000 00000 00000 00000 11111',
+    '|': '00100 00100 00100 00100 00100 00100 00100'
+};
+const GLYPHS = new Map(Object.entries(FONT).map(([char, rows]) => [char, rows.split(' ')]));
+const GLYPH_WIDTH = 5;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * @private
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @private
+ */
+function pngChunk(type, data) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, 'ascii');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+    return Buffer.concat([head, data, crc]);
+}
+
+/**
+ * @private
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * RGB raster with the drawing operations the charts need. Shapes are
+ * anti-aliased by pixel coverage; text is not.
+ * @private
+ */
+class Canvas {
+    constructor(width, height, background = WHITE) {
+        this.width = width;
+        this.height = height;
+        this.data = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    /**
+     * Mix a color into one pixel; alpha is the share of the new color
+     */
+    blend(x, y, color, alpha = 1) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height || alpha <= 0) return;
+        const i = (y * this.width + x) * 3;
+        for (let c = 0; c < 3; c++) {
+            this.data[i + c] = Math.round(this.data[i + c] + (color[c] - this.data[i + c]) * Math.min(alpha, 1));
+        }
+    }
+
+    fillRect(x, y, width, height, color, alpha = 1) {
+        const x0 = clamp(Math.round(x), 0, this.width);
+        const y0 = clamp(Math.round(y), 0, this.height);
+        const x1 = clamp(Math.round(x + width), 0, this.width);
+        const y1 = clamp(Math.round(y + height), 0, this.height);
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) {
+                this.blend(px, py, color, alpha);
+            }
+        }
+    }
+
+    /**
+     * Straight line with round ends
+     */
+    line(x0, y0, x1, y1, color, width = 2) {
+        const r = width / 2;
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const length2 = dx * dx + dy * dy;
+        for (let py = Math.floor(Math.min(y0, y1) - r - 1); py <= Math.ceil(Math.max(y0, y1) + r + 1); py++) {
+            for (let px = Math.floor(Math.min(x0, x1) - r - 1); px <= Math.ceil(Math.max(x0, x1) + r + 1); px++) {
+                const cx = px + 0.5;
+                const cy = py + 0.5;
+                // Distance from the pixel center to the segment
+                const t = length2 ? clamp(((cx - x0) * dx + (cy - y0) * dy) / length2, 0, 1) : 0;
+                const distance = Math.hypot(cx - (x0 + t * dx), cy - (y0 + t * dy));
+                this.blend(px, py, color, clamp(r + 0.5 - distance, 0, 1));
+            }
+        }
+    }
+
+    /**
+     * Polyline through points sorted by x
+     */
+    polyline(points, color, width = 2) {
+        for (let i = 1; i < points.length; i++) {
+            this.line(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y, color, width);
+        }
+    }
+
+    /**
+     * Fill between a polyline (points sorted by x) and a baseline below it
+     */
+    fillBelow(points, baseline, color, alpha) {
+        let segment = 0;
+        for (let px = Math.ceil(points[0].x); px <= Math.floor(points[points.length - 1].x); px++) {
+            while (segment < points.length - 2 && points[segment + 1].x < px) segment++;
+            const a = points[segment];
+            const b = points[segment + 1];
+            const y = b.x === a.x ? a.y : a.y + ((px - a.x) / (b.x - a.x)) * (b.y - a.y);
+            for (let py = Math.ceil(y); py < baseline; py++) {
+                this.blend(px, py, color, alpha);
+            }
+        }
+    }
+
+    /**
+     * Ring split into slices clockwise from 12 o'clock, with 4x4 samples
+     * per pixel for smooth edges. An inner radius of 0 draws a pie.
+     *
+     * @param {Array<{value: number, color: number[]}>} slices
+     */
+    donut(cx, cy, outer, inner, slices) {
+        const total = slices.reduce((sum, s) => sum + s.value, 0);
+        let acc = 0;
+        const ends = slices.map(s => (acc += s.value / total));
+        for (let py = Math.floor(cy - outer); py <= Math.ceil(cy + outer); py++) {
+            for (let px = Math.floor(cx - outer); px <= Math.ceil(cx + outer); px++) {
+                const sum = [0, 0, 0];
+                let hits = 0;
+                for (let sy = 0; sy < 4; sy++) {
+                    for (let sx = 0; sx < 4; sx++) {
+                        const dx = px + (sx + 0.5) / 4 - cx;
+                        const dy = py + (sy + 0.5) / 4 - cy;
+                        const distance = Math.hypot(dx, dy);
+                        if (distance > outer || distance < inner) continue;
+                        const turn = (Math.atan2(dx, -dy) / (2 * Math.PI) + 1) % 1;
+                        const index = ends.findIndex(end => turn < end);
+                        const color = slices[index === -1 ? slices.length - 1 : index].color;
+                        for (let c = 0; c < 3; c++) sum[c] += color[c];
+                        hits++;
+                    }
+                }
+                if (hits) {
+                    this.blend(px, py, sum.map(v => v / hits), hits / 16);
+                }
+            }
+        }
+        // Separate the slices
+        if (slices.length > 1) {
+            for (const end of [0, ...ends.slice(0, -1)]) {
+                const angle = end * 2 * Math.PI;
+                const sin = Math.sin(angle);
+                const cos = -Math.cos(angle);
+                this.line(cx + sin * inner, cy + cos * inner, cx + sin * (outer + 1), cy + cos * (outer + 1), WHITE, 2);
+            }
+        }
+    }
+
+    /**
+     * Draw text in the pixel font with its top-left corner at (x, y)
+     *
+     * @param {Object} [options]
+     * @param {number} [options.scale=2] - Pixels per font pixel
+     * @param {string} [options.align='left'] - 'left', 'center' or 'right' of x
+     */
+    text(x, y, text, color, { scale = 2, align = 'left' } = {}) {
+        const chars = Array.from(String(text).toUpperCase());
+        const width = measureText(text, scale);
+        let left = Math.round(align === 'right' ? x - width : align === 'center' ? x - width / 2 : x);
+        for (const char of chars) {
+            const glyph = GLYPHS.get(char) || GLYPHS.get('?');
+            glyph.forEach((row, gy) => {
+                for (let gx = 0; gx < GLYPH_WIDTH; gx++) {
+                    if (row[gx] === '1') {
+                        this.fillRect(left + gx * scale, y + gy * scale, scale, scale, color);
+                    }
+                }
+            });
+            left += (GLYPH_WIDTH + 1) * scale;
+        }
+    }
+
+    /**
+     * Encode as an 8-bit RGB PNG
+     *
+     * @returns {Buffer}
+     */
+    toPng() {
+        const stride = this.width * 3;
+        const raw = Buffer.alloc((stride + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            // Filter type 0 (none) per row
+            this.data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+        }
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header.set([8, 2, 0, 0, 0], 8);
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+/**
+ * Width of text in the pixel font
+ * @private
+ */
+function measureText(text, scale = 2) {
+    const length = Array.from(String(text)).length;
+    return length ? length * (GLYPH_WIDTH + 1) * scale - scale : 0;
+}
+
+/**
+ * @private
+ */
+function truncate(text, chars) {
+    const value = String(text);
+    return Array.from(value).length > chars ? `${Array.from(value).slice(0, chars - 1).join('')}.` : value;
+}
+
+/**
+ * Compact amount for axis labels, such as "$12.3K"
+ * @private
+ */
+function formatCompactUsd(value) {
+    const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    for (const [size, suffix] of units) {
+        if (Math.abs(value) >= size) {
+            const scaled = value / size;
+            return `$${scaled.toFixed(Math.abs(scaled) >= 100 ? 0 : 1)}${suffix}`;
+        }
+    }
+    return `$${value.toFixed(2).replace(/\.00$/, '')}`;
+}
+
+/**
+ * Values summed per key, largest first, with everything past the
+ * MAX_SLICES - 1 largest grouped as "Other"
+ * @private
+ */
+function groupValues(items, key) {
+    const totals = new Map();
+    items.forEach(item => totals.set(item[key], (totals.get(item[key]) || 0) + item.usd));
+    const sorted = Array.from(totals, ([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value || String(a.label).localeCompare(String(b.label)));
+    const slices = sorted.length > MAX_SLICES ? sorted.slice(0, MAX_SLICES - 1) : sorted;
+    const colored = slices.map((s, i) => ({ ...s, color: PALETTE[i % PALETTE.length] }));
+    if (sorted.length > slices.length) {
+        colored.push({
+            label: 'Other',
+            value: sorted.slice(slices.length).reduce((sum, s) => sum + s.value, 0),
+            color: OTHER
+        });
+    }
+    return colored;
+}
+
+/**
+ * Donut with its legend in a 440x310 panel
+ * @private
+ */
+function drawAllocationPanel(canvas, left, top, title, slices) {
+    const total = slices.reduce((sum, s) => sum + s.value, 0);
+    canvas.text(left + 24, top, title, MUTED);
+    canvas.donut(left + 116, top + 160, 92, 56, slices);
+
+    const rowHeight = 28;
+    let y = Math.round(top + 160 - (slices.length * rowHeight) / 2 + 7);
+    for (const slice of slices) {
+        canvas.fillRect(left + 226, y, 14, 14, slice.color);
+        canvas.text(left + 248, y, truncate(slice.label, LABEL_CHARS), TEXT);
+        canvas.text(left + 428, y, `${((slice.value / total) * 100).toFixed(1)}%`, TEXT, { align: 'right' });
+        y += rowHeight;
+    }
+}
+
+/**
+ * Allocation by token and by network, as two donuts
+ *
+ * @param {Object} summary - summarizePortfolio() result; pass
+ *   { maxTokens: Infinity } so small holdings count towards "Other"
+ * @returns {Buffer|null} PNG, or null when nothing is priced
+ */
+function renderAllocationChart(summary) {
+    const tokens = (summary?.topTokens || []).filter(t => t.usd > 0);
+    const total = tokens.reduce((sum, t) => sum + t.usd, 0);
+    if (!tokens.length || !(total > 0)) {
+        return null;
+    }
+
+    const canvas = new Canvas(880, 400);
+    canvas.text(24, 24, 'Portfolio allocation', TEXT, { scale: 3 });
+    canvas.text(856, 24, formatUsd(total), TEXT, { scale: 3, align: 'right' });
+    canvas.fillRect(24, 60, 832, 1, GRID);
+    drawAllocationPanel(canvas, 0, 80, 'By token', groupValues(tokens, 'symbol'));
+    drawAllocationPanel(canvas, 440, 80, 'By network', groupValues(tokens, 'network'));
+    return canvas.toPng();
+}
+
+/**
+ * @private
+ */
+function severityColor(ratio) {
+    if (ratio < 1 / 3) return LOW;
+    return ratio < 2 / 3 ? MEDIUM : HIGH;
+}
+
+/**
+ * Horizontal bars of the points each component adds to the risk score
+ *
+ * @param {Object} report - analyzeRisk result (riskScore, riskLevel, scoreBreakdown)
+ * @returns {Buffer|null} PNG, or null without a score breakdown
+ */
+function renderRiskChart(report) {
+    const components = Array.isArray(report?.scoreBreakdown)
+        ? report.scoreBreakdown.filter(c => Number(c.max) > 0)
+        : [];
+    if (!components.length) {
+        return null;
+    }
+
+    const rowHeight = 40;
+    const canvas = new Canvas(800, 108 + components.length * rowHeight);
+    const score = Number(report.riskScore);
+    canvas.text(24, 24, `Risk score ${Number.isFinite(score) ? score : 'n/a'}/100`, TEXT, { scale: 3 });
+    canvas.text(776, 24, report.riskLevel || 'Unknown', Number.isFinite(score) ? severityColor(score / 100) : MUTED, { scale: 3, align: 'right' });
+    canvas.fillRect(24, 60, 752, 1, GRID);
+
+    const trackLeft = 290;
+    const trackWidth = 360;
+    components.forEach((c, i) => {
+        const y = 84 + i * rowHeight;
+        const ratio = clamp(Number(c.points) / Number(c.max), 0, 1) || 0;
+        canvas.text(24, y + 4, truncate(c.label || c.name, 20), TEXT);
+        canvas.fillRect(trackLeft, y, trackWidth, 22, TRACK);
+        canvas.fillRect(trackLeft, y, Math.round(trackWidth * ratio), 22, severityColor(ratio));
+        canvas.text(776, y + 4, `${c.points}/${c.max}`, MUTED, { align: 'right' });
+    });
+    return canvas.toPng();
+}
+
+/**
+ * Axis date such as "OCT 19", or "14:00" within a day (UTC)
+ * @private
+ */
+function formatAxisTime(at, days) {
+    const date = new Date(at);
+    if (days <= 1) {
+        return date.toISOString().slice(11, 16);
+    }
+    return `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+}
+
+/**
+ * Total value over time as a line with the area below it filled
+ *
+ * @param {Object} series - PortfolioHistory.series() result
+ * @returns {Buffer|null} PNG, or null with fewer than two points
+ */
+function renderHistoryChart(series) {
+    const points = (series?.points || []).filter(p => Number.isFinite(p.at) && Number.isFinite(p.valueUSD));
+    if (points.length < 2) {
+        return null;
+    }
+
+    const canvas = new Canvas(800, 400);
+    const latest = points[points.length - 1].valueUSD;
+    canvas.text(24, 24, series.days <= 1 ? 'Value, last 24 hours' : `Value, last ${series.days} days`, TEXT, { scale: 3 });
+    canvas.text(776, 24, formatUsd(latest), TEXT, { scale: 3, align: 'right' });
+
+    const plot = { left: 110, right: 776, top: 84, bottom: 340 };
+    const values = points.map(p => p.valueUSD);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    // Keep a flat line off the edges of the plot
+    const pad = (max - min) * 0.1 || Math.abs(max) * 0.05 || 1;
+    const low = min >= 0 ? Math.max(0, min - pad) : min - pad;
+    const high = max + pad;
+    const y = value => plot.bottom - ((value - low) / (high - low)) * (plot.bottom - plot.top);
+
+    const ticks = 4;
+    for (let i = 0; i <= ticks; i++) {
+        const value = low + ((high - low) * i) / ticks;
+        const ty = Math.round(y(value));
+        canvas.fillRect(plot.left, ty, plot.right - plot.left, 1, GRID);
+        canvas.text(plot.left - 10, ty - 7, formatCompactUsd(value), MUTED, { align: 'right' });
+    }
+
+    const first = points[0].at;
+    const span = points[points.length - 1].at - first || 1;
+    const x = at => plot.left + ((at - first) / span) * (plot.right - plot.left);
+    const path = points.map(p => ({ x: x(p.at), y: y(p.valueUSD) }));
+    canvas.fillBelow(path, plot.bottom, PALETTE[0], 0.15);
+    canvas.polyline(path, PALETTE[0], 3);
+    const end = path[path.length - 1];
+    canvas.donut(end.x, end.y, 5, 0, [{ value: 1, color: PALETTE[0] }]);
+
+    canvas.fillRect(plot.left, plot.bottom, plot.right - plot.left, 1, MUTED);
+    canvas.text(plot.left, plot.bottom + 14, formatAxisTime(first, series.days), MUTED);
+    canvas.text((plot.left + plot.right) / 2, plot.bottom + 14, formatAxisTime(first + span / 2, series.days), MUTED, { align: 'center' });
+    canvas.text(plot.right, plot.bottom + 14, formatAxisTime(first + span, series.days), MUTED, { align: 'right' });
+    return canvas.toPng();
+}
+
+module.exports = {
+    renderAllocationChart,
+    renderRiskChart,
+    renderHistoryChart
+};
@@ -0,0 +1,206 @@
+/**
+ * Conversation Memory
+ *
+ * Per-user /ask threads stored in the `conversations` and
+ * `conversation_messages` tables (migration 4). Each thread keeps recent
+ * turns verbatim within a token budget; once it grows past the budget the
+ * older turns are folded into a running summary.
+ *
+ * The portfolio summary is part of the thread as a system message. It is
+ * only added again when the holdings change between turns (or after the
+ * last copy has been summarized away), so follow-up questions do not resend
+ * the same data every time.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOKEN_BUDGET = 2000;
+// Question/answer pairs that always stay verbatim
+const KEEP_RECENT_EXCHANGES = 2;
+const PORTFOLIO_PREFIX = 'Portfolio summary:';
+
+/**
+ * Rough token count (about four characters per token for English text)
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Fingerprint of a portfolio summary. Values are rounded to whole dollars
+ * so small price moves do not count as a change.
+ *
+ * @param {Object} summary - Output of GroqAnalyzer.summarizePortfolio
+ * @returns {string}
+ */
+function portfolioDigest(summary) {
+    const normalized = JSON.stringify(summary, (key, value) =>
+        typeof value === 'number' ? Math.round(value) : value);
+    return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Index of the first message to keep verbatim: the start of the last
+ * KEEP_RECENT_EXCHANGES questions, together with a portfolio message sent
+ * just before them. 0 when there is nothing older to fold.
+ * @private
+ */
+function recentStart(messages) {
+    let questions = 0;
+    for (let i = messages.length - 1; i > 0; i--) {
+        if (messages[i].role !== 'user' || ++questions < KEEP_RECENT_EXCHANGES) continue;
+        return isPortfolioMessage(messages[i - 1]) ? i - 1 : i;
+    }
+    return 0;
+}
+
+/**
+ * @private
+ */
+function isPortfolioMessage(message) {
+    return message.role === 'system' && message.content.startsWith(PORTFOLIO_PREFIX);
+}
+
+class ConversationMemory {
+    /**
+     * @param {Object} options
+     * @param {Object} options.repository - Conversation repository (storage.conversations)
+     * @param {Function} [options.summarize] - async (previousSummary, messages) => summary
+     * @param {number} [options.tokenBudget=2000] - Tokens of history sent with each question
+     * @param {Object} [options.logger]
+     */
+    constructor({ repository, summarize = null, tokenBudget = DEFAULT_TOKEN_BUDGET, logger = console }) {
+        this.repository = repository;
+        this.summarize = summarize;
+        this.tokenBudget = tokenBudget;
+        this.logger = logger;
+    }
+
+    /**
+     * Load the user's thread for the next question
+     *
+     * @param {number} userId - users.id
+     * @param {Object} portfolio - Current portfolio summary
+     * @returns {Promise<Object>} Thread: { userId, conversationId, history, includePortfolio, portfolio, digest }
+     */
+    async prepare(userId, portfolio) {
+        const conversation = await this.repository.ensure(userId);
+        const messages = await this.repository.listMessages(conversation.id);
+        const digest = portfolioDigest(portfolio);
+
+        const history = messages.map(({ role, content }) => ({ role, content }));
+        if (conversation.summary) {
+            history.unshift({ role: 'system', content: `Summary of the earlier conversation: ${conversation.summary}` });
+        }
+
+        return {
+            userId,
+            conversationId: conversation.id,
+            history,
+            includePortfolio: conversation.portfolio_digest !== digest,
+            portfolio,
+            digest
+        };
+    }
+
+    /**
+     * Store a completed question/answer pair and compact the thread when it
+     * exceeds the token budget
+     *
+     * @param {Object} thread - Result of prepare()
+     * @param {string} question
+     * @param {string} answer
+     * @returns {Promise<void>}
+     */
+    async record(thread, question, answer) {
+        const messages = [];
+        if (thread.includePortfolio) {
+            messages.push({ role: 'system', content: `${PORTFOLIO_PREFIX} ${JSON.stringify(thread.portfolio)}` });
+        }
+        messages.push({ role: 'user', content: question }, { role: 'assistant', content: answer });
+
+        await this.repository.append(thread.conversationId, messages, thread.digest);
+        await this._compact(thread.userId);
+    }
+
+    /**
+     * The most recent question and answer still kept verbatim
+     *
+     * @param {number} userId - users.id
+     * @returns {Promise<{question: string, answer: string}|null>}
+     */
+    async lastExchange(userId) {
+        const conversation = await this.repository.ensure(userId);
+        const messages = await this.repository.listMessages(conversation.id);
+        const answerAt = messages.map(m => m.role).lastIndexOf('assistant');
+        if (answerAt < 1 || messages[answerAt - 1].role !== 'user') {
+            return null;
+        }
+        return { question: messages[answerAt - 1].content, answer: messages[answerAt].content };
+    }
+
+    /**
+     * Forget the user's conversation
+     *
+     * @param {number} userId - users.id
+     * @returns {Promise<number>} Messages removed
+     */
+    reset(userId) {
+        return this.repository.delete(userId);
+    }
+
+    /**
+     * Fold everything but the most recent messages into the summary while
+     * the thread is over budget. Without a summarizer (or if it fails) the
+     * older messages are dropped instead.
+     * @private
+     */
+    async _compact(userId) {
+        const conversation = await this.repository.ensure(userId);
+        const conversationId = conversation.id;
+        const messages = await this.repository.listMessages(conversationId);
+        const used = estimateTokens(conversation.summary) +
+            messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+        const keepFrom = recentStart(messages);
+
+        if (used <= this.tokenBudget || keepFrom === 0) {
+            return;
+        }
+
+        const older = messages.slice(0, keepFrom);
+        const kept = messages.slice(keepFrom);
+        let summary = conversation.summary;
+
+        if (this.summarize) {
+            try {
+                summary = await this.summarize(conversation.summary, older);
+            } catch (error) {
+                this.logger.warn('Conversation summary failed, dropping older turns', {
+                    conversationId,
+                    error: error.message
+                });
+            }
+        }
+
+        // Re-send the portfolio next turn if no copy survives compaction
+        const portfolioKept = kept.some(isPortfolioMessage);
+        await this.repository.compact(
+            conversationId,
+            summary,
+            older[older.length - 1].id,
+            portfolioKept ? conversation.portfolio_digest : null
+        );
+
+        this.logger.info('Conversation compacted', {
+            conversationId,
+            tokensBefore: used,
+            summarizedMessages: older.length
+        });
+    }
+}
+
+module.exports = { ConversationMemory, estimateTokens, portfolioDigest };
@@ -0,0 +1,344 @@
+/**
+ * Digests
+ *
+ * Opt-in portfolio digests, sent daily or weekly at a full hour in the
+ * user's time zone (users.timezone). Users pick the sections:
+ *
+ *   value       Value change since the previous digest (portfolio-history.js)
+ *   risk        Risk score and a short analyzeRisk summary
+ *   strategies  Top compareStrategies suggestions
+ *
+ * Subscriptions live in storage.digests with the time of their next
+ * delivery; DigestService.run() is a scheduler job that sends the due ones.
+ * A failed delivery is retried with backoff up to MAX_ATTEMPTS times, then
+ * skipped until the next period; a digest that failed part way through is
+ * counted as delivered instead. Users who blocked the bot are marked
+ * inactive and skipped until they write to it again.
+ */
+
+const { isValidTimezone } = require('./alerts');
+const { formatChange, formatUsd } = require('./portfolio-history');
+
+const MINUTE = 60 * 1000;
+const QUARTER_HOUR = 15 * MINUTE;
+const DAY = 24 * 60 * MINUTE;
+
+const SECTIONS = ['value', 'risk', 'strategies'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How often due digests are looked for
+const CHECK_INTERVAL = 5 * MINUTE;
+const DEFAULT_HOUR = 8;
+const DEFAULT_WEEKDAY = 1;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 5 * MINUTE;
+// How long a claimed digest stays locked to the instance sending it
+const LEASE = 15 * MINUTE;
+
+const DIGEST_USAGE = `Usage:
+/digest - Show your digest settings
+/digest daily [hour] [time zone] - e.g. /digest daily 8 Europe/Berlin
+/digest weekly [day] [hour] [time zone] - e.g. /digest weekly mon 9
+/digest sections <${SECTIONS.join(',')}> - What to include
+/digest off`;
+
+/**
+ * @private
+ */
+function parseHour(text) {
+    const m = String(text).match(/^(\d{1,2})(?::00)?$/);
+    if (!m || Number(m[1]) > 23) {
+        throw new Error(`"${text}" is not an hour from 0 to 23.\n\n${DIGEST_USAGE}`);
+    }
+    return Number(m[1]);
+}
+
+/**
+ * Parse "/digest daily|weekly ..." arguments
+ *
+ * @param {string[]} args - Words after /digest
+ * @returns {{frequency: string, hour: number, weekday: number|null, timezone: string|undefined}}
+ * @throws {Error} With usage help when the arguments are invalid
+ */
+function parseSchedule(args) {
+    const [frequency, ...rest] = args.map(a => a.trim()).filter(Boolean);
+    const kind = (frequency || '').toLowerCase();
+    if (kind !== 'daily' && kind !== 'weekly') {
+        throw new Error(DIGEST_USAGE);
+    }
+
+    let weekday = null;
+    if (kind === 'weekly') {
+        weekday = DEFAULT_WEEKDAY;
+        const day = WEEKDAYS.indexOf(String(rest[0] || '').slice(0, 3).toLowerCase());
+        if (day !== -1) {
+            weekday = day;
+            rest.shift();
+        }
+    }
+
+    let hour = DEFAULT_HOUR;
+    if (rest.length && /^\d/.test(rest[0])) {
+        hour = parseHour(rest.shift());
+    }
+
+    const timezone = rest.shift();
+    if (timezone && !isValidTimezone(timezone)) {
+        throw new Error(`Unknown time zone "${timezone}". Use a name such as Europe/Berlin or America/New_York.`);
+    }
+    if (rest.length) {
+        throw new Error(DIGEST_USAGE);
+    }
+    return { frequency: kind, hour, weekday, timezone };
+}
+
+/**
+ * Parse "/digest sections value,risk" arguments
+ *
+ * @param {string[]} args - Words after "sections", split on spaces or commas
+ * @returns {string[]} Sections in display order
+ * @throws {Error} For unknown or missing sections
+ */
+function parseSections(args) {
+    const names = args.join(',').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(name => !SECTIONS.includes(name));
+    if (!names.length || unknown.length) {
+        throw new Error(`Choose sections from: ${SECTIONS.join(', ')}. For example: /digest sections value,risk`);
+    }
+    return SECTIONS.filter(section => names.includes(section));
+}
+
+const formatters = new Map();
+
+/**
+ * Local weekday, hour and minute of a timestamp
+ * @private
+ */
+function localTime(timezone, at) {
+    const zone = timezone || 'UTC';
+    if (!formatters.has(zone)) {
+        formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(zone).formatToParts(at).map(p => [p.type, p.value]));
+    return {
+        weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute)
+    };
+}
+
+/**
+ * Next delivery time of a subscription after `now`
+ *
+ * @param {Object} schedule - { frequency, hour, weekday, timezone }, or a
+ *   digests row (send_hour, send_weekday) joined with users.timezone
+ * @param {number} [now]
+ * @returns {number} Ms timestamp
+ */
+function nextDeliveryTime(schedule, now = Date.now()) {
+    const hour = schedule.hour ?? schedule.send_hour;
+    const weekday = schedule.frequency === 'weekly' ? schedule.weekday ?? schedule.send_weekday : null;
+
+    // Walk the coming quarter hours (every UTC offset is a multiple of one)
+    // until the local clock reads the hour; a day skipped by a DST change
+    // moves to the next one
+    let at = Math.floor(now / QUARTER_HOUR) * QUARTER_HOUR + QUARTER_HOUR;
+    for (const end = at + 8 * DAY; at < end; at += QUARTER_HOUR) {
+        const local = localTime(schedule.timezone, at);
+        if (local.hour === hour && local.minute === 0 && (weekday === null || local.weekday === weekday)) {
+            return at;
+        }
+    }
+    return now + DAY;
+}
+
+/**
+ * Delivery time for messages, such as "Mon, Oct 20, 8:00 AM"
+ *
+ * @param {number} at - Ms timestamp
+ * @param {string} [timezone='UTC']
+ * @returns {string}
+ */
+function formatDeliveryTime(at, timezone = 'UTC') {
+    return new Date(at).toLocaleString('en-US', {
+        timeZone: timezone || 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * One-line description of a subscription
+ *
+ * @param {Object} digest - digests row with sections as an array
+ * @param {string} [timezone='UTC']
+ * @returns {string}
+ */
+function describeDigest(digest, timezone = 'UTC') {
+    const when = digest.frequency === 'weekly'
+        ? `every ${WEEKDAYS[digest.send_weekday].replace(/^./, c => c.toUpperCase())}`
+        : 'daily';
+    return `Digest ${when} at ${digest.send_hour}:00 ${timezone || 'UTC'} with ${digest.sections.join(', ')}`;
+}
+
+/**
+ * Render a digest as Markdown
+ *
+ * @param {Object} parts
+ * @param {string} parts.frequency - 'daily' or 'weekly'
+ * @param {number} parts.totalValueUSD - Current value
+ * @param {Object} [parts.history] - PortfolioHistory.report() result for the value section
+ * @param {Object} [parts.risk] - analyzeRisk result for the risk section
+ * @param {string} [parts.strategies] - compareStrategies answer for the strategies section
+ * @param {string[]} [parts.unavailable] - Sections that could not be built
+ * @returns {string}
+ */
+function formatDigest({ frequency, totalValueUSD, history, risk, strategies, unavailable = [] }) {
+    const lines = [`**Your ${frequency} portfolio digest**`];
+
+    if (history) {
+        const since = frequency === 'weekly' ? 'last week' : 'yesterday';
+        lines.push('', `**Value:** ${formatUsd(totalValueUSD)}`);
+        if (history.available) {
+            lines.push(`${formatChange(history)} since ${since}${history.partial ? ' (tracking started recently)' : ''}`);
+            history.movers.slice(0, 3).forEach(m => lines.push(`- ${m.symbol} on ${m.network}: ${formatChange(m)}`));
+        } else {
+            lines.push(`Not enough history to compare with ${since} yet.`);
+        }
+    }
+
+    if (risk) {
+        lines.push('', `**Risk:** ${risk.riskScore ?? 'n/a'}/100 (${risk.riskLevel || 'Unknown'})`);
+        const factors = Array.isArray(risk.riskFactors) ? risk.riskFactors.slice(0, 2) : [];
+        factors.forEach(f => lines.push(`- ${f}`));
+        if (risk.summary) {
+            lines.push(risk.summary);
+        }
+    }
+
+    if (strategies) {
+        lines.push('', '**Strategy ideas**', strategies);
+    }
+
+    if (unavailable.length) {
+        lines.push('', `_${unavailable.join(' and ')} could not be prepared this time._`);
+    }
+    lines.push('', 'Change or stop this digest with /digest');
+    return lines.join('\n');
+}
+
+class DigestService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Digest repository (storage.digests)
+     * @param {Object} options.users - User repository (storage.users), to mark blocked users inactive
+     * @param {Function} options.compose - async (subscription) => Markdown text, or null to skip this period
+     * @param {Function} options.send - async (telegramId, text) => void; may split
+     *   the text, and a failure after some parts sets error.partsSent
+     * @param {Object} [options.logger]
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ store, users, compose, send, logger = console, now = Date.now }) {
+        this.store = store;
+        this.users = users;
+        this.compose = compose;
+        this.send = send;
+        this.logger = logger;
+        this.now = now;
+    }
+
+    /**
+     * Send every due digest
+     *
+     * @returns {Promise<{due: number, sent: number, failed: number}>}
+     */
+    async run() {
+        const due = await this.store.listDue(this.now());
+        let sent = 0;
+        let failed = 0;
+
+        for (const digest of due) {
+            const now = this.now();
+            if (!(await this.store.claim(digest.user_id, digest.next_run_at, now + LEASE))) {
+                continue;
+            }
+            if (await this._deliver(digest, now)) {
+                sent++;
+            } else {
+                failed++;
+            }
+        }
+
+        const summary = { due: due.length, sent, failed };
+        if (due.length) {
+            this.logger.info('Digests delivered', summary);
+        }
+        return summary;
+    }
+
+    /**
+     * @private
+     */
+    async _deliver(digest, now) {
+        const nextRunAt = nextDeliveryTime(digest, now);
+        try {
+            const text = await this.compose(digest);
+            if (text) {
+                await this.send(digest.telegram_id, text);
+            }
+            await this.store.finish(digest.user_id, { nextRunAt, sentAt: text ? now : null });
+            return true;
+        } catch (error) {
+            // A retry would resend the parts the user already has
+            if (error.partsSent > 0) {
+                await this.store.finish(digest.user_id, { nextRunAt, sentAt: now, error: error.message });
+                this.logger.warn('Digest partly delivered', { userId: digest.user_id, partsSent: error.partsSent, error: error.message });
+                return true;
+            }
+
+            // 403: the user blocked the bot or deleted their account
+            if (error.code === 403) {
+                await this.users.setActive(digest.user_id, false);
+                await this.store.finish(digest.user_id, { nextRunAt, error: error.message });
+                this.logger.warn('User unreachable, marked inactive', { userId: digest.user_id, error: error.message });
+                return false;
+            }
+
+            const attempts = digest.attempts + 1;
+            const retry = attempts < MAX_ATTEMPTS;
+            await this.store.finish(digest.user_id, {
+                nextRunAt: retry ? now + RETRY_DELAY * 2 ** (attempts - 1) : nextRunAt,
+                attempts: retry ? attempts : 0,
+                error: error.message
+            });
+            this.logger.warn(retry ? 'Digest failed, will retry' : 'Digest failed, skipped until next period', {
+                userId: digest.user_id,
+                attempts,
+                error: error.message
+            });
+            return false;
+        }
+    }
+}
+
+module.exports = {
+    DigestService,
+    parseSchedule,
+    parseSections,
+    nextDeliveryTime,
+    formatDeliveryTime,
+    describeDigest,
+    formatDigest,
+    DIGEST_USAGE,
+    SECTIONS,
+    CHECK_INTERVAL
+};
@@ -1,8 +1,12 @@
 /**
- * Groq LPU Integration Module
+ * AI Analysis Module
  * 
- * Provides natural language processing and AI-powered portfolio analysis
- * using Groq's Language Processing Unit for ultra-fast responses.
+ * Provides natural language processing and AI-powered portfolio analysis.
+ * Completions go through a pluggable LLM provider (llm-providers.js):
+ * Groq by default, any OpenAI-compatible server, or an offline mock.
+ * Every call is retried and guarded by a circuit breaker (resilience.js).
+ * User text reaches prompts only redacted and delimited, and answers pass
+ * an output check before they are shown (guardrails.js).
  * 
  * Key Features:
  * - Natural language portfolio queries
@@ -11,99 +15,477 @@
  * - Conversational DeFi insights
  */
 
-const Groq = require('groq-sdk');
+const { GroqProvider } = require('./llm-providers');
+const { completeStructured } = require('./structured-output');
+const { computeRiskMetrics } = require('./risk-engine');
+const { describeProfile } = require('./settings');
+const { summarizePortfolio } = require('./aura-client');
+const { ModelRouter, isFallbackError } = require('./model-router');
+const { withRetry, retryDelay, classifyError, CircuitBreaker, CircuitOpenError, DEFAULT_RETRY } = require('./resilience');
+const { wrapUserText, checkOutput, guardStream, GuardrailError, USER_INPUT_RULE } = require('./guardrails');
+
+// Rounds of tool calls allowed before the model has to answer
+const MAX_TOOL_ROUNDS = 4;
+
+// Keeps healthCheck() short while the provider is struggling
+const HEALTH_CHECK_DEADLINE = 5000;
+
+// Markdown the bot can render in Telegram (telegram-format.js); tables and
+// headings are degraded, so they are discouraged
+const FORMAT_RULE = 'Format for Telegram using simple Markdown only: **bold**, *italic*, `code` and "-" bullet lists. No tables, headings or HTML';
+
+// Narrative the model writes around the computed risk score
+const RISK_REPORT_SCHEMA = {
+    type: 'object',
+    required: ['riskFactors', 'riskyAssets', 'lowRiskStrategies', 'summary'],
+    properties: {
+        riskFactors: { type: 'array', maxItems: 5, items: { type: 'string', maxLength: 300 } },
+        riskyAssets: {
+            type: 'array',
+            maxItems: 5,
+            items: {
+                type: 'object',
+                required: ['symbol', 'reason'],
+                properties: {
+                    symbol: { type: 'string', maxLength: 20 },
+                    reason: { type: 'string', maxLength: 300 },
+                    value: { type: 'string', maxLength: 40 }
+                }
+            }
+        },
+        lowRiskStrategies: {
+            type: 'array',
+            maxItems: 5,
+            items: {
+                type: 'object',
+                required: ['name', 'reason'],
+                properties: {
+                    name: { type: 'string', maxLength: 120 },
+                    reason: { type: 'string', maxLength: 300 }
+                }
+            }
+        },
+        summary: { type: 'string', maxLength: 1500 }
+    }
+};
 
 class GroqAnalyzer {
-    constructor(apiKey, logger = console) {
+    /**
+     * @param {string} apiKey - AI provider API key (used when no provider is given)
+     * @param {Object} [logger]
+     * @param {Object} [options]
+     * @param {Object} [options.provider] - LLM provider (see llm-providers.js); defaults to Groq
+     * @param {Object} [options.cache] - Cache instance; repeated explanations are served from it
+     * @param {Function} [options.onCompletion] - Called with a record of every completion
+     *   ({ task, userId, tier, model, fallback, latencyMs, ... }), e.g. to store it
+     * @param {Object} [options.retry] - Retry policy overrides (see resilience.js)
+     * @param {Object} [options.breaker] - CircuitBreaker shared by all provider calls
+     */
+    constructor(apiKey, logger = console, options = {}) {
         this.logger = logger;
-        
-        // Enhanced API key validation
-        if (!apiKey) {
-            throw new Error('GROQ_API_KEY is required');
-        }
-        
-        if (typeof apiKey !== 'string') {
-            throw new Error('GROQ_API_KEY must be a string');
+        this.cache = options.cache || null;
+
+        // Provider validates its own credentials and throws when unusable
+        this.provider = options.provider || new GroqProvider({ apiKey, logger });
+
+        // Model names per tier come from the provider
+        this.models = { ...this.provider.models };
+
+        this.defaultModel = this.models.fast;
+        this.router = new ModelRouter({ models: this.models, logger });
+        this.onCompletion = options.onCompletion || null;
+        this.retry = { ...DEFAULT_RETRY, ...options.retry };
+        this.breaker = options.breaker || new CircuitBreaker({ name: 'The AI service', logger });
+
+        this.logger.info('AI analyzer initialized', {
+            provider: this.provider.name,
+            models: this.models
+        });
+    }
+
+    /**
+     * Send a chat completion to the configured provider. request.tier picks
+     * the model (see model-router.js); if that model is rate limited or
+     * unavailable the next cheaper tier answers instead.
+     * @private
+     */
+    async _complete(request) {
+        const { messages, temperature, maxTokens, responseFormat, tools, toolChoice } = request;
+        const chain = this.router.chain(request.tier || 'balanced');
+
+        for (let step = 0; ; step++) {
+            const { tier, model } = chain[step];
+            const startedAt = Date.now();
+            try {
+                const response = await this.breaker.execute(() =>
+                    this.provider.chat({ messages, model, temperature, maxTokens, responseFormat, tools, toolChoice }));
+                this._recordCompletion(request, { tier, model, startedAt, fallback: step > 0, usage: response.usage });
+                return { ...response, tier };
+            } catch (error) {
+                if (error instanceof CircuitOpenError) {
+                    throw error;
+                }
+                this._recordCompletion(request, { tier, model, startedAt, fallback: step > 0, error });
+                if (step === chain.length - 1 || !isFallbackError(error)) {
+                    throw error;
+                }
+                this.logger.warn('Model unavailable, falling back to a cheaper tier', {
+                    task: request.task,
+                    model,
+                    fallbackModel: chain[step + 1].model,
+                    error: error.message
+                });
+            }
         }
-        
-        if (apiKey.length < 10) {
-            throw new Error('GROQ_API_KEY appears to be invalid (too short)');
+    }
+
+    /**
+     * Log which model answered (or failed) and hand the record to
+     * options.onCompletion. Recording failures never affect the answer.
+     * @private
+     */
+    _recordCompletion(request, { tier, model, startedAt, fallback, usage = null, error = null, streamed = false }) {
+        const record = {
+            task: request.task || 'other',
+            userId: request.userId ?? null,
+            tier,
+            model,
+            fallback,
+            streamed,
+            latencyMs: Date.now() - startedAt,
+            promptTokens: usage?.prompt_tokens ?? null,
+            completionTokens: usage?.completion_tokens ?? null,
+            error: error ? error.message : null
+        };
+
+        this.logger.info('AI completion', record);
+
+        if (this.onCompletion) {
+            Promise.resolve()
+                .then(() => this.onCompletion(record))
+                .catch(err => this.logger.warn('Failed to record AI completion', { error: err.message }));
         }
-        
-        // Log API key status (masked for security)
-        this.logger.info('Groq API Key validation', {
-            hasKey: !!apiKey,
-            keyLength: apiKey.length,
-            keyPreview: apiKey.substring(0, 8) + '...',
-            keyType: typeof apiKey
-        });
-        
+    }
+
+    /**
+     * _complete with retries for transient failures (see resilience.js).
+     * Authentication errors and an open circuit fail at once.
+     * @private
+     */
+    async _completeWithRetry(request, meta = {}, policy = {}) {
         try {
-            this.groq = new Groq({
-                apiKey: apiKey,
-                timeout: 30000, // Increased timeout for Railway network
-                dangerouslyAllowBrowser: false,
-                maxRetries: 0 // We handle retries manually
-            });
-            
-            this.logger.info('Groq client initialized successfully', {
-                timeout: 30000,
-                hasClient: !!this.groq
+            return await withRetry(() => this._complete(request), {
+                ...this.retry,
+                ...policy,
+                label: 'AI request',
+                meta: { task: request.task, ...meta },
+                logger: this.logger
             });
         } catch (error) {
-            this.logger.error('Groq client initialization failed:', {
-                error: error.message,
-                stack: error.stack,
-                apiKeyLength: apiKey?.length
+            if (classifyError(error) === 'auth') {
+                this.logger.error('Authentication error - check AI_API_KEY', {
+                    provider: this.provider.name,
+                    error: error.message
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Complete a request, letting the model call tools first. Each round the
+     * requested tools run and their results are sent back; after
+     * MAX_TOOL_ROUNDS the model must answer without further calls, and
+     * calls it makes anyway are ignored.
+     * @private
+     */
+    async _completeWithTools(request, tools, meta = {}) {
+        const messages = [...request.messages];
+        for (let round = 1; ; round++) {
+            const response = await this._completeWithRetry({ ...request, messages, ...this._toolOptions(tools, round) }, { ...meta, round });
+            if (!response.toolCalls?.length) {
+                return response;
+            }
+            // Not every backend honours toolChoice 'none', so stop here regardless
+            if (round > MAX_TOOL_ROUNDS) {
+                this.logger.warn('Tool calls after the last round ignored', { ...meta, round, calls: response.toolCalls.length });
+                return { ...response, toolCalls: [] };
+            }
+            messages.push(...await this._runToolCalls(tools, response.toolCalls, { ...meta, round }));
+        }
+    }
+
+    /**
+     * Stream a chat completion as text chunks, running any tool calls the
+     * model makes in between (see _completeWithTools)
+     * @private
+     */
+    async *_stream(request, meta = {}, tools = null) {
+        const messages = [...request.messages];
+        for (let round = 1; ; round++) {
+            const toolCalls = [];
+            let answered = false;
+            for await (const part of this._streamAttempt({ ...request, messages, ...this._toolOptions(tools, round) }, meta)) {
+                if (typeof part === 'string') {
+                    answered = true;
+                    yield part;
+                } else {
+                    toolCalls.push(...part.toolCalls);
+                }
+            }
+            if (!toolCalls.length) {
+                return;
+            }
+            if (round > MAX_TOOL_ROUNDS) {
+                this.logger.warn('Tool calls after the last round ignored', { ...meta, round, calls: toolCalls.length });
+                if (!answered) throw new Error('No response from AI provider');
+                return;
+            }
+            messages.push(...await this._runToolCalls(tools, toolCalls, { ...meta, round }));
+        }
+    }
+
+    /**
+     * One streamed completion. Yields text chunks and, if the model calls
+     * tools, a final { toolCalls }. Failed attempts are retried only until
+     * the first chunk arrives, since text already shown to the user cannot
+     * be taken back. Providers without stream() answer in one chunk.
+     * @private
+     */
+    async *_streamAttempt(request, meta) {
+        if (typeof this.provider.stream !== 'function') {
+            const response = await this._completeWithRetry(request, meta);
+            if (response.toolCalls?.length) {
+                yield { toolCalls: response.toolCalls };
+                return;
+            }
+            if (!response.content) throw new Error('No response from AI provider');
+            yield response.content;
+            return;
+        }
+
+        const chain = this.router.chain(request.tier || 'balanced');
+        const deadlineAt = Date.now() + this.retry.deadline;
+        let step = 0;
+
+        for (let attempt = 1; ; attempt++) {
+            const { tier, model } = chain[step];
+            const startedAt = Date.now();
+            let received = 0;
+            let calledTools = false;
+            try {
+                this.breaker.check();
+                let settled = false;
+                try {
+                    for await (const part of this.provider.stream({ ...request, model })) {
+                        if (typeof part === 'string') {
+                            received += part.length;
+                        } else {
+                            calledTools = true;
+                        }
+                        yield part;
+                    }
+                    settled = true;
+                    this.breaker.recordSuccess();
+                } catch (error) {
+                    settled = true;
+                    this.breaker.recordFailure(error);
+                    throw error;
+                } finally {
+                    // The caller stopped reading (guard, abandoned stream), so a probe has no outcome
+                    if (!settled) this.breaker.release();
+                }
+                if (!received && !calledTools) throw new Error('No response from AI provider');
+
+                this._recordCompletion(request, { tier, model, startedAt, fallback: step > 0, streamed: true });
+                this.logger.info('Streamed completion finished', { ...meta, attempt, model, responseLength: received, calledTools });
+                return;
+            } catch (error) {
+                if (error instanceof CircuitOpenError) {
+                    throw error;
+                }
+                this._recordCompletion(request, { tier, model, startedAt, fallback: step > 0, streamed: true, error });
+
+                // Text already shown cannot be taken back, so only retry before the first chunk
+                if (received || calledTools) {
+                    this.logger.error('AI stream failed after output started', { ...meta, model, received, error: error.message });
+                    throw error;
+                }
+                // A cheaper model can answer right away
+                if (isFallbackError(error) && step < chain.length - 1) {
+                    step++;
+                    this.logger.warn('Model unavailable, falling back to a cheaper tier', {
+                        ...meta,
+                        model,
+                        fallbackModel: chain[step].model,
+                        error: error.message
+                    });
+                    continue;
+                }
+
+                const delay = retryDelay(error, attempt, { ...this.retry, deadlineAt });
+                this.logger.warn(`AI stream attempt ${attempt}/${this.retry.attempts} failed`, {
+                    ...meta,
+                    model,
+                    kind: classifyError(error),
+                    error: error.message,
+                    retryInMs: delay
+                });
+                if (delay === null) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Tool fields for a request in the given round
+     * @private
+     */
+    _toolOptions(tools, round) {
+        if (!tools) return {};
+        // Tools stay declared so earlier calls remain valid; the last round may not call them
+        return { tools: tools.definitions, toolChoice: round > MAX_TOOL_ROUNDS ? 'none' : 'auto' };
+    }
+
+    /**
+     * Execute tool calls and build the messages that report their results.
+     * Failures are returned to the model as errors rather than thrown.
+     * @private
+     */
+    async _runToolCalls(tools, toolCalls, meta) {
+        const messages = [{
+            role: 'assistant',
+            content: null,
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: call.arguments }
+            }))
+        }];
+
+        for (const call of toolCalls) {
+            const startedAt = Date.now();
+            let result;
+            try {
+                const args = call.arguments ? JSON.parse(call.arguments) : {};
+                result = await tools.execute(call.name, args);
+            } catch (error) {
+                result = { error: error.message };
+            }
+            const content = JSON.stringify(result);
+
+            this.logger.info('Tool call', {
+                ...meta,
+                tool: call.name,
+                arguments: call.arguments,
+                durationMs: Date.now() - startedAt,
+                resultLength: content.length,
+                error: result?.error
             });
-            this.groq = null;
+            messages.push({ role: 'tool', tool_call_id: call.id, content });
         }
-        
-        // Available models optimized for different tasks (Updated Oct 2025)
-        this.models = {
-            fast: 'llama-3.1-8b-instant',      // Fast responses, good for simple queries
-            balanced: 'llama-3.3-70b-versatile',  // Balance of speed and intelligence
-            smart: 'llama-3.3-70b-versatile'   // Most intelligent, larger context
-        };
-        
-        this.defaultModel = this.models.fast;
+        return messages;
     }
 
     /**
      * Process a natural language query about user's portfolio
      * 
-     * @param {string} userQuestion - User's question in natural language
+     * The model tier is chosen from the question and prompt size (see
+     * model-router.js).
+     * 
+     * @param {string} query - User's question in natural language
      * @param {Object} portfolioData - Portfolio data from AURA API
-     * @param {Object} strategiesData - Strategies data from AURA API
-     * @param {string} modelType - 'fast', 'balanced', or 'smart'
+     * @param {Object} [options]
+     * @param {Object} [options.thread] - Conversation thread from ConversationMemory.prepare
+     * @param {Object} [options.tools] - PortfolioTools the model may call for details
      * @returns {Promise<string>} AI-generated response
      */
-    async analyzePortfolioQuery(query, portfolioData) {
-        if (!this.groq) {
-            this.logger.warn('Groq client not initialized');
-            throw new Error('AI analysis service is currently unavailable. Please ensure GROQ_API_KEY is configured properly.');
+    async analyzePortfolioQuery(query, portfolioData, { thread = null, tools = null } = {}) {
+        // Trim portfolio data to keep prompt size small and avoid token limits
+        const summarized = this.summarizePortfolio(portfolioData);
+        const request = this._portfolioQueryRequest(query, summarized, {
+            thread,
+            tools,
+            profile: portfolioData.profile,
+            userId: portfolioData.userId
+        });
+
+        try {
+            const meta = { userId: portfolioData.userId };
+            const response = tools
+                ? await this._completeWithTools(request, tools, meta)
+                : await this._completeWithRetry(request, meta);
+
+            if (!response.content) {
+                throw new Error('No response from AI provider');
+            }
+
+            this._checkAnswer(response.content, { task: 'ask', userId: portfolioData.userId });
+
+            this.logger.info('Natural language query processed', {
+                query,
+                model: response.model,
+                responseLength: response.content.length,
+                userId: portfolioData.userId
+            });
+            return response.content;
+        } catch (error) {
+            this.logger.error('Portfolio query failed', {
+                question: query,
+                kind: classifyError(error),
+                error: error.message
+            });
+            throw this._userError(error, 'Unable to analyze your portfolio query at this time. Please check your connection and try again later.');
         }
+    }
 
-        // Trim portfolio data to keep prompt size small and avoid token limits
-        const summarized = this._summarizePortfolio(portfolioData);
+    /**
+     * Streaming variant of analyzePortfolioQuery
+     * 
+     * @param {string} query - User's question in natural language
+     * @param {Object} portfolioData - Portfolio data from AURA API
+     * @param {Object} [options]
+     * @param {Object} [options.thread] - Conversation thread from ConversationMemory.prepare
+     * @param {Object} [options.tools] - PortfolioTools the model may call for details
+     * @returns {AsyncGenerator<string>} Answer text chunks as they arrive
+     */
+    async *streamPortfolioQuery(query, portfolioData, { thread = null, tools = null } = {}) {
+        const request = this._portfolioQueryRequest(query, this.summarizePortfolio(portfolioData), {
+            thread,
+            tools,
+            profile: portfolioData.profile,
+            userId: portfolioData.userId
+        });
+        try {
+            yield* this._guardStream(this._stream(request, { query, userId: portfolioData.userId }, tools), { task: 'ask', userId: portfolioData.userId });
+        } catch (error) {
+            throw this._userError(error, 'Unable to analyze your portfolio query at this time. Please check your connection and try again later.');
+        }
+    }
 
-        const maxRetries = 3;
-    const baseDelay = 2000;
-        let lastError;
+    /**
+     * Chat request for a portfolio question. With a conversation thread the
+     * earlier turns come first and the portfolio summary is only repeated
+     * when the thread does not already hold the current one.
+     * @private
+     */
+    _portfolioQueryRequest(query, summarized, { thread = null, tools = null, profile = null, userId = null } = {}) {
+        const history = thread?.history || [];
+        const portfolioSection = !thread || thread.includePortfolio
+            ? `**Portfolio Summary (trimmed):** ${JSON.stringify(summarized, null, 2)}`
+            : '**Portfolio Summary:** unchanged since earlier in this conversation';
 
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                this.logger.info('Groq API attempt', {
-                    attempt,
-                    maxRetries,
-                    modelType: 'balanced'
-                });
+        const prompt = `As a professional DeFi portfolio advisor, analyze this client inquiry and provide expert guidance:
 
-                const prompt = `As a professional DeFi portfolio advisor, analyze this client inquiry and provide expert guidance:
+**Client Query:**
+${wrapUserText(query)}
 
-**Client Query:** "${query}"
+**Client Profile:**
+${describeProfile(profile)}
 
-**Portfolio Summary (trimmed):** ${JSON.stringify(summarized, null, 2)}
+${portfolioSection}
 
 **Required Response Format:**
 1. **Direct Professional Response** to the client's specific question
@@ -116,148 +498,46 @@ class GroqAnalyzer {
 - Provide specific, actionable recommendations
 - Include relevant market context when appropriate
 - Keep response concise yet comprehensive (under 3500 characters)
+- ${FORMAT_RULE}
 - Use professional financial terminology appropriately
 - Focus on risk-adjusted portfolio optimization
+- Tailor recommendations to the client's risk tolerance, horizon and preferred chains${tools ? `
+- The summary lists only the largest holdings; use the available tools for specific networks, small positions, strategy details or performance over time` : ''}
 
 **Response Tone:** Professional financial advisor providing personalized portfolio guidance to a sophisticated investor.`;
 
-                const response = await this.groq.chat.completions.create({
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are a senior DeFi portfolio advisor with extensive experience in cryptocurrency markets and decentralized finance protocols. Provide professional, institutional-grade advice with appropriate financial terminology. Maintain a formal yet accessible tone suitable for sophisticated investors seeking strategic portfolio guidance.'
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    model: this.models.balanced,
-                    temperature: 0.6,
-                    max_tokens: 1000
-                });
-
-                const result = response.choices[0]?.message?.content;
-                
-                if (result) {
-                    this.logger.info('Natural language query processed', {
-                        query,
-                        responseLength: result.length,
-                        userId: portfolioData.userId
-                    });
-                    return result;
-                }
-
-                throw new Error('No response from Groq API');
-
-            } catch (error) {
-                lastError = error;
-                
-                // Enhanced error classification
-                const isConnectionError = error.message?.includes('timeout') || 
-                                        error.message?.includes('network') ||
-                                        error.message?.includes('ENOTFOUND') ||
-                                        error.message?.includes('ECONNREFUSED') ||
-                                        error.message?.includes('Connection error') ||
-                                        error.message?.includes('ETIMEDOUT') ||
-                                        error.message?.includes('socket hang up') ||
-                                        error.code === 'ECONNREFUSED' ||
-                                        error.code === 'ENOTFOUND' ||
-                                        error.code === 'ETIMEDOUT';
-
-                const isAuthError = error.message?.includes('401') || 
-                                  error.message?.includes('unauthorized') ||
-                                  error.message?.includes('invalid api key') ||
-                                  error.message?.includes('authentication');
-
-                const isRateLimitError = error.message?.includes('429') || 
-                                       error.message?.includes('rate limit') ||
-                                       error.message?.includes('too many requests');
-
-                this.logger.error(`Groq attempt ${attempt}/${maxRetries} failed:`, {
-                    attempt,
-                    error: error.message,
-                    errorCode: error.code,
-                    isConnectionError,
-                    isAuthError,
-                    isRateLimitError,
-                    maxRetries,
-                    stack: error.stack?.split('\n')[0] // First line of stack trace
-                });
-
-                // Don't retry auth errors - they won't succeed
-                if (isAuthError) {
-                    this.logger.error('Authentication error - check GROQ_API_KEY', {
-                        error: error.message,
-                        suggestion: 'Verify GROQ_API_KEY is correct in Railway environment variables'
-                    });
-                    break;
-                }
-
-                if (attempt === maxRetries) {
-                    // All retries exhausted
-                    break;
-                }
-
-                // Longer delays for connection issues
-                const baseRetryDelay = isConnectionError ? 2000 : 1000;
-                const delay = baseRetryDelay * Math.pow(2, attempt - 1);
-                
-                this.logger.info('Retrying Groq request...', {
-                    attempt: attempt + 1,
-                    delay,
-                    maxRetries,
-                    errorType: isConnectionError ? 'connection' : isRateLimitError ? 'rate-limit' : 'other'
-                });
-
-                await new Promise(resolve => setTimeout(resolve, delay));
+        const messages = [
+            {
+                role: 'system',
+                content: `You are a senior DeFi portfolio advisor with extensive experience in cryptocurrency markets and decentralized finance protocols. Provide professional, institutional-grade advice with appropriate financial terminology. Maintain a formal yet accessible tone suitable for sophisticated investors seeking strategic portfolio guidance. ${USER_INPUT_RULE}`
+            },
+            // Earlier questions are user text too
+            ...history.map(m => (m.role === 'user' ? { ...m, content: wrapUserText(m.content) } : m)),
+            {
+                role: 'user',
+                content: prompt
             }
-        }
-
-        // All retries failed - throw error instead of fallback
-        this.logger.error('All Groq retry attempts failed', { 
-            error: lastError?.message || 'Unknown error',
-            totalAttempts: maxRetries,
-            question: query
-        });
-
-        throw new Error(`Unable to analyze your portfolio query at this time. Please check your connection and try again later.`);
+        ];
+
+        return {
+            messages,
+            task: 'ask',
+            tier: this.router.selectTier('ask', { query, messages }),
+            userId,
+            temperature: 0.6,
+            maxTokens: 1000
+        };
     }
 
     /**
      * Create a compact summary of the portfolio to reduce prompt size
-     * @private
+     * 
+     * @param {Object} data - Portfolio data from AURA API
+     * @returns {Object} { totalValueUSD, networks, topTokens }
      */
-    _summarizePortfolio(data = {}) {
+    summarizePortfolio(data = {}) {
         try {
-            const summary = {
-                totalValueUSD: 0,
-                networks: [],
-                topTokens: []
-            };
-            const tokens = [];
-            const nets = Array.isArray(data.portfolio) ? data.portfolio : [];
-            for (const net of nets) {
-                const nname = net?.network?.name || net?.network || 'Unknown';
-                summary.networks.push(nname);
-                const tks = Array.isArray(net.tokens) ? net.tokens : [];
-                for (const t of tks) {
-                    const usd = Number(t.balanceUSD || 0);
-                    summary.totalValueUSD += usd;
-                    if (usd > 0.01) {
-                        tokens.push({
-                            symbol: t.symbol || t.name || 'Unknown',
-                            network: nname,
-                            usd
-                        });
-                    }
-                }
-            }
-            tokens.sort((a, b) => b.usd - a.usd);
-            summary.topTokens = tokens.slice(0, 30); // cap at 30 tokens
-            // Deduplicate networks
-            summary.networks = Array.from(new Set(summary.networks));
-            return summary;
+            return summarizePortfolio(data);
         } catch (e) {
             this.logger.warn('Failed to summarize portfolio, using minimal fields', { error: e.message });
             return { note: 'summary_failed', totalValueUSD: data?.totalValue || 0 };
@@ -265,20 +545,40 @@ class GroqAnalyzer {
     }
 
     /**
-     * Analyze risk profile of the portfolio
+     * Analyze risk profile of the portfolio. The score, level and metrics
+     * come from the deterministic risk engine; the model only explains them
+     * and picks out risky assets and suitable strategies.
      * 
      * @param {Object} portfolioData - Portfolio data from AURA API
      * @param {Object} strategiesData - Strategies data from AURA API
-     * @returns {Promise<Object>} Risk analysis with score and recommendations
+     * @returns {Promise<Object>} Risk analysis: riskScore, riskLevel, metrics and
+     *   scoreBreakdown from the engine, plus the narrative fields of
+     *   RISK_REPORT_SCHEMA. When the narrative is invalid after repair (or the
+     *   model fails) the engine's reasons stand in for it and the report has
+     *   `partial: true` and `validationErrors`.
      */
     async analyzeRisk(portfolioData, strategiesData) {
-        try {
-            const prompt = `
-Analyze the risk profile of this DeFi portfolio. Provide:
-1. Overall risk score (0-100, where 0 is safest)
-2. Top 3 risk factors
-3. Top 3 risky assets (if any)
-4. Recommended low-risk strategies from the provided list
+        const assessment = computeRiskMetrics(portfolioData);
+        const computed = {
+            riskScore: assessment.score,
+            riskLevel: assessment.level,
+            metrics: assessment.metrics,
+            scoreBreakdown: assessment.components
+        };
+
+        const prompt = `
+Explain the risk profile of this DeFi portfolio. The risk score below was computed from the holdings and is final: do not change it or compute your own.
+
+Computed Risk Score: ${assessment.score ?? 'n/a'}/100 (${assessment.level || 'Unknown'})
+
+Investor Profile:
+${describeProfile(portfolioData.profile)}
+
+Score Breakdown (points / max):
+${assessment.components.map(c => `- ${c.name}: ${c.points}/${c.max} - ${c.reason}`).join('\n') || '- No priced holdings'}
+
+Metrics:
+${JSON.stringify(assessment.metrics, null, 2)}
 
 Portfolio Data:
 ${JSON.stringify(portfolioData, null, 2)}
@@ -286,11 +586,15 @@ ${JSON.stringify(portfolioData, null, 2)}
 Available Strategies:
 ${JSON.stringify(strategiesData, null, 2)}
 
+Provide:
+1. Top 3 risk factors, each explaining one of the computed components above in plain language
+2. Top 3 risky assets (if any)
+3. Recommended low-risk strategies from the provided list that fit the investor profile
+4. A one-paragraph summary that quotes the computed score and says whether it suits the investor's risk tolerance and horizon
+
 Format your response as JSON with this structure:
 {
-    "riskScore": 45,
-    "riskLevel": "Moderate",
-    "riskFactors": ["High concentration in volatile tokens", "Exposure to new protocols", "..."],
+    "riskFactors": ["62% of the portfolio is in volatile assets", "..."],
     "riskyAssets": [
         {"symbol": "TOKEN", "reason": "High volatility", "value": "$1000"}
     ],
@@ -300,36 +604,72 @@ Format your response as JSON with this structure:
     "summary": "One paragraph summary"
 }`;
 
-            const response = await this.groq.chat.completions.create({
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a risk assessment expert. Analyze DeFi portfolios and return valid JSON only.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                model: this.models.smart,
-                temperature: 0.3,
-                max_tokens: 1500,
-                response_format: { type: 'json_object' }
-            });
+        const messages = [
+            {
+                role: 'system',
+                content: 'You are a risk assessment expert. Explain computed DeFi portfolio risk metrics without altering them, and return valid JSON only.'
+            },
+            {
+                role: 'user',
+                content: prompt
+            }
+        ];
 
-            const riskAnalysis = JSON.parse(response.choices[0]?.message?.content || '{}');
-            
-            this.logger.info('Risk analysis completed', {
-                riskScore: riskAnalysis.riskScore,
-                riskLevel: riskAnalysis.riskLevel
+        let narrative;
+        try {
+            narrative = await completeStructured({
+                complete: request => this._completeWithRetry(request, { task: 'risk' }),
+                request: {
+                    messages,
+                    task: 'risk',
+                    tier: this.router.selectTier('risk', { messages }),
+                    userId: portfolioData.userId ?? null,
+                    temperature: 0.2,
+                    maxTokens: 1500,
+                    responseFormat: { type: 'json_object' }
+                },
+                spec: {
+                    schema: RISK_REPORT_SCHEMA,
+                    // Lets the repair step rewrite an unsafe narrative
+                    check: value => (checkOutput(JSON.stringify(value)).allowed
+                        ? []
+                        : ['response: must not ask for seed phrases, private keys or risky wallet actions'])
+                },
+                label: 'analyzeRisk',
+                logger: this.logger
             });
+        } catch (error) {
+            this.logger.error('Risk narrative failed', { error: error.message });
+            narrative = { ok: false, value: {}, errors: [error.message], repairs: 0 };
+        }
 
-            return riskAnalysis;
+        // Partial results skip the check above, so an unsafe narrative is dropped whole
+        const { allowed, reason } = checkOutput(JSON.stringify(narrative.value));
+        if (!allowed) {
+            this.logger.warn('AI answer withheld by output guard', { task: 'risk', reason });
+            narrative = { ok: false, value: {}, errors: [`withheld by output guard (${reason})`], repairs: narrative.repairs };
+        }
 
-        } catch (error) {
-            this.logger.error('Risk analysis failed', { error: error.message });
-            throw new Error('Unable to perform risk analysis. Please try again.');
+        const riskAnalysis = { ...narrative.value, ...computed };
+        if (!narrative.ok) {
+            // The computed reasons still explain the score
+            if (!riskAnalysis.riskFactors?.length) {
+                riskAnalysis.riskFactors = assessment.reasons;
+            }
+            riskAnalysis.riskyAssets = riskAnalysis.riskyAssets || [];
+            riskAnalysis.lowRiskStrategies = riskAnalysis.lowRiskStrategies || [];
+            riskAnalysis.partial = true;
+            riskAnalysis.validationErrors = narrative.errors;
         }
+
+        this.logger.info('Risk analysis completed', {
+            riskScore: riskAnalysis.riskScore,
+            riskLevel: riskAnalysis.riskLevel,
+            repairs: narrative.repairs,
+            partial: !narrative.ok
+        });
+
+        return riskAnalysis;
     }
 
     /**
@@ -337,7 +677,8 @@ Format your response as JSON with this structure:
      * 
      * @param {Array} strategies - Array of strategy objects from AURA
      * @param {Object} portfolioData - Portfolio data for context
-     * @param {string} userPreference - User's preference (e.g., "low risk", "high yield")
+     * @param {string} userPreference - Extra preference for this comparison (e.g., "low risk", "high yield");
+     *   the stored profile in portfolioData.profile always applies
      * @returns {Promise<string>} Comparison and recommendation
      */
     async compareStrategies(strategies, portfolioData, userPreference = '') {
@@ -346,40 +687,49 @@ Format your response as JSON with this structure:
 Compare these DeFi strategies and recommend the best option.
 
 User's Portfolio Value: $${portfolioData.totalValue || 'unknown'}
-User's Preference: ${userPreference || 'balanced risk/reward'}
+User's Profile:
+${describeProfile(portfolioData.profile)}
+User's Preference: ${userPreference ? `\n${wrapUserText(userPreference)}` : 'follow the profile above'}
 
 Strategies to Compare:
 ${JSON.stringify(strategies, null, 2)}
 
 Provide:
 1. Brief comparison highlighting key differences
-2. Recommended strategy with clear reasoning
+2. Recommended strategy with clear reasoning, matching the user's risk tolerance and horizon
 3. Risks to be aware of
 4. Expected outcomes
 
-Keep response concise and actionable for Telegram.`;
+Keep response concise and actionable (under 3500 characters). ${FORMAT_RULE}.`;
 
-            const response = await this.groq.chat.completions.create({
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a DeFi strategy advisor. Compare options clearly and recommend the best fit.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                model: this.models.balanced,
+            const messages = [
+                {
+                    role: 'system',
+                    content: `You are a DeFi strategy advisor. Compare options clearly and recommend the best fit. ${USER_INPUT_RULE}`
+                },
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ];
+
+            const response = await this._completeWithRetry({
+                messages,
+                task: 'compare',
+                tier: this.router.selectTier('compare', { query: userPreference, messages }),
+                userId: portfolioData.userId ?? null,
                 temperature: 0.6,
-                max_tokens: 1500
+                maxTokens: 1500
             });
 
-            return response.choices[0]?.message?.content || "Unable to compare strategies.";
+            if (!response.content) {
+                return "Unable to compare strategies.";
+            }
+            return this._checkAnswer(response.content, { task: 'compare', userId: portfolioData.userId });
 
         } catch (error) {
-            this.logger.error('Strategy comparison failed', { error: error.message });
-            throw new Error('Unable to compare strategies. Please try again.');
+            this.logger.error('Strategy comparison failed', { kind: classifyError(error), error: error.message });
+            throw this._userError(error, 'Unable to compare strategies. Please try again.');
         }
     }
 
@@ -391,189 +741,244 @@ Keep response concise and actionable for Telegram.`;
      * @returns {Promise<string>} Simple explanation
      */
     async explainConcept(concept, context = '') {
-        if (!this.groq) {
-            this.logger.warn('Groq client not initialized for explainConcept');
-            throw new Error('AI explanation service is currently unavailable. Please try again later.');
+        // Context-free explanations are the same for everyone, so reuse them
+        if (this.cache && !context) {
+            return this.cache.wrap('explain', this._conceptKey(concept), () => this._explainConcept(concept, context));
         }
+        return this._explainConcept(concept, context);
+    }
 
-        const maxRetries = 3;
-        const baseDelay = 2000;
-        let lastError;
+    /**
+     * Streaming variant of explainConcept. Cached explanations arrive as a
+     * single chunk; fresh context-free ones are cached once complete.
+     * 
+     * @param {string} concept - DeFi term or concept to explain
+     * @param {string} context - Optional context for better explanation
+     * @returns {AsyncGenerator<string>} Explanation text chunks as they arrive
+     */
+    async *streamConcept(concept, context = '') {
+        const cacheable = this.cache && !context;
+        if (cacheable) {
+            const cached = await this.cache.get('explain', this._conceptKey(concept));
+            if (cached) {
+                yield cached;
+                return;
+            }
+        }
 
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                this.logger.info('Groq API attempt for concept explanation', {
-                    attempt,
-                    maxRetries,
-                    concept
-                });
+        let text = '';
+        try {
+            for await (const chunk of this._guardStream(this._stream(this._conceptRequest(concept, context), { concept }), { task: 'explain', concept })) {
+                text += chunk;
+                yield chunk;
+            }
+        } catch (error) {
+            throw this._userError(error, `Unable to explain "${concept}" at this time. Please check your connection and try again later.`);
+        }
 
-                const prompt = `Explain "${concept}" in simple terms for someone new to DeFi.
-            
-${context ? `Context: ${context}` : ''}
+        if (cacheable) {
+            await this.cache.set('explain', this._conceptKey(concept), text);
+        }
+    }
 
-Requirements:
-- Use simple language and clear explanations
-- Provide practical real-world analogies where helpful
-- Mention important risks and considerations
-- Include actionable insights when relevant
-- Keep it concise but comprehensive (under 400 words)
-- Format for Telegram (simple text, bullet points OK)
-- Be professional yet accessible`;
+    /**
+     * @private
+     */
+    _conceptKey(concept) {
+        return concept.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
 
-                const response = await this.groq.chat.completions.create({
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are an expert DeFi educator with extensive knowledge of cryptocurrency and decentralized finance. Explain complex concepts in simple, clear terms that anyone can understand. Always provide accurate, up-to-date information with appropriate warnings about risks.'
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    model: this.models.balanced,
-                    temperature: 0.6,
-                    max_tokens: 1000
-                });
+    /**
+     * Uncached explainConcept implementation
+     * @private
+     */
+    async _explainConcept(concept, context) {
+        try {
+            const response = await this._completeWithRetry(this._conceptRequest(concept, context), { concept });
+            if (!response.content) {
+                throw new Error('No response from AI provider');
+            }
 
-                const result = response.choices[0]?.message?.content;
-                if (result) {
-                    this.logger.info('Concept explanation completed', {
-                        concept,
-                        responseLength: result.length
-                    });
-                    return result;
-                }
-                throw new Error('No response from Groq API');
+            this._checkAnswer(response.content, { task: 'explain', concept });
 
-            } catch (error) {
-                lastError = error;
-                
-                // Enhanced error classification
-                const isConnectionError = error.message?.includes('timeout') || 
-                                        error.message?.includes('network') ||
-                                        error.message?.includes('ENOTFOUND') ||
-                                        error.message?.includes('ECONNREFUSED') ||
-                                        error.message?.includes('Connection error') ||
-                                        error.message?.includes('ETIMEDOUT') ||
-                                        error.message?.includes('socket hang up') ||
-                                        error.code === 'ECONNREFUSED' ||
-                                        error.code === 'ENOTFOUND' ||
-                                        error.code === 'ETIMEDOUT';
-
-                const isAuthError = error.message?.includes('401') || 
-                                  error.message?.includes('unauthorized') ||
-                                  error.message?.includes('invalid api key') ||
-                                  error.message?.includes('authentication');
-
-                this.logger.error(`Groq concept explanation attempt ${attempt}/${maxRetries} failed:`, {
-                    attempt,
-                    error: error.message,
-                    errorCode: error.code,
-                    isConnectionError,
-                    isAuthError,
-                    maxRetries,
-                    concept
-                });
+            this.logger.info('Concept explanation completed', {
+                concept,
+                model: response.model,
+                responseLength: response.content.length
+            });
+            return response.content;
+        } catch (error) {
+            this.logger.error('Concept explanation failed', {
+                concept,
+                kind: classifyError(error),
+                error: error.message
+            });
+            throw this._userError(error, `Unable to explain "${concept}" at this time. Please check your connection and try again later.`);
+        }
+    }
 
-                // Don't retry auth errors
-                if (isAuthError) {
-                    this.logger.error('Authentication error - check GROQ_API_KEY', {
-                        error: error.message,
-                        suggestion: 'Verify GROQ_API_KEY is correct in environment variables'
-                    });
-                    break;
-                }
+    /**
+     * Error to show the user: an open circuit already says when to retry and
+     * a withheld answer says why; anything else gets the command's own message
+     * @private
+     */
+    _userError(error, message) {
+        return error instanceof CircuitOpenError || error instanceof GuardrailError ? error : new Error(message);
+    }
 
-                if (attempt === maxRetries) {
-                    break;
-                }
+    /**
+     * Throw GuardrailError when an answer fails the output check
+     * @private
+     */
+    _checkAnswer(text, meta) {
+        const { allowed, reason } = checkOutput(text);
+        if (!allowed) {
+            this.logger.warn('AI answer withheld by output guard', { ...meta, reason });
+            throw new GuardrailError(undefined, { reason });
+        }
+        return text;
+    }
 
-                const baseDelay = isConnectionError ? 3000 : 2000;
-                const delay = baseDelay * Math.pow(2, attempt - 1);
-                await new Promise(resolve => setTimeout(resolve, delay));
+    /**
+     * Streamed counterpart of _checkAnswer (see guardStream)
+     * @private
+     */
+    async *_guardStream(chunks, meta) {
+        try {
+            yield* guardStream(chunks);
+        } catch (error) {
+            if (error instanceof GuardrailError) {
+                this.logger.warn('AI answer withheld by output guard', { ...meta, reason: error.reason });
             }
+            throw error;
         }
+    }
 
-        // All retries failed - throw error instead of fallback
-        this.logger.error('All Groq concept explanation attempts failed', { 
-            error: lastError?.message || 'Unknown error',
-            totalAttempts: maxRetries,
-            concept
-        });
+    /**
+     * Chat request for a concept explanation
+     * @private
+     */
+    _conceptRequest(concept, context) {
+        const prompt = `Explain the DeFi concept below in simple terms for someone new to DeFi.
+
+Concept:
+${wrapUserText(concept)}
+${context ? `Context:\n${wrapUserText(context)}` : ''}
 
-        throw new Error(`Unable to explain "${concept}" at this time. Please check your connection and try again later.`);
+Requirements:
+- Use simple language and clear explanations
+- Provide practical real-world analogies where helpful
+- Mention important risks and considerations
+- Include actionable insights when relevant
+- Keep it concise but comprehensive (under 400 words)
+- ${FORMAT_RULE}
+- Be professional yet accessible`;
+
+        const messages = [
+            {
+                role: 'system',
+                content: `You are an expert DeFi educator with extensive knowledge of cryptocurrency and decentralized finance. Explain complex concepts in simple, clear terms that anyone can understand. Always provide accurate, up-to-date information with appropriate warnings about risks. ${USER_INPUT_RULE}`
+            },
+            {
+                role: 'user',
+                content: prompt
+            }
+        ];
+
+        return {
+            messages,
+            task: 'explain',
+            tier: this.router.selectTier('explain', { query: concept, messages }),
+            temperature: 0.6,
+            maxTokens: 1000
+        };
     }
 
     /**
-     * Build a comprehensive prompt for portfolio analysis
+     * Fold older conversation turns into a short running summary
      * 
-     * @private
+     * @param {string|null} previousSummary - Summary of even earlier turns
+     * @param {Array<{role: string, content: string}>} messages - Turns to fold in
+     * @returns {Promise<string>} Updated summary
      */
-    _buildPortfolioPrompt(userQuestion, portfolioData, strategiesData) {
-        return `
-USER'S QUESTION: "${userQuestion}"
-
-PORTFOLIO DATA:
-${JSON.stringify(portfolioData, null, 2)}
+    async summarizeConversation(previousSummary, messages) {
+        const transcript = messages
+            .map(m => `${m.role.toUpperCase()}: ${m.content}`)
+            .join('\n\n');
+
+        const summaryMessages = [
+            {
+                role: 'system',
+                content: 'You maintain the memory of a DeFi portfolio chat. Write a compact factual summary that keeps the user\'s questions, the holdings and numbers discussed, and any recommendations or preferences. No greetings, no advice of your own.'
+            },
+            {
+                role: 'user',
+                content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New turns:\n${transcript}\n\nReturn the updated summary in under 150 words.`
+            }
+        ];
+
+        const response = await this._completeWithRetry({
+            messages: summaryMessages,
+            task: 'summarize',
+            tier: this.router.selectTier('summarize', { messages: summaryMessages }),
+            temperature: 0.2,
+            maxTokens: 300
+        });
 
-AI-GENERATED STRATEGIES:
-${JSON.stringify(strategiesData, null, 2)}
+        if (!response.content) {
+            throw new Error('No response from AI provider');
+        }
+        return response.content.trim();
+    }
 
-INSTRUCTIONS:
-Based on the portfolio and strategy data above, answer the user's question.
-- Use actual numbers from the data
-- Be specific and actionable
-- Format for Telegram (simple, clear)
-- If the data doesn't contain the answer, say so honestly
-- Keep response under 3500 characters
-`;
+    /**
+     * Provider state for readiness probes. Makes no request, unlike
+     * healthCheck().
+     *
+     * @returns {{provider: string, circuitOpen: boolean}}
+     */
+    status() {
+        return { provider: this.provider.name, circuitOpen: this.breaker.isOpen() };
     }
 
     /**
-     * Health check for Groq API
+     * Health check for the AI provider. Costs a completion.
      * 
      * @returns {Promise<boolean>} True if API is accessible
      */
     async healthCheck() {
-        if (!this.groq) {
-            this.logger.error('Groq health check failed: client not initialized');
-            return false;
-        }
-
         try {
-            this.logger.info('Starting Groq health check...');
+            this.logger.info('Starting AI provider health check...');
             
-            const response = await this.groq.chat.completions.create({
+            const response = await this._completeWithRetry({
                 messages: [
                     { role: 'user', content: 'Hello' }
                 ],
-                model: this.models.fast,
-                max_tokens: 10
-            });
+                task: 'health',
+                tier: 'fast',
+                maxTokens: 10
+            }, {}, { attempts: 2, deadline: HEALTH_CHECK_DEADLINE });
 
-            const isHealthy = !!response.choices[0]?.message?.content;
+            const isHealthy = !!response.content;
             
-            this.logger.info('Groq health check completed', {
+            this.logger.info('AI provider health check completed', {
                 isHealthy,
-                hasResponse: !!response,
-                hasChoices: !!response.choices,
-                choicesLength: response.choices?.length,
-                model: this.models.fast
+                provider: this.provider.name,
+                model: response.model
             });
 
             return isHealthy;
         } catch (error) {
-            this.logger.error('Groq health check failed', { 
+            const kind = classifyError(error);
+            this.logger.error('AI provider health check failed', { 
                 error: error.message,
                 errorCode: error.code,
-                stack: error.stack?.split('\n')[0],
-                suggestion: error.message?.includes('401') ? 
-                    'Check GROQ_API_KEY in Railway environment variables' :
-                    error.message?.includes('timeout') ?
+                kind,
+                suggestion: kind === 'auth' ? 
+                    'Check AI_API_KEY in Railway environment variables' :
+                    kind === 'timeout' || kind === 'network' ?
                     'Network connectivity issue - check Railway network' :
-                    'Unknown error - check Groq service status'
+                    `Check ${this.provider.name} service status`
             });
             return false;
         }
@@ -581,3 +986,5 @@ Based on the portfolio and strategy data above, answer the user's question.
 }
 
 module.exports = GroqAnalyzer;
+module.exports.RISK_REPORT_SCHEMA = RISK_REPORT_SCHEMA;
+module.exports.MAX_TOOL_ROUNDS = MAX_TOOL_ROUNDS;
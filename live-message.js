@@ -0,0 +1,268 @@
+/**
+ * Live Messages
+ *
+ * Shows a streamed answer in Telegram by sending a placeholder and editing
+ * it as text arrives. Edits are throttled to stay under Telegram's limits
+ * (roughly one per second in private chats, 20 per minute in groups) and
+ * back off when Telegram answers 429 with retry_after. Answers that outgrow
+ * one message are sealed at a paragraph or line break and continue in a
+ * new message; a code block cut in two is reopened in the next one.
+ *
+ * With a parse mode, model Markdown is rendered through telegram-format.js.
+ * If Telegram rejects the formatting, the message falls back to plain text.
+ */
+
+const { renderMarkdown, toPlainText, splitPoint, openFence, isParseError, MAX_MESSAGE_LENGTH } = require('./telegram-format');
+
+const EDIT_INTERVAL_PRIVATE = 1200;
+const EDIT_INTERVAL_GROUP = 3000;
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Shown at the end of a message while more text is on its way
+const CURSOR = ' ▌';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LiveMessage {
+    /**
+     * @param {Object} telegram - Telegraf Telegram client (ctx.telegram)
+     * @param {{id: number, type: string}} chat - Chat to post in (ctx.chat)
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Minimum ms between edits (default depends on chat type)
+     * @param {number} [options.maxLength=4000] - Characters per message
+     * @param {string|null} [options.parseMode=null] - 'HTML' or 'MarkdownV2' to render Markdown; null sends text as is
+     * @param {Object} [options.logger]
+     */
+    constructor(telegram, chat, { interval, maxLength = MAX_MESSAGE_LENGTH, parseMode = null, logger = console } = {}) {
+        this.telegram = telegram;
+        this.chatId = chat.id;
+        this.interval = interval ?? (chat.type === 'private' ? EDIT_INTERVAL_PRIVATE : EDIT_INTERVAL_GROUP);
+        this.maxLength = maxLength;
+        this.parseMode = parseMode;
+        this.logger = logger;
+
+        this.text = '';
+        this.offset = 0; // Where the current message starts within text
+        this.prefix = ''; // Code fence reopened at the start of the current message
+        this.messageId = null;
+        this.shown = '';
+        this.nextEditAt = 0;
+        this.timer = null;
+        this.queue = Promise.resolve();
+        this.closed = false;
+        this.plain = false;
+    }
+
+    /**
+     * Send the placeholder that later edits replace
+     *
+     * @param {string} placeholder
+     * @returns {Promise<void>}
+     */
+    async start(placeholder) {
+        await this._show(placeholder, true);
+    }
+
+    /**
+     * Add text; the message is updated on the next throttled edit
+     *
+     * @param {string} chunk
+     */
+    append(chunk) {
+        if (this.closed || !chunk) return;
+        this.text += chunk;
+
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this._enqueue(() => this._render(false));
+            }, Math.max(0, this.nextEditAt - Date.now()));
+        }
+    }
+
+    /**
+     * Show the complete text, optionally followed by a notice (such as an
+     * interruption message), and stop updating
+     *
+     * @param {string} [notice]
+     * @returns {Promise<void>}
+     */
+    async finish(notice = '') {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (notice) {
+            this.text += this.text ? `\n\n${notice}` : notice;
+        }
+        await this._enqueue(() => this._render(true), true);
+    }
+
+    /**
+     * Run renders one at a time. Intermediate renders are best effort.
+     * @private
+     */
+    _enqueue(fn, propagate = false) {
+        const next = this.queue.then(fn);
+        this.queue = next.catch(error => {
+            this.logger.warn('Live message update dropped', { chatId: this.chatId, error: error.message });
+        });
+        return propagate ? next : this.queue;
+    }
+
+    /**
+     * @private
+     */
+    async _render(final) {
+        // Seal full messages and carry on in a new one
+        while (this._length(this.prefix + this.text.slice(this.offset)) > this.maxLength) {
+            const body = this.prefix + this.text.slice(this.offset);
+            let end = splitPoint(body, 0, this.maxLength);
+            // Escapes and wide tables render longer than their Markdown
+            for (let length = this._length(body.slice(0, end)); length > this.maxLength && end > 1; length = this._length(body.slice(0, end))) {
+                end = splitPoint(body, 0, Math.floor((end * this.maxLength) / length));
+            }
+            const sealed = body.slice(0, end);
+            await this._show(sealed, true);
+
+            this.offset += end - this.prefix.length;
+            this.prefix = openFence(sealed);
+            // Inside a code block only the line break goes; indentation stays
+            const skip = this.prefix ? /\n/ : /\s/;
+            while (skip.test(this.text[this.offset] || '')) this.offset++;
+            this.messageId = null;
+            this.shown = '';
+        }
+
+        const body = this.prefix + this.text.slice(this.offset);
+        if (!body && !this.messageId) return;
+        await this._show(final ? body : body + CURSOR, final);
+    }
+
+    /**
+     * Length of a message body once rendered, or as plain text if Telegram
+     * rejects the formatting
+     * @private
+     */
+    _length(body) {
+        return this.parseMode ? Math.max(renderMarkdown(body, this.parseMode).length, toPlainText(body).length) : body.length;
+    }
+
+    /**
+     * Text and parse mode to send for a message body
+     * @private
+     */
+    _format(body) {
+        if (!this.parseMode) {
+            return { text: body, parseMode: undefined };
+        }
+        if (this.plain) {
+            return { text: toPlainText(body), parseMode: undefined };
+        }
+        return { text: renderMarkdown(body, this.parseMode), parseMode: this.parseMode };
+    }
+
+    /**
+     * Edit the current message, or send a new one when there is none.
+     * Must-deliver updates wait out rate limits and are retried; if editing
+     * keeps failing they are posted as a new message instead.
+     * @private
+     */
+    async _show(text, mustDeliver) {
+        if (text === this.shown) return;
+
+        for (let attempt = 1; ; attempt++) {
+            const wait = this.nextEditAt - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
+
+            const { text: formatted, parseMode } = this._format(text);
+            const extra = parseMode ? { parse_mode: parseMode } : undefined;
+            try {
+                if (this.messageId) {
+                    await this.telegram.editMessageText(this.chatId, this.messageId, undefined, formatted, extra);
+                } else {
+                    const message = await this.telegram.sendMessage(this.chatId, formatted, extra);
+                    this.messageId = message.message_id;
+                }
+                this.shown = text;
+                this.nextEditAt = Date.now() + this.interval;
+                return;
+            } catch (error) {
+                if (/message is not modified/i.test(error.description || error.message)) {
+                    this.shown = text;
+                    return;
+                }
+                if (parseMode && isParseError(error)) {
+                    // Keep the rest of this answer plain and resend at once
+                    this.logger.warn('Formatting rejected, sending plain text', {
+                        chatId: this.chatId,
+                        parseMode,
+                        error: error.message
+                    });
+                    this.plain = true;
+                    attempt--;
+                    continue;
+                }
+
+                const retryAfter = error.parameters?.retry_after;
+                this.nextEditAt = Date.now() + (retryAfter ? retryAfter * 1000 : this.interval);
+                this.logger.warn('Live message update failed', {
+                    chatId: this.chatId,
+                    attempt,
+                    retryAfter,
+                    error: error.message
+                });
+
+                if (!mustDeliver || attempt >= MAX_DELIVERY_ATTEMPTS) {
+                    throw error;
+                }
+                if (!retryAfter && this.messageId) {
+                    // The message may be gone or too old to edit
+                    this.messageId = null;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Stream text chunks into a live-edited reply
+ *
+ * @param {Object} ctx - Telegraf context
+ * @param {AsyncIterable<string>} chunks - Answer text as it arrives
+ * @param {Object} [options]
+ * @param {string} [options.placeholder='Thinking...']
+ * @param {string|null} [options.parseMode] - See LiveMessage
+ * @param {Object} [options.logger]
+ * @returns {Promise<{text: string, complete: boolean}>} The streamed answer;
+ *   complete is false when the stream failed (the user has already been told)
+ */
+async function streamReply(ctx, chunks, { placeholder = 'Thinking...', logger = console, ...options } = {}) {
+    const live = new LiveMessage(ctx.telegram, ctx.chat, { logger, ...options });
+    await live.start(placeholder);
+
+    let text = '';
+    try {
+        for await (const chunk of chunks) {
+            text += chunk;
+            live.append(chunk);
+        }
+    } catch (error) {
+        logger.error('Streamed answer failed', {
+            chatId: ctx.chat.id,
+            received: text.length,
+            error: error.message
+        });
+        await live.finish(text ? `(Answer interrupted: ${error.message})` : error.message);
+        return { text, complete: false };
+    }
+
+    await live.finish(text ? '' : 'No answer was returned. Please try again.');
+    return { text, complete: !!text };
+}
+
+module.exports = { streamReply, LiveMessage, MAX_MESSAGE_LENGTH };
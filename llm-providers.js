@@ -0,0 +1,446 @@
+/**
+ * LLM Providers
+ *
+ * Chat-completion backends behind a common interface so GroqAnalyzer does
+ * not depend on one vendor SDK.
+ *
+ * Provider interface:
+ *   name                         Provider id ('groq', 'openai', 'mock')
+ *   models                       { fast, balanced, smart } model names
+ *   chat(request)                -> { content, model, usage, toolCalls }
+ *   stream(request)              -> async iterable of text chunks, ending
+ *                                   with { toolCalls } when the model calls tools
+ *
+ * request: { messages, model, temperature, maxTokens, responseFormat, tools, toolChoice }
+ * tools use the OpenAI function-calling schema; toolCalls are returned as
+ * [{ id, name, arguments }] with arguments as a JSON string.
+ *
+ * Selection (createProvider): AI_PROVIDER = groq (default) | openai | mock
+ * - openai works with any OpenAI-compatible server via AI_BASE_URL
+ * - mock answers deterministically and never touches the network
+ * Model names can be overridden with AI_MODEL_FAST / AI_MODEL_BALANCED /
+ * AI_MODEL_SMART.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const Groq = require('groq-sdk');
+
+// One distinct model per tier, so the router's fallback (smart -> balanced
+// -> fast) always lands on a different model
+const DEFAULT_MODELS = {
+    // Updated Oct 2025
+    groq: {
+        fast: 'llama-3.1-8b-instant',
+        balanced: 'llama-3.3-70b-versatile',
+        smart: 'openai/gpt-oss-120b'
+    },
+    openai: {
+        fast: 'gpt-4o-mini',
+        balanced: 'gpt-4.1-mini',
+        smart: 'gpt-4o'
+    },
+    mock: {
+        fast: 'mock-fast',
+        balanced: 'mock-balanced',
+        smart: 'mock-smart'
+    }
+};
+
+const DEFAULT_TIMEOUT = 30000;
+
+class LLMProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {string} [details.provider]
+     * @param {number} [details.status] - HTTP status from the provider
+     * @param {string} [details.code] - Network or provider error code
+     * @param {Object} [details.headers] - Response headers (for Retry-After)
+     * @param {Error} [details.cause]
+     */
+    constructor(message, { provider, status, code, headers, cause } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+        this.headers = headers || {};
+        if (cause) this.cause = cause;
+    }
+}
+
+/**
+ * Request fields shared by the OpenAI-style APIs
+ * @private
+ */
+function completionBody({ messages, model, temperature, maxTokens, responseFormat, tools, toolChoice }) {
+    return {
+        messages,
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+        ...(tools?.length ? { tools, tool_choice: toolChoice || 'auto' } : {})
+    };
+}
+
+/**
+ * @private
+ */
+function toToolCalls(raw) {
+    return (raw || []).map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: call.function?.arguments || '{}'
+    }));
+}
+
+/**
+ * Merge streamed tool-call fragments (keyed by index) into complete calls
+ * @private
+ */
+function mergeToolCallDeltas(pending, deltas = []) {
+    for (const delta of deltas) {
+        const call = pending[delta.index ?? pending.length] ||= { id: '', name: '', arguments: '' };
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.name += delta.function.name;
+        if (delta.function?.arguments) call.arguments += delta.function.arguments;
+    }
+    return pending;
+}
+
+/**
+ * @private
+ */
+function validateApiKey(apiKey, provider) {
+    if (!apiKey) {
+        throw new Error(`AI_API_KEY is required for the ${provider} provider`);
+    }
+    if (typeof apiKey !== 'string') {
+        throw new Error('AI_API_KEY must be a string');
+    }
+    if (apiKey.length < 10) {
+        throw new Error('AI_API_KEY appears to be invalid (too short)');
+    }
+}
+
+class GroqProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey
+     * @param {Object} [options.models] - Tier overrides
+     * @param {number} [options.timeout]
+     * @param {Object} [options.logger]
+     */
+    constructor({ apiKey, models = {}, timeout = DEFAULT_TIMEOUT, logger = console }) {
+        validateApiKey(apiKey, 'groq');
+
+        this.name = 'groq';
+        this.logger = logger;
+        this.models = { ...DEFAULT_MODELS.groq, ...models };
+        this.client = new Groq({
+            apiKey,
+            timeout, // Increased timeout for Railway network
+            dangerouslyAllowBrowser: false,
+            maxRetries: 0 // Retries are handled by the analyzer
+        });
+
+        this.logger.info('Groq provider initialized', {
+            keyPreview: apiKey.substring(0, 8) + '...',
+            timeout
+        });
+    }
+
+    async chat(request) {
+        try {
+            const response = await this.client.chat.completions.create(completionBody(request));
+            return {
+                content: response.choices[0]?.message?.content || '',
+                model: response.model || request.model,
+                usage: response.usage || null,
+                toolCalls: toToolCalls(response.choices[0]?.message?.tool_calls)
+            };
+        } catch (error) {
+            throw this._error(error);
+        }
+    }
+
+    async *stream(request) {
+        try {
+            const stream = await this.client.chat.completions.create({ ...completionBody(request), stream: true });
+            const toolCalls = [];
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta;
+                if (delta?.content) yield delta.content;
+                mergeToolCallDeltas(toolCalls, delta?.tool_calls);
+            }
+            if (toolCalls.length) yield { toolCalls };
+        } catch (error) {
+            throw this._error(error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _error(error) {
+        return new LLMProviderError(error.message, {
+            provider: this.name,
+            status: error.status,
+            code: error.code || error.cause?.code,
+            headers: error.headers,
+            cause: error
+        });
+    }
+}
+
+class OpenAICompatibleProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseURL - e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+     * @param {string} [options.apiKey] - Optional for self-hosted servers
+     * @param {Object} [options.models] - Tier overrides
+     * @param {number} [options.timeout]
+     * @param {Object} [options.logger]
+     */
+    constructor({ baseURL, apiKey, models = {}, timeout = DEFAULT_TIMEOUT, logger = console }) {
+        if (!baseURL) {
+            throw new Error('AI_BASE_URL is required for the openai provider');
+        }
+
+        this.name = 'openai';
+        this.logger = logger;
+        this.models = { ...DEFAULT_MODELS.openai, ...models };
+        this.http = axios.create({
+            baseURL: baseURL.replace(/\/+$/, ''),
+            timeout,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            }
+        });
+
+        this.logger.info('OpenAI-compatible provider initialized', {
+            baseURL,
+            hasKey: !!apiKey,
+            timeout
+        });
+    }
+
+    async chat(request) {
+        try {
+            const { data } = await this.http.post('/chat/completions', completionBody(request));
+            return {
+                content: data?.choices?.[0]?.message?.content || '',
+                model: data?.model || request.model,
+                usage: data?.usage || null,
+                toolCalls: toToolCalls(data?.choices?.[0]?.message?.tool_calls)
+            };
+        } catch (error) {
+            throw this._error(error);
+        }
+    }
+
+    /**
+     * Reads the server-sent events of a `stream: true` completion
+     */
+    async *stream(request) {
+        try {
+            const response = await this.http.post('/chat/completions', { ...completionBody(request), stream: true }, {
+                responseType: 'stream'
+            });
+
+            const toolCalls = [];
+            // Decodes characters split across network chunks
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const data of response.data) {
+                buffer += decoder.decode(data, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const delta = this._eventDelta(line, request);
+                    if (delta?.content) yield delta.content;
+                    mergeToolCallDeltas(toolCalls, delta?.tool_calls);
+                }
+            }
+            // The last event may arrive without a trailing newline
+            const delta = this._eventDelta(buffer + decoder.decode(), request);
+            if (delta?.content) yield delta.content;
+            mergeToolCallDeltas(toolCalls, delta?.tool_calls);
+
+            if (toolCalls.length) yield { toolCalls };
+        } catch (error) {
+            throw this._error(error);
+        }
+    }
+
+    /**
+     * Delta of one server-sent event line; null for comments, keep-alives,
+     * [DONE] and lines that are not valid JSON
+     * @private
+     */
+    _eventDelta(line, request) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') return null;
+
+        try {
+            return JSON.parse(payload).choices?.[0]?.delta || null;
+        } catch (error) {
+            this.logger.warn('Skipped malformed stream event', { provider: this.name, model: request.model, event: payload.slice(0, 100) });
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _error(error) {
+        if (error instanceof LLMProviderError) return error;
+        // Streamed error bodies are not parsed, so fall back to the axios message
+        const detail = error.response?.data?.error?.message || error.message;
+        return new LLMProviderError(detail, {
+            provider: this.name,
+            status: error.response?.status,
+            // The provider's code (e.g. model_not_found) when the body has one
+            code: error.response?.data?.error?.code || error.code,
+            headers: error.response?.headers,
+            cause: error
+        });
+    }
+}
+
+class MockProvider {
+    /**
+     * Deterministic offline provider. The same messages always produce the
+     * same answer, which keeps development and tests reproducible. When
+     * tools are offered it calls the first one once before answering. JSON
+     * mode answers in the shape of the risk report, the only JSON task.
+     *
+     * @param {Object} [options]
+     * @param {Object} [options.models] - Tier overrides
+     * @param {Function} [options.respond] - (request) => string, to script answers
+     * @param {number} [options.chunkDelay=0] - Pause between streamed words in ms
+     * @param {Object} [options.logger]
+     */
+    constructor({ models = {}, respond = null, chunkDelay = 0, logger = console } = {}) {
+        this.name = 'mock';
+        this.logger = logger;
+        this.models = { ...DEFAULT_MODELS.mock, ...models };
+        this.respond = respond;
+        this.chunkDelay = chunkDelay;
+        this.calls = [];
+    }
+
+    async chat(request) {
+        this.calls.push(request);
+        const toolCalls = this.respond ? [] : this._defaultToolCalls(request);
+        const content = toolCalls.length ? '' : this.respond ? await this.respond(request) : this._defaultAnswer(request);
+        return {
+            content,
+            model: request.model,
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+            toolCalls
+        };
+    }
+
+    /**
+     * Streams the chat() answer word by word
+     */
+    async *stream(request) {
+        const { content, toolCalls } = await this.chat(request);
+        if (toolCalls.length) {
+            yield { toolCalls };
+            return;
+        }
+        for (const word of content.match(/\S+\s*/g) || []) {
+            if (this.chunkDelay) {
+                await new Promise(resolve => setTimeout(resolve, this.chunkDelay));
+            }
+            yield word;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _defaultToolCalls({ messages, tools, toolChoice }) {
+        if (!tools?.length || toolChoice === 'none' || messages.some(m => m.role === 'tool')) {
+            return [];
+        }
+        return [{ id: `call_${this.calls.length}`, name: tools[0].function.name, arguments: '{}' }];
+    }
+
+    /**
+     * @private
+     */
+    _defaultAnswer({ messages, responseFormat }) {
+        const last = messages[messages.length - 1]?.content || '';
+        const digest = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+
+        if (responseFormat?.type === 'json_object') {
+            return JSON.stringify({
+                riskFactors: [`Mock risk factor ${digest.slice(0, 8)}`],
+                riskyAssets: [],
+                lowRiskStrategies: [{ name: 'Mock strategy', reason: 'Generated offline by the mock AI provider' }],
+                summary: `Mock risk summary ${digest.slice(0, 8)}.`
+            });
+        }
+
+        const preview = last.replace(/\s+/g, ' ').trim().slice(0, 120);
+        return `Mock response ${digest.slice(0, 8)}.\n\nThis answer was generated offline by the mock AI provider for: "${preview}"`;
+    }
+}
+
+/**
+ * Model names from AI_MODEL_* environment variables
+ * @private
+ */
+function modelsFromEnv(env) {
+    const models = {};
+    if (env.AI_MODEL_FAST) models.fast = env.AI_MODEL_FAST;
+    if (env.AI_MODEL_BALANCED) models.balanced = env.AI_MODEL_BALANCED;
+    if (env.AI_MODEL_SMART) models.smart = env.AI_MODEL_SMART;
+    return models;
+}
+
+/**
+ * Build the provider configured by the environment
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Defaults to process.env
+ * @param {Object} [options.logger]
+ * @returns {GroqProvider|OpenAICompatibleProvider|MockProvider}
+ */
+function createProvider({ env = process.env, logger = console } = {}) {
+    const name = (env.AI_PROVIDER || 'groq').toLowerCase();
+    const apiKey = env.AI_API_KEY || env.GROQ_API_KEY;
+    const models = modelsFromEnv(env);
+
+    switch (name) {
+        case 'groq':
+            return new GroqProvider({ apiKey, models, logger });
+        case 'openai':
+            return new OpenAICompatibleProvider({
+                baseURL: env.AI_BASE_URL || 'https://api.openai.com/v1',
+                apiKey,
+                models,
+                logger
+            });
+        case 'mock':
+            return new MockProvider({ models, logger });
+        default:
+            throw new Error(`Unknown AI_PROVIDER "${name}". Use groq, openai or mock.`);
+    }
+}
+
+module.exports = {
+    createProvider,
+    GroqProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    LLMProviderError,
+    DEFAULT_MODELS
+};
@@ -0,0 +1,42 @@
+/**
+ * Application Logger
+ *
+ * Shared winston logger. Writes structured console output everywhere and,
+ * in production, persists error.log / combined.log alongside the bot.
+ */
+
+const winston = require('winston');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+const transports = [
+    new winston.transports.Console({
+        format: winston.format.combine(
+            winston.format.colorize(),
+            winston.format.printf(({ level, message, timestamp, ...meta }) => {
+                const extra = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : '';
+                return `${timestamp} ${level}: ${message}${extra}`;
+            })
+        )
+    })
+];
+
+if (isProduction) {
+    transports.push(
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    );
+}
+
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'aura-bot' },
+    transports
+});
+
+module.exports = logger;
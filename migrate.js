@@ -1,173 +1,538 @@
 #!/usr/bin/env node
-
+/**
+ * Database Migrations
+ *
+ * Each migration is a list of `up` and `down` SQL statements. A migration
+ * runs inside a single transaction together with its bookkeeping row in
+ * `migrations`, so a failure leaves the schema exactly as it was.
+ *
+ * Usage:
+ *   node migrate.js                  Apply all pending migrations and clean the cache
+ *   node migrate.js status           Show applied and pending migrations
+ *   node migrate.js up [--to N]      Apply pending migrations up to version N
+ *   node migrate.js down N           Roll back every migration above version N
+ *   add --dry-run to any command to print the SQL without running it
+ *
+ * The database location comes from DATABASE_URL (sqlite:./aura_bot.db,
+ * sqlite::memory: or a plain file path).
+ */
 
 require('dotenv').config();
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-const dbPath = process.env.NODE_ENV === 'production' ? './aura_bot.db' : './aura_bot_dev.db';
-
-console.log('Starting database migration...');
-console.log(`Database: ${dbPath}`);
-
-const db = new sqlite3.Database(dbPath, (err) => {
-    if (err) {
-        console.error('❌ Database connection failed:', err.message);
-        process.exit(1);
-    }
-    console.log('Connected to SQLite database');
-});
+const { createStorage, parseDatabaseUrl } = require('./storage');
+const { RateLimiter } = require('./rate-limiter');
 
-// Migration functions
+// Migration definitions
 const migrations = [
   {
     version: 1,
     name: 'Create core tables',
-    up: () => new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run(`CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          telegram_id INTEGER UNIQUE NOT NULL,
-          username TEXT,
-          wallet_address TEXT,
-          risk_tolerance TEXT DEFAULT 'medium',
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          last_active DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, err => { if (err) reject(err); });
-
-        db.run(`CREATE TABLE IF NOT EXISTS api_cache (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          cache_key TEXT UNIQUE NOT NULL,
-          cache_data TEXT NOT NULL,
-          expires_at DATETIME NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, err => { if (err) reject(err); else resolve(); });
-      });
-    })
+    up: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_id INTEGER UNIQUE NOT NULL,
+        username TEXT,
+        wallet_address TEXT,
+        risk_tolerance TEXT DEFAULT 'medium',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_active DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS api_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cache_key TEXT UNIQUE NOT NULL,
+        cache_data TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS api_cache',
+      'DROP TABLE IF EXISTS users'
+    ]
   },
   {
     version: 2,
     name: 'Add indexes',
-    up: () => new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run(`CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users (telegram_id)`, err => { if (err) reject(err); });
-        db.run(`CREATE INDEX IF NOT EXISTS idx_api_cache_key ON api_cache (cache_key)`, err => { if (err) reject(err); });
-        db.run(`CREATE INDEX IF NOT EXISTS idx_api_cache_expires ON api_cache (expires_at)`, err => { if (err) reject(err); else resolve(); });
-      });
-    })
+    up: [
+      'CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users (telegram_id)',
+      'CREATE INDEX IF NOT EXISTS idx_api_cache_key ON api_cache (cache_key)',
+      'CREATE INDEX IF NOT EXISTS idx_api_cache_expires ON api_cache (expires_at)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS idx_api_cache_expires',
+      'DROP INDEX IF EXISTS idx_api_cache_key',
+      'DROP INDEX IF EXISTS idx_users_telegram_id'
+    ]
+  },
+  {
+    version: 3,
+    name: 'Create wallets table',
+    up: [
+      `CREATE TABLE IF NOT EXISTS wallets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        address TEXT NOT NULL,
+        chain_family TEXT NOT NULL,
+        label TEXT,
+        is_primary INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, address)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_wallets_user_id ON wallets (user_id)',
+      // Carry over the single wallet stored on users as each user's primary wallet
+      `INSERT OR IGNORE INTO wallets (user_id, address, chain_family, is_primary)
+        SELECT id, wallet_address, CASE WHEN wallet_address LIKE '0x%' THEN 'evm' ELSE 'unknown' END, 1
+        FROM users
+        WHERE wallet_address IS NOT NULL AND wallet_address != ''`
+    ],
+    down: [
+      'DROP INDEX IF EXISTS idx_wallets_user_id',
+      'DROP TABLE IF EXISTS wallets'
+    ]
+  },
+  {
+    version: 4,
+    name: 'Create conversation tables',
+    up: [
+      `CREATE TABLE IF NOT EXISTS conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER UNIQUE NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        summary TEXT,
+        portfolio_digest TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS conversation_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages (conversation_id)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS idx_conversation_messages_conversation',
+      'DROP TABLE IF EXISTS conversation_messages',
+      'DROP TABLE IF EXISTS conversations'
+    ]
+  },
+  {
+    version: 5,
+    name: 'Add investment profile settings',
+    up: [
+      "ALTER TABLE users ADD COLUMN investment_horizon TEXT DEFAULT 'medium'",
+      // JSON array of network names; NULL means no preference
+      'ALTER TABLE users ADD COLUMN preferred_chains TEXT'
+    ],
+    down: [
+      'ALTER TABLE users DROP COLUMN preferred_chains',
+      'ALTER TABLE users DROP COLUMN investment_horizon'
+    ]
+  },
+  {
+    version: 6,
+    name: 'Create AI completion log',
+    up: [
+      `CREATE TABLE IF NOT EXISTS ai_completions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_id INTEGER,
+        task TEXT NOT NULL,
+        tier TEXT NOT NULL,
+        model TEXT NOT NULL,
+        fallback INTEGER DEFAULT 0,
+        streamed INTEGER DEFAULT 0,
+        latency_ms INTEGER,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_ai_completions_task ON ai_completions (task, created_at)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS idx_ai_completions_task',
+      'DROP TABLE IF EXISTS ai_completions'
+    ]
+  },
+  {
+    version: 7,
+    name: 'Create rate limit counters',
+    up: [
+      `CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key TEXT PRIMARY KEY,
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS ai_usage (
+        telegram_id INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        calls INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (telegram_id, day)
+      )`,
+      "ALTER TABLE users ADD COLUMN tier TEXT DEFAULT 'free'"
+    ],
+    down: [
+      'ALTER TABLE users DROP COLUMN tier',
+      'DROP TABLE IF EXISTS ai_usage',
+      'DROP TABLE IF EXISTS rate_limits'
+    ]
+  },
+  {
+    version: 8,
+    name: 'Create portfolio snapshots',
+    up: [
+      `CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        wallet_address TEXT NOT NULL,
+        total_value_usd REAL NOT NULL,
+        summary TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_wallet ON portfolio_snapshots (user_id, wallet_address, created_at)'
+    ],
+    down: [
+      'DROP INDEX IF EXISTS idx_portfolio_snapshots_wallet',
+      'DROP TABLE IF EXISTS portfolio_snapshots'
+    ]
+  },
+  {
+    version: 9,
+    name: 'Create alerts and job schedule',
+    up: [
+      `CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        symbol TEXT,
+        direction TEXT,
+        threshold REAL NOT NULL,
+        reference_value REAL,
+        cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+        active INTEGER NOT NULL DEFAULT 1,
+        triggered INTEGER NOT NULL DEFAULT 0,
+        last_value REAL,
+        last_notified_at INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_alerts_user_id ON alerts (user_id)',
+      `CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        name TEXT PRIMARY KEY,
+        next_run_at INTEGER NOT NULL,
+        last_run_at INTEGER,
+        last_error TEXT,
+        locked_until INTEGER NOT NULL DEFAULT 0
+      )`,
+      "ALTER TABLE users ADD COLUMN timezone TEXT DEFAULT 'UTC'",
+      'ALTER TABLE users ADD COLUMN quiet_start INTEGER',
+      'ALTER TABLE users ADD COLUMN quiet_end INTEGER'
+    ],
+    down: [
+      'ALTER TABLE users DROP COLUMN quiet_end',
+      'ALTER TABLE users DROP COLUMN quiet_start',
+      'ALTER TABLE users DROP COLUMN timezone',
+      'DROP TABLE IF EXISTS scheduled_jobs',
+      'DROP INDEX IF EXISTS idx_alerts_user_id',
+      'DROP TABLE IF EXISTS alerts'
+    ]
+  },
+  {
+    version: 10,
+    name: 'Create digest subscriptions',
+    up: [
+      `CREATE TABLE IF NOT EXISTS digests (
+        user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+        frequency TEXT NOT NULL,
+        send_hour INTEGER NOT NULL,
+        send_weekday INTEGER,
+        sections TEXT NOT NULL,
+        next_run_at INTEGER NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_sent_at INTEGER,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_digests_next_run_at ON digests (next_run_at)',
+      'ALTER TABLE users ADD COLUMN active INTEGER NOT NULL DEFAULT 1'
+    ],
+    down: [
+      'ALTER TABLE users DROP COLUMN active',
+      'DROP INDEX IF EXISTS idx_digests_next_run_at',
+      'DROP TABLE IF EXISTS digests'
+    ]
+  },
+  {
+    version: 11,
+    name: 'Keep latest risk reports',
+    up: [
+      `CREATE TABLE IF NOT EXISTS risk_reports (
+        user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+        report TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ],
+    down: [
+      'DROP TABLE IF EXISTS risk_reports'
+    ]
   }
 ];
 
-// Check which migrations have been applied
-function getAppliedMigrations() {
-    return new Promise((resolve, reject) => {
-        // First ensure migrations table exists
-        db.run(`CREATE TABLE IF NOT EXISTS migrations (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            version INTEGER UNIQUE NOT NULL,
-            name TEXT NOT NULL,
-            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, (err) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-            
-            // Now get applied migrations
-            db.all('SELECT version FROM migrations ORDER BY version', (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows.map(row => row.version));
-                }
-            });
-        });
-    });
+/**
+ * Run `fn` against the given storage, or open the configured one for the
+ * duration of the call
+ * @private
+ */
+async function withStorage(storage, fn) {
+    if (storage) {
+        return fn(storage);
+    }
+    const own = await createStorage();
+    try {
+        return await fn(own);
+    } finally {
+        await own.close();
+    }
 }
 
-// Record migration as applied
-function recordMigration(version, name) {
-    return new Promise((resolve, reject) => {
-        db.run(
-            'INSERT INTO migrations (version, name) VALUES (?, ?)',
-            [version, name],
-            (err) => {
-                if (err) reject(err);
-                else resolve();
-            }
-        );
+/**
+ * Versions already applied, keyed by version. Read-only callers (status,
+ * dry runs) do not create the bookkeeping table.
+ * @private
+ */
+async function getAppliedMigrations(db, { readOnly = false } = {}) {
+    if (readOnly) {
+        const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'migrations'");
+        if (!table) return new Map();
+    } else {
+        await ensureMigrationsTable(db);
+    }
+    const rows = await db.all('SELECT version, name, applied_at FROM migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * @private
+ */
+function ensureMigrationsTable(db) {
+    return db.run(`CREATE TABLE IF NOT EXISTS migrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version INTEGER UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+/**
+ * Render a statement with its parameters inlined, for dry-run output
+ * @private
+ */
+function inlineParams(sql, params) {
+    let i = 0;
+    return sql.replace(/\?/g, () => {
+        const value = params[i++];
+        return typeof value === 'number' ? String(value) : `'${String(value).replace(/'/g, "''")}'`;
     });
 }
 
-// Run migrations
-async function runMigrations() {
-    try {
-        const appliedMigrations = await getAppliedMigrations();
-    console.log(`Applied migrations: [${appliedMigrations.join(', ')}]`);
+/**
+ * Run one direction of a migration and its bookkeeping in a transaction.
+ * In dry-run mode the statements are printed instead.
+ * @private
+ */
+async function applyMigration(db, migration, direction, dryRun) {
+    const statements = [...migration[direction]];
+    const bookkeeping = direction === 'up'
+        ? ['INSERT INTO migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]]
+        : ['DELETE FROM migrations WHERE version = ?', [migration.version]];
 
-        for (const migration of migrations) {
-            if (!appliedMigrations.includes(migration.version)) {
-                console.log(`Running migration ${migration.version}: ${migration.name}`);
-                
-                await migration.up();
-                await recordMigration(migration.version, migration.name);
-                
-                console.log(`Migration ${migration.version} completed`);
-            } else {
-                console.log(`Migration ${migration.version} already applied`);
-            }
-        }
+    if (dryRun) {
+        console.log(`-- ${direction} ${migration.version}: ${migration.name}`);
+        console.log('BEGIN;');
+        statements.forEach(sql => console.log(`${sql};`));
+        console.log(`${inlineParams(...bookkeeping)};`);
+        console.log('COMMIT;\n');
+        return;
+    }
 
-    console.log('All migrations completed successfully!');
-        
-        // Show database stats
-        db.get('SELECT COUNT(*) as count FROM users', (err, row) => {
-            if (!err) {
-                console.log(`Total users: ${row.count}`);
+    try {
+        await db.transaction(async () => {
+            for (const sql of statements) {
+                await db.run(sql);
             }
+            await db.run(bookkeeping[0], bookkeeping[1]);
         });
+    } catch (error) {
+        throw new Error(`Migration ${migration.version} (${direction}) failed and was rolled back: ${error.message}`);
+    }
+}
 
-        db.get('SELECT COUNT(*) as count FROM api_cache', (err, row) => {
-            if (!err) {
-                console.log(`Cache entries: ${row.count}`);
-            }
-        });
+/**
+ * Apply pending migrations in order
+ *
+ * @param {Object} [options]
+ * @param {number} [options.to] - Highest version to apply (default: latest)
+ * @param {boolean} [options.dryRun] - Print SQL instead of executing it
+ * @param {Object} [options.storage] - Storage to migrate (default: open DATABASE_URL)
+ * @returns {Promise<number[]>} Versions applied
+ */
+async function runMigrations({ to = Infinity, dryRun = false, storage } = {}) {
+    return withStorage(storage, async ({ db, info }) => {
+        console.log(`Database: ${info.target}`);
+        const applied = await getAppliedMigrations(db, { readOnly: dryRun });
+        console.log(`Applied migrations: [${Array.from(applied.keys()).join(', ')}]`);
 
-    } catch (error) {
-    console.error('Migration failed:', error.message);
-        process.exit(1);
+        const done = [];
+        for (const migration of migrations) {
+            if (migration.version > to) break;
+            if (applied.has(migration.version)) continue;
+
+            console.log(`Running migration ${migration.version}: ${migration.name}`);
+            await applyMigration(db, migration, 'up', dryRun);
+            done.push(migration.version);
+        }
+
+        console.log(done.length
+            ? `${dryRun ? 'Would apply' : 'Applied'} migrations: [${done.join(', ')}]`
+            : 'Database is up to date');
+        return done;
+    });
+}
+
+/**
+ * Roll back applied migrations above a target version, newest first
+ *
+ * @param {number} target - Version to roll back to (0 removes everything)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Print SQL instead of executing it
+ * @param {Object} [options.storage] - Storage to migrate (default: open DATABASE_URL)
+ * @returns {Promise<number[]>} Versions rolled back
+ */
+async function rollbackMigrations(target, { dryRun = false, storage } = {}) {
+    if (!Number.isInteger(target) || target < 0) {
+        throw new Error('Rollback target must be a version number (0 to roll back everything)');
     }
+
+    return withStorage(storage, async ({ db, info }) => {
+        console.log(`Database: ${info.target}`);
+        const applied = await getAppliedMigrations(db, { readOnly: dryRun });
+
+        const done = [];
+        for (const migration of [...migrations].reverse()) {
+            if (migration.version <= target) break;
+            if (!applied.has(migration.version)) continue;
+
+            console.log(`Rolling back migration ${migration.version}: ${migration.name}`);
+            await applyMigration(db, migration, 'down', dryRun);
+            done.push(migration.version);
+        }
+
+        console.log(done.length
+            ? `${dryRun ? 'Would roll back' : 'Rolled back'} migrations: [${done.join(', ')}]`
+            : `Nothing to roll back above version ${target}`);
+        return done;
+    });
 }
 
-// Clean up expired cache entries
-function cleanupCache() {
-    return new Promise((resolve, reject) => {
-        const now = Date.now();
-        db.run('DELETE FROM api_cache WHERE CAST(expires_at AS INTEGER) < ?', [now], err => {
-            if (err) {
-                reject(err);
-            } else {
-                console.log('Cleaned up expired cache entries');
-                resolve();
-            }
-        });
-    }).finally(() => {
-        // Close the database after cleanup when running migrations as a one-off task
-        db.close(err => {
-            if (err) console.error('Error closing database:', err.message);
-            else console.log('Database connection closed');
-        });
+/**
+ * Applied/pending state of every known migration
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage to inspect (default: open DATABASE_URL)
+ * @returns {Promise<Array<{version: number, name: string, applied: boolean, appliedAt: string|null}>>}
+ */
+async function migrationStatus({ storage } = {}) {
+    return withStorage(storage, async ({ db }) => {
+        const applied = await getAppliedMigrations(db, { readOnly: true });
+        return migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            applied: applied.has(m.version),
+            appliedAt: applied.get(m.version)?.applied_at || null
+        }));
+    });
+}
+
+/**
+ * Delete expired cache entries
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage to clean (default: open DATABASE_URL)
+ * @returns {Promise<void>}
+ */
+async function cleanupCache({ storage } = {}) {
+    return withStorage(storage, async ({ cache }) => {
+        const removed = await cache.deleteExpired();
+        console.log(`Cleaned up ${removed} expired cache entries`);
+    });
+}
+
+/**
+ * Delete idle rate limit buckets and old AI usage counters
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage to clean (default: open DATABASE_URL)
+ * @returns {Promise<void>}
+ */
+async function cleanupRateLimits({ storage } = {}) {
+    return withStorage(storage, async ({ rateLimits }) => {
+        const removed = await new RateLimiter({ store: rateLimits }).prune();
+        console.log(`Cleaned up ${removed} stale rate limit rows`);
     });
 }
 
 // Main execution
-async function main() {
-    await runMigrations();
-    await cleanupCache();
+async function main(argv) {
+    const dryRun = argv.includes('--dry-run');
+    const args = argv.filter(a => a !== '--dry-run');
+    const command = args[0] || 'up';
+
+    switch (command) {
+        case 'status': {
+            const rows = await migrationStatus();
+            console.log(`Database: ${parseDatabaseUrl().target}`);
+            rows.forEach(r => console.log(`${r.applied ? '[x]' : '[ ]'} ${r.version} ${r.name}${r.appliedAt ? ` (applied ${r.appliedAt})` : ''}`));
+            break;
+        }
+        case 'up': {
+            const toIndex = args.indexOf('--to');
+            const to = toIndex === -1 ? Infinity : Number(args[toIndex + 1]);
+            if (Number.isNaN(to)) {
+                throw new Error('Usage: migrate up [--to N]');
+            }
+            await runMigrations({ to, dryRun });
+            // Plain `npm run migrate` also clears expired cache and rate limit rows
+            if (!dryRun && args.length === 0) {
+                await cleanupCache();
+                await cleanupRateLimits();
+            }
+            break;
+        }
+        case 'down': {
+            if (args[1] === undefined) {
+                throw new Error('Usage: migrate down N  (roll back to version N)');
+            }
+            await rollbackMigrations(Number(args[1]), { dryRun });
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use status, up or down.`);
+    }
 }
 
 if (require.main === module) {
-    main().then(() => process.exit(0)).catch(() => process.exit(1));
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Migration failed:', error.message);
+            process.exit(1);
+        });
 }
 
-module.exports = { runMigrations, cleanupCache };
+module.exports = {
+    runMigrations,
+    rollbackMigrations,
+    migrationStatus,
+    cleanupCache,
+    cleanupRateLimits,
+    migrations
+};
@@ -0,0 +1,153 @@
+/**
+ * Model Router
+ *
+ * Picks a model tier (fast, balanced, smart) for each completion from the
+ * task, the complexity of the user's question and the size of the prompt,
+ * and lists the cheaper tiers to fall back to when a model is rate limited
+ * or unavailable.
+ *
+ * Starting tiers per task:
+ *   ask, compare, explain   balanced
+ *   risk                    smart
+ *   summarize, health       fast
+ *
+ * Questions that compare, plan or ask several things move one tier up;
+ * short look-up questions move one tier down. Prompts over
+ * LARGE_PROMPT_TOKENS never go to the fast tier, which loses track of long
+ * context.
+ */
+
+const { classifyError } = require('./resilience');
+
+const TIERS = ['fast', 'balanced', 'smart'];
+
+// Provider error codes for a model that is gone or not offered (Groq, OpenAI)
+const MODEL_UNAVAILABLE_CODES = new Set(['model_not_found', 'model_decommissioned', 'model_not_available']);
+
+const TASK_TIERS = {
+    ask: 'balanced',
+    compare: 'balanced',
+    explain: 'balanced',
+    risk: 'smart',
+    summarize: 'fast',
+    health: 'fast'
+};
+
+const LARGE_PROMPT_TOKENS = 3000;
+
+// Signs that a question needs reasoning rather than a look-up
+const COMPLEX_PATTERNS = [
+    /\b(compare|comparison|versus|vs\.?|trade-?offs?|pros and cons)\b/i,
+    /\b(rebalanc\w*|optimi[sz]\w*|allocat\w*|diversif\w*|hedg\w*|strateg\w*)\b/i,
+    /\b(why|should i|what if|scenario|impact|plan|step by step)\b/i,
+    /\b(impermanent loss|liquidation|leverage|tax\w*)\b/i
+];
+
+// Short questions starting like these usually read one number off the data
+const SIMPLE_PATTERN = /^(what is|what's|how much|how many|show|list|total|balance)\b/i;
+
+/**
+ * Rough token count (about four characters per token for English text)
+ * @private
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Complexity of a question: -1 simple, 0 normal, 1 complex
+ *
+ * @param {string} query
+ * @returns {number}
+ */
+function queryComplexity(query) {
+    const text = String(query || '').trim();
+    if (!text) return 0;
+
+    const words = text.split(/\s+/).length;
+    const questions = (text.match(/\?/g) || []).length;
+    const signals = COMPLEX_PATTERNS.filter(pattern => pattern.test(text)).length;
+
+    if (signals >= 2 || questions >= 2 || words > 60) return 1;
+    if (signals === 0 && words <= 12 && SIMPLE_PATTERN.test(text)) return -1;
+    return 0;
+}
+
+/**
+ * True for errors where a different model may succeed: rate limits,
+ * overloaded or missing models. Decided from the status and provider error
+ * code (see classifyError in resilience.js), never the message text.
+ *
+ * @param {Error} error - Usually an LLMProviderError
+ * @returns {boolean}
+ */
+function isFallbackError(error) {
+    switch (classifyError(error)) {
+        case 'rate_limit':
+            return true;
+        case 'server':
+            // Over capacity
+            return error.status === 503;
+        case 'client':
+            return error.status === 404 || MODEL_UNAVAILABLE_CODES.has(error.code);
+        default:
+            return false;
+    }
+}
+
+class ModelRouter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.models - { fast, balanced, smart } model names
+     * @param {Object} [options.logger]
+     */
+    constructor({ models, logger = console }) {
+        this.models = models;
+        this.logger = logger;
+    }
+
+    /**
+     * Tier for one completion
+     *
+     * @param {string} task - Key of TASK_TIERS
+     * @param {Object} [input]
+     * @param {string} [input.query] - The user's question, when there is one
+     * @param {Array} [input.messages] - Prompt messages, for the size check
+     * @returns {string} 'fast', 'balanced' or 'smart'
+     */
+    selectTier(task, { query = '', messages = [] } = {}) {
+        const base = TIERS.indexOf(TASK_TIERS[task] || 'balanced');
+        const complexity = query ? queryComplexity(query) : 0;
+        const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+        let index = Math.min(TIERS.length - 1, Math.max(0, base + complexity));
+        if (promptTokens > LARGE_PROMPT_TOKENS) {
+            index = Math.max(index, 1);
+        }
+
+        const tier = TIERS[index];
+        this.logger.debug('Model tier selected', { task, tier, complexity, promptTokens });
+        return tier;
+    }
+
+    /**
+     * Models to try for a tier, the tier's own model first and then each
+     * cheaper tier. Tiers sharing a model name are tried once.
+     *
+     * @param {string} tier
+     * @returns {Array<{tier: string, model: string}>}
+     */
+    chain(tier) {
+        const start = Math.max(0, TIERS.indexOf(tier));
+        const chain = [];
+        for (let i = start; i >= 0; i--) {
+            const model = this.models[TIERS[i]];
+            if (model && !chain.some(step => step.model === model)) {
+                chain.push({ tier: TIERS[i], model });
+            }
+        }
+        return chain;
+    }
+}
+
+module.exports = { ModelRouter, queryComplexity, isFallbackError, TIERS, TASK_TIERS };
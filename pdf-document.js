@@ -0,0 +1,391 @@
+/**
+ * PDF Document
+ *
+ * Minimal PDF writer for exported reports: A4 pages of headings, wrapped
+ * text, bullet lists and simple tables in the built-in Helvetica fonts, so
+ * documents are produced in-process without a rendering service or font
+ * files. Page streams are compressed with zlib.
+ *
+ * The built-in fonts only cover WinAnsi (Latin-1 plus typographic
+ * punctuation); other characters, such as emoji, are printed as "?".
+ *
+ * Usage:
+ *   const doc = new PdfDocument({ title: 'Portfolio report', footer: 'AURA' });
+ *   doc.heading('Holdings');
+ *   doc.table([{ header: 'Token', width: 2 }, { header: 'Value', width: 1, align: 'right' }], rows);
+ *   const buffer = doc.toBuffer();
+ */
+
+const zlib = require('zlib');
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const FOOTER_HEIGHT = 24;
+const LINE_SPACING = 1.35;
+
+// Glyph widths (1/1000 em) of characters 32-126 from the standard font metrics
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes of the characters it has beyond Latin-1
+const WIN_ANSI = new Map([
+    ['€', 0x80], ['‚', 0x82], ['ƒ', 0x83], ['„', 0x84], ['…', 0x85], ['†', 0x86], ['‡', 0x87],
+    ['ˆ', 0x88], ['‰', 0x89], ['Š', 0x8a], ['‹', 0x8b], ['Œ', 0x8c], ['Ž', 0x8e], ['‘', 0x91],
+    ['’', 0x92], ['“', 0x93], ['”', 0x94], ['•', 0x95], ['–', 0x96], ['—', 0x97], ['˜', 0x98],
+    ['™', 0x99], ['š', 0x9a], ['›', 0x9b], ['œ', 0x9c], ['ž', 0x9e], ['Ÿ', 0x9f]
+]);
+
+const GRAY = [0.4, 0.4, 0.4];
+const BLACK = [0, 0, 0];
+const HEADER_FILL = [0.92, 0.93, 0.95];
+
+/**
+ * Map text to WinAnsi, one character per byte
+ * @private
+ */
+function encode(text) {
+    let out = '';
+    for (const c of String(text ?? '')) {
+        const code = c.codePointAt(0);
+        if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) {
+            out += c;
+        } else if (WIN_ANSI.has(c)) {
+            out += String.fromCharCode(WIN_ANSI.get(c));
+        } else if (c === '\t') {
+            out += ' ';
+        } else if (code >= 0xfe00 && code <= 0xfe0f) {
+            // Variation selectors only style the previous character
+        } else {
+            out += '?';
+        }
+    }
+    return out;
+}
+
+/**
+ * Width in points of encoded text
+ * @private
+ */
+function measure(encoded, size, bold) {
+    const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+    let total = 0;
+    for (let i = 0; i < encoded.length; i++) {
+        const code = encoded.charCodeAt(i);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+}
+
+/**
+ * @private
+ */
+function escapeString(encoded) {
+    return encoded.replace(/[\\()]/g, '\\$&');
+}
+
+/**
+ * @private
+ */
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * @private
+ */
+function pdfDate(at) {
+    return `D:${new Date(at).toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Shorten encoded text with "..." to fit a width
+ * @private
+ */
+function truncate(encoded, width, size, bold) {
+    if (measure(encoded, size, bold) <= width) return encoded;
+    let end = encoded.length;
+    while (end > 0 && measure(`${encoded.slice(0, end)}...`, size, bold) > width) end--;
+    return `${encoded.slice(0, end)}...`;
+}
+
+class PdfDocument {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.title] - Document title in the PDF metadata
+     * @param {string} [options.footer] - Text left of the page number on every page
+     * @param {Function} [options.now] - Clock for the creation date, for reproducible output
+     */
+    constructor({ title = '', footer = '', now = Date.now } = {}) {
+        this.title = title;
+        this.footer = footer;
+        this.createdAt = now();
+        this.pages = [];
+        this._addPage();
+    }
+
+    /**
+     * Usable width between the margins
+     * @returns {number}
+     */
+    get width() {
+        return PAGE_WIDTH - 2 * MARGIN;
+    }
+
+    /**
+     * @private
+     */
+    _addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    /**
+     * Start a new page unless `height` more points fit on this one
+     * @private
+     */
+    _reserve(height) {
+        if (this.y - height < MARGIN + FOOTER_HEIGHT && this.y < PAGE_HEIGHT - MARGIN) {
+            this._addPage();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _drawText(x, y, encoded, { size, bold = false, color = BLACK }) {
+        this.page.push(`BT ${color.map(num).join(' ')} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x)} ${num(y)} Td (${escapeString(encoded)}) Tj ET`);
+    }
+
+    /**
+     * Break text into lines that fit `width`; long words are split
+     * @private
+     */
+    _wrap(text, width, size, bold) {
+        const lines = [];
+        for (const paragraph of String(text ?? '').split(/\r?\n/).map(encode)) {
+            let line = '';
+            for (const word of paragraph.split(/ +/)) {
+                let rest = word;
+                while (measure(rest, size, bold) > width) {
+                    let cut = rest.length;
+                    while (cut > 1 && measure(rest.slice(0, cut), size, bold) > width) cut--;
+                    if (line) lines.push(line);
+                    lines.push(rest.slice(0, cut));
+                    line = '';
+                    rest = rest.slice(cut);
+                }
+                const candidate = line ? `${line} ${rest}` : rest;
+                if (line && measure(candidate, size, bold) > width) {
+                    lines.push(line);
+                    line = rest;
+                } else {
+                    line = candidate;
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Vertical space
+     *
+     * @param {number} [height=8]
+     * @returns {PdfDocument}
+     */
+    space(height = 8) {
+        this.y -= height;
+        return this;
+    }
+
+    /**
+     * Bold heading. Level 1 is the document title.
+     *
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.level=2]
+     * @returns {PdfDocument}
+     */
+    heading(text, { level = 2 } = {}) {
+        const size = level === 1 ? 18 : level === 2 ? 13 : 11;
+        // Keep a heading with at least two lines of what follows
+        this._reserve(size * LINE_SPACING + 40);
+        if (this.y < PAGE_HEIGHT - MARGIN) this.y -= size * 0.6;
+        return this.paragraph(text, { size, bold: true }).space(2);
+    }
+
+    /**
+     * Wrapped text
+     *
+     * @param {string} text - Line breaks are kept
+     * @param {Object} [options]
+     * @param {number} [options.size=10]
+     * @param {boolean} [options.bold=false]
+     * @param {boolean} [options.muted=false] - Gray text
+     * @param {number} [options.indent=0]
+     * @returns {PdfDocument}
+     */
+    paragraph(text, { size = 10, bold = false, muted = false, indent = 0 } = {}) {
+        const lineHeight = size * LINE_SPACING;
+        for (const line of this._wrap(text, this.width - indent, size, bold)) {
+            this._reserve(lineHeight);
+            this.y -= lineHeight;
+            this._drawText(MARGIN + indent, this.y + (lineHeight - size) / 2, line, { size, bold, color: muted ? GRAY : BLACK });
+        }
+        return this.space(4);
+    }
+
+    /**
+     * Bulleted list with hanging indents
+     *
+     * @param {string[]} items
+     * @param {Object} [options]
+     * @param {number} [options.size=10]
+     * @returns {PdfDocument}
+     */
+    bullets(items, { size = 10 } = {}) {
+        const indent = 14;
+        const lineHeight = size * LINE_SPACING;
+        for (const item of items) {
+            this._wrap(item, this.width - indent, size, false).forEach((line, i) => {
+                this._reserve(lineHeight);
+                this.y -= lineHeight;
+                const baseline = this.y + (lineHeight - size) / 2;
+                if (i === 0) this._drawText(MARGIN + 3, baseline, encode('•'), { size });
+                this._drawText(MARGIN + indent, baseline, line, { size });
+            });
+        }
+        return this.space(4);
+    }
+
+    /**
+     * Table with a shaded header row, repeated after page breaks. Cells that
+     * do not fit their column are shortened with "...".
+     *
+     * @param {Array<{header: string, width?: number, align?: string}>} columns -
+     *   width is relative (default 1); align is 'left' or 'right'
+     * @param {Array<Array<string|number>>} rows
+     * @param {Object} [options]
+     * @param {number} [options.size=9]
+     * @returns {PdfDocument}
+     */
+    table(columns, rows, { size = 9 } = {}) {
+        const padding = 4;
+        const rowHeight = size + 2 * padding + 2;
+        const totalWeight = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+        const widths = columns.map(c => (this.width * (c.width || 1)) / totalWeight);
+
+        const drawRow = (cells, { bold = false, fill = null } = {}) => {
+            this.y -= rowHeight;
+            if (fill) {
+                this.page.push(`${fill.map(num).join(' ')} rg ${num(MARGIN)} ${num(this.y)} ${num(this.width)} ${num(rowHeight)} re f`);
+            }
+            let x = MARGIN;
+            cells.forEach((cell, i) => {
+                const text = truncate(encode(cell), widths[i] - 2 * padding, size, bold);
+                const offset = columns[i].align === 'right' ? widths[i] - padding - measure(text, size, bold) : padding;
+                this._drawText(x + offset, this.y + padding + 1, text, { size, bold });
+                x += widths[i];
+            });
+            this.page.push(`0.8 0.8 0.8 RG 0.5 w ${num(MARGIN)} ${num(this.y)} m ${num(MARGIN + this.width)} ${num(this.y)} l S`);
+        };
+        const drawHeader = () => drawRow(columns.map(c => c.header), { bold: true, fill: HEADER_FILL });
+
+        this._reserve(rowHeight * 2);
+        drawHeader();
+        for (const row of rows) {
+            if (this.y - rowHeight < MARGIN + FOOTER_HEIGHT) {
+                this._addPage();
+                drawHeader();
+            }
+            drawRow(row);
+        }
+        return this.space(10);
+    }
+
+    /**
+     * Serialize the document
+     *
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const pageCount = this.pages.length;
+        const objects = [];
+        // push() returns the new length, which is the object number
+        const add = body => objects.push(body);
+
+        const catalog = add(null);
+        const pagesRef = add(null);
+        const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const info = add(`<< /Title (${escapeString(encode(this.title))}) /Producer (AURA bot) /CreationDate (${pdfDate(this.createdAt)}) >>`);
+
+        const kids = this.pages.map((ops, i) => {
+            const footer = [...ops];
+            const label = encode(`${this.footer ? `${this.footer}    ` : ''}Page ${i + 1} of ${pageCount}`);
+            footer.push(`BT ${GRAY.map(num).join(' ')} rg /F1 8 Tf ${num(MARGIN)} ${num(MARGIN - 20)} Td (${escapeString(label)}) Tj ET`);
+
+            const stream = zlib.deflateSync(Buffer.from(footer.join('\n'), 'latin1'));
+            const content = add(Buffer.concat([
+                Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                stream,
+                Buffer.from('\nendstream', 'latin1')
+            ]));
+            return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${num(PAGE_WIDTH)} ${num(PAGE_HEIGHT)}] ` +
+                `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+        });
+
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+        objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let length = chunks[0].length;
+        const offsets = objects.map((body, i) => {
+            const offset = length;
+            const chunk = Buffer.concat([
+                Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+                Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            chunks.push(chunk);
+            length += chunk.length;
+            return offset;
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF\n'
+        ].join('\n');
+        chunks.push(Buffer.from(xref, 'latin1'));
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT };
@@ -0,0 +1,324 @@
+/**
+ * Portfolio History
+ *
+ * Keeps snapshots of each wallet's portfolio summary (summarizePortfolio in
+ * aura-client.js) in storage.snapshots, taken whenever a portfolio is
+ * fetched and on a schedule, and compares the latest snapshots with those
+ * from the start of a period: value change, per-network and per-token
+ * deltas, and the biggest movers.
+ *
+ * Snapshots of one wallet taken less than `minInterval` apart are skipped so
+ * frequent commands do not flood the table. When a wallet was first seen
+ * after the period started, its earliest snapshot is used and the report is
+ * marked partial.
+ */
+
+const { summarizePortfolio } = require('./aura-client');
+const { toSqlDatetime, fromSqlDatetime } = require('./cache');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const PERIODS = { '1d': 1, '7d': 7, '30d': 30, '90d': 90 };
+const DEFAULT_PERIOD = '7d';
+
+const MIN_SNAPSHOT_INTERVAL = 10 * MINUTE;
+const RETENTION_DAYS = 365;
+const MAX_MOVERS = 5;
+
+/**
+ * @private
+ */
+function round(value) {
+    return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * @private
+ */
+function change(startUSD, endUSD) {
+    return {
+        startUSD: round(startUSD),
+        endUSD: round(endUSD),
+        changeUSD: round(endUSD - startUSD),
+        changePct: startUSD > 0 ? round(((endUSD - startUSD) / startUSD) * 100) : null
+    };
+}
+
+/**
+ * Parse a /history period such as "30d" (or "30")
+ *
+ * @param {string} [value='7d']
+ * @returns {{period: string, days: number}}
+ * @throws {Error} For periods other than 1d, 7d, 30d and 90d
+ */
+function parsePeriod(value) {
+    const period = String(value || DEFAULT_PERIOD).trim().toLowerCase().replace(/^(\d+)$/, '$1d');
+    if (!PERIODS[period]) {
+        throw new Error(`Unknown period "${value}". Use ${Object.keys(PERIODS).join(', ')}.`);
+    }
+    return { period, days: PERIODS[period] };
+}
+
+/**
+ * Value per network and per token across several summaries
+ * @private
+ */
+function totals(summaries) {
+    const networks = new Map();
+    const tokens = new Map();
+    let totalUSD = 0;
+
+    for (const summary of summaries) {
+        totalUSD += Number(summary.totalValueUSD || 0);
+        for (const name of summary.networks || []) {
+            if (!networks.has(name)) networks.set(name, 0);
+        }
+        for (const t of summary.topTokens || []) {
+            networks.set(t.network, (networks.get(t.network) || 0) + t.usd);
+            const key = `${t.symbol}|${t.network}`;
+            const held = tokens.get(key) || { symbol: t.symbol, network: t.network, usd: 0 };
+            held.usd += t.usd;
+            tokens.set(key, held);
+        }
+    }
+    return { totalUSD, networks, tokens };
+}
+
+/**
+ * Compare the summaries at the start and end of a period
+ *
+ * @param {Object[]} startSummaries - One summary per wallet
+ * @param {Object[]} endSummaries - One summary per wallet
+ * @returns {Object} Total change plus `networks` and `movers` (largest
+ *   absolute token changes first); a token is `new` or `closed` when it is
+ *   missing on one side
+ */
+function compareSummaries(startSummaries, endSummaries) {
+    const start = totals(startSummaries);
+    const end = totals(endSummaries);
+
+    const networks = Array.from(new Set([...start.networks.keys(), ...end.networks.keys()]))
+        .map(network => ({ network, ...change(start.networks.get(network) || 0, end.networks.get(network) || 0) }))
+        .sort((a, b) => Math.abs(b.changeUSD) - Math.abs(a.changeUSD) || b.endUSD - a.endUSD);
+
+    const movers = Array.from(new Set([...start.tokens.keys(), ...end.tokens.keys()]))
+        .map(key => {
+            const before = start.tokens.get(key);
+            const after = end.tokens.get(key);
+            return {
+                symbol: (after || before).symbol,
+                network: (after || before).network,
+                ...change(before?.usd || 0, after?.usd || 0),
+                status: !before ? 'new' : !after ? 'closed' : 'held'
+            };
+        })
+        .filter(m => Math.abs(m.changeUSD) >= 0.01)
+        .sort((a, b) => Math.abs(b.changeUSD) - Math.abs(a.changeUSD))
+        .slice(0, MAX_MOVERS);
+
+    return { ...change(start.totalUSD, end.totalUSD), networks, movers };
+}
+
+/**
+ * Dollar amount such as "-$1,234.50"
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatUsd(value) {
+    const sign = value < 0 ? '-' : '';
+    return `${sign}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Change such as "+$120.00, +1.30%"
+ *
+ * @param {{changeUSD: number, changePct: number|null}} change
+ * @returns {string}
+ */
+function formatChange({ changeUSD, changePct }) {
+    const amount = `${changeUSD >= 0 ? '+' : ''}${formatUsd(changeUSD)}`;
+    return changePct === null ? amount : `${amount}, ${changePct >= 0 ? '+' : ''}${changePct.toFixed(2)}%`;
+}
+
+/**
+ * Render a history report for a chat message
+ *
+ * @param {Object} report - PortfolioHistory.report() result
+ * @param {Object} [options]
+ * @param {string} [options.shortAddress] - Address shortener for wallet lists
+ * @returns {string}
+ */
+function formatHistory(report, { shortAddress = address => address } = {}) {
+    const span = report.days === 1 ? '24 hours' : `${report.days} days`;
+    if (!report.available) {
+        return `No portfolio history for the last ${span} yet. A snapshot is saved whenever your portfolio is loaded and on a regular schedule, so check back later.`;
+    }
+
+    const lines = [
+        `Portfolio history, last ${span}`,
+        `${formatUsd(report.startUSD)} -> ${formatUsd(report.endUSD)} (${formatChange(report)})`
+    ];
+    if (report.partial) {
+        lines.push(`Tracking started ${report.from.slice(0, 10)}, so this covers less than the full period.`);
+    }
+
+    const networks = report.networks.filter(n => n.startUSD || n.endUSD);
+    if (networks.length) {
+        lines.push('', 'By network:');
+        networks.slice(0, 8).forEach(n => {
+            lines.push(`• ${n.network}: ${formatUsd(n.startUSD)} -> ${formatUsd(n.endUSD)} (${formatChange(n)})`);
+        });
+    }
+
+    if (report.movers.length) {
+        lines.push('', 'Biggest movers:');
+        report.movers.forEach(m => {
+            const note = m.status === 'new' ? ' (new)' : m.status === 'closed' ? ' (closed)' : '';
+            lines.push(`• ${m.symbol} on ${m.network}: ${formatChange(m)}${note}`);
+        });
+    }
+
+    if (report.missingWallets.length) {
+        lines.push('', `Not enough history yet for: ${report.missingWallets.map(shortAddress).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+class PortfolioHistory {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Snapshot repository (storage.snapshots)
+     * @param {number} [options.minInterval] - Minimum ms between snapshots of one wallet
+     * @param {Object} [options.logger]
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ store, minInterval = MIN_SNAPSHOT_INTERVAL, logger = console, now = Date.now }) {
+        this.store = store;
+        this.minInterval = minInterval;
+        this.logger = logger;
+        this.now = now;
+    }
+
+    /**
+     * Save a snapshot of one wallet unless a recent one exists
+     *
+     * @param {number} userId - users.id
+     * @param {string} address
+     * @param {Object} portfolio - Normalized portfolio of that wallet
+     * @returns {Promise<boolean>} True when a snapshot was saved
+     */
+    async record(userId, address, portfolio) {
+        const now = this.now();
+        const last = await this.store.latest(userId, address);
+        if (last && fromSqlDatetime(last.created_at) > now - this.minInterval) {
+            return false;
+        }
+
+        await this.store.insert(userId, address, summarizePortfolio(portfolio, { maxTokens: Infinity }), toSqlDatetime(now));
+        this.logger.debug('Portfolio snapshot saved', { userId, address });
+        return true;
+    }
+
+    /**
+     * Change over a period across the given wallets
+     *
+     * @param {number} userId - users.id
+     * @param {string[]} addresses - Wallets to include
+     * @param {string} [period='7d'] - '1d', '7d', '30d' or '90d'
+     * @returns {Promise<Object>} { period, days, available, partial, from, to,
+     *   startUSD, endUSD, changeUSD, changePct, networks, movers, missingWallets };
+     *   available is false when no wallet has two snapshots to compare
+     */
+    async report(userId, addresses, period = DEFAULT_PERIOD) {
+        const { period: key, days } = parsePeriod(period);
+        const periodStart = this.now() - days * DAY;
+        const since = toSqlDatetime(periodStart);
+
+        const pairs = [];
+        const missingWallets = [];
+        for (const address of addresses) {
+            const end = await this.store.latest(userId, address);
+            const start = (await this.store.latest(userId, address, since)) || (await this.store.earliest(userId, address, since));
+            if (end && start && start.id !== end.id) {
+                pairs.push({ start, end });
+            } else {
+                missingWallets.push(address);
+            }
+        }
+
+        const base = { period: key, days, missingWallets };
+        if (!pairs.length) {
+            return { ...base, available: false };
+        }
+
+        const from = pairs.map(p => p.start.created_at).sort()[0];
+        const to = pairs.map(p => p.end.created_at).sort().pop();
+        return {
+            ...base,
+            available: true,
+            partial: fromSqlDatetime(from) > periodStart + DAY,
+            from,
+            to,
+            ...compareSummaries(pairs.map(p => p.start.summary), pairs.map(p => p.end.summary))
+        };
+    }
+
+    /**
+     * Total value over a period across the given wallets, for charts. Each
+     * wallet keeps its last value until its next snapshot; points start once
+     * every wallet with snapshots in the period has a value.
+     *
+     * @param {number} userId - users.id
+     * @param {string[]} addresses - Wallets to include
+     * @param {string} [period='7d'] - '1d', '7d', '30d' or '90d'
+     * @returns {Promise<{period: string, days: number, points: Array<{at: number, valueUSD: number}>}>}
+     *   at is a ms timestamp
+     */
+    async series(userId, addresses, period = DEFAULT_PERIOD) {
+        const { period: key, days } = parsePeriod(period);
+        const periodStart = this.now() - days * DAY;
+        const since = toSqlDatetime(periodStart);
+
+        const tracks = [];
+        for (const address of addresses) {
+            // The value at the start of the period comes from the snapshot before it
+            const before = await this.store.latest(userId, address, since);
+            const rows = await this.store.listValues(userId, address, since);
+            const track = rows.map(r => ({ at: fromSqlDatetime(r.created_at), value: r.total_value_usd }));
+            if (before) track.unshift({ at: periodStart, value: before.total_value_usd });
+            if (track.length) tracks.push(track);
+        }
+
+        const times = Array.from(new Set(tracks.flatMap(track => track.map(p => p.at)))).sort((a, b) => a - b);
+        const points = [];
+        for (const at of times) {
+            const values = tracks.map(track => track.filter(p => p.at <= at).pop());
+            if (values.every(Boolean)) {
+                points.push({ at, valueUSD: round(values.reduce((sum, p) => sum + p.value, 0)) });
+            }
+        }
+        return { period: key, days, points };
+    }
+
+    /**
+     * Delete snapshots older than the retention period
+     *
+     * @param {number} [keepDays=365]
+     * @returns {Promise<number>} Snapshots removed
+     */
+    prune(keepDays = RETENTION_DAYS) {
+        return this.store.deleteBefore(toSqlDatetime(this.now() - keepDays * DAY));
+    }
+}
+
+module.exports = {
+    PortfolioHistory,
+    compareSummaries,
+    formatHistory,
+    formatChange,
+    formatUsd,
+    parsePeriod,
+    PERIODS
+};
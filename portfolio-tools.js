@@ -0,0 +1,233 @@
+/**
+ * Portfolio Tools
+ *
+ * Functions the model can call while answering /ask, backed by the user's
+ * full portfolio rather than the trimmed summary in the prompt. Definitions
+ * use the OpenAI/Groq function-calling schema.
+ *
+ * Tools:
+ * - get_portfolio_totals()          Total value and value per network
+ * - get_token_holdings(network)     Every holding on one network (or all)
+ * - list_strategies()               Ids and names of the AURA strategies
+ * - get_strategy(id)                Full details of one strategy
+ * - get_portfolio_history(period)   Value change and biggest movers over 1d, 7d, 30d or 90d
+ */
+
+// Upper bound on holdings returned by one call, to keep tool results small
+const MAX_HOLDINGS = 100;
+
+const TOOL_DEFINITIONS = [
+    {
+        type: 'function',
+        function: {
+            name: 'get_portfolio_totals',
+            description: 'Total portfolio value in USD, value and token count per network, and the tracked wallets.',
+            parameters: { type: 'object', properties: {} }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_token_holdings',
+            description: 'All token holdings on one network, largest first, including small positions. Omit network for every network.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    network: { type: 'string', description: 'Network name (e.g. "Ethereum", "Arbitrum") or chain id' },
+                    min_value_usd: { type: 'number', description: 'Only holdings worth at least this much' }
+                }
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'list_strategies',
+            description: 'Ids, names and risk levels of the AURA strategies suggested for this portfolio.',
+            parameters: { type: 'object', properties: {} }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_strategy',
+            description: 'Full details of one AURA strategy, including its actions.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Strategy id from list_strategies, e.g. "s1"' }
+                },
+                required: ['id']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_portfolio_history',
+            description: 'How the portfolio changed over a period: start and end value, change per network and the tokens that moved most. Use for questions about performance or PnL.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    period: { type: 'string', enum: ['1d', '7d', '30d', '90d'], description: 'Defaults to 7d' }
+                }
+            }
+        }
+    }
+];
+
+/**
+ * @private
+ */
+function round(value) {
+    return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * @private
+ */
+function matchesNetwork(net, query) {
+    const needle = String(query).trim().toLowerCase();
+    return net.network.name.toLowerCase() === needle || String(net.network.chainId) === needle;
+}
+
+class PortfolioTools {
+    /**
+     * @param {Object} portfolioData - Combined portfolio from the bot's loadPortfolio
+     * @param {Object} [options]
+     * @param {Function} [options.loadStrategies] - async () => strategies; only called when a strategy tool runs
+     * @param {Function} [options.loadHistory] - async (period) => PortfolioHistory report
+     */
+    constructor(portfolioData, { loadStrategies = async () => [], loadHistory = null } = {}) {
+        this.portfolioData = portfolioData || {};
+        this.loadStrategies = loadStrategies;
+        this.loadHistory = loadHistory;
+        this.strategies = null;
+        this.definitions = TOOL_DEFINITIONS;
+    }
+
+    /**
+     * Run a tool by name
+     *
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed arguments
+     * @returns {Promise<Object>} JSON-serializable result
+     */
+    async execute(name, args = {}) {
+        switch (name) {
+            case 'get_portfolio_totals':
+                return this.getPortfolioTotals();
+            case 'get_token_holdings':
+                return this.getTokenHoldings(args);
+            case 'list_strategies':
+                return this.listStrategies();
+            case 'get_strategy':
+                return this.getStrategy(args);
+            case 'get_portfolio_history':
+                return this.getPortfolioHistory(args);
+            default:
+                throw new Error(`Unknown tool "${name}"`);
+        }
+    }
+
+    getPortfolioTotals() {
+        const networks = this._networks().map(net => ({
+            network: net.network.name,
+            chainId: net.network.chainId ?? null,
+            valueUSD: round(net.tokens.reduce((sum, t) => sum + Number(t.balanceUSD || 0), 0)),
+            tokenCount: net.tokens.length
+        }));
+
+        return {
+            totalValueUSD: round(this.portfolioData.totalValueUSD),
+            networks: networks.sort((a, b) => b.valueUSD - a.valueUSD),
+            wallets: (this.portfolioData.wallets || []).map(w => ({
+                address: w.address,
+                chainFamily: w.chainFamily,
+                label: w.label || null
+            })),
+            unavailableWallets: this.portfolioData.failedWallets || []
+        };
+    }
+
+    getTokenHoldings({ network, min_value_usd: minValue = 0 } = {}) {
+        const nets = this._networks();
+        const selected = network ? nets.filter(net => matchesNetwork(net, network)) : nets;
+
+        if (network && !selected.length) {
+            return {
+                error: `No holdings on network "${network}"`,
+                availableNetworks: nets.map(net => net.network.name)
+            };
+        }
+
+        const holdings = [];
+        for (const net of selected) {
+            for (const t of net.tokens) {
+                if (Number(t.balanceUSD || 0) < minValue) continue;
+                holdings.push({
+                    network: net.network.name,
+                    symbol: t.symbol,
+                    name: t.name,
+                    balance: t.balance,
+                    valueUSD: round(t.balanceUSD),
+                    priceUSD: t.priceUSD ?? null
+                });
+            }
+        }
+        holdings.sort((a, b) => b.valueUSD - a.valueUSD);
+
+        return {
+            count: holdings.length,
+            holdings: holdings.slice(0, MAX_HOLDINGS),
+            truncated: holdings.length > MAX_HOLDINGS
+        };
+    }
+
+    async listStrategies() {
+        const strategies = await this._strategies();
+        return {
+            strategies: strategies.map(s => ({ id: s.id, name: s.name, risk: s.risk }))
+        };
+    }
+
+    async getStrategy({ id } = {}) {
+        const strategies = await this._strategies();
+        const strategy = strategies.find(s => s.id === String(id || '').trim().toLowerCase());
+        if (!strategy) {
+            return { error: `No strategy with id "${id}"`, availableIds: strategies.map(s => s.id) };
+        }
+        return strategy;
+    }
+
+    async getPortfolioHistory({ period = '7d' } = {}) {
+        if (!this.loadHistory) {
+            return { error: 'Portfolio history is not available' };
+        }
+        const report = await this.loadHistory(period);
+        if (!report.available) {
+            return { error: `No snapshots to compare for the last ${report.days} days yet` };
+        }
+        return report;
+    }
+
+    /**
+     * @private
+     */
+    _networks() {
+        return Array.isArray(this.portfolioData.portfolio) ? this.portfolioData.portfolio : [];
+    }
+
+    /**
+     * Strategies are loaded at most once per question
+     * @private
+     */
+    async _strategies() {
+        if (!this.strategies) {
+            this.strategies = await this.loadStrategies();
+        }
+        return this.strategies;
+    }
+}
+
+module.exports = { PortfolioTools, TOOL_DEFINITIONS };
@@ -0,0 +1,236 @@
+/**
+ * Rate Limiter
+ *
+ * Per-user limits for bot commands. Counters live in the database
+ * (storage.rateLimits) so a restart does not hand out fresh allowances.
+ *
+ * - Every command has a token bucket per user: up to `capacity` requests in
+ *   a burst, then one more every `refill` ms.
+ * - AI requests also count against a daily quota set by the user's tier
+ *   (users.tier), reset at 00:00 UTC. A request whose AI call failed can
+ *   be refunded.
+ *
+ * Telegram IDs on the admin allowlist are never limited. If the database
+ * cannot be reached the request is allowed, so a storage hiccup does not
+ * lock everyone out.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// AI commands and exports refill slowly; everything else only guards against flooding
+const DEFAULT_RULES = {
+    ask: { capacity: 5, refill: 2 * MINUTE },
+    explain: { capacity: 5, refill: 2 * MINUTE },
+    risk: { capacity: 3, refill: 5 * MINUTE },
+    compare: { capacity: 3, refill: 5 * MINUTE },
+    export: { capacity: 3, refill: 5 * MINUTE },
+    default: { capacity: 20, refill: 3 * SECOND }
+};
+
+// AI requests per day by user tier; unknown tiers get the free quota
+const DEFAULT_QUOTAS = {
+    free: 30,
+    pro: 300
+};
+
+/**
+ * Human-readable wait such as "45 seconds", "3 minutes" or "2 hours 5 minutes"
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatWait(ms) {
+    const unit = (n, name) => `${n} ${name}${n === 1 ? '' : 's'}`;
+    if (ms < MINUTE) {
+        return unit(Math.max(1, Math.ceil(ms / SECOND)), 'second');
+    }
+    if (ms < HOUR) {
+        return unit(Math.ceil(ms / MINUTE), 'minute');
+    }
+    const hours = Math.floor(ms / HOUR);
+    const minutes = Math.ceil((ms % HOUR) / MINUTE);
+    return minutes ? `${unit(hours, 'hour')} ${unit(minutes, 'minute')}` : unit(hours, 'hour');
+}
+
+/**
+ * Parse AI_DAILY_QUOTAS ("free:30,pro:300")
+ *
+ * @param {string} [value]
+ * @returns {Object} tier -> requests per day
+ */
+function parseQuotas(value) {
+    const quotas = {};
+    for (const entry of String(value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const m = entry.match(/^([a-z0-9_-]+)\s*:\s*(\d+)$/i);
+        if (!m) {
+            throw new Error(`Invalid AI_DAILY_QUOTAS entry "${entry}" (expected tier:requests, e.g. free:30)`);
+        }
+        quotas[m[1].toLowerCase()] = Number(m[2]);
+    }
+    return quotas;
+}
+
+/**
+ * Parse a comma-separated list of Telegram IDs (ADMIN_USER_IDS)
+ *
+ * @param {string} [value]
+ * @returns {number[]}
+ */
+function parseIdList(value) {
+    return String(value || '').split(',').map(id => id.trim()).filter(Boolean).map(id => {
+        if (!/^\d+$/.test(id)) {
+            throw new Error(`Invalid Telegram user ID "${id}" in ADMIN_USER_IDS`);
+        }
+        return Number(id);
+    });
+}
+
+/**
+ * Start of the next UTC day
+ * @private
+ */
+function nextUtcMidnight(now) {
+    return (Math.floor(now / DAY) + 1) * DAY;
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Rate limit repository (storage.rateLimits)
+     * @param {Object} [options.rules] - Per-command { capacity, refill } overrides; `default` covers the rest
+     * @param {Object} [options.quotas] - Per-tier daily AI request overrides
+     * @param {number[]} [options.admins] - Telegram IDs that bypass all limits
+     * @param {Object} [options.logger]
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ store, rules = {}, quotas = {}, admins = [], logger = console, now = Date.now }) {
+        this.store = store;
+        this.rules = { ...DEFAULT_RULES, ...rules };
+        this.quotas = { ...DEFAULT_QUOTAS, ...quotas };
+        this.admins = new Set(admins);
+        this.logger = logger;
+        this.now = now;
+    }
+
+    /**
+     * @param {number} telegramId
+     * @returns {boolean}
+     */
+    isAdmin(telegramId) {
+        return this.admins.has(telegramId);
+    }
+
+    /**
+     * Take a token from the user's bucket for a command
+     *
+     * @param {number} telegramId
+     * @param {string} command - Command name without the slash
+     * @returns {Promise<{allowed: boolean, retryInMs: number}>}
+     */
+    async take(telegramId, command) {
+        if (this.isAdmin(telegramId)) {
+            return { allowed: true, retryInMs: 0 };
+        }
+
+        const rule = this.rules[command] || this.rules.default;
+        const now = this.now();
+
+        try {
+            return await this.store.updateBucket(`${telegramId}:${command}`, bucket => {
+                // Refill for the time since the last request, up to capacity
+                const tokens = bucket
+                    ? Math.min(rule.capacity, bucket.tokens + (now - bucket.updatedAt) / rule.refill)
+                    : rule.capacity;
+
+                if (tokens >= 1) {
+                    return { state: { tokens: tokens - 1, updatedAt: now }, result: { allowed: true, retryInMs: 0 } };
+                }
+                return {
+                    state: { tokens, updatedAt: now },
+                    result: { allowed: false, retryInMs: Math.ceil((1 - tokens) * rule.refill) }
+                };
+            });
+        } catch (error) {
+            this.logger.warn('Rate limit check failed, allowing request', { telegramId, command, error: error.message });
+            return { allowed: true, retryInMs: 0 };
+        }
+    }
+
+    /**
+     * Count one AI request against the user's daily quota
+     *
+     * @param {number} telegramId
+     * @param {string} [tier='free'] - users.tier
+     * @returns {Promise<{allowed: boolean, used: number, limit: number, retryInMs: number, day?: string}>}
+     *   retryInMs is the time until the quota resets when not allowed; day is
+     *   set when a request was counted (see refundQuota)
+     */
+    async useQuota(telegramId, tier = 'free') {
+        const limit = this.quotas[tier] ?? this.quotas.free;
+        if (this.isAdmin(telegramId)) {
+            return { allowed: true, used: 0, limit: Infinity, retryInMs: 0 };
+        }
+
+        const now = this.now();
+        const retryInMs = nextUtcMidnight(now) - now;
+        if (limit <= 0) {
+            return { allowed: false, used: 0, limit, retryInMs };
+        }
+
+        try {
+            const day = new Date(now).toISOString().slice(0, 10);
+            const { counted, calls } = await this.store.incrementUsage(telegramId, day, limit);
+            return counted
+                ? { allowed: true, used: calls, limit, retryInMs: 0, day }
+                : { allowed: false, used: calls, limit, retryInMs };
+        } catch (error) {
+            this.logger.warn('AI quota check failed, allowing request', { telegramId, tier, error: error.message });
+            return { allowed: true, used: 0, limit, retryInMs: 0 };
+        }
+    }
+
+    /**
+     * Give back a request counted by useQuota, when the AI call failed
+     *
+     * @param {number} telegramId
+     * @param {Object} quota - Result of useQuota
+     * @returns {Promise<void>}
+     */
+    async refundQuota(telegramId, quota) {
+        if (!quota?.day) {
+            return;
+        }
+        try {
+            await this.store.decrementUsage(telegramId, quota.day);
+        } catch (error) {
+            this.logger.warn('AI quota refund failed', { telegramId, error: error.message });
+        }
+    }
+
+    /**
+     * Delete buckets idle long enough to be full again and usage rows older
+     * than `keepDays`
+     *
+     * @param {Object} [options]
+     * @param {number} [options.keepDays=30]
+     * @returns {Promise<number>} Rows removed
+     */
+    async prune({ keepDays = 30 } = {}) {
+        const now = this.now();
+        const longestRefill = Math.max(...Object.values(this.rules).map(r => r.capacity * r.refill));
+        const oldestDay = new Date(now - keepDays * DAY).toISOString().slice(0, 10);
+        return this.store.deleteStale(now - longestRefill, oldestDay);
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    formatWait,
+    parseQuotas,
+    parseIdList,
+    DEFAULT_RULES,
+    DEFAULT_QUOTAS
+};
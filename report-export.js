@@ -0,0 +1,286 @@
+/**
+ * Report Export
+ *
+ * Files for /export, built in-process from the normalized portfolio
+ * (aura-client.js) and the user's saved analysis:
+ *
+ *   csv   Holdings by network, one row per token
+ *   json  The normalized portfolio plus the last /risk report
+ *   pdf   Allocation tables, the last /risk report and the latest /ask answer
+ */
+
+const { PdfDocument } = require('./pdf-document');
+const { formatUsd } = require('./portfolio-history');
+const { computeRiskMetrics } = require('./risk-engine');
+const { toPlainText } = require('./telegram-format');
+
+const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+// Holdings listed in the PDF; the CSV and JSON always have all of them
+const MAX_PDF_HOLDINGS = 60;
+
+/**
+ * Parse "/export [csv|json|pdf]" arguments; no argument (or "all") means
+ * every format
+ *
+ * @param {string} [text]
+ * @returns {string[]}
+ * @throws {Error} For unknown formats
+ */
+function parseFormats(text) {
+    const names = String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+    if (!names.length || names.includes('all')) {
+        return [...EXPORT_FORMATS];
+    }
+    const unknown = names.filter(name => !EXPORT_FORMATS.includes(name));
+    if (unknown.length) {
+        throw new Error(`Unknown format "${unknown[0]}". Usage: /export [${EXPORT_FORMATS.join('|')}]`);
+    }
+    return EXPORT_FORMATS.filter(format => names.includes(format));
+}
+
+/**
+ * @private
+ */
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(Number(value || 0) * factor) / factor;
+}
+
+/**
+ * Token rows grouped by network (largest network first), largest holding first
+ *
+ * @param {Object} portfolioData - Combined portfolio
+ * @returns {Array<{network: string, symbol: string, name: string, address: string|null, balance: number, priceUSD: number, valueUSD: number, share: number}>}
+ *   share is a percentage of the total value
+ */
+function holdingsByNetwork(portfolioData) {
+    const total = Number(portfolioData.totalValueUSD || 0);
+    return (portfolioData.portfolio || [])
+        .map(net => ({
+            network: net.network?.name || 'Unknown',
+            value: (net.tokens || []).reduce((sum, t) => sum + Number(t.balanceUSD || 0), 0),
+            tokens: net.tokens || []
+        }))
+        .sort((a, b) => b.value - a.value)
+        .flatMap(net => [...net.tokens]
+            .sort((a, b) => Number(b.balanceUSD || 0) - Number(a.balanceUSD || 0))
+            .map(t => ({
+                network: net.network,
+                symbol: t.symbol,
+                name: t.name,
+                address: t.address || null,
+                balance: Number(t.balance || 0),
+                priceUSD: Number(t.priceUSD || 0),
+                valueUSD: Number(t.balanceUSD || 0),
+                share: total > 0 ? (Number(t.balanceUSD || 0) / total) * 100 : 0
+            })));
+}
+
+/**
+ * @private
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Token names come from chain data, so stop spreadsheets running them as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Holdings as CSV (RFC 4180)
+ *
+ * @param {Object} portfolioData - Combined portfolio
+ * @returns {string}
+ */
+function toCsv(portfolioData) {
+    const header = ['network', 'symbol', 'name', 'token_address', 'balance', 'price_usd', 'value_usd', 'share_pct'];
+    const rows = holdingsByNetwork(portfolioData).map(h => [
+        h.network, h.symbol, h.name, h.address, h.balance, round(h.priceUSD, 8), round(h.valueUSD), round(h.share)
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Portfolio and last risk report as JSON
+ *
+ * @param {Object} data
+ * @param {Object} data.portfolioData - Payload from loadPortfolio
+ * @param {Object} [data.riskReport] - Saved analyzeRisk result
+ * @param {string} [data.riskReportAt] - When it was made (UTC, SQL datetime)
+ * @param {Date} data.generatedAt
+ * @returns {string}
+ */
+function toJson({ portfolioData, riskReport = null, riskReportAt = null, generatedAt }) {
+    return JSON.stringify({
+        generatedAt: generatedAt.toISOString(),
+        wallets: portfolioData.wallets || [],
+        failedWallets: portfolioData.failedWallets || [],
+        totalValueUSD: round(portfolioData.totalValueUSD),
+        portfolio: portfolioData.portfolio || [],
+        riskReport: riskReport && { createdAt: riskReportAt ? `${riskReportAt.replace(' ', 'T')}Z` : null, ...riskReport }
+    }, null, 2);
+}
+
+/**
+ * @private
+ */
+function formatAmount(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: value < 1 ? 6 : 4 });
+}
+
+/**
+ * @private
+ */
+function formatPrice(value) {
+    return value > 0 && value < 1
+        ? `$${Number(value).toLocaleString('en-US', { maximumSignificantDigits: 4 })}`
+        : formatUsd(value);
+}
+
+/**
+ * @private
+ */
+function formatShare(value) {
+    return `${round(value, 1).toFixed(1)}%`;
+}
+
+/**
+ * @private
+ */
+function addRiskSection(doc, { riskReport, riskReportAt, portfolioData }) {
+    doc.heading('Risk report');
+    if (!riskReport) {
+        // The engine score needs no AI, so the report always has one
+        const engine = computeRiskMetrics(portfolioData);
+        doc.paragraph(engine.score === null
+            ? 'No priced holdings to assess.'
+            : `Risk score: ${engine.score}/100 (${engine.level})`, { bold: true });
+        if (engine.reasons?.length) doc.bullets(engine.reasons);
+        doc.paragraph('Run /risk to add the AI explanation to your exports.', { muted: true });
+        return;
+    }
+
+    if (riskReportAt) {
+        doc.paragraph(`From /risk on ${riskReportAt.slice(0, 16)} UTC. Holdings may have changed since.`, { muted: true });
+    }
+    doc.paragraph(`Risk score: ${riskReport.riskScore ?? 'n/a'}/100 (${riskReport.riskLevel || 'Unknown'})`, { bold: true });
+
+    if (Array.isArray(riskReport.scoreBreakdown) && riskReport.scoreBreakdown.length) {
+        doc.table(
+            [{ header: 'Factor', width: 3 }, { header: 'Points', align: 'right' }],
+            riskReport.scoreBreakdown.map(c => [c.label, `${c.points}/${c.max}`])
+        );
+    }
+    const lists = [
+        ['Risk factors', riskReport.riskFactors, f => f],
+        ['Risky assets', riskReport.riskyAssets, a => `${a.symbol}: ${a.reason}${a.value ? ` (${a.value})` : ''}`],
+        ['Lower-risk strategies', riskReport.lowRiskStrategies, s => `${s.name}: ${s.reason}`]
+    ];
+    for (const [title, items, describe] of lists) {
+        if (Array.isArray(items) && items.length) {
+            doc.heading(title, { level: 3 });
+            doc.bullets(items.map(describe));
+        }
+    }
+    if (riskReport.summary) {
+        doc.heading('Summary', { level: 3 });
+        doc.paragraph(toPlainText(riskReport.summary));
+    }
+}
+
+/**
+ * Formatted PDF report
+ *
+ * @param {Object} data
+ * @param {Object} data.portfolioData - Payload from loadPortfolio
+ * @param {Object} [data.riskReport] - Saved analyzeRisk result
+ * @param {string} [data.riskReportAt] - When it was made (UTC, SQL datetime)
+ * @param {{question: string, answer: string}} [data.lastAnswer] - Latest /ask exchange
+ * @param {Date} data.generatedAt
+ * @returns {Buffer}
+ */
+function toPdf({ portfolioData, riskReport = null, riskReportAt = null, lastAnswer = null, generatedAt }) {
+    const doc = new PdfDocument({
+        title: 'AURA portfolio report',
+        footer: 'AURA portfolio report - not financial advice',
+        now: () => generatedAt.getTime()
+    });
+    const holdings = holdingsByNetwork(portfolioData);
+    const total = Number(portfolioData.totalValueUSD || 0);
+
+    doc.heading('AURA portfolio report', { level: 1 });
+    doc.paragraph(`Generated ${generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`, { muted: true });
+    doc.bullets((portfolioData.wallets || []).map(w =>
+        `${w.address} [${w.chainFamily}]${w.label ? ` "${w.label}"` : ''}${(portfolioData.failedWallets || []).includes(w.address) ? ' - could not be loaded' : ''}`));
+    doc.paragraph(`Total value: ${formatUsd(total)} across ${holdings.length} holdings on ${(portfolioData.portfolio || []).length} networks`, { bold: true });
+
+    const networks = new Map();
+    holdings.forEach(h => {
+        const net = networks.get(h.network) || { tokens: 0, value: 0 };
+        networks.set(h.network, { tokens: net.tokens + 1, value: net.value + h.valueUSD });
+    });
+    doc.heading('Allocation by network');
+    doc.table(
+        [{ header: 'Network', width: 3 }, { header: 'Tokens', align: 'right' }, { header: 'Value', width: 2, align: 'right' }, { header: 'Share', align: 'right' }],
+        Array.from(networks, ([name, n]) => [name, n.tokens, formatUsd(n.value), formatShare(total > 0 ? (n.value / total) * 100 : 0)])
+    );
+
+    doc.heading('Holdings');
+    doc.table(
+        [
+            { header: 'Token', width: 2 },
+            { header: 'Network', width: 2 },
+            { header: 'Balance', width: 2, align: 'right' },
+            { header: 'Price', width: 1.5, align: 'right' },
+            { header: 'Value', width: 2, align: 'right' },
+            { header: 'Share', align: 'right' }
+        ],
+        holdings.slice(0, MAX_PDF_HOLDINGS).map(h => [
+            h.symbol, h.network, formatAmount(h.balance), formatPrice(h.priceUSD), formatUsd(h.valueUSD), formatShare(h.share)
+        ])
+    );
+    if (holdings.length > MAX_PDF_HOLDINGS) {
+        doc.paragraph(`${holdings.length - MAX_PDF_HOLDINGS} smaller holdings are left out here; the CSV export lists all of them.`, { muted: true });
+    }
+
+    addRiskSection(doc, { riskReport, riskReportAt, portfolioData });
+
+    if (lastAnswer) {
+        doc.heading('Latest /ask answer');
+        doc.paragraph(`Q: ${lastAnswer.question}`, { bold: true });
+        doc.paragraph(toPlainText(lastAnswer.answer));
+    }
+
+    doc.space(6);
+    doc.paragraph('This report is generated from on-chain data and AI analysis for information only. It is not financial advice.', { size: 8, muted: true });
+    return doc.toBuffer();
+}
+
+/**
+ * Build the requested files
+ *
+ * @param {string[]} formats - From parseFormats
+ * @param {Object} data - See toJson and toPdf
+ * @returns {Array<{format: string, filename: string, content: Buffer}>}
+ */
+function buildExports(formats, data) {
+    const day = data.generatedAt.toISOString().slice(0, 10);
+    const builders = {
+        csv: () => ({ filename: `aura-holdings-${day}.csv`, content: Buffer.from(toCsv(data.portfolioData), 'utf8') }),
+        json: () => ({ filename: `aura-portfolio-${day}.json`, content: Buffer.from(toJson(data), 'utf8') }),
+        pdf: () => ({ filename: `aura-report-${day}.pdf`, content: toPdf(data) })
+    };
+    return formats.map(format => ({ format, ...builders[format]() }));
+}
+
+module.exports = {
+    buildExports,
+    parseFormats,
+    holdingsByNetwork,
+    toCsv,
+    toJson,
+    toPdf,
+    EXPORT_FORMATS
+};
@@ -0,0 +1,324 @@
+/**
+ * Resilience
+ *
+ * Retry and circuit-breaker helpers shared by the AI analyzer and the AURA
+ * client. Errors are classified by HTTP status and error code (LLMProvider
+ * and AuraApiError both carry them), never by message text.
+ *
+ * Retries use full-jitter exponential backoff, or the server's Retry-After
+ * when it sends one, and stop once the next attempt would start after the
+ * overall deadline. A circuit breaker opens after repeated outages
+ * (timeouts, network and 5xx errors) and fails calls immediately until a
+ * cooldown has passed; one probe call then decides whether it closes again.
+ *
+ * Usage:
+ *   const breaker = new CircuitBreaker({ name: 'aura' });
+ *   const data = await withRetry(() => http.get(url), { breaker, label: 'AURA request' });
+ */
+
+const DEFAULT_RETRY = {
+    attempts: 3,
+    baseDelay: 1000,
+    maxDelay: 10000,
+    deadline: 30000
+};
+
+const NETWORK_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'NETWORK_ERROR'
+]);
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED', 'TIMEOUT']);
+
+// Kinds worth another attempt
+const RETRYABLE = new Set(['rate_limit', 'timeout', 'network', 'server']);
+// Kinds that mean the service itself is down and count towards opening the breaker
+const OUTAGE = new Set(['timeout', 'network', 'server']);
+
+class CircuitOpenError extends Error {
+    /**
+     * @param {string} name - Breaker name
+     * @param {number} retryInMs - Time until the next probe is allowed
+     */
+    constructor(name, retryInMs) {
+        const seconds = Math.max(1, Math.ceil(retryInMs / 1000));
+        super(`${name} is unavailable right now. Please try again in ${seconds} second${seconds === 1 ? '' : 's'}.`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.breaker = name;
+        this.retryInMs = retryInMs;
+    }
+}
+
+/**
+ * @private
+ */
+function statusOf(error) {
+    return error?.status ?? error?.response?.status;
+}
+
+/**
+ * Classify a failure
+ *
+ * @param {Error} error
+ * @returns {string} 'circuit_open', 'auth', 'rate_limit', 'timeout', 'network',
+ *   'server', 'client' or 'unknown'
+ */
+function classifyError(error) {
+    if (error instanceof CircuitOpenError) return 'circuit_open';
+
+    const status = statusOf(error);
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 429) return 'rate_limit';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'client';
+
+    const code = error?.code || error?.cause?.code;
+    if (TIMEOUT_CODES.has(code)) return 'timeout';
+    if (NETWORK_CODES.has(code)) return 'network';
+    // Connection failures from the Groq SDK have no status or code, only a class
+    const type = error?.cause?.constructor?.name || '';
+    if (type === 'APIConnectionTimeoutError') return 'timeout';
+    if (type === 'APIConnectionError') return 'network';
+    return 'unknown';
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True when another attempt may succeed
+ */
+function isRetryable(error) {
+    return RETRYABLE.has(classifyError(error));
+}
+
+/**
+ * @private
+ */
+function header(headers, name) {
+    if (!headers) return undefined;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+/**
+ * Delay requested by the server, from retry-after-ms, Retry-After (seconds
+ * or an HTTP date) or an error's retryAfter (seconds)
+ *
+ * @param {Error} error
+ * @returns {number|null} Milliseconds, or null when the server gave none
+ */
+function retryAfterMs(error) {
+    const headers = error?.headers || error?.response?.headers || error?.cause?.response?.headers;
+
+    const ms = Number(header(headers, 'retry-after-ms'));
+    if (ms > 0) return ms;
+
+    const value = header(headers, 'retry-after') ?? error?.retryAfter;
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt, or null when the caller should give up
+ * (not retryable, out of attempts, or the wait would pass the deadline)
+ *
+ * @param {Error} error - The failure of `attempt`
+ * @param {number} attempt - 1-based number of the attempt that failed
+ * @param {Object} options - { attempts, baseDelay, maxDelay, deadlineAt }
+ * @returns {number|null}
+ */
+function retryDelay(error, attempt, { attempts, baseDelay, maxDelay, deadlineAt }) {
+    if (attempt >= attempts || !isRetryable(error)) {
+        return null;
+    }
+
+    const requested = retryAfterMs(error);
+    const delay = requested !== null
+        ? requested
+        : Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+
+    return Date.now() + delay < deadlineAt ? Math.round(delay) : null;
+}
+
+/**
+ * Retry policy fields of an options object, without undefined values
+ * @private
+ */
+function pickPolicy(options) {
+    const policy = {};
+    for (const key of Object.keys(DEFAULT_RETRY)) {
+        if (options[key] !== undefined) policy[key] = options[key];
+    }
+    return policy;
+}
+
+/**
+ * Call `fn` until it succeeds, retrying transient failures
+ *
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} [options]
+ * @param {number} [options.attempts=3] - Attempts in total
+ * @param {number} [options.baseDelay=1000] - Backoff base in ms
+ * @param {number} [options.maxDelay=10000] - Backoff cap in ms (Retry-After is not capped)
+ * @param {number} [options.deadline=30000] - No attempt starts later than this many ms after the first
+ * @param {CircuitBreaker} [options.breaker] - Breaker every attempt goes through
+ * @param {string} [options.label] - Name used in logs
+ * @param {Object} [options.meta] - Extra log fields
+ * @param {Object} [options.logger]
+ * @returns {Promise<*>} Result of `fn`
+ * @throws The last error when retries are exhausted or not worthwhile
+ */
+async function withRetry(fn, options = {}) {
+    const { breaker = null, label = 'Request', meta = {}, logger = console } = options;
+    const policy = { ...DEFAULT_RETRY, ...pickPolicy(options) };
+    const deadlineAt = Date.now() + policy.deadline;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return breaker ? await breaker.execute(() => fn(attempt)) : await fn(attempt);
+        } catch (error) {
+            const delay = retryDelay(error, attempt, { ...policy, deadlineAt });
+
+            logger.warn(`${label} attempt ${attempt}/${policy.attempts} failed`, {
+                ...meta,
+                kind: classifyError(error),
+                status: statusOf(error),
+                error: error.message,
+                retryInMs: delay
+            });
+
+            if (delay === null) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Service name, used in logs and errors
+     * @param {number} [options.failureThreshold=5] - Consecutive outage errors that open the circuit
+     * @param {number} [options.cooldown=30000] - Ms the circuit stays open before a probe
+     * @param {Object} [options.logger]
+     */
+    constructor({ name, failureThreshold = 5, cooldown = 30000, logger = console }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this.logger = logger;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.probing = false;
+    }
+
+    /**
+     * Throw CircuitOpenError unless a call may go ahead. After the cooldown
+     * exactly one caller is let through as the probe.
+     *
+     * @throws {CircuitOpenError}
+     */
+    check() {
+        if (this.state === 'closed') return;
+
+        const retryInMs = this.openedAt + this.cooldown - Date.now();
+        if (this.state === 'open' && retryInMs <= 0) {
+            this.state = 'half-open';
+            this.probing = false;
+        }
+        if (this.state === 'half-open' && !this.probing) {
+            this.probing = true;
+            return;
+        }
+        throw new CircuitOpenError(this.name, Math.max(retryInMs, 1000));
+    }
+
+    /**
+     * True while calls are rejected. Unlike check() this never starts a probe.
+     *
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.state === 'open' && Date.now() < this.openedAt + this.cooldown;
+    }
+
+    /**
+     * End a probe that finished without an outcome, such as a stream the
+     * caller stopped reading, so the next call can probe instead
+     */
+    release() {
+        this.probing = false;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            this.logger.info('Circuit closed', { breaker: this.name });
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.probing = false;
+    }
+
+    /**
+     * Count a failure. Only outages count; a failed probe reopens the circuit.
+     *
+     * @param {Error} error
+     */
+    recordFailure(error) {
+        if (!OUTAGE.has(classifyError(error))) {
+            if (this.state === 'half-open') {
+                // The service answered, so it is up
+                this.recordSuccess();
+            }
+            return;
+        }
+
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            this.probing = false;
+            this.logger.warn('Circuit opened', {
+                breaker: this.name,
+                failures: this.failures,
+                cooldownMs: this.cooldown,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Run `fn` through the breaker
+     *
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>}
+     */
+    async execute(fn) {
+        this.check();
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            this.recordFailure(error);
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+    retryDelay,
+    retryAfterMs,
+    classifyError,
+    isRetryable,
+    CircuitBreaker,
+    CircuitOpenError,
+    DEFAULT_RETRY
+};
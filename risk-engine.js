@@ -0,0 +1,222 @@
+/**
+ * Risk Engine
+ *
+ * Deterministic risk metrics for a normalized portfolio (see
+ * normalizePortfolio in aura-client.js). The same holdings always give the
+ * same score; the LLM only explains these numbers.
+ *
+ * The 0-100 score adds up six components:
+ *   concentration     30  Herfindahl-Hirschman index over positions
+ *   largest position  15  Share of the biggest single holding
+ *   volatility        25  Share held outside stablecoins
+ *   chains            10  Concentration of value on few chains
+ *   long tail         15  Share in tokens that are neither stablecoins nor majors
+ *   unpriced tokens    5  Holdings without a price (one point each)
+ *
+ * Holdings carry no liquidity data, so long-tail tokens stand in for
+ * low-liquidity exposure.
+ */
+
+const STABLECOINS = new Set([
+    'USDC', 'USDT', 'DAI', 'BUSD', 'TUSD', 'USDP', 'FRAX', 'LUSD', 'PYUSD', 'USDE', 'GUSD',
+    'FDUSD', 'CRVUSD', 'GHO', 'USDC.E', 'USDBC', 'USDT.E', 'SUSD', 'USDD'
+]);
+
+// Large-cap assets with deep liquidity on most chains
+const MAJORS = new Set([
+    'ETH', 'WETH', 'STETH', 'WSTETH', 'RETH', 'CBETH', 'BTC', 'WBTC', 'CBBTC', 'TBTC',
+    'SOL', 'WSOL', 'BNB', 'WBNB', 'MATIC', 'POL', 'AVAX', 'WAVAX', 'ARB', 'OP', 'TRX',
+    'LINK', 'UNI', 'AAVE', 'MKR', 'LDO', 'CRV', 'SNX', 'COMP'
+]);
+
+// Upper score bound of each level
+const RISK_LEVELS = [
+    { level: 'Low', max: 24 },
+    { level: 'Moderate', max: 49 },
+    { level: 'High', max: 74 },
+    { level: 'Very High', max: 100 }
+];
+
+/**
+ * Risk level band for a 0-100 score
+ *
+ * @param {number} score
+ * @returns {string}
+ */
+function riskLevelForScore(score) {
+    return RISK_LEVELS.find(b => score <= b.max).level;
+}
+
+/**
+ * @private
+ */
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Linear ramp from 0 at `low` to 1 at `high`
+ * @private
+ */
+function ramp(value, low, high) {
+    return clamp01((value - low) / (high - low));
+}
+
+/**
+ * @private
+ */
+function round(value, digits = 4) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * @private
+ */
+function percent(share) {
+    return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * @private
+ */
+function hhi(values, total) {
+    return values.reduce((sum, v) => sum + (v / total) ** 2, 0);
+}
+
+/**
+ * Classify a token symbol
+ *
+ * @param {string} symbol
+ * @returns {'stablecoin'|'major'|'long-tail'}
+ */
+function classifyToken(symbol) {
+    const key = String(symbol || '').toUpperCase();
+    if (STABLECOINS.has(key)) return 'stablecoin';
+    if (MAJORS.has(key)) return 'major';
+    return 'long-tail';
+}
+
+/**
+ * Compute risk metrics, the score and its reasons
+ *
+ * @param {Object} portfolioData - { portfolio: [{ network, tokens }] }
+ * @returns {Object} { score, level, metrics, components, reasons }; score and
+ *   level are null when nothing is priced
+ */
+function computeRiskMetrics(portfolioData = {}) {
+    const positions = [];
+    const chains = new Map();
+    let unpriced = 0;
+
+    for (const net of portfolioData.portfolio || []) {
+        const chain = net?.network?.name || 'Unknown';
+        for (const t of net.tokens || []) {
+            const value = Number(t.balanceUSD || 0);
+            if (!t.priceUSD && value <= 0) {
+                unpriced++;
+                continue;
+            }
+            if (value <= 0) continue;
+            positions.push({ symbol: t.symbol || 'UNKNOWN', network: chain, value, kind: classifyToken(t.symbol) });
+            chains.set(chain, (chains.get(chain) || 0) + value);
+        }
+    }
+
+    const total = positions.reduce((sum, p) => sum + p.value, 0);
+    if (!total) {
+        return {
+            score: null,
+            level: null,
+            metrics: { totalValueUSD: 0, positionCount: 0, unpricedTokenCount: unpriced },
+            components: [],
+            reasons: ['No priced holdings to assess.']
+        };
+    }
+
+    // Ties are broken by name so the input order never changes the result
+    const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    positions.sort((a, b) => b.value - a.value || byName(a.symbol, b.symbol) || byName(a.network, b.network));
+    const largest = positions[0];
+    const share = kind => positions.filter(p => p.kind === kind).reduce((sum, p) => sum + p.value, 0) / total;
+
+    const chainEntries = Array.from(chains.entries()).sort((a, b) => b[1] - a[1] || byName(a[0], b[0]));
+    const metrics = {
+        totalValueUSD: round(total, 2),
+        positionCount: positions.length,
+        hhi: round(hhi(positions.map(p => p.value), total)),
+        largestPosition: { symbol: largest.symbol, network: largest.network, share: round(largest.value / total) },
+        stablecoinShare: round(share('stablecoin')),
+        volatileShare: round(1 - share('stablecoin')),
+        longTailShare: round(share('long-tail')),
+        chainCount: chains.size,
+        chainHhi: round(hhi(chainEntries.map(([, v]) => v), total)),
+        largestChain: { name: chainEntries[0][0], share: round(chainEntries[0][1] / total) },
+        unpricedTokenCount: unpriced
+    };
+
+    const components = [
+        {
+            name: 'concentration',
+            label: 'Concentration',
+            max: 30,
+            points: 30 * ramp(metrics.hhi, 0.15, 0.75),
+            reason: `Position concentration (HHI) is ${metrics.hhi.toFixed(2)}${metrics.hhi >= 0.25 ? ', a concentrated portfolio' : ''}.`
+        },
+        {
+            name: 'largestPosition',
+            label: 'Largest position',
+            max: 15,
+            points: 15 * ramp(metrics.largestPosition.share, 0.2, 0.8),
+            reason: `Largest position is ${largest.symbol} on ${largest.network} at ${percent(metrics.largestPosition.share)} of the portfolio.`
+        },
+        {
+            name: 'volatility',
+            label: 'Volatile share',
+            max: 25,
+            points: 25 * metrics.volatileShare,
+            reason: `${percent(metrics.volatileShare)} is held in volatile assets and ${percent(metrics.stablecoinShare)} in stablecoins.`
+        },
+        {
+            name: 'chains',
+            label: 'Chain spread',
+            max: 10,
+            points: 10 * ramp(metrics.chainHhi, 0.34, 1),
+            reason: metrics.chainCount === 1
+                ? `All value sits on one chain (${metrics.largestChain.name}).`
+                : `Value is spread over ${metrics.chainCount} chains; ${metrics.largestChain.name} holds ${percent(metrics.largestChain.share)}.`
+        },
+        {
+            name: 'longTail',
+            label: 'Long-tail tokens',
+            max: 15,
+            points: 15 * ramp(metrics.longTailShare, 0, 0.3),
+            reason: `${percent(metrics.longTailShare)} is in long-tail tokens that may be hard to sell.`
+        },
+        {
+            name: 'unpriced',
+            label: 'Unpriced tokens',
+            max: 5,
+            points: Math.min(5, unpriced),
+            reason: unpriced
+                ? `${unpriced} token${unpriced === 1 ? ' has' : 's have'} no price data and could not be valued.`
+                : 'Every holding has price data.'
+        }
+    ].map(c => ({ ...c, points: round(c.points, 1) }));
+
+    const score = Math.round(components.reduce((sum, c) => sum + c.points, 0));
+
+    return {
+        score,
+        level: riskLevelForScore(score),
+        metrics,
+        components,
+        // Largest contributors first
+        reasons: [...components]
+            .filter(c => c.points > 0)
+            .sort((a, b) => b.points - a.points)
+            .map(c => c.reason)
+    };
+}
+
+module.exports = { computeRiskMetrics, classifyToken, riskLevelForScore, RISK_LEVELS };
@@ -0,0 +1,161 @@
+/**
+ * Scheduler
+ *
+ * Runs background jobs at fixed intervals with their schedule kept in the
+ * database (storage.jobs), so a restart or redeploy neither repeats a job
+ * that just ran nor skips one that was due while the bot was down.
+ *
+ * Before running a job an instance claims it with a lease. During a Railway
+ * redeploy the old and new containers overlap for a moment, and the lease
+ * stops both from running the same job. The lease is renewed every third
+ * of its length while the job runs, so a long run keeps it; a lease left
+ * behind by a crashed instance expires after `lease` ms.
+ *
+ * Usage:
+ *   const scheduler = new Scheduler({ store: storage.jobs, logger });
+ *   scheduler.register('alerts', { interval: 5 * 60 * 1000, run: () => alerts.run() });
+ *   scheduler.start();
+ */
+
+const DEFAULT_TICK = 30 * 1000;
+const DEFAULT_LEASE = 10 * 60 * 1000;
+
+class Scheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Job repository (storage.jobs)
+     * @param {number} [options.tick=30000] - Ms between checks for due jobs
+     * @param {number} [options.lease=600000] - Ms a claimed job stays locked to this instance
+     * @param {Object} [options.logger]
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ store, tick = DEFAULT_TICK, lease = DEFAULT_LEASE, logger = console, now = Date.now }) {
+        this.store = store;
+        this.tickInterval = tick;
+        this.lease = lease;
+        this.logger = logger;
+        this.now = now;
+
+        this.jobs = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Add a job. A job seen for the first time runs on the next tick.
+     *
+     * @param {string} name - Unique job name, the key of its stored schedule
+     * @param {Object} job
+     * @param {number} job.interval - Ms between the start of one run and the next
+     * @param {Function} job.run - async () => void
+     */
+    register(name, { interval, run }) {
+        if (!(interval > 0)) {
+            throw new Error(`Job "${name}" needs a positive interval`);
+        }
+        this.jobs.set(name, { interval, run });
+    }
+
+    /**
+     * Check for due jobs now and then every tick
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+        this.timer.unref();
+        this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run every due job this instance can claim, one after another
+     *
+     * @returns {Promise<string[]>} Names of the jobs that ran
+     */
+    async tick() {
+        // A slow job must not overlap with the next tick
+        if (this.running) return [];
+        this.running = true;
+
+        const ran = [];
+        try {
+            for (const [name, job] of this.jobs) {
+                if (await this._runIfDue(name, job)) {
+                    ran.push(name);
+                }
+            }
+        } catch (error) {
+            this.logger.error('Scheduler tick failed', { error: error.message });
+        } finally {
+            this.running = false;
+        }
+        return ran;
+    }
+
+    /**
+     * @private
+     */
+    async _runIfDue(name, job) {
+        const startedAt = this.now();
+        let lockedUntil = startedAt + this.lease;
+        const claimed = await this.store.claim(name, startedAt, lockedUntil);
+        if (!claimed) return false;
+
+        let renewal = Promise.resolve();
+        const heartbeat = setInterval(() => {
+            renewal = this._renew(name, lockedUntil).then(extended => {
+                if (extended) lockedUntil = extended;
+            });
+        }, this.lease / 3);
+        heartbeat.unref();
+
+        let error = null;
+        try {
+            await job.run();
+        } catch (e) {
+            error = e;
+            this.logger.error('Scheduled job failed', { job: name, error: e.message });
+        } finally {
+            clearInterval(heartbeat);
+        }
+        // A renewal still in flight decides which lease finish() must match
+        await renewal;
+
+        const finishedAt = this.now();
+        const released = await this.store.finish(name, lockedUntil, {
+            lastRunAt: startedAt,
+            nextRunAt: startedAt + job.interval,
+            error: error ? error.message : null
+        });
+        if (!released) {
+            // Another instance holds the job now; its run records the schedule
+            this.logger.warn('Scheduled job lost its lease before finishing', { job: name });
+        }
+        this.logger.info('Scheduled job ran', { job: name, durationMs: finishedAt - startedAt, failed: !!error });
+        return true;
+    }
+
+    /**
+     * Extend a held lease; resolves to the new expiry, or null when it was
+     * not extended
+     * @private
+     */
+    async _renew(name, heldUntil) {
+        const extended = this.now() + this.lease;
+        try {
+            if (await this.store.renew(name, heldUntil, extended)) {
+                return extended;
+            }
+            this.logger.warn('Scheduled job lost its lease', { job: name });
+        } catch (e) {
+            this.logger.warn('Lease renewal failed', { job: name, error: e.message });
+        }
+        return null;
+    }
+}
+
+module.exports = { Scheduler };
@@ -0,0 +1,139 @@
+/**
+ * HTTP Server
+ *
+ * Express server used on Railway. Receives Telegram webhook updates on a
+ * secret path, verifies the X-Telegram-Bot-Api-Secret-Token header and
+ * exposes liveness/readiness probes.
+ *
+ * Endpoints:
+ * - POST /telegram/<secret>  Telegram updates (webhook mode only)
+ * - GET  /healthz            Liveness - process is up
+ * - GET  /readyz             Readiness - database and AI provider state, from
+ *                            local state only so probes never cost a completion
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+
+// Telegram accepts 1-256 characters from [A-Za-z0-9_-] as the secret token
+const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+/**
+ * Derive the webhook path and secret token from the bot token so they stay
+ * stable across restarts. WEBHOOK_SECRET overrides the derived token.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {string} [secretOverride] - Explicit secret token
+ * @returns {{path: string, secretToken: string}}
+ * @throws {Error} When secretOverride is not a valid Telegram secret token
+ */
+function webhookSecrets(botToken, secretOverride) {
+    if (secretOverride && !SECRET_TOKEN_PATTERN.test(secretOverride)) {
+        throw new Error('WEBHOOK_SECRET must be 1-256 characters from A-Z, a-z, 0-9, _ and -');
+    }
+    const digest = (label) => crypto.createHash('sha256').update(`${label}:${botToken}`).digest('hex');
+    return {
+        path: `/telegram/${digest('path').slice(0, 32)}`,
+        secretToken: secretOverride || digest('secret')
+    };
+}
+
+/**
+ * Constant-time comparison of the received and expected secret token
+ * @private
+ */
+function secretMatches(received, expected) {
+    if (typeof received !== 'string') return false;
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Build the Express application
+ *
+ * @param {Object} options
+ * @param {Object} options.bot - Telegraf instance
+ * @param {Function} options.checkDatabase - Resolves when the database answers a query
+ * @param {Object|null} options.analyzer - GroqAnalyzer, or null when AI is disabled
+ * @param {Object} [options.webhook] - { path, secretToken }; omit to disable the webhook route
+ * @param {Object} [options.cache] - Cache whose hit/miss stats are reported by /readyz
+ * @param {Object} [options.logger]
+ * @returns {import('express').Express}
+ */
+function createServer({ bot, checkDatabase, analyzer, webhook, cache, logger = console }) {
+    const app = express();
+
+    app.disable('x-powered-by');
+    app.use(helmet());
+    app.use(cors());
+
+    if (webhook) {
+        app.post(webhook.path, express.json({ limit: '1mb' }), (req, res) => {
+            if (!secretMatches(req.get('X-Telegram-Bot-Api-Secret-Token'), webhook.secretToken)) {
+                logger.warn('Rejected webhook request with invalid secret token', { ip: req.ip });
+                return res.sendStatus(401);
+            }
+
+            // Acknowledge right away: AI commands can take longer than Telegram
+            // waits for a webhook response, which would trigger redelivery
+            res.sendStatus(200);
+
+            bot.handleUpdate(req.body).catch(error => {
+                logger.error('Webhook update handling failed', {
+                    updateId: req.body?.update_id,
+                    error: error.message
+                });
+            });
+        });
+    }
+
+    app.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+    });
+
+    app.get('/readyz', async (req, res) => {
+        let database = 'up';
+        try {
+            await checkDatabase();
+        } catch (error) {
+            database = 'down';
+            logger.warn('Readiness check: database unavailable', { error: error.message });
+        }
+
+        // A configured provider counts as up until its circuit breaker opens
+        let ai = 'disabled';
+        if (analyzer) {
+            ai = analyzer.status().circuitOpen ? 'down' : 'up';
+        }
+
+        // The bot can still answer non-AI commands while the provider is down,
+        // so only the database gates readiness
+        const ready = database === 'up';
+        res.status(ready ? 200 : 503).json({
+            status: ready ? (ai === 'down' ? 'degraded' : 'ready') : 'unavailable',
+            checks: { database, ai },
+            ...(cache ? { cache: cache.stats() } : {})
+        });
+    });
+
+    return app;
+}
+
+/**
+ * Start listening and resolve with the underlying http.Server
+ *
+ * @param {import('express').Express} app
+ * @param {number|string} port
+ * @returns {Promise<import('http').Server>}
+ */
+function startServer(app, port) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => resolve(server));
+        server.on('error', reject);
+    });
+}
+
+module.exports = { createServer, startServer, webhookSecrets };
@@ -0,0 +1,155 @@
+/**
+ * Investment Profile Settings
+ *
+ * Risk tolerance, investment horizon and preferred chains per user, stored
+ * on the `users` row (migration 5) and edited through the /settings inline
+ * keyboard. The profile is passed to the analyzer so answers follow the
+ * user's stated preferences.
+ *
+ * Callback data: settings:risk:<value>, settings:horizon:<value>,
+ * settings:chain:<index>, settings:done
+ */
+
+const { Markup } = require('telegraf');
+
+const RISK_TOLERANCES = {
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High'
+};
+
+const HORIZONS = {
+    short: 'Short (< 1 year)',
+    medium: 'Medium (1-3 years)',
+    long: 'Long (3+ years)'
+};
+
+// Networks offered as preferences; names match AURA network names
+const CHAINS = ['Ethereum', 'Arbitrum', 'Base', 'Optimism', 'Polygon', 'BNB Chain', 'Avalanche', 'Solana'];
+
+const DEFAULT_PROFILE = { riskTolerance: 'medium', horizon: 'medium', preferredChains: [] };
+
+/**
+ * Read the profile from a users row, falling back to defaults
+ *
+ * @param {Object} [user] - users row
+ * @returns {{riskTolerance: string, horizon: string, preferredChains: string[]}}
+ */
+function profileFromUser(user) {
+    if (!user) {
+        return { ...DEFAULT_PROFILE };
+    }
+
+    let preferredChains = [];
+    try {
+        const parsed = JSON.parse(user.preferred_chains || '[]');
+        preferredChains = Array.isArray(parsed) ? parsed.filter(c => CHAINS.includes(c)) : [];
+    } catch (error) {
+        preferredChains = [];
+    }
+
+    return {
+        riskTolerance: RISK_TOLERANCES[user.risk_tolerance] ? user.risk_tolerance : DEFAULT_PROFILE.riskTolerance,
+        horizon: HORIZONS[user.investment_horizon] ? user.investment_horizon : DEFAULT_PROFILE.horizon,
+        preferredChains
+    };
+}
+
+/**
+ * Apply one keyboard action to a profile
+ *
+ * @param {Object} profile
+ * @param {string} field - 'risk', 'horizon' or 'chain'
+ * @param {string} value
+ * @returns {Object|null} Changed fields, or null when the action is not valid
+ */
+function applySetting(profile, field, value) {
+    switch (field) {
+        case 'risk':
+            return RISK_TOLERANCES[value] ? { riskTolerance: value } : null;
+        case 'horizon':
+            return HORIZONS[value] ? { horizon: value } : null;
+        case 'chain': {
+            const chain = CHAINS[Number(value)];
+            if (!chain) return null;
+            const selected = profile.preferredChains.includes(chain)
+                ? profile.preferredChains.filter(c => c !== chain)
+                : [...profile.preferredChains, chain];
+            // Keep the display order stable
+            return { preferredChains: CHAINS.filter(c => selected.includes(c)) };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Text shown above the settings keyboard
+ *
+ * @param {Object} profile
+ * @returns {string}
+ */
+function formatSettings(profile) {
+    return `Your investment profile:
+Risk tolerance: ${RISK_TOLERANCES[profile.riskTolerance]}
+Horizon: ${HORIZONS[profile.horizon]}
+Preferred chains: ${profile.preferredChains.length ? profile.preferredChains.join(', ') : 'No preference'}
+
+Tap to change. AI answers use this profile.`;
+}
+
+/**
+ * @private
+ */
+function option(selected, label, data) {
+    return Markup.button.callback(`${selected ? '✓ ' : ''}${label}`, data);
+}
+
+/**
+ * Inline keyboard reflecting the current profile
+ *
+ * @param {Object} profile
+ * @returns {Object} Telegraf Markup
+ */
+function settingsKeyboard(profile) {
+    const chainButtons = CHAINS.map((chain, i) =>
+        option(profile.preferredChains.includes(chain), chain, `settings:chain:${i}`));
+    const chainRows = [];
+    for (let i = 0; i < chainButtons.length; i += 2) {
+        chainRows.push(chainButtons.slice(i, i + 2));
+    }
+
+    return Markup.inlineKeyboard([
+        Object.entries(RISK_TOLERANCES).map(([value, label]) =>
+            option(profile.riskTolerance === value, `Risk: ${label}`, `settings:risk:${value}`)),
+        Object.keys(HORIZONS).map(value =>
+            option(profile.horizon === value, `${value[0].toUpperCase()}${value.slice(1)} term`, `settings:horizon:${value}`)),
+        ...chainRows,
+        [Markup.button.callback('Done', 'settings:done')]
+    ]);
+}
+
+/**
+ * Profile as prompt text for the analyzer
+ *
+ * @param {Object} [profile]
+ * @returns {string}
+ */
+function describeProfile(profile) {
+    const p = profile || DEFAULT_PROFILE;
+    const chains = p.preferredChains?.length ? p.preferredChains.join(', ') : 'no preference';
+    return `Risk tolerance: ${RISK_TOLERANCES[p.riskTolerance] || 'Medium'}
+Investment horizon: ${HORIZONS[p.horizon] || HORIZONS.medium}
+Preferred chains: ${chains}`;
+}
+
+module.exports = {
+    profileFromUser,
+    applySetting,
+    formatSettings,
+    settingsKeyboard,
+    describeProfile,
+    RISK_TOLERANCES,
+    HORIZONS,
+    CHAINS
+};
@@ -0,0 +1,1014 @@
+/**
+ * Storage Layer
+ *
+ * Promise-based persistence for the bot. The backend is selected from
+ * DATABASE_URL and wrapped in repositories (users, wallets, cache, ...) so
+ * the rest of the code never talks to a database driver directly.
+ *
+ * Supported URLs:
+ * - sqlite:./aura_bot.db, sqlite:///abs/path.db, file:./x.db or a plain path
+ * - sqlite::memory:  (in-process, lost on restart)
+ *
+ * Backend interface (implement and pass to registerBackend() to add a
+ * server database):
+ *   dialect                  SQL dialect name ('sqlite')
+ *   open() / close()
+ *   run(sql, params)         -> { lastID, changes }
+ *   get(sql, params)         -> row | undefined
+ *   all(sql, params)         -> rows
+ *   transaction(fn)          runs fn() between BEGIN and COMMIT/ROLLBACK
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3');
+
+const backends = new Map();
+
+class SqliteBackend {
+    /**
+     * @param {string} filename - File path or ':memory:'
+     */
+    constructor(filename) {
+        this.dialect = 'sqlite';
+        this.filename = filename;
+        this.db = null;
+        // Statements share one connection, so any statement issued while a
+        // transaction is open would become part of it. Everything goes
+        // through one queue; the transaction's own statements (recognised
+        // by their async context) run inside it directly.
+        this.queue = Promise.resolve();
+        this.txContext = new AsyncLocalStorage();
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.filename, err => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    close() {
+        if (!this.db) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            this.db.close(err => {
+                this.db = null;
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    run(sql, params = []) {
+        return this._enqueue(() => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        }));
+    }
+
+    get(sql, params = []) {
+        return this._enqueue(() => new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        }));
+    }
+
+    all(sql, params = []) {
+        return this._enqueue(() => new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        }));
+    }
+
+    /**
+     * Run `fn` inside a transaction. Other statements wait until it ends;
+     * a transaction started inside another joins it.
+     *
+     * @param {Function} fn - Async function performing the statements
+     * @returns {Promise<*>} fn's result
+     */
+    transaction(fn) {
+        if (this.txContext.getStore()) {
+            return fn();
+        }
+        return this._enqueue(() => this.txContext.run(true, async () => {
+            await this.run('BEGIN');
+            try {
+                const result = await fn();
+                await this.run('COMMIT');
+                return result;
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }));
+    }
+
+    /**
+     * Run a task after everything queued before it
+     * @private
+     */
+    _enqueue(task) {
+        if (this.txContext.getStore()) {
+            return task();
+        }
+        const next = this.queue.then(task);
+        this.queue = next.catch(() => {});
+        return next;
+    }
+}
+
+/**
+ * Register a backend factory for a URL scheme
+ *
+ * @param {string} scheme - e.g. 'postgres'
+ * @param {Function} factory - (parsedUrl) => backend implementing the interface above
+ */
+function registerBackend(scheme, factory) {
+    backends.set(scheme, factory);
+}
+
+registerBackend('sqlite', ({ target }) => new SqliteBackend(target));
+
+/**
+ * Split DATABASE_URL into backend scheme and target, falling back to the
+ * NODE_ENV-based SQLite file
+ *
+ * @param {string} [url] - Defaults to process.env.DATABASE_URL
+ * @returns {{scheme: string, target: string, url: string}}
+ */
+function parseDatabaseUrl(url = process.env.DATABASE_URL) {
+    if (!url) {
+        const target = process.env.NODE_ENV === 'production' ? './aura_bot.db' : './aura_bot_dev.db';
+        return { scheme: 'sqlite', target, url: `sqlite:${target}` };
+    }
+    if (url === 'sqlite::memory:' || url === ':memory:') {
+        return { scheme: 'sqlite', target: ':memory:', url };
+    }
+
+    const sqlite = url.match(/^(?:sqlite|file):(?:\/\/)?(.+)$/);
+    if (sqlite) {
+        return { scheme: 'sqlite', target: sqlite[1], url };
+    }
+
+    const other = url.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+    if (other) {
+        return { scheme: other[1].toLowerCase(), target: url, url };
+    }
+    return { scheme: 'sqlite', target: url, url };
+}
+
+class UserRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Insert a Telegram user or refresh their username and activity
+     * timestamp. A user marked inactive is active again once they write.
+     *
+     * @param {{id: number, username?: string}} from - Telegram user object
+     * @returns {Promise<void>}
+     */
+    async upsert(from) {
+        await this.db.run(
+            `INSERT INTO users (telegram_id, username) VALUES (?, ?)
+             ON CONFLICT(telegram_id) DO UPDATE SET
+                username = excluded.username,
+                last_active = CURRENT_TIMESTAMP,
+                active = 1`,
+            [from.id, from.username || null]
+        );
+    }
+
+    /**
+     * @param {number} telegramId
+     * @returns {Promise<Object|undefined>}
+     */
+    findByTelegramId(telegramId) {
+        return this.db.get('SELECT * FROM users WHERE telegram_id = ?', [telegramId]);
+    }
+
+    /**
+     * Store the investment profile chosen in /settings. Only the given
+     * fields change.
+     *
+     * @param {number} userId - users.id
+     * @param {Object} settings
+     * @param {string} [settings.riskTolerance]
+     * @param {string} [settings.horizon]
+     * @param {string[]} [settings.preferredChains]
+     * @param {string} [settings.timezone] - IANA time zone
+     * @param {number|null} [settings.quietStart] - Local hour quiet hours begin (null to turn off)
+     * @param {number|null} [settings.quietEnd] - Local hour quiet hours end
+     * @returns {Promise<void>}
+     */
+    async updateSettings(userId, { riskTolerance, horizon, preferredChains, timezone, quietStart, quietEnd }) {
+        const columns = {
+            risk_tolerance: riskTolerance,
+            investment_horizon: horizon,
+            preferred_chains: preferredChains && JSON.stringify(preferredChains),
+            timezone,
+            quiet_start: quietStart,
+            quiet_end: quietEnd
+        };
+        const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+        if (!entries.length) return;
+
+        await this.db.run(
+            `UPDATE users SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...entries.map(([, value]) => value), userId]
+        );
+    }
+
+    /**
+     * Mark a user unreachable (they blocked the bot) or reachable again
+     *
+     * @param {number} userId - users.id
+     * @param {boolean} active
+     * @returns {Promise<void>}
+     */
+    async setActive(userId, active) {
+        await this.db.run('UPDATE users SET active = ? WHERE id = ?', [active ? 1 : 0, userId]);
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async count() {
+        const row = await this.db.get('SELECT COUNT(*) AS count FROM users');
+        return row.count;
+    }
+}
+
+class WalletRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Primary first, then in insertion order
+     *
+     * @param {number} userId - users.id
+     * @returns {Promise<Array>}
+     */
+    listByUser(userId) {
+        return this.db.all(
+            `SELECT id, address, chain_family, label, is_primary, created_at
+             FROM wallets WHERE user_id = ?
+             ORDER BY is_primary DESC, id ASC`,
+            [userId]
+        );
+    }
+
+    /**
+     * Every tracked wallet with its owner, for scheduled jobs
+     *
+     * @returns {Promise<Array<{user_id: number, address: string, chain_family: string}>>}
+     */
+    listAll() {
+        return this.db.all('SELECT user_id, address, chain_family FROM wallets ORDER BY user_id, id');
+    }
+
+    /**
+     * @returns {Promise<number>} New wallet id
+     */
+    async insert(userId, { address, chainFamily, label = null, isPrimary = false }) {
+        const { lastID } = await this.db.run(
+            'INSERT INTO wallets (user_id, address, chain_family, label, is_primary) VALUES (?, ?, ?, ?, ?)',
+            [userId, address, chainFamily, label, isPrimary ? 1 : 0]
+        );
+        return lastID;
+    }
+
+    async delete(walletId) {
+        await this.db.run('DELETE FROM wallets WHERE id = ?', [walletId]);
+    }
+
+    async updateLabel(walletId, label) {
+        await this.db.run('UPDATE wallets SET label = ? WHERE id = ?', [label, walletId]);
+    }
+
+    /**
+     * Flag one wallet primary and clear the flag on the user's others
+     */
+    async setPrimary(userId, walletId) {
+        await this.db.run(
+            'UPDATE wallets SET is_primary = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE user_id = ?',
+            [walletId, userId]
+        );
+    }
+
+    /**
+     * Make the user's oldest wallet primary (after the primary was removed)
+     */
+    async promoteOldest(userId) {
+        await this.db.run(
+            `UPDATE wallets SET is_primary = 1
+             WHERE id = (SELECT id FROM wallets WHERE user_id = ? ORDER BY id ASC LIMIT 1)`,
+            [userId]
+        );
+    }
+}
+
+class CacheRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Unexpired row for a key
+     *
+     * @param {string} key
+     * @returns {Promise<{cache_data: string, expires_at: string}|undefined>}
+     */
+    get(key) {
+        return this.db.get(
+            `SELECT cache_data, expires_at FROM api_cache
+             WHERE cache_key = ? AND expires_at > datetime('now')`,
+            [key]
+        );
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} data - Serialized entry
+     * @param {string} expiresAt - UTC SQLite DATETIME
+     */
+    async set(key, data, expiresAt) {
+        await this.db.run(
+            `INSERT INTO api_cache (cache_key, cache_data, expires_at) VALUES (?, ?, ?)
+             ON CONFLICT(cache_key) DO UPDATE SET
+                cache_data = excluded.cache_data,
+                expires_at = excluded.expires_at,
+                created_at = CURRENT_TIMESTAMP`,
+            [key, data, expiresAt]
+        );
+    }
+
+    async delete(key) {
+        await this.db.run('DELETE FROM api_cache WHERE cache_key = ?', [key]);
+    }
+
+    /**
+     * @returns {Promise<number>} Rows removed
+     */
+    async deleteExpired() {
+        const { changes } = await this.db.run("DELETE FROM api_cache WHERE expires_at < datetime('now')");
+        return changes;
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async count() {
+        const row = await this.db.get('SELECT COUNT(*) AS count FROM api_cache');
+        return row.count;
+    }
+}
+
+class ConversationRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * The user's conversation, created on first use
+     *
+     * @param {number} userId - users.id
+     * @returns {Promise<{id: number, summary: string|null, portfolio_digest: string|null}>}
+     */
+    async ensure(userId) {
+        await this.db.run('INSERT OR IGNORE INTO conversations (user_id) VALUES (?)', [userId]);
+        return this.db.get('SELECT id, summary, portfolio_digest FROM conversations WHERE user_id = ?', [userId]);
+    }
+
+    /**
+     * Messages in the order they were added
+     *
+     * @param {number} conversationId
+     * @returns {Promise<Array<{id: number, role: string, content: string}>>}
+     */
+    listMessages(conversationId) {
+        return this.db.all(
+            'SELECT id, role, content FROM conversation_messages WHERE conversation_id = ? ORDER BY id ASC',
+            [conversationId]
+        );
+    }
+
+    /**
+     * Append messages and update the portfolio digest in one transaction
+     *
+     * @param {number} conversationId
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {string|null} portfolioDigest
+     */
+    async append(conversationId, messages, portfolioDigest) {
+        await this.db.transaction(async () => {
+            for (const { role, content } of messages) {
+                await this.db.run(
+                    'INSERT INTO conversation_messages (conversation_id, role, content) VALUES (?, ?, ?)',
+                    [conversationId, role, content]
+                );
+            }
+            await this.db.run(
+                'UPDATE conversations SET portfolio_digest = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [portfolioDigest, conversationId]
+            );
+        });
+    }
+
+    /**
+     * Replace messages up to and including `throughId` with a summary
+     *
+     * @param {number} conversationId
+     * @param {string} summary
+     * @param {number} throughId - Last summarized message id
+     * @param {string|null} portfolioDigest
+     */
+    async compact(conversationId, summary, throughId, portfolioDigest) {
+        await this.db.transaction(async () => {
+            await this.db.run(
+                'DELETE FROM conversation_messages WHERE conversation_id = ? AND id <= ?',
+                [conversationId, throughId]
+            );
+            await this.db.run(
+                'UPDATE conversations SET summary = ?, portfolio_digest = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [summary, portfolioDigest, conversationId]
+            );
+        });
+    }
+
+    /**
+     * Forget the user's conversation
+     *
+     * @param {number} userId - users.id
+     * @returns {Promise<number>} Messages removed
+     */
+    async delete(userId) {
+        return this.db.transaction(async () => {
+            const { changes } = await this.db.run(
+                `DELETE FROM conversation_messages
+                 WHERE conversation_id IN (SELECT id FROM conversations WHERE user_id = ?)`,
+                [userId]
+            );
+            await this.db.run('DELETE FROM conversations WHERE user_id = ?', [userId]);
+            return changes;
+        });
+    }
+}
+
+class CompletionRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store which model answered one AI completion
+     *
+     * @param {Object} record - From GroqAnalyzer's onCompletion option
+     * @returns {Promise<void>}
+     */
+    async record({ task, userId, tier, model, fallback, streamed, latencyMs, promptTokens, completionTokens, error }) {
+        await this.db.run(
+            `INSERT INTO ai_completions
+                (telegram_id, task, tier, model, fallback, streamed, latency_ms, prompt_tokens, completion_tokens, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, task, tier, model, fallback ? 1 : 0, streamed ? 1 : 0, latencyMs, promptTokens, completionTokens, error]
+        );
+    }
+}
+
+class RateLimitRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Read and replace one token bucket in a transaction
+     *
+     * @param {string} key - "<telegramId>:<command>"
+     * @param {Function} update - ({tokens, updatedAt} | null) => { state: {tokens, updatedAt}, result }
+     * @returns {Promise<*>} The result returned by `update`
+     */
+    async updateBucket(key, update) {
+        return this.db.transaction(async () => {
+            const row = await this.db.get('SELECT tokens, updated_at FROM rate_limits WHERE bucket_key = ?', [key]);
+            const { state, result } = update(row ? { tokens: row.tokens, updatedAt: row.updated_at } : null);
+            await this.db.run(
+                `INSERT INTO rate_limits (bucket_key, tokens, updated_at) VALUES (?, ?, ?)
+                 ON CONFLICT(bucket_key) DO UPDATE SET
+                    tokens = excluded.tokens,
+                    updated_at = excluded.updated_at`,
+                [key, state.tokens, state.updatedAt]
+            );
+            return result;
+        });
+    }
+
+    /**
+     * Count one AI request unless the day's limit is reached
+     *
+     * @param {number} telegramId
+     * @param {string} day - UTC date, "YYYY-MM-DD"
+     * @param {number} limit - Requests allowed that day (at least 1)
+     * @returns {Promise<{counted: boolean, calls: number}>}
+     */
+    async incrementUsage(telegramId, day, limit) {
+        const { changes } = await this.db.run(
+            `INSERT INTO ai_usage (telegram_id, day, calls) VALUES (?, ?, 1)
+             ON CONFLICT(telegram_id, day) DO UPDATE SET calls = calls + 1 WHERE calls < ?`,
+            [telegramId, day, limit]
+        );
+        const row = await this.db.get('SELECT calls FROM ai_usage WHERE telegram_id = ? AND day = ?', [telegramId, day]);
+        return { counted: changes > 0, calls: row.calls };
+    }
+
+    /**
+     * Take back one AI request counted by incrementUsage
+     *
+     * @param {number} telegramId
+     * @param {string} day - UTC date, "YYYY-MM-DD"
+     * @returns {Promise<void>}
+     */
+    async decrementUsage(telegramId, day) {
+        await this.db.run(
+            'UPDATE ai_usage SET calls = calls - 1 WHERE telegram_id = ? AND day = ? AND calls > 0',
+            [telegramId, day]
+        );
+    }
+
+    /**
+     * @param {number} bucketsBefore - Delete buckets last used before this time (ms)
+     * @param {string} daysBefore - Delete usage for days before this UTC date
+     * @returns {Promise<number>} Rows removed
+     */
+    async deleteStale(bucketsBefore, daysBefore) {
+        const buckets = await this.db.run('DELETE FROM rate_limits WHERE updated_at < ?', [bucketsBefore]);
+        const usage = await this.db.run('DELETE FROM ai_usage WHERE day < ?', [daysBefore]);
+        return buckets.changes + usage.changes;
+    }
+}
+
+class SnapshotRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {number} userId - users.id
+     * @param {string} address
+     * @param {Object} summary - summarizePortfolio output
+     * @param {string} createdAt - UTC "YYYY-MM-DD HH:MM:SS"
+     * @returns {Promise<number>} New snapshot id
+     */
+    async insert(userId, address, summary, createdAt) {
+        const { lastID } = await this.db.run(
+            `INSERT INTO portfolio_snapshots (user_id, wallet_address, total_value_usd, summary, created_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [userId, address, summary.totalValueUSD, JSON.stringify(summary), createdAt]
+        );
+        return lastID;
+    }
+
+    /**
+     * Latest snapshot of a wallet taken at or before `before`
+     *
+     * @param {number} userId
+     * @param {string} address
+     * @param {string} [before] - UTC "YYYY-MM-DD HH:MM:SS"; latest overall when omitted
+     * @returns {Promise<Object|undefined>} Row with `summary` parsed
+     */
+    async latest(userId, address, before = '9999-12-31 23:59:59') {
+        const row = await this.db.get(
+            `SELECT * FROM portfolio_snapshots
+             WHERE user_id = ? AND wallet_address = ? AND created_at <= ?
+             ORDER BY created_at DESC, id DESC LIMIT 1`,
+            [userId, address, before]
+        );
+        return row && { ...row, summary: JSON.parse(row.summary) };
+    }
+
+    /**
+     * Earliest snapshot of a wallet taken after `after`
+     *
+     * @param {number} userId
+     * @param {string} address
+     * @param {string} after - UTC "YYYY-MM-DD HH:MM:SS"
+     * @returns {Promise<Object|undefined>} Row with `summary` parsed
+     */
+    async earliest(userId, address, after) {
+        const row = await this.db.get(
+            `SELECT * FROM portfolio_snapshots
+             WHERE user_id = ? AND wallet_address = ? AND created_at > ?
+             ORDER BY created_at ASC, id ASC LIMIT 1`,
+            [userId, address, after]
+        );
+        return row && { ...row, summary: JSON.parse(row.summary) };
+    }
+
+    /**
+     * Total values of a wallet's snapshots taken after `after`, oldest first
+     *
+     * @param {number} userId
+     * @param {string} address
+     * @param {string} after - UTC "YYYY-MM-DD HH:MM:SS"
+     * @returns {Promise<Array<{created_at: string, total_value_usd: number}>>}
+     */
+    listValues(userId, address, after) {
+        return this.db.all(
+            `SELECT created_at, total_value_usd FROM portfolio_snapshots
+             WHERE user_id = ? AND wallet_address = ? AND created_at > ?
+             ORDER BY created_at ASC, id ASC`,
+            [userId, address, after]
+        );
+    }
+
+    /**
+     * @param {string} before - UTC "YYYY-MM-DD HH:MM:SS"
+     * @returns {Promise<number>} Rows removed
+     */
+    async deleteBefore(before) {
+        const { changes } = await this.db.run('DELETE FROM portfolio_snapshots WHERE created_at < ?', [before]);
+        return changes;
+    }
+}
+
+class AlertRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {number} userId - users.id
+     * @returns {Promise<Array>} Oldest first
+     */
+    listByUser(userId) {
+        return this.db.all('SELECT * FROM alerts WHERE user_id = ? ORDER BY id', [userId]);
+    }
+
+    /**
+     * Active alerts of every user, with the owner's chat and quiet hours
+     *
+     * @returns {Promise<Array>} Grouped by user
+     */
+    listActive() {
+        return this.db.all(
+            `SELECT a.*, u.telegram_id, u.timezone, u.quiet_start, u.quiet_end
+             FROM alerts a JOIN users u ON u.id = a.user_id
+             WHERE a.active = 1 AND u.active = 1
+             ORDER BY a.user_id, a.id`
+        );
+    }
+
+    /**
+     * @param {number} userId
+     * @param {Object} alert - { type, symbol, direction, threshold, referenceValue, cooldownMinutes }
+     * @returns {Promise<number>} New alert id
+     */
+    async insert(userId, { type, symbol = null, direction = null, threshold, referenceValue = null, cooldownMinutes }) {
+        const { lastID } = await this.db.run(
+            `INSERT INTO alerts (user_id, type, symbol, direction, threshold, reference_value, cooldown_minutes)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, type, symbol, direction, threshold, referenceValue, cooldownMinutes]
+        );
+        return lastID;
+    }
+
+    /**
+     * @returns {Promise<boolean>} False when the user has no such alert
+     */
+    async delete(userId, alertId) {
+        const { changes } = await this.db.run('DELETE FROM alerts WHERE id = ? AND user_id = ?', [alertId, userId]);
+        return changes > 0;
+    }
+
+    /**
+     * Store the outcome of one evaluation
+     *
+     * @param {number} alertId
+     * @param {Object} state - { triggered, lastValue, referenceValue }
+     */
+    async updateState(alertId, { triggered, lastValue, referenceValue }) {
+        await this.db.run(
+            'UPDATE alerts SET triggered = ?, last_value = ?, reference_value = ? WHERE id = ?',
+            [triggered ? 1 : 0, lastValue, referenceValue, alertId]
+        );
+    }
+
+    /**
+     * Claim the right to notify: succeeds only when the alert has not been
+     * notified since `cooldownStart`, so two instances never both send it
+     *
+     * @param {number} alertId
+     * @param {number} at - Ms timestamp of this notification
+     * @param {number} cooldownStart - Ms timestamp the cooldown window began
+     * @returns {Promise<boolean>}
+     */
+    async claimNotification(alertId, at, cooldownStart) {
+        const { changes } = await this.db.run(
+            `UPDATE alerts SET last_notified_at = ?
+             WHERE id = ? AND (last_notified_at IS NULL OR last_notified_at <= ?)`,
+            [at, alertId, cooldownStart]
+        );
+        return changes > 0;
+    }
+
+    /**
+     * Undo claimNotification after the notification could not be sent
+     *
+     * @param {number} alertId
+     * @param {number} at - Timestamp passed to claimNotification
+     * @param {number|null} previous - last_notified_at before the claim
+     */
+    async releaseNotification(alertId, at, previous) {
+        await this.db.run(
+            'UPDATE alerts SET last_notified_at = ? WHERE id = ? AND last_notified_at = ?',
+            [previous, alertId, at]
+        );
+    }
+
+    /**
+     * Pause or resume every alert of a user (paused after they blocked the bot)
+     *
+     * @param {number} userId
+     * @param {boolean} active
+     * @returns {Promise<number>} Alerts changed
+     */
+    async setUserActive(userId, active) {
+        const { changes } = await this.db.run(
+            'UPDATE alerts SET active = ? WHERE user_id = ? AND active != ?',
+            [active ? 1 : 0, userId, active ? 1 : 0]
+        );
+        return changes;
+    }
+}
+
+class RiskReportRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Keep a user's latest /risk report, replacing the previous one
+     *
+     * @param {number} userId
+     * @param {Object} report - analyzeRisk result
+     * @returns {Promise<void>}
+     */
+    async save(userId, report) {
+        await this.db.run(
+            `INSERT INTO risk_reports (user_id, report) VALUES (?, ?)
+             ON CONFLICT(user_id) DO UPDATE SET report = excluded.report, created_at = CURRENT_TIMESTAMP`,
+            [userId, JSON.stringify(report)]
+        );
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {Promise<{report: Object, created_at: string}|undefined>}
+     */
+    async latest(userId) {
+        const row = await this.db.get('SELECT report, created_at FROM risk_reports WHERE user_id = ?', [userId]);
+        return row && { report: JSON.parse(row.report), created_at: row.created_at };
+    }
+}
+
+class DigestRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {Promise<Object|undefined>} Subscription with sections as an array
+     */
+    async get(userId) {
+        const row = await this.db.get('SELECT * FROM digests WHERE user_id = ?', [userId]);
+        return row && { ...row, sections: row.sections.split(',') };
+    }
+
+    /**
+     * Subscribe a user or change their subscription
+     *
+     * @param {number} userId
+     * @param {Object} digest - { frequency, hour, weekday, sections, nextRunAt }
+     * @returns {Promise<void>}
+     */
+    async save(userId, { frequency, hour, weekday = null, sections, nextRunAt }) {
+        await this.db.run(
+            `INSERT INTO digests (user_id, frequency, send_hour, send_weekday, sections, next_run_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(user_id) DO UPDATE SET
+                frequency = excluded.frequency,
+                send_hour = excluded.send_hour,
+                send_weekday = excluded.send_weekday,
+                sections = excluded.sections,
+                next_run_at = excluded.next_run_at,
+                attempts = 0,
+                last_error = NULL`,
+            [userId, frequency, hour, weekday, sections.join(','), nextRunAt]
+        );
+    }
+
+    /**
+     * @returns {Promise<boolean>} False when the user had no subscription
+     */
+    async delete(userId) {
+        const { changes } = await this.db.run('DELETE FROM digests WHERE user_id = ?', [userId]);
+        return changes > 0;
+    }
+
+    /**
+     * Subscriptions of active users due at `now`, with the user's
+     * Telegram ID and time zone
+     *
+     * @param {number} now - Ms timestamp
+     * @param {number} [limit=100]
+     * @returns {Promise<Array>}
+     */
+    async listDue(now, limit = 100) {
+        const rows = await this.db.all(
+            `SELECT d.*, u.telegram_id, u.timezone
+             FROM digests d JOIN users u ON u.id = d.user_id
+             WHERE d.next_run_at <= ? AND u.active = 1
+             ORDER BY d.next_run_at
+             LIMIT ?`,
+            [now, limit]
+        );
+        return rows.map(row => ({ ...row, sections: row.sections.split(',') }));
+    }
+
+    /**
+     * Take a due subscription for this instance by moving its next run to
+     * the end of the lease. Fails when another instance already did.
+     *
+     * @param {number} userId
+     * @param {number} dueAt - next_run_at as read by listDue
+     * @param {number} lockedUntil - Ms timestamp the lease expires
+     * @returns {Promise<boolean>}
+     */
+    async claim(userId, dueAt, lockedUntil) {
+        const { changes } = await this.db.run(
+            'UPDATE digests SET next_run_at = ? WHERE user_id = ? AND next_run_at = ?',
+            [lockedUntil, userId, dueAt]
+        );
+        return changes > 0;
+    }
+
+    /**
+     * Record a delivery attempt and schedule the next one
+     *
+     * @param {number} userId
+     * @param {Object} outcome - { nextRunAt, attempts, sentAt, error }; sentAt
+     *   is left unchanged when omitted
+     */
+    async finish(userId, { nextRunAt, attempts = 0, sentAt = null, error = null }) {
+        await this.db.run(
+            `UPDATE digests SET next_run_at = ?, attempts = ?, last_sent_at = COALESCE(?, last_sent_at), last_error = ?
+             WHERE user_id = ?`,
+            [nextRunAt, attempts, sentAt, error, userId]
+        );
+    }
+
+    /**
+     * @param {number} userId
+     * @param {number} nextRunAt
+     */
+    async reschedule(userId, nextRunAt) {
+        await this.db.run('UPDATE digests SET next_run_at = ? WHERE user_id = ?', [nextRunAt, userId]);
+    }
+}
+
+class JobRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Lock a due job for this instance. A job without a stored schedule is
+     * due at once.
+     *
+     * @param {string} name
+     * @param {number} now - Ms timestamp
+     * @param {number} lockedUntil - Ms timestamp the lease expires
+     * @returns {Promise<boolean>} True when the job is due and was claimed
+     */
+    async claim(name, now, lockedUntil) {
+        await this.db.run('INSERT OR IGNORE INTO scheduled_jobs (name, next_run_at) VALUES (?, ?)', [name, now]);
+        const { changes } = await this.db.run(
+            'UPDATE scheduled_jobs SET locked_until = ? WHERE name = ? AND next_run_at <= ? AND locked_until <= ?',
+            [lockedUntil, name, now, now]
+        );
+        return changes > 0;
+    }
+
+    /**
+     * Extend the lease of a job this instance still holds
+     *
+     * @param {string} name
+     * @param {number} heldUntil - Expiry of the lease being extended
+     * @param {number} lockedUntil - New expiry
+     * @returns {Promise<boolean>} False when the lease was lost
+     */
+    async renew(name, heldUntil, lockedUntil) {
+        const { changes } = await this.db.run(
+            'UPDATE scheduled_jobs SET locked_until = ? WHERE name = ? AND locked_until = ?',
+            [lockedUntil, name, heldUntil]
+        );
+        return changes > 0;
+    }
+
+    /**
+     * Release a job after a run and schedule the next one, if this instance
+     * still holds the lease
+     *
+     * @param {string} name
+     * @param {number} heldUntil - Expiry of the lease being released
+     * @param {Object} run - { lastRunAt, nextRunAt, error }
+     * @returns {Promise<boolean>} False when the lease was lost
+     */
+    async finish(name, heldUntil, { lastRunAt, nextRunAt, error = null }) {
+        const { changes } = await this.db.run(
+            `UPDATE scheduled_jobs SET last_run_at = ?, next_run_at = ?, last_error = ?, locked_until = 0
+             WHERE name = ? AND locked_until = ?`,
+            [lastRunAt, nextRunAt, error, name, heldUntil]
+        );
+        return changes > 0;
+    }
+}
+
+class Storage {
+    /**
+     * @param {Object} backend - Opened backend
+     * @param {Object} info - Parsed DATABASE_URL
+     */
+    constructor(backend, info) {
+        this.db = backend;
+        this.info = info;
+        this.users = new UserRepository(backend);
+        this.wallets = new WalletRepository(backend);
+        this.cache = new CacheRepository(backend);
+        this.conversations = new ConversationRepository(backend);
+        this.completions = new CompletionRepository(backend);
+        this.rateLimits = new RateLimitRepository(backend);
+        this.snapshots = new SnapshotRepository(backend);
+        this.alerts = new AlertRepository(backend);
+        this.jobs = new JobRepository(backend);
+        this.digests = new DigestRepository(backend);
+        this.riskReports = new RiskReportRepository(backend);
+    }
+
+    /**
+     * True when data does not survive a restart (sqlite::memory:)
+     */
+    get isEphemeral() {
+        return this.info.target === ':memory:';
+    }
+
+    /**
+     * Resolves when the backend answers a trivial query
+     *
+     * @returns {Promise<void>}
+     */
+    async ping() {
+        await this.db.get('SELECT 1');
+    }
+
+    close() {
+        return this.db.close();
+    }
+}
+
+/**
+ * Open storage for a DATABASE_URL
+ *
+ * @param {string} [url] - Defaults to process.env.DATABASE_URL
+ * @returns {Promise<Storage>}
+ */
+async function createStorage(url) {
+    const info = parseDatabaseUrl(url);
+    const factory = backends.get(info.scheme);
+    if (!factory) {
+        throw new Error(`Unsupported DATABASE_URL scheme: ${info.scheme}`);
+    }
+
+    const backend = factory(info);
+    await backend.open();
+    return new Storage(backend, info);
+}
+
+module.exports = {
+    createStorage,
+    registerBackend,
+    parseDatabaseUrl,
+    SqliteBackend,
+    Storage
+};
@@ -0,0 +1,250 @@
+/**
+ * Structured Output
+ *
+ * Validates model JSON against a small JSON-schema subset, coerces near
+ * misses ("45" -> 45, "moderate" -> "Moderate", a lone string -> [string]),
+ * and re-prompts the model with the validation errors when the answer is
+ * still wrong. If repair fails the caller gets the parts that did validate.
+ *
+ * Supported schema keywords: type (object, array, string, number, integer,
+ * boolean), properties, required, items, enum, minimum, maximum, maxItems,
+ * maxLength. maxItems and maxLength truncate instead of failing.
+ *
+ * Usage (any analyzer method that needs JSON):
+ *   const result = await completeStructured({
+ *       complete: request => provider.chat(request),
+ *       request: { messages, model, responseFormat: { type: 'json_object' } },
+ *       spec: { schema, check: value => [] }
+ *   });
+ *   // result: { ok, value, errors, repairs }
+ */
+
+const INVALID = Symbol('invalid');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+/**
+ * @private
+ */
+function describe(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+}
+
+/**
+ * @private
+ */
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate and coerce one value. Returns the coerced value, or INVALID
+ * after recording an error.
+ * @private
+ */
+function check(schema, input, path, errors) {
+    const where = path || 'response';
+
+    switch (schema.type) {
+        case 'object': {
+            if (!input || typeof input !== 'object' || Array.isArray(input)) {
+                errors.push(`${where}: must be an object (got ${describe(input)})`);
+                return INVALID;
+            }
+            const out = { ...input };
+            for (const [key, child] of Object.entries(schema.properties || {})) {
+                if (input[key] === undefined || input[key] === null) {
+                    delete out[key];
+                    if ((schema.required || []).includes(key)) {
+                        errors.push(`${join(path, key)}: is required`);
+                    }
+                    continue;
+                }
+                const value = check(child, input[key], join(path, key), errors);
+                if (value === INVALID) delete out[key];
+                else out[key] = value;
+            }
+            return out;
+        }
+
+        case 'array': {
+            const list = Array.isArray(input) ? input : [input];
+            const out = [];
+            list.forEach((item, i) => {
+                const value = schema.items ? check(schema.items, item, `${where}[${i}]`, errors) : item;
+                if (value !== INVALID) out.push(value);
+            });
+            return schema.maxItems !== undefined ? out.slice(0, schema.maxItems) : out;
+        }
+
+        case 'number':
+        case 'integer': {
+            let value = input;
+            if (typeof value === 'string') {
+                // "45", "45%", "$1,000", "45/100"
+                const match = value.replace(/[$,\s]/g, '').match(/^-?\d+(\.\d+)?/);
+                value = match ? Number(match[0]) : NaN;
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${where}: must be a number (got ${describe(input)})`);
+                return INVALID;
+            }
+            if (schema.type === 'integer') value = Math.round(value);
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${where}: must be >= ${schema.minimum} (got ${value})`);
+                return INVALID;
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${where}: must be <= ${schema.maximum} (got ${value})`);
+                return INVALID;
+            }
+            return value;
+        }
+
+        case 'string': {
+            if (typeof input === 'object') {
+                errors.push(`${where}: must be a string (got ${describe(input)})`);
+                return INVALID;
+            }
+            let value = String(input).trim();
+            if (schema.enum) {
+                const match = schema.enum.find(option => option.toLowerCase() === value.toLowerCase());
+                if (!match) {
+                    errors.push(`${where}: must be one of ${schema.enum.join(', ')} (got ${describe(input)})`);
+                    return INVALID;
+                }
+                value = match;
+            }
+            return schema.maxLength !== undefined ? value.slice(0, schema.maxLength) : value;
+        }
+
+        case 'boolean': {
+            if (typeof input === 'boolean') return input;
+            if (input === 'true' || input === 'false') return input === 'true';
+            errors.push(`${where}: must be true or false (got ${describe(input)})`);
+            return INVALID;
+        }
+
+        default:
+            return input;
+    }
+}
+
+/**
+ * Validate a parsed value against a schema
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {{value: *, errors: string[]}} Coerced value with invalid parts
+ *   removed, and one message per problem
+ */
+function validate(schema, value) {
+    const errors = [];
+    const result = check(schema, value, '', errors);
+    return { value: result === INVALID ? undefined : result, errors };
+}
+
+/**
+ * Parse model output as JSON, tolerating code fences and surrounding prose
+ *
+ * @param {string} text
+ * @returns {*}
+ * @throws {SyntaxError} When no JSON object can be found
+ */
+function parseJson(text) {
+    const raw = String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        const start = raw.indexOf('{');
+        const end = raw.lastIndexOf('}');
+        if (start === -1 || end <= start) throw error;
+        return JSON.parse(raw.slice(start, end + 1));
+    }
+}
+
+/**
+ * Fill required properties that are missing with empty values so callers
+ * can rely on the shape of a partial result
+ * @private
+ */
+function withDefaults(schema, value) {
+    const out = { ...(value || {}) };
+    for (const key of schema.required || []) {
+        if (out[key] !== undefined) continue;
+        out[key] = schema.properties[key].type === 'array' ? [] : null;
+    }
+    return out;
+}
+
+/**
+ * @private
+ */
+function repairPrompt(errors) {
+    return `Your previous response did not match the required JSON format:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the complete corrected JSON object only, with no other text.`;
+}
+
+/**
+ * Parse, validate and check one response
+ * @private
+ */
+function evaluate(content, spec) {
+    let parsed;
+    try {
+        parsed = parseJson(content);
+    } catch (error) {
+        return { value: undefined, errors: [`response: not valid JSON (${error.message})`] };
+    }
+
+    const result = validate(spec.schema, parsed);
+    if (!result.errors.length && spec.check) {
+        result.errors.push(...spec.check(result.value));
+    }
+    return result;
+}
+
+/**
+ * Request JSON from the model, repairing invalid answers
+ *
+ * @param {Object} options
+ * @param {Function} options.complete - async (request) => { content }
+ * @param {Object} options.request - Chat request ({ messages, model, ... })
+ * @param {Object} options.spec - { schema, check?: (value) => string[] } for cross-field rules
+ * @param {number} [options.maxRepairs=2] - Repair re-prompts after the first answer
+ * @param {string} [options.label] - Name used in logs
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ok: boolean, value: Object, errors: string[], repairs: number}>}
+ *   ok is false when repair failed; value then holds only the validated
+ *   parts, with required properties defaulted
+ */
+async function completeStructured({ complete, request, spec, maxRepairs = DEFAULT_MAX_REPAIRS, label = 'structured', logger = console }) {
+    const messages = [...request.messages];
+    let last = { value: undefined, errors: [] };
+
+    for (let repairs = 0; repairs <= maxRepairs; repairs++) {
+        const response = await complete({ ...request, messages });
+        const result = evaluate(response.content, spec);
+
+        if (!result.errors.length) {
+            if (repairs) {
+                logger.info('Structured output repaired', { label, repairs });
+            }
+            return { ok: true, value: result.value, errors: [], repairs };
+        }
+
+        logger.warn('Structured output failed validation', { label, attempt: repairs + 1, errors: result.errors });
+        last = result;
+        messages.push(
+            { role: 'assistant', content: response.content || '' },
+            { role: 'user', content: repairPrompt(result.errors) }
+        );
+    }
+
+    return { ok: false, value: withDefaults(spec.schema, last.value), errors: last.errors, repairs: maxRepairs };
+}
+
+module.exports = { completeStructured, validate, parseJson };
@@ -0,0 +1,466 @@
+/**
+ * Telegram Formatting
+ *
+ * Renders the Markdown models write into Telegram HTML or MarkdownV2, and
+ * splits long answers into messages without cutting through formatting.
+ *
+ * Supported: headings (shown bold), **bold**, *italic*, ~~strike~~,
+ * `code`, fenced code blocks, [links](https://...), bullet and numbered
+ * lists, > quotes and horizontal rules. Tables become aligned monospace
+ * blocks when narrow and one bullet per row otherwise. Anything else,
+ * including unmatched markers in a half-streamed answer, is shown as
+ * literal (escaped) text.
+ *
+ * Rendering can make text longer than its Markdown (escapes, tags, and
+ * wide tables repeat the header names in every row), so formatMessages
+ * measures each rendered message and splits again where it is too long.
+ * A table cut in two repeats its header in the next message.
+ */
+
+const PARSE_MODES = ['HTML', 'MarkdownV2'];
+
+// Telegram rejects messages longer than 4096 characters
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Widest table (in characters) still shown as a monospace block
+const TABLE_MAX_WIDTH = 40;
+
+const RULE = '──────────';
+
+const FENCE_OPEN = /^\s*```\s*([\w+#.-]*)/;
+const FENCE_CLOSE = /^\s*```\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+const INLINE_PATTERN = new RegExp([
+    '(`+)([^`\\n]+?)\\1', // 1, 2: `code`
+    '\\*\\*(?=\\S)([^\\n]+?)(?<=\\S)\\*\\*', // 3: **bold**
+    '__(?=\\S)([^\\n]+?)(?<=\\S)__', // 4: __bold__
+    '~~(?=\\S)([^\\n]+?)(?<=\\S)~~', // 5: ~~strike~~
+    '\\[([^\\]\\n]+)\\]\\((https?:\\/\\/[^\\s)]+)\\)', // 6, 7: [text](url)
+    '(?<![\\w*])\\*(?=[^\\s*])([^*\\n]+?)(?<=[^\\s*])\\*(?![\\w*])', // 8: *italic*
+    '(?<![\\w_])_(?=[^\\s_])([^_\\n]+?)(?<=[^\\s_])_(?![\\w_])' // 9: _italic_
+].join('|'), 'g');
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @private
+ */
+function escapeMarkdown(text) {
+    return text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * Inside MarkdownV2 code entities only ` and \ are special
+ * @private
+ */
+function escapeMarkdownCode(text) {
+    return text.replace(/[`\\]/g, '\\$&');
+}
+
+/**
+ * Split one line into inline nodes
+ * @private
+ */
+function parseInline(text) {
+    const nodes = [];
+    let last = 0;
+
+    for (const m of text.matchAll(INLINE_PATTERN)) {
+        if (m.index > last) nodes.push({ type: 'text', text: text.slice(last, m.index) });
+
+        if (m[2] !== undefined) nodes.push({ type: 'code', text: m[2] });
+        else if (m[3] !== undefined || m[4] !== undefined) nodes.push({ type: 'bold', children: parseInline(m[3] ?? m[4]) });
+        else if (m[5] !== undefined) nodes.push({ type: 'strike', children: parseInline(m[5]) });
+        else if (m[6] !== undefined) nodes.push({ type: 'link', url: m[7], children: parseInline(m[6]) });
+        else nodes.push({ type: 'italic', children: parseInline(m[8] ?? m[9]) });
+
+        last = m.index + m[0].length;
+    }
+    if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+    return nodes;
+}
+
+// Inline renderers per output mode
+const INLINE = {
+    HTML: {
+        text: node => escapeHtml(node.text),
+        code: node => `<code>${escapeHtml(node.text)}</code>`,
+        bold: inner => `<b>${inner}</b>`,
+        italic: inner => `<i>${inner}</i>`,
+        strike: inner => `<s>${inner}</s>`,
+        link: (inner, node) => `<a href="${escapeHtml(node.url).replace(/"/g, '&quot;')}">${inner}</a>`
+    },
+    MarkdownV2: {
+        text: node => escapeMarkdown(node.text),
+        code: node => `\`${escapeMarkdownCode(node.text)}\``,
+        bold: inner => `*${inner}*`,
+        italic: inner => `_${inner}_`,
+        strike: inner => `~${inner}~`,
+        link: (inner, node) => `[${inner}](${node.url.replace(/[)\\]/g, '\\$&')})`
+    },
+    plain: {
+        text: node => node.text,
+        code: node => node.text,
+        bold: inner => inner,
+        italic: inner => inner,
+        strike: inner => inner,
+        link: (inner, node) => (inner === node.url ? inner : `${inner} (${node.url})`)
+    }
+};
+
+/**
+ * @private
+ */
+function renderInline(text, mode) {
+    const render = nodes => nodes.map(node => {
+        const renderer = INLINE[mode][node.type];
+        return node.children ? renderer(render(node.children), node) : renderer(node);
+    }).join('');
+    return render(parseInline(text));
+}
+
+/**
+ * @private
+ */
+function tableCells(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Group Markdown lines into blocks
+ * @private
+ */
+function parseBlocks(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let m;
+
+        if ((m = line.match(FENCE_OPEN))) {
+            const code = [];
+            // An unclosed fence (e.g. mid-stream) runs to the end of the text
+            for (i++; i < lines.length && !FENCE_CLOSE.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            blocks.push({ type: 'code', lang: m[1], text: code.join('\n') });
+        } else if (line.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+            const rows = [];
+            for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+                rows.push(tableCells(lines[i]));
+            }
+            i--;
+            blocks.push({ type: 'table', header: tableCells(line), rows });
+        } else if ((m = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/))) {
+            blocks.push({ type: 'heading', text: m[1] });
+        } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+        } else if ((m = line.match(/^(\s*)([-*+]|\d{1,3}[.)])\s+(.*)$/))) {
+            blocks.push({
+                type: 'item',
+                level: Math.min(3, Math.floor(m[1].length / 2)),
+                marker: /\d/.test(m[2]) ? m[2].replace(')', '.') : '•',
+                text: m[3]
+            });
+        } else if ((m = line.match(/^\s{0,3}>\s?(.*)$/))) {
+            blocks.push({ type: 'quote', text: m[1] });
+        } else if (!line.trim()) {
+            blocks.push({ type: 'blank' });
+        } else {
+            blocks.push({ type: 'text', text: line.trimEnd() });
+        }
+    }
+    return blocks;
+}
+
+/**
+ * @private
+ */
+function codeBlock(text, lang, mode) {
+    if (mode === 'HTML') {
+        return lang
+            ? `<pre><code class="language-${escapeHtml(lang)}">${escapeHtml(text)}</code></pre>`
+            : `<pre>${escapeHtml(text)}</pre>`;
+    }
+    if (mode === 'MarkdownV2') {
+        return `\`\`\`${lang}\n${escapeMarkdownCode(text)}\n\`\`\``;
+    }
+    return text;
+}
+
+/**
+ * Narrow tables as aligned monospace text, wide ones as a bullet per row
+ * @private
+ */
+function renderTable({ header, rows }, mode) {
+    const plain = cells => cells.map(cell => renderInline(cell, 'plain'));
+    const table = [plain(header), ...rows.map(plain)];
+    const columns = Math.max(...table.map(row => row.length));
+    const widths = Array.from({ length: columns }, (_, c) => Math.max(...table.map(row => (row[c] || '').length)));
+
+    if (widths.reduce((sum, w) => sum + w, 0) + 3 * (columns - 1) <= TABLE_MAX_WIDTH) {
+        const line = row => widths.map((w, c) => (row[c] || '').padEnd(w)).join(' | ').trimEnd();
+        const text = [line(table[0]), widths.map(w => '-'.repeat(w)).join('-+-'), ...table.slice(1).map(line)].join('\n');
+        return codeBlock(text, '', mode);
+    }
+
+    const bold = INLINE[mode === 'HTML' || mode === 'MarkdownV2' ? mode : 'plain'].bold;
+    return rows.map(row => {
+        const [first, ...rest] = row.map(cell => renderInline(cell, mode));
+        const details = rest
+            .map((cell, i) => (cell ? `${renderInline(header[i + 1] || '', mode)}: ${cell}` : ''))
+            .filter(Boolean)
+            .join('; ');
+        return `• ${bold(first || '')}${details ? ` ${mode === 'MarkdownV2' ? '\\-' : '-'} ${details}` : ''}`;
+    }).join('\n');
+}
+
+/**
+ * Render Markdown for Telegram
+ *
+ * @param {string} markdown
+ * @param {string} mode - 'HTML', 'MarkdownV2' or 'plain'
+ * @returns {string}
+ */
+function renderMarkdown(markdown, mode) {
+    const out = [];
+    const blocks = parseBlocks(markdown);
+    const bold = INLINE[PARSE_MODES.includes(mode) ? mode : 'plain'].bold;
+
+    for (let i = 0; i < blocks.length; i++) {
+        const block = blocks[i];
+        switch (block.type) {
+            case 'code':
+                out.push(codeBlock(block.text, block.lang, mode));
+                break;
+            case 'table':
+                out.push(renderTable(block, mode));
+                break;
+            case 'heading':
+                out.push(bold(renderInline(block.text, mode)));
+                break;
+            case 'rule':
+                out.push(RULE);
+                break;
+            case 'item': {
+                const marker = mode === 'MarkdownV2' ? escapeMarkdown(block.marker) : block.marker;
+                out.push(`${'  '.repeat(block.level)}${marker} ${renderInline(block.text, mode)}`);
+                break;
+            }
+            case 'quote': {
+                // Consecutive quote lines form one quote
+                const lines = [];
+                for (; i < blocks.length && blocks[i].type === 'quote'; i++) {
+                    lines.push(renderInline(blocks[i].text, mode));
+                }
+                i--;
+                if (mode === 'HTML') out.push(`<blockquote>${lines.join('\n')}</blockquote>`);
+                else if (mode === 'MarkdownV2') out.push(lines.map(line => `>${line}`).join('\n'));
+                else out.push(lines.map(line => `│ ${line}`).join('\n'));
+                break;
+            }
+            case 'blank':
+                out.push('');
+                break;
+            default:
+                out.push(renderInline(block.text, mode));
+        }
+    }
+
+    return out.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\s+$/g, '');
+}
+
+/**
+ * Markdown with the formatting removed, for the plain-text fallback
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+function toPlainText(markdown) {
+    return renderMarkdown(markdown, 'plain');
+}
+
+/**
+ * Opening fence line to repeat when `text` ends inside a code block, so the
+ * next message continues the block; empty otherwise
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function openFence(text) {
+    let opener = '';
+    for (const line of text.split('\n')) {
+        if (opener ? FENCE_CLOSE.test(line) : FENCE_OPEN.test(line)) {
+            opener = opener ? '' : line.trim();
+        }
+    }
+    return opener ? `${opener}\n` : '';
+}
+
+/**
+ * Header and separator lines to repeat when `text` ends inside a table, so
+ * the next message continues the table; empty otherwise
+ * @private
+ */
+function openTable(text) {
+    const lines = text.split('\n');
+    let head = '';
+    let inFence = false;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (inFence ? FENCE_CLOSE.test(line) : FENCE_OPEN.test(line)) {
+            inFence = !inFence;
+            head = '';
+        } else if (inFence) {
+            continue;
+        } else if (!head && line.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+            head = `${line}\n${lines[++i]}`;
+        } else if (!line.includes('|') || !line.trim()) {
+            head = '';
+        }
+    }
+    return head ? `${head}\n` : '';
+}
+
+/**
+ * Index at which to end a message that starts at `start`: the last
+ * paragraph or line break in the second half that is outside a code block,
+ * otherwise any line or word break
+ *
+ * @param {string} text
+ * @param {number} start
+ * @param {number} maxLength
+ * @returns {number}
+ */
+function splitPoint(text, start, maxLength) {
+    const window = text.slice(start, start + maxLength);
+
+    for (const separator of ['\n\n', '\n']) {
+        for (let index = window.lastIndexOf(separator); index > maxLength / 2; index = window.lastIndexOf(separator, index - 1)) {
+            if (!openFence(window.slice(0, index))) {
+                return start + index;
+            }
+        }
+    }
+    for (const separator of ['\n', ' ']) {
+        const index = window.lastIndexOf(separator);
+        if (index > maxLength / 2) {
+            return start + index;
+        }
+    }
+    return start + maxLength;
+}
+
+/**
+ * Split Markdown into pieces of at most maxLength characters. A code block
+ * cut in two is closed and reopened, and a table cut in two repeats its
+ * header, so each piece renders on its own.
+ *
+ * @param {string} markdown
+ * @param {number} [maxLength=4000]
+ * @returns {string[]}
+ */
+function splitMarkdown(markdown, maxLength = MAX_MESSAGE_LENGTH) {
+    const pieces = [];
+    let text = String(markdown || '').trim();
+
+    while (text.length > maxLength) {
+        const end = splitPoint(text, 0, maxLength);
+        const piece = text.slice(0, end);
+        const fence = openFence(piece);
+        const head = fence ? '' : openTable(piece);
+        // Only when the next line is still a row, and short enough to make progress
+        const table = head && head.length < maxLength / 2 && /^\n[^\n]*\|/.test(text.slice(end)) ? head : '';
+
+        pieces.push(fence ? `${piece}\n\`\`\`` : piece);
+        // Keep indentation inside code; drop the break we split on otherwise
+        const rest = text.slice(end).replace(fence ? /^\n/ : /^\s+/, '');
+        text = fence + table + rest;
+    }
+    if (text) pieces.push(text);
+    return pieces;
+}
+
+/**
+ * Messages for a Markdown answer
+ *
+ * @param {string} markdown
+ * @param {Object} [options]
+ * @param {string|null} [options.mode='HTML'] - 'HTML', 'MarkdownV2', or null to send the text as is
+ * @param {number} [options.maxLength=4000]
+ * @returns {Array<{text: string, parseMode: string|undefined, plain: string}>}
+ *   plain is the fallback when Telegram rejects the formatting; text and
+ *   plain are each at most maxLength characters
+ */
+function formatMessages(markdown, { mode = 'HTML', maxLength = MAX_MESSAGE_LENGTH } = {}) {
+    if (!PARSE_MODES.includes(mode)) {
+        return splitMarkdown(markdown, maxLength).map(piece => ({ text: piece, parseMode: undefined, plain: piece }));
+    }
+    return renderPieces(markdown, mode, maxLength, maxLength);
+}
+
+/**
+ * Render Markdown split at splitLength, splitting a piece again at a
+ * proportionally shorter length while its rendering exceeds maxLength
+ * @private
+ */
+function renderPieces(markdown, mode, splitLength, maxLength) {
+    const messages = [];
+    for (const piece of splitMarkdown(markdown, splitLength)) {
+        const text = renderMarkdown(piece, mode);
+        const plain = toPlainText(piece);
+        const rendered = Math.max(text.length, plain.length);
+        if (rendered > maxLength && piece.length > 1) {
+            messages.push(...renderPieces(piece, mode, Math.floor((piece.length * maxLength) / rendered), maxLength));
+        } else {
+            messages.push({ text, parseMode: mode, plain });
+        }
+    }
+    return messages;
+}
+
+/**
+ * True when Telegram refused a message because of its formatting
+ *
+ * @param {Error} error - TelegramError
+ * @returns {boolean}
+ */
+function isParseError(error) {
+    const description = error?.description || error?.message || '';
+    return error?.code === 400 && /can't parse entities|can't find end|unsupported start tag|unexpected end tag|entity/i.test(description);
+}
+
+/**
+ * Parse mode from TELEGRAM_PARSE_MODE: 'HTML' (default), 'MarkdownV2' or
+ * 'plain' (null, send model text unchanged)
+ *
+ * @param {string} [value]
+ * @returns {string|null}
+ */
+function parseModeFromEnv(value = process.env.TELEGRAM_PARSE_MODE) {
+    if (!value) return 'HTML';
+    const mode = PARSE_MODES.find(m => m.toLowerCase() === value.toLowerCase());
+    if (mode) return mode;
+    if (value.toLowerCase() === 'plain') return null;
+    throw new Error(`TELEGRAM_PARSE_MODE must be one of: ${PARSE_MODES.join(', ')}, plain`);
+}
+
+module.exports = {
+    renderMarkdown,
+    toPlainText,
+    splitMarkdown,
+    splitPoint,
+    openFence,
+    formatMessages,
+    isParseError,
+    parseModeFromEnv,
+    MAX_MESSAGE_LENGTH,
+    PARSE_MODES
+};
@@ -0,0 +1,163 @@
+/**
+ * Wallet Store
+ *
+ * Per-user wallet list backed by the `wallets` table (migration 3). A user
+ * can track several addresses across chain families; exactly one of them is
+ * flagged primary once any wallet exists.
+ */
+
+const { validateAddress } = require('./address-validator');
+
+const MAX_WALLETS_PER_USER = 10;
+const MAX_LABEL_LENGTH = 32;
+
+class WalletStore {
+    /**
+     * @param {Object} repository - Wallet repository (storage.wallets)
+     */
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * List a user's wallets, primary first, then in the order they were added
+     *
+     * @param {number} userId - users.id
+     * @returns {Promise<Array>}
+     */
+    list(userId) {
+        return this.repository.listByUser(userId);
+    }
+
+    /**
+     * Validate and add a wallet. The address is stored in its normalized form
+     * with the detected chain family. The first wallet a user adds becomes
+     * primary.
+     *
+     * @param {number} userId - users.id
+     * @param {Object} wallet
+     * @param {string} wallet.address - Address as typed by the user
+     * @param {string} [wallet.label]
+     * @returns {Promise<Object>} The stored wallet, plus validation warnings
+     */
+    async add(userId, { address: input, label = null }) {
+        const check = validateAddress(input);
+        if (!check.valid) {
+            throw new Error(check.error);
+        }
+        if (check.format === 'ens') {
+            throw new Error('ENS names cannot be tracked yet. Please add the 0x address it points to.');
+        }
+
+        const address = check.normalized;
+        const existing = await this.list(userId);
+
+        if (existing.some(w => w.address.toLowerCase() === address.toLowerCase())) {
+            throw new Error('That wallet is already in your list.');
+        }
+        if (existing.length >= MAX_WALLETS_PER_USER) {
+            throw new Error(`You can track up to ${MAX_WALLETS_PER_USER} wallets. Remove one first.`);
+        }
+        if (label) {
+            label = this._checkLabel(existing, label);
+        }
+
+        const isPrimary = existing.length === 0 ? 1 : 0;
+        const id = await this.repository.insert(userId, {
+            address,
+            chainFamily: check.chainFamily,
+            label,
+            isPrimary: !!isPrimary
+        });
+
+        return { id, address, chain_family: check.chainFamily, label, is_primary: isPrimary, warnings: check.warnings };
+    }
+
+    /**
+     * Remove a wallet. If it was primary, the oldest remaining wallet takes over.
+     *
+     * @param {number} userId - users.id
+     * @param {string} ref - Address, label or 1-based list position
+     * @returns {Promise<Object>} The removed wallet
+     */
+    async remove(userId, ref) {
+        const wallet = await this.find(userId, ref);
+        await this.repository.delete(wallet.id);
+
+        if (wallet.is_primary) {
+            await this.repository.promoteOldest(userId);
+        }
+        return wallet;
+    }
+
+    /**
+     * Change a wallet's label
+     *
+     * @param {number} userId - users.id
+     * @param {string} ref - Address, label or 1-based list position
+     * @param {string} label - New label
+     * @returns {Promise<Object>} The updated wallet
+     */
+    async rename(userId, ref, label) {
+        const wallet = await this.find(userId, ref);
+        const others = (await this.list(userId)).filter(w => w.id !== wallet.id);
+        const clean = this._checkLabel(others, label);
+
+        await this.repository.updateLabel(wallet.id, clean);
+        return { ...wallet, label: clean };
+    }
+
+    /**
+     * Flag a wallet as primary and clear the flag on the others
+     *
+     * @param {number} userId - users.id
+     * @param {string} ref - Address, label or 1-based list position
+     * @returns {Promise<Object>} The new primary wallet
+     */
+    async setPrimary(userId, ref) {
+        const wallet = await this.find(userId, ref);
+        await this.repository.setPrimary(userId, wallet.id);
+        return { ...wallet, is_primary: 1 };
+    }
+
+    /**
+     * Resolve a user-supplied reference to one of their wallets
+     *
+     * @param {number} userId - users.id
+     * @param {string} ref - Address, label or 1-based list position
+     * @returns {Promise<Object>}
+     */
+    async find(userId, ref) {
+        const wallets = await this.list(userId);
+        const needle = String(ref || '').trim().toLowerCase();
+        const position = /^#?\d+$/.test(needle) ? Number(needle.replace('#', '')) : null;
+
+        const wallet = position
+            ? wallets[position - 1]
+            : wallets.find(w => w.address.toLowerCase() === needle || (w.label && w.label.toLowerCase() === needle));
+
+        if (!wallet) {
+            throw new Error(`No wallet matches "${ref}". Use /wallets to see your list.`);
+        }
+        return wallet;
+    }
+
+    /**
+     * @private
+     */
+    _checkLabel(others, label) {
+        const clean = String(label).trim();
+        if (!clean || clean.length > MAX_LABEL_LENGTH) {
+            throw new Error(`Labels must be 1-${MAX_LABEL_LENGTH} characters.`);
+        }
+        if (/^#?\d+$/.test(clean)) {
+            throw new Error('Labels cannot be plain numbers.');
+        }
+        if (others.some(w => w.label && w.label.toLowerCase() === clean.toLowerCase())) {
+            throw new Error(`You already have a wallet labelled "${clean}".`);
+        }
+        return clean;
+    }
+}
+
+module.exports = { WalletStore, MAX_WALLETS_PER_USER };